@@ -0,0 +1,533 @@
+//! Screen capture, screenshot folder watching and selected text
+//!
+//! - Screenshots are taken with the platform's own tool (`screencapture`, the XDG desktop portal
+//!   or PowerShell), so no extra permissions are needed beyond what those tools ask for
+//! - New screenshots the user takes are picked up from their screenshot folder
+//! - Text selected in other apps is read through Accessibility (macOS), the PRIMARY selection
+//!   (Linux) or UI Automation (Windows)
+//! - The name of the app the user is working in is remembered whenever our window is shown,
+//!   for the `{{app}}` system prompt variable
+//!
+//! Everything is delivered to the frontend as a `context-captured` event carrying a
+//! [`documents::Document`], which ends up in `state.modelContext`.
+
+use crate::documents;
+use once_cell::sync::Lazy;
+use parking_lot::Mutex;
+use std::collections::HashSet;
+use std::fs;
+use std::path::{Path, PathBuf};
+use std::process::Command;
+use std::sync::atomic::{AtomicU64, Ordering};
+use std::thread;
+use std::time::{Duration, SystemTime, UNIX_EPOCH};
+use tauri::{AppHandle, Emitter, Manager};
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+pub const CAPTURE_EVENT: &str = "context-captured";
+
+const SCREENSHOT_POLL_INTERVAL: Duration = Duration::from_secs(1);
+const SELECTION_POLL_INTERVAL: Duration = Duration::from_millis(500);
+// Screenshot tools create the file before they finish writing it
+const SCREENSHOT_SETTLE_DELAY: Duration = Duration::from_millis(300);
+// Time for the compositor to remove our window before the screen is captured
+const HIDE_DELAY: Duration = Duration::from_millis(250);
+
+const SCREENSHOT_PREFIXES: &[&str] = &["screenshot", "screen shot"];
+const SCREENSHOT_EXTENSIONS: &[&str] = &["png", "jpg", "jpeg"];
+
+// =============================================================================
+// GLOBAL STATE
+// =============================================================================
+
+// Each watcher thread keeps running while the generation it was started with is current
+static SCREENSHOT_WATCH: AtomicU64 = AtomicU64::new(0);
+static SELECTION_WATCH: AtomicU64 = AtomicU64::new(0);
+
+// Files we saved ourselves (the portal writes captures to the Pictures folder), so the
+// folder watcher doesn't attach them a second time
+static OWN_CAPTURES: Lazy<Mutex<HashSet<PathBuf>>> = Lazy::new(|| Mutex::new(HashSet::new()));
+
+// App that was in front when our window was last shown
+static LAST_ACTIVE_APP: Lazy<Mutex<Option<String>>> = Lazy::new(|| Mutex::new(None));
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+fn emit_document(app: &AppHandle, document: &documents::Document) {
+    if let Err(e) = app.emit(CAPTURE_EVENT, document) {
+        eprintln!("Failed to emit captured context: {}", e);
+    }
+}
+
+// Starts `poll` on its own thread until the watcher is stopped or restarted
+fn start_watch(
+    generation: &'static AtomicU64,
+    interval: Duration,
+    mut poll: impl FnMut() + Send + 'static,
+) {
+    let current = generation.fetch_add(1, Ordering::SeqCst) + 1;
+    thread::spawn(move || {
+        while generation.load(Ordering::SeqCst) == current {
+            poll();
+            thread::sleep(interval);
+        }
+    });
+}
+
+fn stop_watch(generation: &AtomicU64) {
+    generation.fetch_add(1, Ordering::SeqCst);
+}
+
+fn main_window_focused(app: &AppHandle) -> bool {
+    app.get_webview_window("main")
+        .and_then(|window| window.is_focused().ok())
+        .unwrap_or(false)
+}
+
+// Runs a command and returns its trimmed output, or None when it is missing or fails
+#[cfg_attr(target_os = "windows", allow(dead_code))]
+fn command_output(program: &str, args: &[&str]) -> Option<String> {
+    let output = Command::new(program).args(args).output().ok()?;
+    if !output.status.success() {
+        return None;
+    }
+    Some(String::from_utf8_lossy(&output.stdout).trim().to_string())
+}
+
+// =============================================================================
+// SCREEN CAPTURE
+// =============================================================================
+
+#[cfg(target_os = "macos")]
+async fn capture_to_file(path: &Path, region: bool) -> Result<Option<PathBuf>, String> {
+    // -x: no sound, -i: let the user drag out a region, -m: main display only
+    let mode = if region { "-i" } else { "-m" };
+    tokio::process::Command::new("screencapture")
+        .args(["-x", mode])
+        .arg(path)
+        .status()
+        .await
+        .map_err(|e| format!("Failed to run screencapture: {}", e))?;
+    // Pressing Escape during selection exits without writing a file
+    Ok(path.exists().then(|| path.to_path_buf()))
+}
+
+#[cfg(target_os = "windows")]
+async fn capture_to_file(path: &Path, region: bool) -> Result<Option<PathBuf>, String> {
+    const CREATE_NO_WINDOW: u32 = 0x0800_0000;
+    const SCRIPT: &str = r#"
+        Add-Type -AssemblyName System.Windows.Forms, System.Drawing
+        Add-Type -Name Dpi -Namespace AIThing -MemberDefinition '[DllImport("user32.dll")] public static extern bool SetProcessDPIAware();'
+        [AIThing.Dpi]::SetProcessDPIAware() | Out-Null
+        $bounds = [System.Windows.Forms.Screen]::PrimaryScreen.Bounds
+        $bitmap = New-Object System.Drawing.Bitmap $bounds.Width, $bounds.Height
+        $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
+        $graphics.CopyFromScreen($bounds.Location, [System.Drawing.Point]::Empty, $bounds.Size)
+        $bitmap.Save($env:AITHING_CAPTURE_PATH, [System.Drawing.Imaging.ImageFormat]::Png)
+    "#;
+
+    if region {
+        return Err(
+            "Region capture isn't available on Windows; take a screenshot with Win+Shift+S and turn on \"Use captured screenshots\""
+                .to_string(),
+        );
+    }
+    let status = tokio::process::Command::new("powershell")
+        .args(["-NoProfile", "-NonInteractive", "-Command", SCRIPT])
+        .env("AITHING_CAPTURE_PATH", path)
+        .creation_flags(CREATE_NO_WINDOW)
+        .status()
+        .await
+        .map_err(|e| format!("Failed to run PowerShell: {}", e))?;
+    if !status.success() {
+        return Err("Failed to capture the screen".to_string());
+    }
+    Ok(Some(path.to_path_buf()))
+}
+
+// The desktop portal works on both Wayland and X11; the command line tools cover
+// desktops without one
+#[cfg(target_os = "linux")]
+async fn capture_to_file(path: &Path, region: bool) -> Result<Option<PathBuf>, String> {
+    use ashpd::desktop::screenshot::Screenshot;
+
+    let portal = async {
+        Screenshot::request()
+            .interactive(region)
+            .modal(true)
+            .send()
+            .await?
+            .response()
+    };
+    match portal.await {
+        Ok(screenshot) => {
+            let saved = screenshot
+                .uri()
+                .to_file_path()
+                .map_err(|_| "The screenshot portal returned a non-file URI".to_string())?;
+            OWN_CAPTURES.lock().insert(saved.clone());
+            return Ok(Some(saved));
+        }
+        Err(ashpd::Error::Response(ashpd::desktop::ResponseError::Cancelled)) => return Ok(None),
+        Err(e) => eprintln!(
+            "Screenshot portal unavailable, trying screenshot tools: {}",
+            e
+        ),
+    }
+
+    let file = path.to_string_lossy().into_owned();
+    let file = file.as_str();
+    let tools: Vec<(&str, Vec<&str>)> = if region {
+        vec![
+            ("gnome-screenshot", vec!["-a", "-f", file]),
+            ("spectacle", vec!["-b", "-n", "-r", "-o", file]),
+            ("maim", vec!["-s", file]),
+            ("import", vec![file]),
+        ]
+    } else {
+        vec![
+            ("grim", vec![file]),
+            ("gnome-screenshot", vec!["-f", file]),
+            ("spectacle", vec!["-b", "-n", "-f", "-o", file]),
+            ("maim", vec![file]),
+            ("import", vec!["-window", "root", file]),
+        ]
+    };
+    for (program, args) in tools {
+        match tokio::process::Command::new(program)
+            .args(&args)
+            .status()
+            .await
+        {
+            Ok(_) => return Ok(path.exists().then(|| path.to_path_buf())),
+            Err(e) if e.kind() == std::io::ErrorKind::NotFound => continue,
+            Err(e) => return Err(format!("Failed to run {}: {}", program, e)),
+        }
+    }
+    Err("No screenshot tool found; install xdg-desktop-portal or grim".to_string())
+}
+
+/// Captures the screen, or a region the user selects, and emits it as an image.
+/// Emits nothing when the user cancels the selection.
+#[tauri::command]
+pub async fn capture_screen(app: AppHandle, region: bool) -> Result<(), String> {
+    let stamp = SystemTime::now()
+        .duration_since(UNIX_EPOCH)
+        .map(|d| d.as_millis())
+        .unwrap_or_default();
+    let temp_path = std::env::temp_dir().join(format!("aithing-capture-{}.png", stamp));
+
+    // Keep our own window out of the picture
+    let window = app.get_webview_window("main");
+    let was_visible = window
+        .as_ref()
+        .and_then(|w| w.is_visible().ok())
+        .unwrap_or(false);
+    if let (Some(window), true) = (&window, was_visible) {
+        let _ = window.hide();
+        tokio::time::sleep(HIDE_DELAY).await;
+    }
+
+    let captured = capture_to_file(&temp_path, region).await;
+
+    if let (Some(window), true) = (&window, was_visible) {
+        let _ = window.show();
+    }
+
+    let Some(path) = captured? else {
+        return Ok(());
+    };
+    let document = documents::read_image(&path, "Screen capture.png".to_string());
+    if path == temp_path {
+        let _ = fs::remove_file(&temp_path);
+    }
+    emit_document(&app, &document?);
+    Ok(())
+}
+
+// =============================================================================
+// SCREENSHOT FOLDER
+// =============================================================================
+
+#[cfg(target_os = "macos")]
+fn screenshot_dirs(app: &AppHandle) -> Vec<PathBuf> {
+    // Set through the Screenshot app's Options menu; Desktop otherwise
+    if let Some(location) =
+        command_output("defaults", &["read", "com.apple.screencapture", "location"])
+    {
+        let location = match location.strip_prefix("~/") {
+            Some(rest) => app.path().home_dir().map(|home| home.join(rest)).ok(),
+            None => Some(PathBuf::from(location)),
+        };
+        if let Some(dir) = location.filter(|dir| dir.is_dir()) {
+            return vec![dir];
+        }
+    }
+    app.path().desktop_dir().into_iter().collect()
+}
+
+#[cfg(target_os = "windows")]
+fn screenshot_dirs(app: &AppHandle) -> Vec<PathBuf> {
+    // Win+PrtScn and the Snipping Tool both save here
+    app.path()
+        .picture_dir()
+        .map(|dir| vec![dir.join("Screenshots")])
+        .unwrap_or_default()
+}
+
+#[cfg(target_os = "linux")]
+fn screenshot_dirs(app: &AppHandle) -> Vec<PathBuf> {
+    // GNOME 42+ saves to Pictures/Screenshots; older GNOME and KDE to Pictures itself
+    app.path()
+        .picture_dir()
+        .map(|dir| vec![dir.join("Screenshots"), dir])
+        .unwrap_or_default()
+}
+
+fn is_screenshot(path: &Path) -> bool {
+    let name = path
+        .file_name()
+        .map(|name| name.to_string_lossy().to_lowercase())
+        .unwrap_or_default();
+    let extension = path
+        .extension()
+        .map(|ext| ext.to_string_lossy().to_lowercase())
+        .unwrap_or_default();
+    SCREENSHOT_PREFIXES
+        .iter()
+        .any(|prefix| name.starts_with(prefix))
+        && SCREENSHOT_EXTENSIONS.contains(&extension.as_str())
+}
+
+fn list_screenshots(dirs: &[PathBuf]) -> Vec<(PathBuf, SystemTime)> {
+    dirs.iter()
+        .filter_map(|dir| fs::read_dir(dir).ok())
+        .flatten()
+        .filter_map(|entry| entry.ok())
+        .map(|entry| entry.path())
+        .filter(|path| is_screenshot(path))
+        .filter_map(|path| {
+            let modified = fs::metadata(&path).and_then(|m| m.modified()).ok()?;
+            Some((path, modified))
+        })
+        .collect()
+}
+
+/// Starts or stops attaching screenshots the user takes while the app is running
+#[tauri::command]
+pub fn set_screenshot_watch(app: AppHandle, enabled: bool) {
+    if !enabled {
+        stop_watch(&SCREENSHOT_WATCH);
+        return;
+    }
+
+    let dirs = screenshot_dirs(&app);
+    // Screenshots that already exist are never attached
+    let mut known: HashSet<PathBuf> = list_screenshots(&dirs)
+        .into_iter()
+        .map(|(path, _)| path)
+        .collect();
+
+    start_watch(&SCREENSHOT_WATCH, SCREENSHOT_POLL_INTERVAL, move || {
+        let current = list_screenshots(&dirs);
+        let newest = current
+            .iter()
+            .filter(|(path, _)| !known.contains(path) && !OWN_CAPTURES.lock().contains(path))
+            .max_by_key(|(_, modified)| *modified)
+            .map(|(path, _)| path.clone());
+        known = current.into_iter().map(|(path, _)| path).collect();
+
+        let Some(path) = newest else { return };
+        thread::sleep(SCREENSHOT_SETTLE_DELAY);
+        let name = path
+            .file_name()
+            .map(|name| name.to_string_lossy().into_owned())
+            .unwrap_or_default();
+        match documents::read_image(&path, name) {
+            Ok(document) => emit_document(&app, &document),
+            Err(e) => eprintln!("Failed to read screenshot {}: {}", path.display(), e),
+        }
+    });
+}
+
+// =============================================================================
+// SELECTED TEXT
+// =============================================================================
+
+#[cfg(target_os = "macos")]
+fn read_selected_text() -> Option<String> {
+    // Needs the Accessibility permission, which macOS prompts for on first use
+    const SCRIPT: &str = r#"
+        tell application "System Events"
+            set frontApp to first application process whose frontmost is true
+            set focusedElement to value of attribute "AXFocusedUIElement" of frontApp
+            return value of attribute "AXSelectedText" of focusedElement
+        end tell
+    "#;
+    command_output("osascript", &["-e", SCRIPT])
+}
+
+#[cfg(target_os = "linux")]
+fn read_selected_text() -> Option<String> {
+    if std::env::var_os("WAYLAND_DISPLAY").is_some() {
+        return command_output("wl-paste", &["--primary", "--no-newline", "--type", "text"]);
+    }
+    command_output("xclip", &["-o", "-selection", "primary"])
+        .or_else(|| command_output("xsel", &["--output", "--primary"]))
+}
+
+#[cfg(target_os = "windows")]
+fn read_selected_text() -> Option<String> {
+    use windows::Win32::System::Com::{
+        CoCreateInstance, CoInitializeEx, CLSCTX_INPROC_SERVER, COINIT_MULTITHREADED,
+    };
+    use windows::Win32::UI::Accessibility::{
+        CUIAutomation, IUIAutomation, IUIAutomationTextPattern, UIA_TextPatternId,
+    };
+
+    unsafe {
+        // Already initialised after the first poll on this thread, which is fine
+        let _ = CoInitializeEx(None, COINIT_MULTITHREADED);
+        let automation: IUIAutomation =
+            CoCreateInstance(&CUIAutomation, None, CLSCTX_INPROC_SERVER).ok()?;
+        let element = automation.GetFocusedElement().ok()?;
+        let pattern: IUIAutomationTextPattern =
+            element.GetCurrentPatternAs(UIA_TextPatternId).ok()?;
+        let ranges = pattern.GetSelection().ok()?;
+
+        let mut text = String::new();
+        for index in 0..ranges.Length().ok()? {
+            let range = ranges.GetElement(index).ok()?;
+            text.push_str(&range.GetText(-1).ok()?.to_string());
+        }
+        Some(text)
+    }
+}
+
+/// Reads the text currently selected in another app, if any
+#[tauri::command]
+pub fn get_selected_text() -> Option<String> {
+    read_selected_text()
+        .map(|text| text.trim().to_string())
+        .filter(|text| !text.is_empty())
+}
+
+/// Attaches whatever is selected right now, if anything
+pub fn emit_selection(app: &AppHandle) {
+    if let Some(text) = get_selected_text() {
+        emit_document(
+            app,
+            &documents::text_document("Selected text", "selection", text),
+        );
+    }
+}
+
+/// Starts or stops attaching the text the user selects in other apps
+#[tauri::command]
+pub fn set_selection_watch(app: AppHandle, enabled: bool) {
+    if !enabled {
+        stop_watch(&SELECTION_WATCH);
+        return;
+    }
+
+    let mut last = String::new();
+    start_watch(&SELECTION_WATCH, SELECTION_POLL_INTERVAL, move || {
+        // Selecting text in our own window (e.g. the reply) isn't context
+        if main_window_focused(&app) {
+            return;
+        }
+        let Some(text) = get_selected_text() else {
+            return;
+        };
+        if text != last {
+            emit_document(
+                &app,
+                &documents::text_document("Selected text", "selection", text.clone()),
+            );
+            last = text;
+        }
+    });
+}
+
+// =============================================================================
+// ACTIVE APP
+// =============================================================================
+
+#[cfg(target_os = "macos")]
+fn read_active_app() -> Option<String> {
+    const SCRIPT: &str = r#"
+        tell application "System Events"
+            return name of first application process whose frontmost is true
+        end tell
+    "#;
+    command_output("osascript", &["-e", SCRIPT])
+}
+
+// Wayland doesn't tell other clients which window is active
+#[cfg(target_os = "linux")]
+fn read_active_app() -> Option<String> {
+    if std::env::var_os("WAYLAND_DISPLAY").is_some() {
+        return None;
+    }
+    let pid = command_output("xdotool", &["getactivewindow", "getwindowpid"])?;
+    fs::read_to_string(format!("/proc/{}/comm", pid))
+        .ok()
+        .map(|name| name.trim().to_string())
+}
+
+#[cfg(target_os = "windows")]
+fn read_active_app() -> Option<String> {
+    use windows::core::PWSTR;
+    use windows::Win32::Foundation::CloseHandle;
+    use windows::Win32::System::Threading::{
+        OpenProcess, QueryFullProcessImageNameW, PROCESS_NAME_WIN32,
+        PROCESS_QUERY_LIMITED_INFORMATION,
+    };
+    use windows::Win32::UI::WindowsAndMessaging::{GetForegroundWindow, GetWindowThreadProcessId};
+
+    unsafe {
+        let mut pid = 0u32;
+        GetWindowThreadProcessId(GetForegroundWindow(), Some(&mut pid));
+        if pid == 0 {
+            return None;
+        }
+        let process = OpenProcess(PROCESS_QUERY_LIMITED_INFORMATION, false, pid).ok()?;
+        let mut buffer = [0u16; 1024];
+        let mut length = buffer.len() as u32;
+        let result = QueryFullProcessImageNameW(
+            process,
+            PROCESS_NAME_WIN32,
+            PWSTR(buffer.as_mut_ptr()),
+            &mut length,
+        );
+        let _ = CloseHandle(process);
+        result.ok()?;
+
+        // "C:\Program Files\...\Code.exe" -> "Code"
+        let path = PathBuf::from(String::from_utf16_lossy(&buffer[..length as usize]));
+        path.file_stem()
+            .map(|name| name.to_string_lossy().into_owned())
+    }
+}
+
+/// Notes the app in front before our window takes focus
+pub fn remember_active_app() {
+    if let Some(name) = read_active_app().filter(|name| !name.is_empty()) {
+        *LAST_ACTIVE_APP.lock() = Some(name);
+    }
+}
+
+/// Name of the app the user is working in: the one in front, or the one they came from
+/// while our window has focus. Async so the main thread isn't held up while it is read.
+#[tauri::command]
+pub async fn get_active_app(app: AppHandle) -> Option<String> {
+    if !main_window_focused(&app) {
+        remember_active_app();
+    }
+    LAST_ACTIVE_APP.lock().clone()
+}
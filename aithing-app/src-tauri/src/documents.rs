@@ -0,0 +1,761 @@
+//! Text extraction for files dropped into the chat
+//!
+//! - PDFs are read page by page, DOCX paragraphs and tables become Markdown, XLSX and CSV
+//!   sheets become Markdown tables and source files are fenced with their language
+//! - Extracted text is split into chunks and cut off once it reaches the caller's token budget
+//! - Images are scaled down to what the providers accept and returned as base64 with their cost
+
+use base64::{engine::general_purpose::STANDARD as BASE64, Engine};
+use calamine::Reader as _;
+use quick_xml::events::{BytesStart, Event};
+use quick_xml::Reader as XmlReader;
+use serde::Serialize;
+use std::fs;
+use std::io::Read;
+use std::path::Path;
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MAX_FILE_SIZE: u64 = 50 * 1024 * 1024;
+const MAX_IMAGE_SIZE: u64 = 5 * 1024 * 1024;
+
+// Rough average for English prose and code; good enough to size chunks and show costs
+const CHARS_PER_TOKEN: usize = 4;
+const CHUNK_TOKENS: usize = 8_000;
+
+// Providers scale images down until the long edge fits, then charge ~1 token per 750 px
+const IMAGE_MAX_EDGE: f64 = 1568.0;
+const IMAGE_PIXELS_PER_TOKEN: f64 = 750.0;
+const IMAGE_MAX_TOKENS: usize = 1_600;
+
+const IMAGE_TYPES: &[&str] = &["png", "jpg", "jpeg", "gif", "webp"];
+
+const SPREADSHEET_TYPES: &[&str] = &["xlsx", "xlsm", "xlsb", "xls", "ods"];
+
+const CODE_LANGUAGES: &[(&str, &str)] = &[
+    ("rs", "rust"),
+    ("js", "javascript"),
+    ("mjs", "javascript"),
+    ("cjs", "javascript"),
+    ("jsx", "jsx"),
+    ("ts", "typescript"),
+    ("tsx", "tsx"),
+    ("py", "python"),
+    ("rb", "ruby"),
+    ("go", "go"),
+    ("java", "java"),
+    ("kt", "kotlin"),
+    ("kts", "kotlin"),
+    ("swift", "swift"),
+    ("m", "objectivec"),
+    ("c", "c"),
+    ("h", "c"),
+    ("cc", "cpp"),
+    ("cpp", "cpp"),
+    ("cxx", "cpp"),
+    ("hpp", "cpp"),
+    ("cs", "csharp"),
+    ("php", "php"),
+    ("scala", "scala"),
+    ("dart", "dart"),
+    ("lua", "lua"),
+    ("r", "r"),
+    ("pl", "perl"),
+    ("ex", "elixir"),
+    ("exs", "elixir"),
+    ("erl", "erlang"),
+    ("hs", "haskell"),
+    ("clj", "clojure"),
+    ("zig", "zig"),
+    ("sh", "bash"),
+    ("bash", "bash"),
+    ("zsh", "bash"),
+    ("fish", "fish"),
+    ("ps1", "powershell"),
+    ("bat", "batch"),
+    ("sql", "sql"),
+    ("html", "html"),
+    ("htm", "html"),
+    ("css", "css"),
+    ("scss", "scss"),
+    ("less", "less"),
+    ("vue", "vue"),
+    ("svelte", "svelte"),
+    ("json", "json"),
+    ("jsonc", "json"),
+    ("yaml", "yaml"),
+    ("yml", "yaml"),
+    ("toml", "toml"),
+    ("ini", "ini"),
+    ("xml", "xml"),
+    ("svg", "xml"),
+    ("graphql", "graphql"),
+    ("proto", "protobuf"),
+    ("tf", "hcl"),
+    ("diff", "diff"),
+    ("patch", "diff"),
+];
+
+const CODE_FILE_NAMES: &[(&str, &str)] = &[
+    ("dockerfile", "dockerfile"),
+    ("makefile", "makefile"),
+    ("cmakelists.txt", "cmake"),
+    ("gemfile", "ruby"),
+    ("rakefile", "ruby"),
+];
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/// Part of an extracted file, sent to the model as its own text block
+#[derive(Debug, Serialize)]
+pub struct Chunk {
+    /// Where the text came from, e.g. "Page 3 – Page 7" or "Sheet Q1, rows 1–420"; empty for a whole file
+    pub label: String,
+    pub text: String,
+    pub tokens: usize,
+}
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct Document {
+    pub name: String,
+    /// One of `image`, `pdf`, `docx`, `spreadsheet`, `csv`, `code` or `text`
+    pub kind: &'static str,
+    pub language: Option<String>,
+    pub media: Option<String>,
+    pub image: Option<String>,
+    /// What was extracted, e.g. "12 pages" or "3 sheets"
+    pub summary: String,
+    pub chunks: Vec<Chunk>,
+    /// Estimated tokens of everything that will be sent
+    pub tokens: usize,
+    /// Estimated tokens of everything that was extracted
+    pub total_tokens: usize,
+    pub truncated: bool,
+}
+
+// A page, sheet or whole file; `header` is repeated on every chunk the section is split into
+struct Section {
+    label: String,
+    header: String,
+    body: String,
+    // What a line of `body` is called in chunk labels
+    unit: &'static str,
+}
+
+impl Section {
+    fn new(label: impl Into<String>, body: String) -> Self {
+        Section {
+            label: label.into(),
+            header: String::new(),
+            body,
+            unit: "line",
+        }
+    }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+fn estimate_tokens(text: &str) -> usize {
+    text.chars().count().div_ceil(CHARS_PER_TOKEN)
+}
+
+fn plural(count: usize, word: &str) -> String {
+    if count == 1 {
+        format!("1 {}", word)
+    } else {
+        format!("{} {}s", count, word)
+    }
+}
+
+fn lookup(table: &[(&str, &'static str)], key: &str) -> Option<&'static str> {
+    table.iter().find(|(k, _)| *k == key).map(|(_, v)| *v)
+}
+
+// Longer than any backtick run in the text so the fence can't be closed early
+fn code_fence(text: &str) -> String {
+    let mut longest = 0;
+    let mut run = 0;
+    for c in text.chars() {
+        run = if c == '`' { run + 1 } else { 0 };
+        longest = longest.max(run);
+    }
+    "`".repeat((longest + 1).max(3))
+}
+
+fn table_cell(text: &str) -> String {
+    text.split_whitespace()
+        .collect::<Vec<_>>()
+        .join(" ")
+        .replace('|', "\\|")
+}
+
+// The first row becomes the header; rows are padded to the widest one
+fn markdown_table(rows: &[Vec<String>]) -> (String, String) {
+    let width = rows.iter().map(Vec::len).max().unwrap_or(0).max(1);
+    let line = |row: &[String]| {
+        let cells: Vec<String> = (0..width)
+            .map(|i| row.get(i).map(|c| table_cell(c)).unwrap_or_default())
+            .collect();
+        format!("| {} |", cells.join(" | "))
+    };
+
+    let header = match rows.first() {
+        Some(first) => format!("{}\n|{}", line(first), " --- |".repeat(width)),
+        None => String::new(),
+    };
+    let body = rows
+        .iter()
+        .skip(1)
+        .map(|row| line(row))
+        .collect::<Vec<_>>()
+        .join("\n");
+    (header, body)
+}
+
+fn non_empty_rows(rows: impl Iterator<Item = Vec<String>>) -> Vec<Vec<String>> {
+    rows.filter(|row| row.iter().any(|cell| !cell.trim().is_empty()))
+        .collect()
+}
+
+// =============================================================================
+// CHUNKING
+// =============================================================================
+
+// Splits a section into pieces of at most `limit` tokens, breaking between lines where possible
+fn split_section(section: &Section, limit: usize) -> Vec<(String, String)> {
+    let header = if section.header.is_empty() {
+        String::new()
+    } else {
+        format!("{}\n", section.header)
+    };
+    let whole = format!("{}{}", header, section.body);
+    if estimate_tokens(&whole) <= limit {
+        return vec![(section.label.clone(), whole)];
+    }
+
+    let budget = limit
+        .saturating_sub(estimate_tokens(&header))
+        .max(1)
+        .saturating_mul(CHARS_PER_TOKEN);
+    let mut pieces: Vec<(usize, usize, String)> = Vec::new();
+    let mut current = String::new();
+    let mut current_chars = 0;
+    let mut first_line = 1;
+
+    for (index, line) in section.body.lines().enumerate() {
+        let number = index + 1;
+        let mut chars: Vec<char> = line.chars().collect();
+
+        // Lines longer than a whole piece are cut wherever the budget runs out
+        while chars.len() > budget {
+            if !current.is_empty() {
+                pieces.push((first_line, number - 1, std::mem::take(&mut current)));
+                current_chars = 0;
+            }
+            let rest = chars.split_off(budget);
+            pieces.push((number, number, chars.into_iter().collect()));
+            chars = rest;
+        }
+
+        if current_chars + chars.len() + 1 > budget && !current.is_empty() {
+            pieces.push((first_line, number - 1, std::mem::take(&mut current)));
+            current_chars = 0;
+        }
+        if current.is_empty() {
+            first_line = number;
+        }
+        current.extend(chars.iter());
+        current.push('\n');
+        current_chars += chars.len() + 1;
+    }
+    if !current.is_empty() {
+        let last = section.body.lines().count().max(first_line);
+        pieces.push((first_line, last, current));
+    }
+
+    pieces
+        .into_iter()
+        .map(|(from, to, text)| {
+            let lines = if from == to {
+                format!("{} {}", section.unit, from)
+            } else {
+                format!("{}s {}–{}", section.unit, from, to)
+            };
+            let label = if section.label.is_empty() {
+                let mut label = lines;
+                label[..1].make_ascii_uppercase();
+                label
+            } else {
+                format!("{}, {}", section.label, lines)
+            };
+            (label, format!("{}{}", header, text.trim_end()))
+        })
+        .collect()
+}
+
+fn merged_label(first: &str, last: &str) -> String {
+    if first == last {
+        first.to_string()
+    } else {
+        format!("{} – {}", first, last)
+    }
+}
+
+/// Packs sections into chunks of up to `chunk_tokens` and stops once `budget` is used up.
+/// Returns the chunks and whether anything was left out.
+fn chunk_sections(sections: &[Section], chunk_tokens: usize, budget: usize) -> (Vec<Chunk>, bool) {
+    let pieces: Vec<(String, String)> = sections
+        .iter()
+        .flat_map(|section| split_section(section, chunk_tokens))
+        .collect();
+
+    let mut chunks: Vec<Chunk> = Vec::new();
+    let mut first_label = String::new();
+    let mut last_label = String::new();
+    let mut text = String::new();
+    let mut used = 0;
+    let mut truncated = false;
+
+    for (label, piece) in pieces {
+        let tokens = estimate_tokens(&piece);
+        if used + tokens > budget {
+            truncated = true;
+            break;
+        }
+        used += tokens;
+
+        if !text.is_empty() && estimate_tokens(&text) + tokens > chunk_tokens {
+            chunks.push(Chunk {
+                label: merged_label(&first_label, &last_label),
+                tokens: estimate_tokens(&text),
+                text: std::mem::take(&mut text),
+            });
+        }
+        if text.is_empty() {
+            first_label = label.clone();
+        } else {
+            text.push_str("\n\n");
+        }
+        last_label = label;
+        text.push_str(&piece);
+    }
+    if !text.is_empty() {
+        chunks.push(Chunk {
+            label: merged_label(&first_label, &last_label),
+            tokens: estimate_tokens(&text),
+            text,
+        });
+    }
+
+    (chunks, truncated)
+}
+
+// =============================================================================
+// EXTRACTORS
+// =============================================================================
+
+fn pdf_sections(path: &Path) -> Result<Vec<Section>, String> {
+    let document = lopdf::Document::load(path).map_err(|e| format!("Failed to open PDF: {}", e))?;
+
+    let sections: Vec<Section> = document
+        .get_pages()
+        .keys()
+        .map(|&number| {
+            // A page that fails to decode is kept empty so numbering stays correct
+            let text = document.extract_text(&[number]).unwrap_or_default();
+            let label = format!("Page {}", number);
+            let body = format!("--- {} ---\n{}", label, text.trim());
+            Section::new(label, body)
+        })
+        .collect();
+
+    if sections.is_empty() {
+        return Err("The PDF has no pages".to_string());
+    }
+    Ok(sections)
+}
+
+fn heading_level(style: &BytesStart) -> Option<usize> {
+    let value = style.try_get_attribute("w:val").ok()??;
+    let value = value.unescape_value().ok()?;
+    if value == "Title" {
+        return Some(1);
+    }
+    value
+        .strip_prefix("Heading")
+        .and_then(|level| level.parse::<usize>().ok())
+        .filter(|level| (1..=6).contains(level))
+}
+
+fn docx_sections(path: &Path) -> Result<Vec<Section>, String> {
+    let file = fs::File::open(path).map_err(|e| format!("Failed to open document: {}", e))?;
+    let mut archive =
+        zip::ZipArchive::new(file).map_err(|e| format!("Failed to open document: {}", e))?;
+    let mut xml = String::new();
+    archive
+        .by_name("word/document.xml")
+        .map_err(|e| format!("Failed to read document: {}", e))?
+        .read_to_string(&mut xml)
+        .map_err(|e| format!("Failed to read document: {}", e))?;
+
+    let mut reader = XmlReader::from_str(&xml);
+    let mut out = String::new();
+    let mut paragraph = String::new();
+    let mut heading: Option<usize> = None;
+    let mut in_text = false;
+    let mut table_depth = 0;
+    let mut cell: Vec<String> = Vec::new();
+    let mut row: Vec<String> = Vec::new();
+    let mut table: Vec<Vec<String>> = Vec::new();
+
+    loop {
+        match reader.read_event() {
+            Ok(Event::Start(e)) => match e.name().as_ref() {
+                b"w:t" => in_text = true,
+                b"w:tbl" => table_depth += 1,
+                b"w:pStyle" => heading = heading_level(&e),
+                _ => {}
+            },
+            Ok(Event::Empty(e)) => match e.name().as_ref() {
+                b"w:tab" => paragraph.push('\t'),
+                b"w:br" | b"w:cr" => paragraph.push('\n'),
+                b"w:pStyle" => heading = heading_level(&e),
+                _ => {}
+            },
+            Ok(Event::Text(e)) if in_text => {
+                let text = e
+                    .unescape()
+                    .map_err(|e| format!("Failed to parse document: {}", e))?;
+                paragraph.push_str(&text);
+            }
+            Ok(Event::End(e)) => match e.name().as_ref() {
+                b"w:t" => in_text = false,
+                b"w:p" => {
+                    let text = paragraph.trim();
+                    if table_depth > 0 {
+                        if !text.is_empty() {
+                            cell.push(text.to_string());
+                        }
+                    } else if !text.is_empty() {
+                        if let Some(level) = heading {
+                            out.push_str(&"#".repeat(level));
+                            out.push(' ');
+                        }
+                        out.push_str(text);
+                        out.push_str("\n\n");
+                    }
+                    paragraph.clear();
+                    heading = None;
+                }
+                // Nested tables are flattened into the cell that holds them
+                b"w:tc" if table_depth == 1 => row.push(std::mem::take(&mut cell).join(" ")),
+                b"w:tr" if table_depth == 1 => table.push(std::mem::take(&mut row)),
+                b"w:tbl" => {
+                    table_depth -= 1;
+                    if table_depth == 0 {
+                        let (header, body) = markdown_table(&non_empty_rows(table.drain(..)));
+                        if !header.is_empty() {
+                            out.push_str(&header);
+                            out.push('\n');
+                            if !body.is_empty() {
+                                out.push_str(&body);
+                                out.push('\n');
+                            }
+                            out.push('\n');
+                        }
+                    }
+                }
+                _ => {}
+            },
+            Ok(Event::Eof) => break,
+            Err(e) => return Err(format!("Failed to parse document: {}", e)),
+            _ => {}
+        }
+    }
+
+    Ok(vec![Section::new("", out.trim_end().to_string())])
+}
+
+fn spreadsheet_sections(path: &Path) -> Result<Vec<Section>, String> {
+    let mut workbook = calamine::open_workbook_auto(path)
+        .map_err(|e| format!("Failed to open spreadsheet: {}", e))?;
+
+    let mut sections = Vec::new();
+    for name in workbook.sheet_names() {
+        let range = workbook
+            .worksheet_range(&name)
+            .map_err(|e| format!("Failed to read sheet {}: {}", name, e))?;
+        let rows = non_empty_rows(
+            range
+                .rows()
+                .map(|row| row.iter().map(|cell| cell.to_string()).collect()),
+        );
+        if rows.is_empty() {
+            continue;
+        }
+
+        let (table_header, body) = markdown_table(&rows);
+        sections.push(Section {
+            label: format!("Sheet {}", name),
+            header: format!("## {}\n\n{}", name, table_header),
+            body,
+            unit: "row",
+        });
+    }
+    Ok(sections)
+}
+
+fn csv_rows(path: &Path, extension: &str) -> Result<Vec<Vec<String>>, String> {
+    let delimiter = if extension == "tsv" {
+        b'\t'
+    } else {
+        // Locales that use a decimal comma usually separate fields with semicolons
+        let sample = fs::read(path).map_err(|e| format!("Failed to read file: {}", e))?;
+        let first_line = sample.split(|&b| b == b'\n').next().unwrap_or_default();
+        let count = |byte: u8| first_line.iter().filter(|&&b| b == byte).count();
+        if count(b';') > count(b',') {
+            b';'
+        } else {
+            b','
+        }
+    };
+
+    let mut reader = csv::ReaderBuilder::new()
+        .has_headers(false)
+        .flexible(true)
+        .delimiter(delimiter)
+        .from_path(path)
+        .map_err(|e| format!("Failed to read file: {}", e))?;
+
+    let rows = reader
+        .records()
+        .map(|record| {
+            record
+                .map(|record| record.iter().map(str::to_string).collect())
+                .map_err(|e| format!("Failed to parse CSV: {}", e))
+        })
+        .collect::<Result<Vec<Vec<String>>, String>>()?;
+    Ok(non_empty_rows(rows.into_iter()))
+}
+
+fn read_text(path: &Path) -> Result<String, String> {
+    let bytes = fs::read(path).map_err(|e| format!("Failed to read file: {}", e))?;
+    // NUL bytes near the start are the usual sign of a binary format
+    if bytes.iter().take(8_000).any(|&b| b == 0) {
+        return Err("Unsupported file type".to_string());
+    }
+    let text = match String::from_utf8(bytes) {
+        Ok(text) => text,
+        Err(e) => String::from_utf8_lossy(e.as_bytes()).into_owned(),
+    };
+    Ok(text.trim_start_matches('\u{feff}').replace("\r\n", "\n"))
+}
+
+// =============================================================================
+// IMAGES
+// =============================================================================
+
+fn image_tokens(width: u32, height: u32) -> usize {
+    let tokens = (width as f64 * height as f64) / IMAGE_PIXELS_PER_TOKEN;
+    (tokens.ceil() as usize).clamp(1, IMAGE_MAX_TOKENS)
+}
+
+/// Reads an image, scaled down to the size the providers would scale it to anyway
+pub fn read_image(path: &Path, name: String) -> Result<Document, String> {
+    let bytes = fs::read(path).map_err(|e| format!("Failed to read file: {}", e))?;
+    let format = image::guess_format(&bytes).map_err(|e| format!("Failed to read image: {}", e))?;
+    let decoded = image::load_from_memory_with_format(&bytes, format)
+        .map_err(|e| format!("Failed to read image: {}", e))?;
+    let (width, height) = (decoded.width(), decoded.height());
+
+    let scale = (IMAGE_MAX_EDGE / width.max(height) as f64).min(1.0);
+    let (bytes, media, sent_width, sent_height) =
+        if scale < 1.0 || bytes.len() as u64 > MAX_IMAGE_SIZE {
+            let resized = decoded.resize(
+                (width as f64 * scale).round().max(1.0) as u32,
+                (height as f64 * scale).round().max(1.0) as u32,
+                image::imageops::FilterType::Triangle,
+            );
+            let mut encoded = Vec::new();
+            resized
+                .write_to(
+                    &mut std::io::Cursor::new(&mut encoded),
+                    image::ImageFormat::Png,
+                )
+                .map_err(|e| format!("Failed to resize image: {}", e))?;
+            (encoded, "image/png", resized.width(), resized.height())
+        } else {
+            (bytes, format.to_mime_type(), width, height)
+        };
+
+    if bytes.len() as u64 > MAX_IMAGE_SIZE {
+        return Err(format!(
+            "Images can be at most {} MB",
+            MAX_IMAGE_SIZE / 1024 / 1024
+        ));
+    }
+    let tokens = image_tokens(sent_width, sent_height);
+
+    Ok(Document {
+        name,
+        kind: "image",
+        language: None,
+        media: Some(media.to_string()),
+        image: Some(BASE64.encode(&bytes)),
+        summary: format!("{}×{} image", width, height),
+        chunks: Vec::new(),
+        tokens,
+        total_tokens: tokens,
+        truncated: false,
+    })
+}
+
+/// Captured text, e.g. the user's selection in another app, sent as a single chunk
+pub fn text_document(name: &str, kind: &'static str, text: String) -> Document {
+    let tokens = estimate_tokens(&text);
+    Document {
+        name: name.to_string(),
+        kind,
+        language: None,
+        media: None,
+        image: None,
+        summary: plural(text.chars().count(), "character"),
+        chunks: vec![Chunk {
+            label: String::new(),
+            text,
+            tokens,
+        }],
+        tokens,
+        total_tokens: tokens,
+        truncated: false,
+    }
+}
+
+// =============================================================================
+// INGESTION
+// =============================================================================
+
+pub fn ingest(path: &Path, token_budget: usize) -> Result<Document, String> {
+    let name = path
+        .file_name()
+        .map(|name| name.to_string_lossy().into_owned())
+        .unwrap_or_else(|| path.display().to_string());
+    let lower_name = name.to_lowercase();
+    let extension = path
+        .extension()
+        .map(|ext| ext.to_string_lossy().to_lowercase())
+        .unwrap_or_default();
+
+    let metadata = fs::metadata(path).map_err(|e| format!("Failed to read {}: {}", name, e))?;
+    if metadata.is_dir() {
+        return Err("Folders can't be attached".to_string());
+    }
+    if metadata.len() > MAX_FILE_SIZE {
+        return Err(format!(
+            "Files can be at most {} MB",
+            MAX_FILE_SIZE / 1024 / 1024
+        ));
+    }
+
+    if IMAGE_TYPES.contains(&extension.as_str()) {
+        return read_image(path, name);
+    }
+
+    let mut language = None;
+    let (kind, summary, sections) = match extension.as_str() {
+        "pdf" => {
+            let sections = pdf_sections(path)?;
+            if sections
+                .iter()
+                .all(|s| s.body.lines().skip(1).all(|l| l.trim().is_empty()))
+            {
+                return Err("No text found; scanned PDFs aren't supported".to_string());
+            }
+            ("pdf", plural(sections.len(), "page"), sections)
+        }
+        "docx" => ("docx", "Document".to_string(), docx_sections(path)?),
+        ext if SPREADSHEET_TYPES.contains(&ext) => {
+            let sections = spreadsheet_sections(path)?;
+            ("spreadsheet", plural(sections.len(), "sheet"), sections)
+        }
+        "csv" | "tsv" => {
+            let rows = csv_rows(path, &extension)?;
+            let (header, body) = markdown_table(&rows);
+            let summary = plural(rows.len().saturating_sub(1), "row");
+            let section = Section {
+                label: String::new(),
+                header,
+                body,
+                unit: "row",
+            };
+            ("csv", summary, vec![section])
+        }
+        _ => {
+            let text = read_text(path)?;
+            let lines = plural(text.lines().count(), "line");
+            language = lookup(CODE_LANGUAGES, &extension)
+                .or_else(|| lookup(CODE_FILE_NAMES, &lower_name))
+                .map(str::to_string);
+            let kind = if language.is_some() { "code" } else { "text" };
+            (kind, lines, vec![Section::new("", text)])
+        }
+    };
+
+    let total_tokens = sections
+        .iter()
+        .map(|s| estimate_tokens(&s.header) + estimate_tokens(&s.body))
+        .sum();
+    let (mut chunks, truncated) = chunk_sections(
+        &sections,
+        CHUNK_TOKENS.min(token_budget).max(1),
+        token_budget,
+    );
+    if chunks.is_empty() {
+        return Err(if truncated {
+            "The file doesn't fit the token budget".to_string()
+        } else {
+            "The file is empty".to_string()
+        });
+    }
+
+    if let Some(language) = &language {
+        for chunk in &mut chunks {
+            let fence = code_fence(&chunk.text);
+            chunk.text = format!("{}{}\n{}\n{}", fence, language, chunk.text, fence);
+            chunk.tokens = estimate_tokens(&chunk.text);
+        }
+    }
+
+    Ok(Document {
+        name,
+        kind,
+        language,
+        media: None,
+        image: None,
+        summary,
+        tokens: chunks.iter().map(|c| c.tokens).sum(),
+        total_tokens,
+        chunks,
+        truncated,
+    })
+}
+
+// =============================================================================
+// TAURI COMMANDS
+// =============================================================================
+
+/// Extracts a dropped file, keeping at most `token_budget` tokens of its text
+#[tauri::command]
+pub async fn ingest_file(path: String, token_budget: usize) -> Result<Document, String> {
+    let file = path.clone();
+    tauri::async_runtime::spawn_blocking(move || ingest(Path::new(&file), token_budget))
+        .await
+        .map_err(|e| format!("Failed to read {}: {}", path, e))?
+}
@@ -4,17 +4,33 @@
 //! - macOS window management with NSPanel for fullscreen overlay
 //! - Global keyboard shortcuts
 //! - Tauri commands for frontend interaction
+//! - Local MCP server processes (see `mcp`)
+//! - Chat files and encrypted API keys (see `storage`)
+//! - Text extraction for dropped files (see `documents`)
+//! - Screen capture, screenshot watching and selected text (see `capture`)
+
+mod capture;
+mod documents;
+mod mcp;
+mod oauth;
+mod storage;
+mod sync;
+mod tools;
+mod updates;
 
 use once_cell::sync::Lazy;
 use parking_lot::RwLock;
 use serde::{Deserialize, Serialize};
+use std::collections::{BTreeMap, HashMap};
 use std::sync::Arc;
+use std::thread;
 #[cfg(target_os = "macos")]
 use tauri::WebviewWindow;
 use tauri::{AppHandle, Emitter, Manager};
 #[cfg(target_os = "macos")]
 use tauri_nspanel::{tauri_panel, CollectionBehavior, PanelLevel, StyleMask, WebviewWindowExt};
-use tauri_plugin_global_shortcut::{Code, GlobalShortcutExt, Modifiers, Shortcut};
+use tauri_plugin_dialog::{DialogExt, FileDialogBuilder};
+use tauri_plugin_global_shortcut::{GlobalShortcutExt, Shortcut, ShortcutState};
 use tauri_plugin_store::StoreExt;
 
 // =============================================================================
@@ -31,11 +47,26 @@ pub struct WindowState {
     pub y: f64,
 }
 
+// Fields added later fall back to their defaults when older settings are loaded
 #[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(default)]
 pub struct AppSettings {
     pub show_in_screenshot: bool,
     pub open_at_login: bool,
     pub shortcuts_enabled: bool,
+    pub use_captured_screenshots: bool,
+    /// Mark the stable start of each request for the provider's prompt cache
+    pub cache_messages: bool,
+    /// Offer the built-in file, shell, web and clipboard tools to the model
+    pub local_tools_enabled: bool,
+    /// Folders the built-in file tools may read
+    pub tool_folders: Vec<String>,
+    /// Accelerator (e.g. "Control+Alt+Space") for each shortcut action
+    pub shortcuts: BTreeMap<String, String>,
+    /// Check for updates once a day
+    pub auto_update_check: bool,
+    /// Signed update manifest to use instead of the one in tauri.conf.json
+    pub update_manifest_url: String,
 }
 
 impl Default for AppSettings {
@@ -44,6 +75,13 @@ impl Default for AppSettings {
             show_in_screenshot: false,
             open_at_login: false,
             shortcuts_enabled: true,
+            use_captured_screenshots: false,
+            cache_messages: true,
+            local_tools_enabled: true,
+            tool_folders: Vec::new(),
+            shortcuts: default_shortcuts(),
+            auto_update_check: true,
+            update_manifest_url: String::new(),
         }
     }
 }
@@ -65,13 +103,19 @@ static WINDOW_STATE: Lazy<Arc<RwLock<WindowState>>> = Lazy::new(|| {
 });
 static APP_SETTINGS: Lazy<Arc<RwLock<AppSettings>>> =
     Lazy::new(|| Arc::new(RwLock::new(AppSettings::default())));
+// Action for each registered shortcut, by shortcut id
+static REGISTERED_SHORTCUTS: Lazy<RwLock<HashMap<u32, String>>> =
+    Lazy::new(|| RwLock::new(HashMap::new()));
+// Why each shortcut that isn't registered failed, by action
+static SHORTCUT_ERRORS: Lazy<RwLock<BTreeMap<String, String>>> =
+    Lazy::new(|| RwLock::new(BTreeMap::new()));
 
 // =============================================================================
 // SETTINGS STORAGE
 // =============================================================================
 
 fn save_settings_to_store(app: &AppHandle) {
-    if let Ok(store) = app.store("aithing-store.json") {
+    if let Ok(store) = app.store(storage::STORE_FILE) {
         let settings = APP_SETTINGS.read();
         if let Ok(json) = serde_json::to_value(&*settings) {
             store.set("settings", json);
@@ -81,7 +125,7 @@ fn save_settings_to_store(app: &AppHandle) {
 }
 
 fn load_settings_from_store(app: &AppHandle) {
-    if let Ok(store) = app.store("aithing-store.json") {
+    if let Ok(store) = app.store(storage::STORE_FILE) {
         if let Some(settings_json) = store.get("settings") {
             if let Ok(settings) = serde_json::from_value::<AppSettings>(settings_json.clone()) {
                 let mut app_settings = APP_SETTINGS.write();
@@ -91,6 +135,123 @@ fn load_settings_from_store(app: &AppHandle) {
     }
 }
 
+// =============================================================================
+// GLOBAL SHORTCUTS
+// =============================================================================
+
+/// Actions a shortcut can trigger, besides `run-query:<id>` for a saved query
+const SHORTCUT_ACTIONS: &[&str] = &[
+    "toggle-visibility",
+    "toggle-visibility-alt",
+    "new-chat",
+    "focus-input",
+    "paste-selection",
+];
+const RUN_QUERY_ACTION: &str = "run-query:";
+
+// The two toggles the app has always registered: Control+Option+Space (Mac) /
+// Control+Alt+Space (Windows), and Control+Space
+fn default_shortcuts() -> BTreeMap<String, String> {
+    BTreeMap::from([
+        (
+            "toggle-visibility".to_string(),
+            "Control+Alt+Space".to_string(),
+        ),
+        (
+            "toggle-visibility-alt".to_string(),
+            "Control+Space".to_string(),
+        ),
+    ])
+}
+
+/// Registers the shortcuts from the settings in place of the current ones.
+/// Returns why each shortcut that couldn't be registered failed, by action.
+fn apply_shortcuts(app: &AppHandle) -> BTreeMap<String, String> {
+    let settings = APP_SETTINGS.read().clone();
+    let manager = app.global_shortcut();
+    if let Err(e) = manager.unregister_all() {
+        eprintln!("Failed to unregister shortcuts: {}", e);
+    }
+
+    let mut registered: HashMap<u32, String> = HashMap::new();
+    let mut errors = BTreeMap::new();
+    let bindings = settings
+        .shortcuts
+        .iter()
+        .filter(|(_, accelerator)| settings.shortcuts_enabled && !accelerator.is_empty());
+
+    for (action, accelerator) in bindings {
+        if !SHORTCUT_ACTIONS.contains(&action.as_str()) && !action.starts_with(RUN_QUERY_ACTION) {
+            errors.insert(action.clone(), format!("Unknown action {}", action));
+            continue;
+        }
+        let shortcut = match accelerator.parse::<Shortcut>() {
+            Ok(shortcut) => shortcut,
+            Err(e) => {
+                errors.insert(
+                    action.clone(),
+                    format!("Invalid shortcut {}: {}", accelerator, e),
+                );
+                continue;
+            }
+        };
+        let id = shortcut.id();
+        if registered.contains_key(&id) {
+            errors.insert(
+                action.clone(),
+                format!("{} is already used by another shortcut", accelerator),
+            );
+            continue;
+        }
+        // Fails when another app (or the OS) already holds the combination
+        match manager.register(shortcut) {
+            Ok(()) => {
+                registered.insert(id, action.clone());
+            }
+            Err(e) => {
+                errors.insert(
+                    action.clone(),
+                    format!("Failed to register {}: {}", accelerator, e),
+                );
+            }
+        }
+    }
+
+    *REGISTERED_SHORTCUTS.write() = registered;
+    *SHORTCUT_ERRORS.write() = errors.clone();
+    errors
+}
+
+fn show_main_window(app: &AppHandle) {
+    if let Some(window) = app.get_webview_window("main") {
+        capture::remember_active_app();
+        let _ = window.show();
+        let _ = window.set_focus();
+    }
+}
+
+fn trigger_shortcut(app: &AppHandle, action: String) {
+    match action.as_str() {
+        // The frontend decides whether to show or hide
+        "toggle-visibility" | "toggle-visibility-alt" => {
+            let _ = app.emit("shortcut-triggered", "toggle-visibility");
+        }
+        // The selection has to be read while the other app still has focus
+        "paste-selection" => {
+            let app = app.clone();
+            thread::spawn(move || {
+                capture::emit_selection(&app);
+                show_main_window(&app);
+                let _ = app.emit("shortcut-triggered", action);
+            });
+        }
+        _ => {
+            show_main_window(app);
+            let _ = app.emit("shortcut-triggered", action);
+        }
+    }
+}
+
 // =============================================================================
 // TAURI COMMANDS
 // =============================================================================
@@ -120,6 +281,55 @@ fn set_settings(app: AppHandle, settings: AppSettings) {
     save_settings_to_store(&app);
 }
 
+// Import and export files are picked in a dialog opened here, so the webview can
+// only read or write the file the user chose
+#[derive(Debug, Clone, Deserialize)]
+pub struct FileFilter {
+    pub name: String,
+    pub extensions: Vec<String>,
+}
+
+fn file_dialog(app: &AppHandle, filter: &FileFilter) -> FileDialogBuilder<tauri::Wry> {
+    let extensions: Vec<&str> = filter.extensions.iter().map(String::as_str).collect();
+    app.dialog().file().add_filter(&filter.name, &extensions)
+}
+
+/// Returns the picked file's text, or None if the dialog was cancelled
+#[tauri::command]
+async fn open_text_file(app: AppHandle, filter: FileFilter) -> Result<Option<String>, String> {
+    let Some(file) = file_dialog(&app, &filter).blocking_pick_file() else {
+        return Ok(None);
+    };
+    let path = file
+        .into_path()
+        .map_err(|e| format!("Failed to open the file: {}", e))?;
+    std::fs::read_to_string(&path)
+        .map(Some)
+        .map_err(|e| format!("Failed to read {}: {}", path.display(), e))
+}
+
+/// Returns false if the dialog was cancelled
+#[tauri::command]
+async fn save_text_file(
+    app: AppHandle,
+    file_name: String,
+    filter: FileFilter,
+    contents: String,
+) -> Result<bool, String> {
+    let Some(file) = file_dialog(&app, &filter)
+        .set_file_name(&file_name)
+        .blocking_save_file()
+    else {
+        return Ok(false);
+    };
+    let path = file
+        .into_path()
+        .map_err(|e| format!("Failed to save the file: {}", e))?;
+    std::fs::write(&path, contents)
+        .map_err(|e| format!("Failed to write {}: {}", path.display(), e))?;
+    Ok(true)
+}
+
 #[tauri::command]
 fn set_screenshot_protection(app: AppHandle, enabled: bool) -> Result<(), String> {
     let window = app
@@ -146,6 +356,7 @@ fn toggle_visibility(app: AppHandle) -> Result<bool, String> {
             .hide()
             .map_err(|e| format!("Failed to hide window: {}", e))?;
     } else {
+        capture::remember_active_app();
         window
             .show()
             .map_err(|e| format!("Failed to show window: {}", e))?;
@@ -155,24 +366,34 @@ fn toggle_visibility(app: AppHandle) -> Result<bool, String> {
 }
 
 #[tauri::command]
-fn set_shortcuts_enabled(app: AppHandle, enabled: bool) -> Result<(), String> {
-    let shortcuts = [
-        // Toggle visibility: Control+Option+Space (Mac) / Control+Alt+Space (Windows)
-        Shortcut::new(Some(Modifiers::ALT | Modifiers::CONTROL), Code::Space),
-        // Alternative: Control+Space
-        Shortcut::new(Some(Modifiers::CONTROL), Code::Space),
-    ];
-
-    if enabled {
-        app.global_shortcut()
-            .register_multiple(shortcuts)
-            .map_err(|e| format!("Failed to register shortcuts: {}", e))?;
-    } else {
-        for shortcut in shortcuts {
-            let _ = app.global_shortcut().unregister(shortcut);
-        }
+fn set_shortcuts_enabled(app: AppHandle, enabled: bool) -> BTreeMap<String, String> {
+    APP_SETTINGS.write().shortcuts_enabled = enabled;
+    apply_shortcuts(&app)
+}
+
+/// Saves and registers new shortcuts, returning the ones that failed
+#[tauri::command]
+fn set_shortcuts(app: AppHandle, shortcuts: BTreeMap<String, String>) -> BTreeMap<String, String> {
+    APP_SETTINGS.write().shortcuts = shortcuts;
+    save_settings_to_store(&app);
+    apply_shortcuts(&app)
+}
+
+/// Why shortcuts registered at launch failed, by action
+#[tauri::command]
+fn get_shortcut_errors() -> BTreeMap<String, String> {
+    SHORTCUT_ERRORS.read().clone()
+}
+
+// Lets the recorder see key combinations that are already bound
+#[tauri::command]
+fn pause_shortcuts(app: AppHandle, paused: bool) -> BTreeMap<String, String> {
+    if paused {
+        let _ = app.global_shortcut().unregister_all();
+        REGISTERED_SHORTCUTS.write().clear();
+        return BTreeMap::new();
     }
-    Ok(())
+    apply_shortcuts(&app)
 }
 
 // =============================================================================
@@ -224,29 +445,19 @@ pub fn run() {
         .plugin(tauri_plugin_opener::init())
         .plugin(tauri_plugin_store::Builder::default().build())
         .plugin(tauri_plugin_process::init())
+        .plugin(tauri_plugin_http::init())
+        .plugin(tauri_plugin_clipboard_manager::init())
+        .plugin(tauri_plugin_dialog::init())
+        .plugin(tauri_plugin_updater::Builder::new().build())
         .plugin(
             tauri_plugin_global_shortcut::Builder::new()
                 .with_handler(|app, shortcut, event| {
-                    if event.state() == tauri_plugin_global_shortcut::ShortcutState::Pressed {
-                        let action = match shortcut.id() {
-                            // Toggle visibility: Control+Option+Space or Control+Space
-                            id if id
-                                == Shortcut::new(
-                                    Some(Modifiers::ALT | Modifiers::CONTROL),
-                                    Code::Space,
-                                )
-                                .id() =>
-                            {
-                                "toggle-visibility"
-                            }
-                            id if id
-                                == Shortcut::new(Some(Modifiers::CONTROL), Code::Space).id() =>
-                            {
-                                "toggle-visibility"
-                            }
-                            _ => return,
-                        };
-                        let _ = app.emit("shortcut-triggered", action);
+                    if event.state() != ShortcutState::Pressed {
+                        return;
+                    }
+                    let action = REGISTERED_SHORTCUTS.read().get(&shortcut.id()).cloned();
+                    if let Some(action) = action {
+                        trigger_shortcut(app, action);
                     }
                 })
                 .build(),
@@ -276,16 +487,9 @@ pub fn run() {
             #[cfg(target_os = "macos")]
             init_nspanel(app.app_handle());
 
-            // Register global shortcuts
-            let shortcuts = [
-                // Toggle visibility: Control+Option+Space (Mac) / Control+Alt+Space (Windows)
-                Shortcut::new(Some(Modifiers::ALT | Modifiers::CONTROL), Code::Space),
-                // Alternative: Control+Space
-                Shortcut::new(Some(Modifiers::CONTROL), Code::Space),
-            ];
-
-            if let Err(e) = app.global_shortcut().register_multiple(shortcuts) {
-                eprintln!("Failed to register global shortcuts: {}", e);
+            // Register global shortcuts; failures are shown in Preferences
+            for (action, error) in apply_shortcuts(app.handle()) {
+                eprintln!("Failed to register shortcut for {}: {}", action, error);
             }
 
             Ok(())
@@ -295,9 +499,46 @@ pub fn run() {
             set_window_state,
             get_settings,
             set_settings,
+            open_text_file,
+            save_text_file,
             set_screenshot_protection,
             toggle_visibility,
-            set_shortcuts_enabled
+            set_shortcuts_enabled,
+            set_shortcuts,
+            get_shortcut_errors,
+            pause_shortcuts,
+            capture::capture_screen,
+            capture::set_screenshot_watch,
+            capture::get_selected_text,
+            capture::set_selection_watch,
+            capture::get_active_app,
+            documents::ingest_file,
+            mcp::mcp_spawn,
+            mcp::mcp_send,
+            mcp::mcp_kill,
+            storage::list_chats,
+            storage::save_chat,
+            storage::delete_chat,
+            storage::load_api_keys,
+            storage::save_api_keys,
+            storage::migrate_local_storage,
+            tools::tool_read_file,
+            tools::tool_list_directory,
+            tools::tool_search_files,
+            tools::tool_run_command,
+            tools::tool_fetch_url,
+            tools::tool_read_clipboard,
+            oauth::oauth_connect,
+            oauth::oauth_cancel,
+            oauth::oauth_access_token,
+            oauth::oauth_disconnect,
+            oauth::oauth_connections,
+            sync::sync_unlock,
+            sync::sync_lock,
+            sync::sync_seal,
+            sync::sync_open,
+            updates::check_for_update,
+            updates::install_update
         ])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
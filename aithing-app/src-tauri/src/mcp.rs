@@ -0,0 +1,238 @@
+//! Local (stdio) MCP servers
+//!
+//! Spawns MCP servers as child processes for the frontend MCP client:
+//! - Messages the server writes to stdout are emitted line by line as `mcp-stdio-message`
+//! - `mcp-stdio-exit` is emitted once the server closes its stdout, and the server is forgotten
+//! - Messages from the frontend are written to the server's stdin
+//! - Each start is tagged with a spawn token from the frontend, so events from a server that was
+//!   replaced under the same id can be told apart from the new one's
+
+use once_cell::sync::Lazy;
+use parking_lot::Mutex;
+use serde::Serialize;
+use std::collections::HashMap;
+use std::io::{BufRead, BufReader, Write};
+use std::process::{Child, ChildStdin, Command, Stdio};
+use std::sync::Arc;
+use std::thread;
+use tauri::{AppHandle, Emitter};
+
+// =============================================================================
+// DATA TYPES
+// =============================================================================
+
+struct StdioServer {
+    spawn: String,
+    child: Child,
+    stdin: ChildStdin,
+}
+
+#[derive(Debug, Clone, Serialize)]
+struct StdioMessage {
+    id: String,
+    spawn: String,
+    line: String,
+}
+
+#[derive(Debug, Clone, Serialize)]
+struct StdioExit {
+    id: String,
+    spawn: String,
+}
+
+// =============================================================================
+// GLOBAL STATE
+// =============================================================================
+
+static STDIO_SERVERS: Lazy<Arc<Mutex<HashMap<String, StdioServer>>>> =
+    Lazy::new(|| Arc::new(Mutex::new(HashMap::new())));
+
+// Apps started from the Dock/Finder get a minimal PATH, so resolve the one
+// from the user's login shell to find tools like `npx` and `uvx`.
+#[cfg(unix)]
+static LOGIN_SHELL_PATH: Lazy<Option<String>> = Lazy::new(|| {
+    let shell = std::env::var("SHELL").unwrap_or_else(|_| "/bin/sh".to_string());
+    let output = Command::new(shell)
+        .args(["-lc", "printf %s \"$PATH\""])
+        .stdin(Stdio::null())
+        .output()
+        .ok()?;
+    let path = String::from_utf8(output.stdout).ok()?;
+    if path.is_empty() {
+        None
+    } else {
+        Some(path)
+    }
+});
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+#[cfg(unix)]
+fn build_command(command: &str, args: &[String]) -> Command {
+    let mut cmd = Command::new(command);
+    cmd.args(args);
+    if let Some(path) = LOGIN_SHELL_PATH.as_ref() {
+        cmd.env("PATH", path);
+    }
+    cmd
+}
+
+#[cfg(windows)]
+fn build_command(command: &str, args: &[String]) -> Command {
+    use std::os::windows::process::CommandExt;
+    const CREATE_NO_WINDOW: u32 = 0x0800_0000;
+
+    // Run through cmd so `npx` and other .cmd shims resolve
+    let mut cmd = Command::new("cmd");
+    cmd.arg("/C").arg(command).args(args);
+    cmd.creation_flags(CREATE_NO_WINDOW);
+    cmd
+}
+
+fn stop_server(id: &str) {
+    if let Some(mut server) = STDIO_SERVERS.lock().remove(id) {
+        let _ = server.child.kill();
+        let _ = server.child.wait();
+    }
+}
+
+// Stops and forgets a server whose stdout closed (it can no longer answer),
+// unless it has already been replaced under the same id
+fn remove_exited_server(id: &str, spawn: &str) {
+    let exited = {
+        let mut servers = STDIO_SERVERS.lock();
+        match servers.get(id) {
+            Some(server) if server.spawn == spawn => servers.remove(id),
+            _ => None,
+        }
+    };
+    if let Some(mut server) = exited {
+        let _ = server.child.kill();
+        let _ = server.child.wait();
+    }
+}
+
+// =============================================================================
+// TAURI COMMANDS
+// =============================================================================
+
+#[tauri::command]
+pub fn mcp_spawn(
+    app: AppHandle,
+    id: String,
+    spawn: String,
+    command: String,
+    args: Vec<String>,
+    env: HashMap<String, String>,
+) -> Result<(), String> {
+    // Replace any previous process registered under the same id
+    stop_server(&id);
+
+    let mut child = build_command(&command, &args)
+        .envs(&env)
+        .stdin(Stdio::piped())
+        .stdout(Stdio::piped())
+        .stderr(Stdio::piped())
+        .spawn()
+        .map_err(|e| format!("Failed to start {}: {}", command, e))?;
+
+    let stdin = child.stdin.take().ok_or("Failed to open server stdin")?;
+    let stdout = child.stdout.take().ok_or("Failed to open server stdout")?;
+
+    if let Some(stderr) = child.stderr.take() {
+        let server_id = id.clone();
+        thread::spawn(move || {
+            for line in BufReader::new(stderr).lines().map_while(Result::ok) {
+                eprintln!("[mcp:{}] {}", server_id, line);
+            }
+        });
+    }
+
+    // Registered before the reader starts, so an immediate exit finds it to remove
+    STDIO_SERVERS.lock().insert(
+        id.clone(),
+        StdioServer {
+            spawn: spawn.clone(),
+            child,
+            stdin,
+        },
+    );
+
+    thread::spawn(move || {
+        for line in BufReader::new(stdout).lines().map_while(Result::ok) {
+            if line.trim().is_empty() {
+                continue;
+            }
+            let _ = app.emit(
+                "mcp-stdio-message",
+                StdioMessage {
+                    id: id.clone(),
+                    spawn: spawn.clone(),
+                    line,
+                },
+            );
+        }
+        remove_exited_server(&id, &spawn);
+        let _ = app.emit("mcp-stdio-exit", StdioExit { id, spawn });
+    });
+
+    Ok(())
+}
+
+#[tauri::command]
+pub fn mcp_send(id: String, message: String) -> Result<(), String> {
+    let mut servers = STDIO_SERVERS.lock();
+    let server = servers
+        .get_mut(&id)
+        .ok_or_else(|| format!("MCP server {} is not running", id))?;
+
+    writeln!(server.stdin, "{}", message)
+        .and_then(|_| server.stdin.flush())
+        .map_err(|e| format!("Failed to write to MCP server: {}", e))
+}
+
+#[tauri::command]
+pub fn mcp_kill(id: String) {
+    stop_server(&id);
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+#[cfg(all(test, unix))]
+mod tests {
+    use super::*;
+
+    fn insert_server(id: &str, spawn: &str) {
+        let mut child = Command::new("cat")
+            .stdin(Stdio::piped())
+            .stdout(Stdio::null())
+            .spawn()
+            .unwrap();
+        let stdin = child.stdin.take().unwrap();
+        STDIO_SERVERS.lock().insert(
+            id.to_string(),
+            StdioServer {
+                spawn: spawn.to_string(),
+                child,
+                stdin,
+            },
+        );
+    }
+
+    #[test]
+    fn late_exit_of_a_replaced_server_keeps_the_new_one() {
+        insert_server("replaced", "first");
+        stop_server("replaced");
+        insert_server("replaced", "second");
+
+        remove_exited_server("replaced", "first");
+        assert!(STDIO_SERVERS.lock().contains_key("replaced"));
+
+        remove_exited_server("replaced", "second");
+        assert!(!STDIO_SERVERS.lock().contains_key("replaced"));
+    }
+}
@@ -0,0 +1,707 @@
+//! OAuth sign-in for the connector agents (Google Workspace and GitHub)
+//!
+//! - Authorization code flow with PKCE; the browser is sent back to a one-off listener on
+//!   127.0.0.1, so only a loopback redirect has to be allowed for the OAuth client
+//! - Tokens (and the client they were issued to) are kept encrypted in the store, by connector
+//! - Access tokens are refreshed shortly before they expire; the webview only asks for a
+//!   current one when it talks to the connector's MCP server
+//!
+//! The endpoints come from the webview, so the whole flow can be run against a local mock
+//! authorization server.
+
+use crate::storage;
+use aes_gcm::aead::rand_core::RngCore;
+use aes_gcm::aead::OsRng;
+use base64::{engine::general_purpose::URL_SAFE_NO_PAD, Engine};
+use once_cell::sync::Lazy;
+use serde::{Deserialize, Serialize};
+use sha2::{Digest, Sha256};
+use std::collections::HashMap;
+use std::io::{ErrorKind, Read, Write};
+use std::net::{TcpListener, TcpStream};
+use std::sync::atomic::{AtomicU64, Ordering};
+use std::time::{Duration, Instant, SystemTime, UNIX_EPOCH};
+use tauri::AppHandle;
+use tauri_plugin_http::reqwest;
+use tauri_plugin_opener::OpenerExt;
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const STORE_KEY: &str = "oauthConnections";
+
+// How long the browser has to come back before sign-in gives up
+const AUTHORIZATION_TIMEOUT: Duration = Duration::from_secs(300);
+const POLL_INTERVAL: Duration = Duration::from_millis(100);
+const TOKEN_TIMEOUT: Duration = Duration::from_secs(30);
+// Tokens this close to expiring are refreshed before they are handed out
+const REFRESH_MARGIN_MS: u64 = 60_000;
+
+// Bumped by each sign-in and by cancelling, so a waiting listener knows to stop
+static AUTHORIZATION: AtomicU64 = AtomicU64::new(0);
+
+// Two requests for an expiring token would otherwise both refresh it, and with
+// rotating refresh tokens the second would fail
+static REFRESH: Lazy<tauri::async_runtime::Mutex<()>> =
+    Lazy::new(|| tauri::async_runtime::Mutex::new(()));
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/// The OAuth client a connector signs in with, as configured in the webview
+#[derive(Debug, Clone, Serialize, Deserialize)]
+pub struct OAuthClient {
+    pub authorize_url: String,
+    pub token_url: String,
+    pub client_id: String,
+    #[serde(default)]
+    pub client_secret: Option<String>,
+    #[serde(default)]
+    pub scopes: Vec<String>,
+    // Extra authorization parameters, e.g. Google's access_type=offline
+    #[serde(default)]
+    pub params: HashMap<String, String>,
+}
+
+#[derive(Debug, Clone, Serialize, Deserialize)]
+struct Connection {
+    client: OAuthClient,
+    access_token: String,
+    refresh_token: Option<String>,
+    // Unix time in milliseconds; None when the token doesn't expire
+    expires_at: Option<u64>,
+    scopes: Vec<String>,
+}
+
+#[derive(Debug, Deserialize)]
+struct TokenResponse {
+    access_token: Option<String>,
+    refresh_token: Option<String>,
+    expires_in: Option<u64>,
+    scope: Option<String>,
+    error: Option<String>,
+    error_description: Option<String>,
+}
+
+/// What the webview is told about a signed-in connector
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ConnectionStatus {
+    pub connector: String,
+    pub scopes: Vec<String>,
+    pub expires_at: Option<u64>,
+    pub can_refresh: bool,
+}
+
+impl Connection {
+    fn status(&self, connector: &str) -> ConnectionStatus {
+        ConnectionStatus {
+            connector: connector.to_string(),
+            scopes: self.scopes.clone(),
+            expires_at: self.expires_at,
+            can_refresh: self.refresh_token.is_some(),
+        }
+    }
+}
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+fn load_connections(app: &AppHandle) -> Result<HashMap<String, Connection>, String> {
+    let Some(plaintext) = storage::read_encrypted(app, STORE_KEY)? else {
+        return Ok(HashMap::new());
+    };
+    serde_json::from_str(&plaintext).map_err(|e| format!("Failed to parse sign-ins: {}", e))
+}
+
+fn save_connections(
+    app: &AppHandle,
+    connections: &HashMap<String, Connection>,
+) -> Result<(), String> {
+    let plaintext = serde_json::to_string(connections)
+        .map_err(|e| format!("Failed to serialize sign-ins: {}", e))?;
+    storage::write_encrypted(app, STORE_KEY, &plaintext)
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+fn now_ms() -> u64 {
+    SystemTime::now()
+        .duration_since(UNIX_EPOCH)
+        .map(|d| d.as_millis() as u64)
+        .unwrap_or(0)
+}
+
+fn random_string() -> String {
+    let mut bytes = [0u8; 32];
+    OsRng.fill_bytes(&mut bytes);
+    URL_SAFE_NO_PAD.encode(bytes)
+}
+
+// S256 code challenge for a PKCE verifier (RFC 7636)
+fn code_challenge(verifier: &str) -> String {
+    URL_SAFE_NO_PAD.encode(Sha256::digest(verifier.as_bytes()))
+}
+
+// application/x-www-form-urlencoded, for token requests
+fn form_encode(pairs: &[(&str, &str)]) -> String {
+    let encode = |value: &str| {
+        value
+            .bytes()
+            .map(|b| match b {
+                b'A'..=b'Z' | b'a'..=b'z' | b'0'..=b'9' | b'-' | b'.' | b'_' | b'~' => {
+                    (b as char).to_string()
+                }
+                b' ' => "+".to_string(),
+                _ => format!("%{:02X}", b),
+            })
+            .collect::<String>()
+    };
+    pairs
+        .iter()
+        .map(|(key, value)| format!("{}={}", encode(key), encode(value)))
+        .collect::<Vec<_>>()
+        .join("&")
+}
+
+fn authorization_url(
+    client: &OAuthClient,
+    redirect_uri: &str,
+    state: &str,
+    challenge: &str,
+) -> Result<String, String> {
+    let mut url = reqwest::Url::parse(&client.authorize_url)
+        .map_err(|e| format!("Invalid authorization URL {}: {}", client.authorize_url, e))?;
+    {
+        let mut query = url.query_pairs_mut();
+        query
+            .append_pair("response_type", "code")
+            .append_pair("client_id", &client.client_id)
+            .append_pair("redirect_uri", redirect_uri)
+            .append_pair("state", state)
+            .append_pair("code_challenge", challenge)
+            .append_pair("code_challenge_method", "S256");
+        if !client.scopes.is_empty() {
+            query.append_pair("scope", &client.scopes.join(" "));
+        }
+        for (key, value) in &client.params {
+            query.append_pair(key, value);
+        }
+    }
+    Ok(url.to_string())
+}
+
+// =============================================================================
+// LOOPBACK REDIRECT
+// =============================================================================
+
+fn respond(stream: &mut TcpStream, status: &str, message: &str) {
+    let body = format!(
+        "<!doctype html><html><head><meta charset=\"utf-8\"><title>AIThing</title></head>\
+         <body style=\"font-family: sans-serif; text-align: center; padding-top: 80px\">\
+         <p>{}</p></body></html>",
+        message
+    );
+    let _ = write!(
+        stream,
+        "HTTP/1.1 {}\r\nContent-Type: text/html; charset=utf-8\r\nContent-Length: {}\r\nConnection: close\r\n\r\n{}",
+        status,
+        body.len(),
+        body
+    );
+}
+
+// Reads one request from the browser. Ok(None) means it wasn't the redirect
+// (a favicon, say) and the listener should keep waiting.
+fn handle_callback(mut stream: TcpStream, expected_state: &str) -> Result<Option<String>, String> {
+    stream
+        .set_nonblocking(false)
+        .and_then(|_| stream.set_read_timeout(Some(Duration::from_secs(5))))
+        .map_err(|e| format!("Failed to read the sign-in redirect: {}", e))?;
+
+    let mut request = Vec::new();
+    let mut buffer = [0u8; 4096];
+    while !request.windows(4).any(|w| w == b"\r\n\r\n") && request.len() < 64 * 1024 {
+        match stream.read(&mut buffer) {
+            Ok(0) => break,
+            Ok(n) => request.extend_from_slice(&buffer[..n]),
+            Err(_) => break,
+        }
+    }
+
+    let request = String::from_utf8_lossy(&request);
+    let target = request
+        .lines()
+        .next()
+        .and_then(|line| line.split_whitespace().nth(1))
+        .unwrap_or("/");
+    let Ok(url) = reqwest::Url::parse(&format!("http://127.0.0.1{}", target)) else {
+        respond(&mut stream, "400 Bad Request", "Bad request.");
+        return Ok(None);
+    };
+    if url.path() != "/callback" {
+        respond(&mut stream, "404 Not Found", "Not found.");
+        return Ok(None);
+    }
+
+    let query: HashMap<String, String> = url.query_pairs().into_owned().collect();
+    if query.get("state").map(String::as_str) != Some(expected_state) {
+        respond(
+            &mut stream,
+            "400 Bad Request",
+            "This sign-in link has expired. Try again from AIThing.",
+        );
+        return Err("Sign-in was answered for a different request".to_string());
+    }
+    if let Some(error) = query.get("error") {
+        respond(
+            &mut stream,
+            "200 OK",
+            "Sign-in was not completed. You can close this tab.",
+        );
+        let description = query.get("error_description").map(|d| format!(": {}", d));
+        return Err(format!(
+            "Sign-in failed ({}){}",
+            error,
+            description.unwrap_or_default()
+        ));
+    }
+    let Some(code) = query.get("code") else {
+        respond(
+            &mut stream,
+            "400 Bad Request",
+            "No authorization code was returned.",
+        );
+        return Err("No authorization code was returned".to_string());
+    };
+
+    respond(
+        &mut stream,
+        "200 OK",
+        "Signed in. You can close this tab and return to AIThing.",
+    );
+    Ok(Some(code.clone()))
+}
+
+// Waits for the browser to be redirected back with the authorization code
+async fn wait_for_code(
+    listener: TcpListener,
+    state: &str,
+    generation: u64,
+) -> Result<String, String> {
+    let deadline = Instant::now() + AUTHORIZATION_TIMEOUT;
+    loop {
+        if AUTHORIZATION.load(Ordering::SeqCst) != generation {
+            return Err("Sign-in was cancelled".to_string());
+        }
+        if Instant::now() > deadline {
+            return Err("Sign-in timed out".to_string());
+        }
+
+        match listener.accept() {
+            Ok((stream, _)) => {
+                if let Some(code) = handle_callback(stream, state)? {
+                    return Ok(code);
+                }
+            }
+            Err(e) if e.kind() == ErrorKind::WouldBlock => {
+                tokio::time::sleep(POLL_INTERVAL).await;
+            }
+            Err(e) => return Err(format!("Sign-in listener failed: {}", e)),
+        }
+    }
+}
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+async fn request_token(
+    client: &OAuthClient,
+    grant: &[(&str, &str)],
+) -> Result<TokenResponse, String> {
+    let mut form = grant.to_vec();
+    form.push(("client_id", &client.client_id));
+    if let Some(secret) = client.client_secret.as_deref().filter(|s| !s.is_empty()) {
+        form.push(("client_secret", secret));
+    }
+
+    let http = reqwest::Client::builder()
+        .timeout(TOKEN_TIMEOUT)
+        .build()
+        .map_err(|e| format!("Failed to create HTTP client: {}", e))?;
+    let response = http
+        .post(&client.token_url)
+        .header(reqwest::header::ACCEPT, "application/json")
+        .header(
+            reqwest::header::CONTENT_TYPE,
+            "application/x-www-form-urlencoded",
+        )
+        .body(form_encode(&form))
+        .send()
+        .await
+        .map_err(|e| format!("Failed to reach {}: {}", client.token_url, e))?;
+
+    let status = response.status();
+    let text = response
+        .text()
+        .await
+        .map_err(|e| format!("Failed to read token response: {}", e))?;
+    // GitHub reports errors with a 200 and an `error` field
+    let token: TokenResponse = serde_json::from_str(&text).map_err(|_| {
+        format!(
+            "Token request failed ({}): {}",
+            status,
+            text.chars().take(200).collect::<String>()
+        )
+    })?;
+    if let Some(error) = &token.error {
+        let description = token
+            .error_description
+            .as_deref()
+            .map(|d| format!(": {}", d));
+        return Err(format!(
+            "Token request failed ({}){}",
+            error,
+            description.unwrap_or_default()
+        ));
+    }
+    if token.access_token.is_none() {
+        return Err(format!(
+            "Token request failed ({}): no access token",
+            status
+        ));
+    }
+    Ok(token)
+}
+
+// A refresh may leave out the refresh token and scopes, which then stay as they were
+fn connection_from(
+    client: OAuthClient,
+    token: TokenResponse,
+    previous: Option<&Connection>,
+) -> Connection {
+    let scopes = match token.scope {
+        Some(scope) => scope
+            .split(|c: char| c == ' ' || c == ',')
+            .filter(|s| !s.is_empty())
+            .map(String::from)
+            .collect(),
+        None => previous
+            .map(|p| p.scopes.clone())
+            .unwrap_or_else(|| client.scopes.clone()),
+    };
+    Connection {
+        access_token: token.access_token.unwrap_or_default(),
+        refresh_token: token
+            .refresh_token
+            .or_else(|| previous.and_then(|p| p.refresh_token.clone())),
+        expires_at: token.expires_in.map(|secs| now_ms() + secs * 1000),
+        scopes,
+        client,
+    }
+}
+
+/// Runs the whole authorization code flow: `open_url` is handed the page to show the user,
+/// and the code the browser brings back is exchanged for tokens.
+async fn authorize(
+    client: OAuthClient,
+    open_url: impl FnOnce(&str) -> Result<(), String>,
+) -> Result<Connection, String> {
+    let generation = AUTHORIZATION.fetch_add(1, Ordering::SeqCst) + 1;
+
+    let listener = TcpListener::bind("127.0.0.1:0")
+        .map_err(|e| format!("Failed to start the sign-in listener: {}", e))?;
+    listener
+        .set_nonblocking(true)
+        .map_err(|e| format!("Failed to start the sign-in listener: {}", e))?;
+    let port = listener
+        .local_addr()
+        .map_err(|e| format!("Failed to start the sign-in listener: {}", e))?
+        .port();
+    let redirect_uri = format!("http://127.0.0.1:{}/callback", port);
+
+    let verifier = random_string();
+    let state = random_string();
+    open_url(&authorization_url(
+        &client,
+        &redirect_uri,
+        &state,
+        &code_challenge(&verifier),
+    )?)?;
+
+    let code = wait_for_code(listener, &state, generation).await?;
+    let token = request_token(
+        &client,
+        &[
+            ("grant_type", "authorization_code"),
+            ("code", &code),
+            ("redirect_uri", &redirect_uri),
+            ("code_verifier", &verifier),
+        ],
+    )
+    .await?;
+    Ok(connection_from(client, token, None))
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+/// Signs a connector in through the browser. Without a client secret, the one from the
+/// connector's previous sign-in is used, so adding scopes doesn't ask for it again.
+#[tauri::command]
+pub async fn oauth_connect(
+    app: AppHandle,
+    connector: String,
+    mut client: OAuthClient,
+) -> Result<ConnectionStatus, String> {
+    if client.client_secret.as_deref().unwrap_or("").is_empty() {
+        client.client_secret = load_connections(&app)?
+            .get(&connector)
+            .filter(|previous| previous.client.client_id == client.client_id)
+            .and_then(|previous| previous.client.client_secret.clone());
+    }
+
+    let opener = app.clone();
+    let connection = authorize(client, move |url| {
+        opener
+            .opener()
+            .open_url(url, None::<&str>)
+            .map_err(|e| format!("Failed to open the browser: {}", e))
+    })
+    .await?;
+
+    let status = connection.status(&connector);
+    let mut connections = load_connections(&app)?;
+    connections.insert(connector, connection);
+    save_connections(&app, &connections)?;
+    Ok(status)
+}
+
+/// Stops a sign-in that is waiting for the browser
+#[tauri::command]
+pub fn oauth_cancel() {
+    AUTHORIZATION.fetch_add(1, Ordering::SeqCst);
+}
+
+/// A current access token for the connector, refreshed first if it is about to expire
+#[tauri::command]
+pub async fn oauth_access_token(app: AppHandle, connector: String) -> Result<String, String> {
+    let _guard = REFRESH.lock().await;
+
+    let mut connections = load_connections(&app)?;
+    let Some(connection) = connections.get(&connector) else {
+        return Err("Not signed in".to_string());
+    };
+    let expiring = connection
+        .expires_at
+        .is_some_and(|expires_at| expires_at <= now_ms() + REFRESH_MARGIN_MS);
+    if !expiring {
+        return Ok(connection.access_token.clone());
+    }
+
+    let Some(refresh_token) = connection.refresh_token.clone() else {
+        return Err("The sign-in has expired; sign in again".to_string());
+    };
+    let token = request_token(
+        &connection.client,
+        &[
+            ("grant_type", "refresh_token"),
+            ("refresh_token", &refresh_token),
+        ],
+    )
+    .await
+    .map_err(|e| format!("{}; sign in again", e))?;
+
+    let refreshed = connection_from(connection.client.clone(), token, Some(connection));
+    let access_token = refreshed.access_token.clone();
+    connections.insert(connector, refreshed);
+    save_connections(&app, &connections)?;
+    Ok(access_token)
+}
+
+/// Forgets a connector's tokens
+#[tauri::command]
+pub fn oauth_disconnect(app: AppHandle, connector: String) -> Result<(), String> {
+    let mut connections = load_connections(&app)?;
+    if connections.remove(&connector).is_some() {
+        save_connections(&app, &connections)?;
+    }
+    Ok(())
+}
+
+/// The connectors that are signed in
+#[tauri::command]
+pub fn oauth_connections(app: AppHandle) -> Result<Vec<ConnectionStatus>, String> {
+    Ok(load_connections(&app)?
+        .iter()
+        .map(|(connector, connection)| connection.status(connector))
+        .collect())
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use std::thread;
+
+    // A token endpoint that answers one request and hands back what it was sent
+    fn mock_token_server(body: &'static str) -> (String, thread::JoinHandle<String>) {
+        let listener = TcpListener::bind("127.0.0.1:0").unwrap();
+        let url = format!("http://{}/token", listener.local_addr().unwrap());
+        let handle = thread::spawn(move || {
+            let (mut stream, _) = listener.accept().unwrap();
+            stream
+                .set_read_timeout(Some(Duration::from_secs(5)))
+                .unwrap();
+            let mut request = Vec::new();
+            let mut buffer = [0u8; 4096];
+            loop {
+                let n = stream.read(&mut buffer).unwrap();
+                request.extend_from_slice(&buffer[..n]);
+                let text = String::from_utf8_lossy(&request).to_string();
+                if let Some(end) = text.find("\r\n\r\n") {
+                    let length = text
+                        .lines()
+                        .find_map(|line| {
+                            line.to_lowercase()
+                                .strip_prefix("content-length:")
+                                .map(|v| v.trim().parse::<usize>().unwrap())
+                        })
+                        .unwrap_or(0);
+                    if request.len() >= end + 4 + length {
+                        break;
+                    }
+                }
+            }
+            write!(
+                stream,
+                "HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nContent-Length: {}\r\nConnection: close\r\n\r\n{}",
+                body.len(),
+                body
+            )
+            .unwrap();
+            String::from_utf8_lossy(&request).to_string()
+        });
+        (url, handle)
+    }
+
+    // Plays the browser: follows the authorization URL straight back to the redirect
+    fn follow_redirect(authorization: &str, code: &str) -> thread::JoinHandle<String> {
+        let url = reqwest::Url::parse(authorization).unwrap();
+        let query: HashMap<String, String> = url.query_pairs().into_owned().collect();
+        let redirect = reqwest::Url::parse(&query["redirect_uri"]).unwrap();
+        let path = format!("{}?code={}&state={}", redirect.path(), code, query["state"]);
+        let address = format!(
+            "{}:{}",
+            redirect.host_str().unwrap(),
+            redirect.port().unwrap()
+        );
+        thread::spawn(move || {
+            let mut stream = TcpStream::connect(address).unwrap();
+            write!(stream, "GET {} HTTP/1.1\r\nHost: 127.0.0.1\r\n\r\n", path).unwrap();
+            let mut response = String::new();
+            let _ = stream.read_to_string(&mut response);
+            response
+        })
+    }
+
+    fn client(token_url: String) -> OAuthClient {
+        OAuthClient {
+            authorize_url: "http://127.0.0.1:1/authorize".to_string(),
+            token_url,
+            client_id: "client".to_string(),
+            client_secret: Some("secret".to_string()),
+            scopes: vec!["read".to_string(), "write".to_string()],
+            params: HashMap::from([("access_type".to_string(), "offline".to_string())]),
+        }
+    }
+
+    #[test]
+    fn challenge_matches_rfc_7636_example() {
+        assert_eq!(
+            code_challenge("dBjftJeZ4CVP-mJ92K1l7qG9VQPQ6cU6jpoVh08Km6c"),
+            "E9Melhoa2OwvRUsdA1c7g3OTEdLpRsAkJJs-cBeQ7kE"
+        );
+    }
+
+    #[test]
+    fn form_encoding_escapes_reserved_characters() {
+        assert_eq!(
+            form_encode(&[("redirect_uri", "http://127.0.0.1:80/cb"), ("scope", "a b")]),
+            "redirect_uri=http%3A%2F%2F127.0.0.1%3A80%2Fcb&scope=a+b"
+        );
+    }
+
+    #[test]
+    fn authorizes_against_a_mock_server() {
+        let (token_url, token_server) = mock_token_server(
+            r#"{"access_token":"at","refresh_token":"rt","expires_in":3600,"scope":"read write"}"#,
+        );
+
+        let mut browser = None;
+        let connection = tauri::async_runtime::block_on(authorize(client(token_url), |url| {
+            assert!(url.contains("code_challenge_method=S256"));
+            assert!(url.contains("scope=read+write"));
+            assert!(url.contains("access_type=offline"));
+            browser = Some(follow_redirect(url, "the-code"));
+            Ok(())
+        }))
+        .unwrap();
+
+        assert!(browser.unwrap().join().unwrap().contains("Signed in"));
+        let request = token_server.join().unwrap();
+        assert!(request.contains("grant_type=authorization_code"));
+        assert!(request.contains("code=the-code"));
+        assert!(request.contains("code_verifier="));
+        assert!(request.contains("client_secret=secret"));
+
+        assert_eq!(connection.access_token, "at");
+        assert_eq!(connection.refresh_token.as_deref(), Some("rt"));
+        assert_eq!(connection.scopes, vec!["read", "write"]);
+        assert!(connection.expires_at.unwrap() > now_ms());
+    }
+
+    #[test]
+    fn reports_token_errors_sent_with_a_200() {
+        let (token_url, token_server) = mock_token_server(
+            r#"{"error":"bad_verification_code","error_description":"The code is incorrect"}"#,
+        );
+
+        let error = tauri::async_runtime::block_on(authorize(client(token_url), |url| {
+            follow_redirect(url, "stale");
+            Ok(())
+        }))
+        .unwrap_err();
+
+        token_server.join().unwrap();
+        assert!(error.contains("bad_verification_code"));
+    }
+
+    #[test]
+    fn refresh_keeps_the_previous_refresh_token() {
+        let first = connection_from(
+            client(String::new()),
+            serde_json::from_str(r#"{"access_token":"a","refresh_token":"r","scope":"read"}"#)
+                .unwrap(),
+            None,
+        );
+        let refreshed = connection_from(
+            first.client.clone(),
+            serde_json::from_str(r#"{"access_token":"b","expires_in":60}"#).unwrap(),
+            Some(&first),
+        );
+        assert_eq!(refreshed.access_token, "b");
+        assert_eq!(refreshed.refresh_token.as_deref(), Some("r"));
+        assert_eq!(refreshed.scopes, vec!["read"]);
+    }
+}
@@ -0,0 +1,567 @@
+//! Persistent storage for chats and API keys
+//!
+//! - Every chat is its own file under `<app data>/chats/<id>.json`, tagged with the schema version
+//! - API keys (and connector sign-ins) are encrypted with AES-256-GCM; the encryption key is
+//!   kept in the OS keychain
+//! - Data the frontend kept in localStorage is migrated on first launch
+
+use aes_gcm::aead::{Aead, AeadCore, KeyInit, OsRng};
+use aes_gcm::{Aes256Gcm, Key, Nonce};
+use base64::{engine::general_purpose::STANDARD as BASE64, Engine};
+use once_cell::sync::Lazy;
+use parking_lot::Mutex;
+use serde_json::{json, Value};
+use std::collections::HashMap;
+use std::fs;
+use std::path::PathBuf;
+use tauri::{AppHandle, Manager};
+use tauri_plugin_store::StoreExt;
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/// Version of the stored data layout, bumped whenever it changes
+pub const SCHEMA_VERSION: u64 = 1;
+
+pub const STORE_FILE: &str = "aithing-store.json";
+const CHATS_DIR: &str = "chats";
+
+const KEYCHAIN_SERVICE: &str = "com.thisisnsh.aithing";
+const KEYCHAIN_ACCOUNT: &str = "storage-encryption-key";
+// Used instead of the keychain when none is available (e.g. Linux without a secret service)
+const KEY_FILE: &str = "storage.key";
+
+const NONCE_LEN: usize = 12;
+
+// =============================================================================
+// GLOBAL STATE
+// =============================================================================
+
+static ENCRYPTION_KEY: Lazy<Mutex<Option<[u8; 32]>>> = Lazy::new(|| Mutex::new(None));
+
+// =============================================================================
+// PATHS
+// =============================================================================
+
+fn chats_dir(app: &AppHandle) -> Result<PathBuf, String> {
+    let dir = app
+        .path()
+        .app_data_dir()
+        .map_err(|e| format!("Failed to resolve app data directory: {}", e))?
+        .join(CHATS_DIR);
+    fs::create_dir_all(&dir).map_err(|e| format!("Failed to create {}: {}", dir.display(), e))?;
+    Ok(dir)
+}
+
+// Chat ids become file names, so only plain UUID-like ids are accepted
+fn chat_file_name(id: &str) -> Result<String, String> {
+    if id.is_empty()
+        || !id
+            .chars()
+            .all(|c| c.is_ascii_alphanumeric() || c == '-' || c == '_')
+    {
+        return Err(format!("Invalid chat id: {}", id));
+    }
+    Ok(format!("{}.json", id))
+}
+
+fn chat_path(app: &AppHandle, id: &str) -> Result<PathBuf, String> {
+    Ok(chats_dir(app)?.join(chat_file_name(id)?))
+}
+
+// =============================================================================
+// CHAT FILES
+// =============================================================================
+
+fn chat_id(chat: &Value) -> Option<&str> {
+    chat.get("id").and_then(Value::as_str)
+}
+
+fn last_updated(chat: &Value) -> f64 {
+    chat.get("lastUpdated")
+        .and_then(Value::as_f64)
+        .unwrap_or(0.0)
+}
+
+fn read_chat_file(path: &PathBuf) -> Result<Value, String> {
+    let contents = fs::read_to_string(path)
+        .map_err(|e| format!("Failed to read {}: {}", path.display(), e))?;
+    let file: Value = serde_json::from_str(&contents)
+        .map_err(|e| format!("Failed to parse {}: {}", path.display(), e))?;
+
+    let version = file
+        .get("schemaVersion")
+        .and_then(Value::as_u64)
+        .unwrap_or(0);
+    if version > SCHEMA_VERSION {
+        return Err(format!(
+            "{} was written by a newer version (schema {})",
+            path.display(),
+            version
+        ));
+    }
+
+    file.get("chat")
+        .cloned()
+        .ok_or_else(|| format!("{} does not contain a chat", path.display()))
+}
+
+fn write_chat_file(app: &AppHandle, chat: &Value) -> Result<(), String> {
+    let id = chat_id(chat).ok_or("Chat has no id")?;
+    let path = chat_path(app, id)?;
+    let contents = serde_json::to_string(&json!({
+        "schemaVersion": SCHEMA_VERSION,
+        "chat": chat,
+    }))
+    .map_err(|e| format!("Failed to serialize chat: {}", e))?;
+
+    // Write then rename so a crash never leaves a half-written chat behind
+    let temp_path = path.with_extension("json.tmp");
+    fs::write(&temp_path, contents)
+        .and_then(|_| fs::rename(&temp_path, &path))
+        .map_err(|e| format!("Failed to save chat {}: {}", id, e))
+}
+
+// =============================================================================
+// ENCRYPTION
+// =============================================================================
+
+pub(crate) fn encrypt_with_key(key: &[u8; 32], plaintext: &str) -> Result<String, String> {
+    let cipher = Aes256Gcm::new(Key::<Aes256Gcm>::from_slice(key));
+    let nonce = Aes256Gcm::generate_nonce(&mut OsRng);
+    let ciphertext = cipher
+        .encrypt(&nonce, plaintext.as_bytes())
+        .map_err(|e| format!("Failed to encrypt: {}", e))?;
+
+    let mut data = nonce.to_vec();
+    data.extend_from_slice(&ciphertext);
+    Ok(BASE64.encode(data))
+}
+
+pub(crate) fn decrypt_with_key(key: &[u8; 32], encoded: &str) -> Result<String, String> {
+    let data = BASE64
+        .decode(encoded)
+        .map_err(|e| format!("Failed to decode encrypted data: {}", e))?;
+    if data.len() < NONCE_LEN {
+        return Err("Encrypted data is too short".to_string());
+    }
+
+    let (nonce, ciphertext) = data.split_at(NONCE_LEN);
+    let cipher = Aes256Gcm::new(Key::<Aes256Gcm>::from_slice(key));
+    let plaintext = cipher
+        .decrypt(Nonce::from_slice(nonce), ciphertext)
+        .map_err(|_| "Failed to decrypt: the encryption key has changed".to_string())?;
+    String::from_utf8(plaintext).map_err(|e| format!("Decrypted data is not text: {}", e))
+}
+
+fn decode_key(encoded: &str) -> Option<[u8; 32]> {
+    BASE64.decode(encoded.trim()).ok()?.try_into().ok()
+}
+
+fn load_or_create_key_file(app: &AppHandle) -> Result<[u8; 32], String> {
+    let path = app
+        .path()
+        .app_data_dir()
+        .map_err(|e| format!("Failed to resolve app data directory: {}", e))?
+        .join(KEY_FILE);
+
+    if let Some(key) = fs::read_to_string(&path).ok().and_then(|s| decode_key(&s)) {
+        return Ok(key);
+    }
+
+    let key: [u8; 32] = Aes256Gcm::generate_key(OsRng).into();
+    if let Some(dir) = path.parent() {
+        fs::create_dir_all(dir)
+            .map_err(|e| format!("Failed to create {}: {}", dir.display(), e))?;
+    }
+    fs::write(&path, BASE64.encode(key))
+        .map_err(|e| format!("Failed to write {}: {}", path.display(), e))?;
+
+    #[cfg(unix)]
+    {
+        use std::os::unix::fs::PermissionsExt;
+        let _ = fs::set_permissions(&path, fs::Permissions::from_mode(0o600));
+    }
+
+    Ok(key)
+}
+
+fn encryption_key(app: &AppHandle) -> Result<[u8; 32], String> {
+    let mut cached = ENCRYPTION_KEY.lock();
+    if let Some(key) = *cached {
+        return Ok(key);
+    }
+
+    let key_file_exists = app
+        .path()
+        .app_data_dir()
+        .map(|dir| dir.join(KEY_FILE).exists())
+        .unwrap_or(false);
+
+    let key = if key_file_exists {
+        load_or_create_key_file(app)?
+    } else {
+        let entry = keyring::Entry::new(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT)
+            .map_err(|e| format!("Failed to open the keychain: {}", e))?;
+        // A locked or not yet started keychain may still hold the key, so only a
+        // missing entry that can't be created falls back to the key file; making
+        // a new key otherwise would strand everything encrypted with the old one
+        match entry.get_password() {
+            Ok(encoded) => decode_key(&encoded).ok_or("Stored encryption key is invalid")?,
+            Err(keyring::Error::NoEntry) => {
+                let key: [u8; 32] = Aes256Gcm::generate_key(OsRng).into();
+                match entry.set_password(&BASE64.encode(key)) {
+                    Ok(()) => key,
+                    Err(_) => load_or_create_key_file(app)?,
+                }
+            }
+            Err(e) => return Err(format!("Failed to read the encryption key: {}", e)),
+        }
+    };
+
+    *cached = Some(key);
+    Ok(key)
+}
+
+/// Reads a value written by [`write_encrypted`], or None if it was never written
+pub fn read_encrypted(app: &AppHandle, key: &str) -> Result<Option<String>, String> {
+    let store = app
+        .store(STORE_FILE)
+        .map_err(|e| format!("Failed to open store: {}", e))?;
+    let Some(Value::String(encrypted)) = store.get(key) else {
+        return Ok(None);
+    };
+    decrypt_with_key(&encryption_key(app)?, &encrypted).map(Some)
+}
+
+/// Encrypts a value and saves it in the store under `key`
+pub fn write_encrypted(app: &AppHandle, key: &str, plaintext: &str) -> Result<(), String> {
+    let encrypted = encrypt_with_key(&encryption_key(app)?, plaintext)?;
+
+    let store = app
+        .store(STORE_FILE)
+        .map_err(|e| format!("Failed to open store: {}", e))?;
+    store.set(key, encrypted);
+    store
+        .save()
+        .map_err(|e| format!("Failed to save {}: {}", key, e))
+}
+
+fn write_api_keys(app: &AppHandle, keys: &HashMap<String, String>) -> Result<(), String> {
+    let plaintext =
+        serde_json::to_string(keys).map_err(|e| format!("Failed to serialize API keys: {}", e))?;
+    write_encrypted(app, "apiKeys", &plaintext)
+}
+
+// =============================================================================
+// LOCALSTORAGE MIGRATION
+// =============================================================================
+
+/// Data recovered from the localStorage keys used before this storage layout:
+/// `aithing_state` ({ selectedModel, apiKeys, agents, automations, histories }),
+/// `aithing_histories` ([history]) and `aithing_saved_queries` ([savedQuery])
+#[derive(Debug, Default)]
+pub struct LegacyData {
+    pub chats: Vec<Value>,
+    pub api_keys: HashMap<String, String>,
+    pub state: Option<Value>,
+    pub saved_queries: Option<Vec<Value>>,
+}
+
+fn parse_legacy_json(name: &str, raw: Option<&str>) -> Option<Value> {
+    let raw = raw?;
+    match serde_json::from_str(raw) {
+        Ok(value) => Some(value),
+        Err(e) => {
+            eprintln!("Skipping unreadable localStorage {}: {}", name, e);
+            None
+        }
+    }
+}
+
+// Both keys held a copy of the histories, so the newest copy of each chat wins
+fn merge_chats(chats: &mut Vec<Value>, incoming: &[Value]) {
+    for chat in incoming {
+        let Some(id) = chat_id(chat) else { continue };
+        if chat_file_name(id).is_err() {
+            continue;
+        }
+
+        match chats.iter().position(|c| chat_id(c) == Some(id)) {
+            Some(index) if last_updated(chat) > last_updated(&chats[index]) => {
+                chats[index] = chat.clone()
+            }
+            Some(_) => {}
+            None => chats.push(chat.clone()),
+        }
+    }
+}
+
+pub fn parse_legacy_data(
+    state: Option<&str>,
+    histories: Option<&str>,
+    saved_queries: Option<&str>,
+) -> LegacyData {
+    let mut data = LegacyData::default();
+
+    if let Some(Value::Array(list)) = parse_legacy_json("histories", histories) {
+        merge_chats(&mut data.chats, &list);
+    }
+
+    if let Some(Value::Object(mut parsed)) = parse_legacy_json("state", state) {
+        if let Some(Value::Array(list)) = parsed.remove("histories") {
+            merge_chats(&mut data.chats, &list);
+        }
+
+        if let Some(Value::Object(keys)) = parsed.remove("apiKeys") {
+            data.api_keys = keys
+                .into_iter()
+                .filter_map(|(provider, key)| match key {
+                    Value::String(key) if !key.is_empty() => Some((provider, key)),
+                    _ => None,
+                })
+                .collect();
+        }
+
+        data.state = Some(Value::Object(parsed));
+    }
+
+    if let Some(Value::Array(list)) = parse_legacy_json("saved queries", saved_queries) {
+        data.saved_queries = Some(list);
+    }
+
+    data.chats
+        .sort_by(|a, b| last_updated(b).total_cmp(&last_updated(a)));
+    data
+}
+
+// =============================================================================
+// TAURI COMMANDS
+// =============================================================================
+
+#[tauri::command]
+pub fn list_chats(app: AppHandle) -> Result<Vec<Value>, String> {
+    let dir = chats_dir(&app)?;
+    let entries =
+        fs::read_dir(&dir).map_err(|e| format!("Failed to read {}: {}", dir.display(), e))?;
+
+    let mut chats: Vec<Value> = entries
+        .filter_map(Result::ok)
+        .map(|entry| entry.path())
+        .filter(|path| path.extension().is_some_and(|ext| ext == "json"))
+        .filter_map(|path| match read_chat_file(&path) {
+            Ok(chat) => Some(chat),
+            Err(e) => {
+                eprintln!("Skipping chat: {}", e);
+                None
+            }
+        })
+        .collect();
+
+    chats.sort_by(|a, b| last_updated(b).total_cmp(&last_updated(a)));
+    Ok(chats)
+}
+
+#[tauri::command]
+pub fn save_chat(app: AppHandle, chat: Value) -> Result<(), String> {
+    write_chat_file(&app, &chat)
+}
+
+#[tauri::command]
+pub fn delete_chat(app: AppHandle, id: String) -> Result<(), String> {
+    let path = chat_path(&app, &id)?;
+    match fs::remove_file(&path) {
+        Err(e) if e.kind() != std::io::ErrorKind::NotFound => {
+            Err(format!("Failed to delete chat {}: {}", id, e))
+        }
+        _ => Ok(()),
+    }
+}
+
+#[tauri::command]
+pub fn load_api_keys(app: AppHandle) -> Result<HashMap<String, String>, String> {
+    let Some(plaintext) = read_encrypted(&app, "apiKeys")? else {
+        return Ok(HashMap::new());
+    };
+    serde_json::from_str(&plaintext).map_err(|e| format!("Failed to parse API keys: {}", e))
+}
+
+#[tauri::command]
+pub fn save_api_keys(app: AppHandle, keys: HashMap<String, String>) -> Result<(), String> {
+    write_api_keys(&app, &keys)
+}
+
+/// Moves data from the frontend's localStorage into the store and chat files.
+/// Anything already in the new layout is kept, so running it twice is harmless.
+#[tauri::command]
+pub fn migrate_local_storage(
+    app: AppHandle,
+    state: Option<String>,
+    histories: Option<String>,
+    saved_queries: Option<String>,
+) -> Result<(), String> {
+    let legacy = parse_legacy_data(
+        state.as_deref(),
+        histories.as_deref(),
+        saved_queries.as_deref(),
+    );
+
+    for chat in &legacy.chats {
+        let path = chat_path(&app, chat_id(chat).unwrap_or_default())?;
+        let newer_exists = read_chat_file(&path)
+            .map(|existing| last_updated(&existing) >= last_updated(chat))
+            .unwrap_or(false);
+        if !newer_exists {
+            write_chat_file(&app, chat)?;
+        }
+    }
+
+    let store = app
+        .store(STORE_FILE)
+        .map_err(|e| format!("Failed to open store: {}", e))?;
+
+    if !legacy.api_keys.is_empty() && !store.has("apiKeys") {
+        write_api_keys(&app, &legacy.api_keys)?;
+    }
+    if let Some(state) = legacy.state {
+        if !store.has("state") {
+            store.set("state", state);
+        }
+    }
+    if let Some(saved_queries) = legacy.saved_queries {
+        if !store.has("savedQueries") {
+            store.set("savedQueries", saved_queries);
+        }
+    }
+
+    store.set("schemaVersion", SCHEMA_VERSION);
+    store
+        .save()
+        .map_err(|e| format!("Failed to save store: {}", e))
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    // localStorage `aithing_state` as written by saveSettings
+    const LEGACY_STATE: &str = r#"{
+        "selectedModel": "gpt-5",
+        "apiKeys": { "anthropic": "sk-ant-123", "openai": "sk-456", "google": "" },
+        "agents": [{ "id": "a1", "name": "Files", "transport": "stdio", "command": "npx", "args": [], "env": {}, "enabled": true }],
+        "automations": [{ "id": "au1", "title": "Digest", "instructions": "Summarize", "executeTime": 1700000000000, "recurrence": { "minutes": 0, "hours": 0, "days": 1 }, "enabled": true, "lastRun": null }],
+        "histories": [
+            { "id": "c1", "title": "Stale copy", "history": [], "lastUpdated": 1000, "unseen": false },
+            { "id": "c3", "title": "Only here", "history": [], "lastUpdated": 500 }
+        ]
+    }"#;
+
+    // localStorage `aithing_histories` as written by saveHistories
+    const LEGACY_HISTORIES: &str = r#"[
+        {
+            "id": "c1",
+            "title": "Weather",
+            "history": [
+                { "id": "m1", "role": "user", "payloads": [{ "type": "text", "text": "Weather?" }] },
+                { "id": "m2", "role": "assistant", "payloads": [{ "type": "toolUse", "id": "t1", "name": "weather", "input": { "city": "Paris" } }] },
+                { "id": "m3", "role": "user", "payloads": [{ "type": "toolResult", "id": "t1", "name": "weather", "result": "Sunny" }] }
+            ],
+            "lastUpdated": 2000,
+            "unseen": false
+        },
+        { "id": "c2", "title": "Digest", "history": [], "lastUpdated": 3000, "unseen": true, "automationId": "au1" },
+        { "id": "../escape", "title": "Bad id", "history": [], "lastUpdated": 4000 },
+        { "title": "No id", "history": [] }
+    ]"#;
+
+    // localStorage `aithing_saved_queries` as written by saveSavedQueries
+    const LEGACY_SAVED_QUERIES: &str = r#"[{ "id": "q1", "title": "Translate", "instruction": "Translate {{selection}} to {{language}}" }]"#;
+
+    #[test]
+    fn migrates_all_legacy_keys() {
+        let data = parse_legacy_data(
+            Some(LEGACY_STATE),
+            Some(LEGACY_HISTORIES),
+            Some(LEGACY_SAVED_QUERIES),
+        );
+
+        let ids: Vec<_> = data.chats.iter().filter_map(chat_id).collect();
+        assert_eq!(ids, vec!["c2", "c1", "c3"]);
+
+        // The newer copy from aithing_histories wins over the one in aithing_state
+        assert_eq!(data.chats[1]["title"], "Weather");
+        assert_eq!(
+            data.chats[1]["history"][1]["payloads"][0]["input"]["city"],
+            "Paris"
+        );
+        assert_eq!(data.chats[0]["automationId"], "au1");
+
+        assert_eq!(data.api_keys.len(), 2);
+        assert_eq!(data.api_keys["anthropic"], "sk-ant-123");
+        assert_eq!(data.api_keys["openai"], "sk-456");
+
+        let state = data.state.expect("state");
+        assert_eq!(state["selectedModel"], "gpt-5");
+        assert_eq!(state["agents"][0]["id"], "a1");
+        assert_eq!(state["automations"][0]["recurrence"]["days"], 1);
+        assert!(state.get("apiKeys").is_none());
+        assert!(state.get("histories").is_none());
+
+        let saved_queries = data.saved_queries.expect("saved queries");
+        assert_eq!(saved_queries[0]["title"], "Translate");
+    }
+
+    #[test]
+    fn migrates_baseline_state_without_newer_keys() {
+        let data = parse_legacy_data(
+            Some(
+                r#"{ "selectedModel": "claude-sonnet-4-20250514", "apiKeys": { "anthropic": "sk-ant" }, "agents": [], "histories": [] }"#,
+            ),
+            None,
+            None,
+        );
+
+        assert!(data.chats.is_empty());
+        assert_eq!(data.api_keys["anthropic"], "sk-ant");
+        assert_eq!(
+            data.state.unwrap()["selectedModel"],
+            "claude-sonnet-4-20250514"
+        );
+        assert!(data.saved_queries.is_none());
+    }
+
+    #[test]
+    fn skips_unreadable_legacy_keys() {
+        let data = parse_legacy_data(Some("{not json"), Some(LEGACY_HISTORIES), Some("null"));
+
+        assert_eq!(data.chats.len(), 2);
+        assert!(data.api_keys.is_empty());
+        assert!(data.state.is_none());
+        assert!(data.saved_queries.is_none());
+    }
+
+    #[test]
+    fn rejects_unsafe_chat_ids() {
+        assert!(chat_file_name("9b2f0c1e-1234-4d6a-8f00-abcdef012345").is_ok());
+        assert!(chat_file_name("../escape").is_err());
+        assert!(chat_file_name("").is_err());
+    }
+
+    #[test]
+    fn encrypts_and_decrypts_api_keys() {
+        let key = [7u8; 32];
+        let encrypted = encrypt_with_key(&key, r#"{"anthropic":"sk-ant-123"}"#).unwrap();
+
+        assert!(!encrypted.contains("sk-ant"));
+        assert_eq!(
+            decrypt_with_key(&key, &encrypted).unwrap(),
+            r#"{"anthropic":"sk-ant-123"}"#
+        );
+        assert!(decrypt_with_key(&[8u8; 32], &encrypted).is_err());
+    }
+}
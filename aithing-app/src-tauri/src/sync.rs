@@ -0,0 +1,161 @@
+//! End-to-end encryption for sync
+//!
+//! - The sync key is derived from the user's passphrase and their account id, so every device
+//!   signed in to the same account with the same passphrase derives the same key
+//! - The key itself is kept encrypted in the store like the API keys; the passphrase is not kept
+//! - The account keeps a value sealed with the key, so a device signing in with a mistyped
+//!   passphrase is stopped at sign-in instead of failing to open every record
+//! - Records are sealed with AES-256-GCM before they leave the device, so the sync server only
+//!   ever sees ciphertext
+
+use crate::storage;
+use base64::{engine::general_purpose::STANDARD as BASE64, Engine};
+use once_cell::sync::Lazy;
+use parking_lot::Mutex;
+use sha2::Sha256;
+use tauri::AppHandle;
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const STORE_KEY: &str = "syncKey";
+
+// OWASP's current recommendation for PBKDF2-HMAC-SHA256
+const KEY_ITERATIONS: u32 = 600_000;
+const KEY_SALT_PREFIX: &str = "aithing-sync/";
+const KEY_CHECK: &str = "aithing-sync-key-check";
+
+// The unlocked key, cached so each record isn't a store read
+static SYNC_KEY: Lazy<Mutex<Option<[u8; 32]>>> = Lazy::new(|| Mutex::new(None));
+
+// =============================================================================
+// KEY
+// =============================================================================
+
+fn derive_key(account_id: &str, passphrase: &str) -> [u8; 32] {
+    let mut key = [0u8; 32];
+    let salt = format!("{}{}", KEY_SALT_PREFIX, account_id);
+    pbkdf2::pbkdf2_hmac::<Sha256>(
+        passphrase.as_bytes(),
+        salt.as_bytes(),
+        KEY_ITERATIONS,
+        &mut key,
+    );
+    key
+}
+
+/// Returns the account's key check, sealing a new one if it has none yet, or an
+/// error if the key doesn't open the one it has
+fn check_key(key: &[u8; 32], key_check: Option<&str>) -> Result<String, String> {
+    let Some(sealed) = key_check else {
+        return storage::encrypt_with_key(key, KEY_CHECK);
+    };
+    match storage::decrypt_with_key(key, sealed) {
+        Ok(text) if text == KEY_CHECK => Ok(sealed.to_string()),
+        _ => Err("That isn't the sync passphrase for this account".to_string()),
+    }
+}
+
+fn sync_key(app: &AppHandle) -> Result<[u8; 32], String> {
+    let mut cached = SYNC_KEY.lock();
+    if let Some(key) = *cached {
+        return Ok(key);
+    }
+
+    // Signing out leaves an empty key behind
+    let encoded = storage::read_encrypted(app, STORE_KEY)?
+        .filter(|encoded| !encoded.is_empty())
+        .ok_or_else(|| "Sync is locked; enter the sync passphrase".to_string())?;
+    let key: [u8; 32] = BASE64
+        .decode(encoded)
+        .ok()
+        .and_then(|bytes| bytes.try_into().ok())
+        .ok_or_else(|| "The saved sync key is invalid; enter the sync passphrase".to_string())?;
+    *cached = Some(key);
+    Ok(key)
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+/// Derives the sync key for an account, checks it against the account's key check
+/// and keeps it for later sessions. Returns the key check to keep on the account.
+#[tauri::command]
+pub async fn sync_unlock(
+    app: AppHandle,
+    account_id: String,
+    passphrase: String,
+    key_check: Option<String>,
+) -> Result<String, String> {
+    if passphrase.is_empty() {
+        return Err("Enter a sync passphrase".to_string());
+    }
+    // Deliberately slow, so it stays off the main thread
+    let key = tauri::async_runtime::spawn_blocking(move || derive_key(&account_id, &passphrase))
+        .await
+        .map_err(|e| format!("Failed to derive the sync key: {}", e))?;
+    let key_check = check_key(&key, key_check.as_deref())?;
+
+    storage::write_encrypted(&app, STORE_KEY, &BASE64.encode(key))?;
+    *SYNC_KEY.lock() = Some(key);
+    Ok(key_check)
+}
+
+/// Forgets the sync key, as when signing out
+#[tauri::command]
+pub fn sync_lock(app: AppHandle) -> Result<(), String> {
+    *SYNC_KEY.lock() = None;
+    storage::write_encrypted(&app, STORE_KEY, "")
+}
+
+#[tauri::command]
+pub fn sync_seal(app: AppHandle, plaintext: String) -> Result<String, String> {
+    storage::encrypt_with_key(&sync_key(&app)?, &plaintext)
+}
+
+#[tauri::command]
+pub fn sync_open(app: AppHandle, sealed: String) -> Result<String, String> {
+    storage::decrypt_with_key(&sync_key(&app)?, &sealed)
+        .map_err(|_| "Synced data can't be decrypted; check the sync passphrase".to_string())
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn same_account_and_passphrase_derive_the_same_key() {
+        let key = derive_key("user-1", "correct horse");
+        assert_eq!(key, derive_key("user-1", "correct horse"));
+        assert_ne!(key, derive_key("user-2", "correct horse"));
+        assert_ne!(key, derive_key("user-1", "battery staple"));
+    }
+
+    #[test]
+    fn sealed_records_only_open_with_the_same_key() {
+        let key = derive_key("user-1", "correct horse");
+        let sealed = storage::encrypt_with_key(&key, r#"{"id":"c1"}"#).unwrap();
+        assert_eq!(
+            storage::decrypt_with_key(&key, &sealed).unwrap(),
+            r#"{"id":"c1"}"#
+        );
+        assert!(storage::decrypt_with_key(&derive_key("user-1", "wrong"), &sealed).is_err());
+    }
+
+    #[test]
+    fn key_check_only_passes_with_the_same_passphrase() {
+        let key = derive_key("user-1", "correct horse");
+        let key_check = check_key(&key, None).unwrap();
+        assert_eq!(check_key(&key, Some(&key_check)).unwrap(), key_check);
+        assert!(check_key(&derive_key("user-1", "correct hose"), Some(&key_check)).is_err());
+        // A value sealed with the right key that isn't a key check
+        let other = storage::encrypt_with_key(&key, "{}").unwrap();
+        assert!(check_key(&key, Some(&other)).is_err());
+    }
+}
@@ -0,0 +1,472 @@
+//! Built-in tools the model can call once the user approves each call in the chat
+//!
+//! - Files are read, listed and searched only inside the folders approved in Settings; paths
+//!   are resolved (symlinks included) before they are checked
+//! - Shell commands run through the user's login shell (`cmd` on Windows) with a time limit
+//! - Web pages are fetched with their HTML reduced to text
+//! - The clipboard is read as text
+//!
+//! Every result is cut off at [`MAX_OUTPUT_CHARS`] so one call can't fill the context window.
+
+use crate::documents;
+use std::fs;
+use std::path::{Path, PathBuf};
+use std::process::Stdio;
+use std::time::Duration;
+use tauri::AppHandle;
+use tauri_plugin_clipboard_manager::ClipboardExt;
+use tauri_plugin_http::reqwest;
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MAX_OUTPUT_CHARS: usize = 50_000;
+// Leaves room for the notes added to what was read
+const READ_TOKEN_BUDGET: usize = 12_000;
+
+const MAX_LIST_ENTRIES: usize = 500;
+const MAX_SEARCH_RESULTS: usize = 100;
+const MAX_SEARCH_FILES: usize = 20_000;
+const MAX_SEARCH_FILE_SIZE: u64 = 1024 * 1024;
+// Dependencies and build output, which are large and rarely what the user means
+const SKIPPED_FOLDERS: &[&str] = &["node_modules", "target", "build", "dist", "__pycache__"];
+
+const COMMAND_TIMEOUT: Duration = Duration::from_secs(120);
+const FETCH_TIMEOUT: Duration = Duration::from_secs(30);
+const FETCH_USER_AGENT: &str = concat!("AIThing/", env!("CARGO_PKG_VERSION"));
+
+// Tags that start a new line when HTML is turned into text
+const BLOCK_TAGS: &[&str] = &[
+    "p",
+    "div",
+    "br",
+    "li",
+    "tr",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "section",
+    "article",
+    "header",
+    "footer",
+    "blockquote",
+    "pre",
+    "table",
+    "ul",
+    "ol",
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+fn truncate(text: String) -> String {
+    match text.char_indices().nth(MAX_OUTPUT_CHARS) {
+        Some((end, _)) => format!(
+            "{}\n\n[Cut off after {} characters]",
+            &text[..end],
+            MAX_OUTPUT_CHARS
+        ),
+        None => text,
+    }
+}
+
+fn home_dir() -> Option<PathBuf> {
+    std::env::var_os(if cfg!(windows) { "USERPROFILE" } else { "HOME" }).map(PathBuf::from)
+}
+
+fn approved_folders() -> Vec<PathBuf> {
+    crate::APP_SETTINGS
+        .read()
+        .tool_folders
+        .iter()
+        .filter_map(|folder| fs::canonicalize(folder).ok())
+        .collect()
+}
+
+// Resolves a path from the model, refusing anything outside the approved folders.
+// "~" is the home folder and relative paths start in the first approved folder.
+fn approved_path(path: &str) -> Result<PathBuf, String> {
+    let folders = approved_folders();
+    let Some(first) = folders.first() else {
+        return Err("No folders are approved yet. Add one in Settings > Agents.".to_string());
+    };
+
+    let path = match (path.strip_prefix('~'), home_dir()) {
+        (Some(rest), Some(home)) => home.join(rest.trim_start_matches(['/', '\\'])),
+        _ => PathBuf::from(path),
+    };
+    let path = if path.is_relative() {
+        first.join(path)
+    } else {
+        path
+    };
+
+    let resolved =
+        fs::canonicalize(&path).map_err(|e| format!("Failed to open {}: {}", path.display(), e))?;
+    if folders.iter().any(|folder| resolved.starts_with(folder)) {
+        Ok(resolved)
+    } else {
+        Err(format!(
+            "{} is outside the folders AIThing may read",
+            path.display()
+        ))
+    }
+}
+
+fn skip_entry(name: &str) -> bool {
+    name.starts_with('.') || SKIPPED_FOLDERS.contains(&name)
+}
+
+// Text of a file worth searching: small, and not binary
+fn searchable_text(path: &Path) -> Option<String> {
+    if fs::metadata(path).ok()?.len() > MAX_SEARCH_FILE_SIZE {
+        return None;
+    }
+    let bytes = fs::read(path).ok()?;
+    if bytes.iter().take(8_000).any(|&b| b == 0) {
+        return None;
+    }
+    Some(String::from_utf8_lossy(&bytes).into_owned())
+}
+
+fn decode_entities(text: &str) -> String {
+    text.replace("&nbsp;", " ")
+        .replace("&lt;", "<")
+        .replace("&gt;", ">")
+        .replace("&quot;", "\"")
+        .replace("&#39;", "'")
+        .replace("&apos;", "'")
+        .replace("&amp;", "&")
+}
+
+// Visible text of a page: tags, comments, scripts and styles removed, one block per line
+fn html_text(html: &str) -> String {
+    let mut text = String::new();
+    let mut rest = html;
+
+    while let Some(start) = rest.find('<') {
+        text.push_str(&rest[..start]);
+        rest = &rest[start..];
+
+        if rest.starts_with("<!--") {
+            rest = rest.find("-->").map_or("", |end| &rest[end + 3..]);
+            continue;
+        }
+        let Some(end) = rest.find('>') else {
+            rest = "";
+            break;
+        };
+        let closing = rest[1..].starts_with('/');
+        let tag = rest[1..end]
+            .trim_start_matches('/')
+            .split(|c: char| c.is_whitespace() || c == '/')
+            .next()
+            .unwrap_or("")
+            .to_ascii_lowercase();
+        rest = &rest[end + 1..];
+
+        if !closing && (tag == "script" || tag == "style") {
+            // Lowercasing keeps byte offsets for ASCII, so the index applies to `rest`
+            let close = format!("</{}", tag);
+            rest = rest
+                .to_ascii_lowercase()
+                .find(&close)
+                .map_or("", |index| &rest[index..]);
+        } else if BLOCK_TAGS.contains(&tag.as_str()) {
+            text.push('\n');
+        }
+    }
+    text.push_str(rest);
+
+    let mut lines: Vec<String> = Vec::new();
+    for line in decode_entities(&text).lines() {
+        let line = line.split_whitespace().collect::<Vec<_>>().join(" ");
+        if line.is_empty() && lines.last().map_or(true, |last| last.is_empty()) {
+            continue;
+        }
+        lines.push(line);
+    }
+    lines.join("\n").trim().to_string()
+}
+
+#[cfg(unix)]
+fn shell_command(command: &str) -> tokio::process::Command {
+    // A login shell, so the PATH is the one the user has in their terminal
+    let shell = std::env::var("SHELL").unwrap_or_else(|_| "/bin/sh".to_string());
+    let mut cmd = tokio::process::Command::new(shell);
+    cmd.arg("-lc").arg(command);
+    cmd
+}
+
+#[cfg(windows)]
+fn shell_command(command: &str) -> tokio::process::Command {
+    const CREATE_NO_WINDOW: u32 = 0x0800_0000;
+
+    let mut cmd = tokio::process::Command::new("cmd");
+    cmd.arg("/C").arg(command);
+    cmd.creation_flags(CREATE_NO_WINDOW);
+    cmd
+}
+
+// =============================================================================
+// FILES
+// =============================================================================
+
+fn read_file(path: &str) -> Result<String, String> {
+    let path = approved_path(path)?;
+    let document = documents::ingest(&path, READ_TOKEN_BUDGET)?;
+    if document.image.is_some() {
+        return Err(
+            "Images can't be read as text; attach the image to the chat instead".to_string(),
+        );
+    }
+
+    let text = document
+        .chunks
+        .iter()
+        .map(|chunk| chunk.text.as_str())
+        .collect::<Vec<_>>()
+        .join("\n\n");
+    Ok(if document.truncated {
+        format!(
+            "{}\n\n[Only the first ~{} of ~{} tokens were read]",
+            text, document.tokens, document.total_tokens
+        )
+    } else {
+        text
+    })
+}
+
+fn list_directory(path: &str) -> Result<String, String> {
+    let path = approved_path(path)?;
+    let mut entries = fs::read_dir(&path)
+        .map_err(|e| format!("Failed to list {}: {}", path.display(), e))?
+        .filter_map(Result::ok)
+        .map(|entry| {
+            let name = entry.file_name().to_string_lossy().into_owned();
+            match entry.metadata() {
+                Ok(metadata) if metadata.is_dir() => format!("{}/", name),
+                Ok(metadata) => format!("{} ({} bytes)", name, metadata.len()),
+                Err(_) => name,
+            }
+        })
+        .collect::<Vec<_>>();
+    entries.sort();
+
+    let total = entries.len();
+    entries.truncate(MAX_LIST_ENTRIES);
+    let mut listing = format!("{}\n{}", path.display(), entries.join("\n"));
+    if total > MAX_LIST_ENTRIES {
+        listing.push_str(&format!("\n[{} more entries]", total - MAX_LIST_ENTRIES));
+    }
+    Ok(listing)
+}
+
+// Files whose name or content contains the query, case-insensitively, as
+// "path" for name matches and "path:line: text" for content matches
+fn search_files(query: &str, path: Option<&str>) -> Result<String, String> {
+    let query = query.trim().to_lowercase();
+    if query.is_empty() {
+        return Err("Enter something to search for".to_string());
+    }
+    let roots = match path {
+        Some(path) if !path.is_empty() => vec![approved_path(path)?],
+        _ => approved_folders(),
+    };
+    if roots.is_empty() {
+        return Err("No folders are approved yet. Add one in Settings > Agents.".to_string());
+    }
+
+    let mut results = Vec::new();
+    let mut pending = roots;
+    let mut searched = 0;
+
+    while let Some(folder) = pending.pop() {
+        let Ok(entries) = fs::read_dir(&folder) else {
+            continue;
+        };
+        for entry in entries.filter_map(Result::ok) {
+            let name = entry.file_name().to_string_lossy().into_owned();
+            if skip_entry(&name) {
+                continue;
+            }
+            let path = entry.path();
+            let Ok(file_type) = entry.file_type() else {
+                continue;
+            };
+            if file_type.is_dir() {
+                pending.push(path);
+                continue;
+            }
+            if !file_type.is_file() {
+                continue;
+            }
+
+            searched += 1;
+            if name.to_lowercase().contains(&query) {
+                results.push(path.display().to_string());
+            }
+            if let Some(text) = searchable_text(&path) {
+                for (number, line) in text.lines().enumerate() {
+                    if results.len() >= MAX_SEARCH_RESULTS {
+                        break;
+                    }
+                    if line.to_lowercase().contains(&query) {
+                        let line: String = line.trim().chars().take(200).collect();
+                        results.push(format!("{}:{}: {}", path.display(), number + 1, line));
+                    }
+                }
+            }
+
+            if results.len() >= MAX_SEARCH_RESULTS || searched >= MAX_SEARCH_FILES {
+                results.push("[Stopped early; search a smaller folder for more]".to_string());
+                return Ok(results.join("\n"));
+            }
+        }
+    }
+
+    if results.is_empty() {
+        Ok("No matches".to_string())
+    } else {
+        Ok(results.join("\n"))
+    }
+}
+
+// =============================================================================
+// TAURI COMMANDS
+// =============================================================================
+
+/// Reads a file in an approved folder, extracting the text of PDFs, documents and spreadsheets
+#[tauri::command]
+pub async fn tool_read_file(path: String) -> Result<String, String> {
+    tauri::async_runtime::spawn_blocking(move || read_file(&path).map(truncate))
+        .await
+        .map_err(|e| format!("Failed to read the file: {}", e))?
+}
+
+/// Lists a folder inside an approved folder
+#[tauri::command]
+pub async fn tool_list_directory(path: String) -> Result<String, String> {
+    tauri::async_runtime::spawn_blocking(move || list_directory(&path).map(truncate))
+        .await
+        .map_err(|e| format!("Failed to list the folder: {}", e))?
+}
+
+/// Searches file names and contents in one approved folder, or all of them
+#[tauri::command]
+pub async fn tool_search_files(query: String, path: Option<String>) -> Result<String, String> {
+    tauri::async_runtime::spawn_blocking(move || {
+        search_files(&query, path.as_deref()).map(truncate)
+    })
+    .await
+    .map_err(|e| format!("Failed to search: {}", e))?
+}
+
+/// Runs a shell command, in `cwd` (an approved folder) or else the first approved folder or home
+#[tauri::command]
+pub async fn tool_run_command(command: String, cwd: Option<String>) -> Result<String, String> {
+    let dir = match cwd.as_deref() {
+        Some(cwd) if !cwd.is_empty() => approved_path(cwd)?,
+        _ => approved_folders()
+            .into_iter()
+            .next()
+            .or_else(home_dir)
+            .unwrap_or_else(|| PathBuf::from(".")),
+    };
+
+    let mut cmd = shell_command(&command);
+    cmd.current_dir(&dir)
+        .stdin(Stdio::null())
+        .stdout(Stdio::piped())
+        .stderr(Stdio::piped())
+        .kill_on_drop(true);
+
+    let output = tokio::time::timeout(COMMAND_TIMEOUT, cmd.output())
+        .await
+        .map_err(|_| {
+            format!(
+                "The command was stopped after {} seconds",
+                COMMAND_TIMEOUT.as_secs()
+            )
+        })?
+        .map_err(|e| format!("Failed to run the command: {}", e))?;
+
+    let status = output
+        .status
+        .code()
+        .map_or("none (stopped by a signal)".to_string(), |code| {
+            code.to_string()
+        });
+    let mut result = format!("Exit code: {}", status);
+    for (label, stream) in [("Output", &output.stdout), ("Errors", &output.stderr)] {
+        let text = String::from_utf8_lossy(stream);
+        if !text.trim().is_empty() {
+            result.push_str(&format!("\n\n{}:\n{}", label, text.trim_end()));
+        }
+    }
+    Ok(truncate(result))
+}
+
+/// Fetches an http(s) URL; HTML is returned as its text, other text as-is
+#[tauri::command]
+pub async fn tool_fetch_url(url: String) -> Result<String, String> {
+    let parsed = reqwest::Url::parse(&url).map_err(|e| format!("Invalid URL {}: {}", url, e))?;
+    if !matches!(parsed.scheme(), "http" | "https") {
+        return Err("Only http and https URLs can be fetched".to_string());
+    }
+
+    let client = reqwest::Client::builder()
+        .timeout(FETCH_TIMEOUT)
+        .user_agent(FETCH_USER_AGENT)
+        .build()
+        .map_err(|e| format!("Failed to fetch {}: {}", url, e))?;
+    let response = client
+        .get(parsed)
+        .send()
+        .await
+        .map_err(|e| format!("Failed to fetch {}: {}", url, e))?;
+
+    let status = response.status();
+    let content_type = response
+        .headers()
+        .get(reqwest::header::CONTENT_TYPE)
+        .and_then(|value| value.to_str().ok())
+        .unwrap_or("")
+        .to_string();
+    let bytes = response
+        .bytes()
+        .await
+        .map_err(|e| format!("Failed to read {}: {}", url, e))?;
+
+    let is_text = content_type.is_empty()
+        || content_type.starts_with("text/")
+        || ["json", "xml", "javascript"]
+            .iter()
+            .any(|kind| content_type.contains(kind));
+    let body = if !is_text {
+        format!("[{} bytes of {} not shown]", bytes.len(), content_type)
+    } else if content_type.contains("html") {
+        html_text(&String::from_utf8_lossy(&bytes))
+    } else {
+        String::from_utf8_lossy(&bytes).into_owned()
+    };
+
+    Ok(truncate(format!(
+        "Status: {}\nContent-Type: {}\n\n{}",
+        status, content_type, body
+    )))
+}
+
+/// Reads the text on the clipboard
+#[tauri::command]
+pub fn tool_read_clipboard(app: AppHandle) -> Result<String, String> {
+    app.clipboard()
+        .read_text()
+        .map(truncate)
+        .map_err(|e| format!("Failed to read the clipboard: {}", e))
+}
@@ -0,0 +1,255 @@
+//! App updates through tauri-plugin-updater
+//!
+//! - Updates are described by a signed manifest: the one in tauri.conf.json, or the URL set in
+//!   Preferences (http:// URLs only work in development builds)
+//! - Downloads are checked against the public key in tauri.conf.json before they are installed.
+//!   It is the Ed25519 key that signs the Mac app's Sparkle updates, in minisign form (key ID
+//!   6BEE520E5902F832), so release artifacts are signed with the same secret key
+//! - Download progress is streamed to the webview; it relaunches the app once installed
+
+use once_cell::sync::Lazy;
+use parking_lot::Mutex;
+use serde::Serialize;
+use tauri::ipc::Channel;
+use tauri::{AppHandle, Url};
+use tauri_plugin_updater::{Update, UpdaterBuilder, UpdaterExt};
+
+// The update found by the last check, waiting to be installed
+static PENDING_UPDATE: Lazy<Mutex<Option<Update>>> = Lazy::new(|| Mutex::new(None));
+
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct UpdateInfo {
+    pub version: String,
+    pub current_version: String,
+    /// Release notes from the manifest (Markdown)
+    pub notes: Option<String>,
+    /// Release date, in Unix milliseconds
+    pub date: Option<i64>,
+}
+
+#[derive(Debug, Clone, Serialize)]
+#[serde(tag = "event", content = "data", rename_all = "camelCase")]
+pub enum DownloadEvent {
+    #[serde(rename_all = "camelCase")]
+    Started {
+        content_length: Option<u64>,
+    },
+    #[serde(rename_all = "camelCase")]
+    Progress {
+        chunk_length: usize,
+    },
+    Finished,
+}
+
+/// Checks the manifest for a newer version; None when this one is current
+#[tauri::command]
+pub async fn check_for_update(app: AppHandle) -> Result<Option<UpdateInfo>, String> {
+    let manifest_url = crate::APP_SETTINGS
+        .read()
+        .update_manifest_url
+        .trim()
+        .to_string();
+
+    let update = check_manifest(app.updater_builder(), &manifest_url).await?;
+
+    let info = update.as_ref().map(|update| UpdateInfo {
+        version: update.version.clone(),
+        current_version: update.current_version.clone(),
+        notes: update.body.clone(),
+        date: update.date.map(|date| date.unix_timestamp() * 1000),
+    });
+    *PENDING_UPDATE.lock() = update;
+    Ok(info)
+}
+
+/// Downloads and installs the update found by the last check
+#[tauri::command]
+pub async fn install_update(on_event: Channel<DownloadEvent>) -> Result<(), String> {
+    let update = PENDING_UPDATE
+        .lock()
+        .take()
+        .ok_or_else(|| "No update to install; check for updates first".to_string())?;
+
+    let bytes = download_update(&update, |event| {
+        let _ = on_event.send(event);
+    })
+    .await?;
+    update
+        .install(bytes)
+        .map_err(|e| format!("Failed to install the update: {}", e))
+}
+
+// Checks the given manifest, or the configured one when the URL is empty
+async fn check_manifest(
+    mut builder: UpdaterBuilder,
+    manifest_url: &str,
+) -> Result<Option<Update>, String> {
+    if !manifest_url.is_empty() {
+        let url = Url::parse(manifest_url)
+            .map_err(|e| format!("Invalid update URL {}: {}", manifest_url, e))?;
+        builder = builder
+            .endpoints(vec![url])
+            .map_err(|e| format!("Invalid update URL {}: {}", manifest_url, e))?;
+    }
+
+    builder
+        .build()
+        .map_err(|e| format!("Failed to set up updates: {}", e))?
+        .check()
+        .await
+        .map_err(|e| format!("Failed to check for updates: {}", e))
+}
+
+// The download is only returned once its signature checks out
+async fn download_update(
+    update: &Update,
+    on_event: impl Fn(DownloadEvent),
+) -> Result<Vec<u8>, String> {
+    let mut started = false;
+    update
+        .download(
+            |chunk_length, content_length| {
+                if !started {
+                    on_event(DownloadEvent::Started { content_length });
+                    started = true;
+                }
+                on_event(DownloadEvent::Progress { chunk_length });
+            },
+            || on_event(DownloadEvent::Finished),
+        )
+        .await
+        .map_err(|e| format!("Failed to download the update: {}", e))
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use std::io::{BufRead, BufReader, Write};
+    use std::net::TcpListener;
+    use std::thread;
+    use tauri::test::{mock_builder, mock_context, noop_assets, MockRuntime};
+
+    // A throwaway minisign key made for these tests (its secret key wasn't kept), a
+    // release signed with it, and a signature it made over something else
+    const TEST_PUBKEY: &str = "dW50cnVzdGVkIGNvbW1lbnQ6IG1pbmlzaWduIHB1YmxpYyBrZXkgNzU0MUE4REM3NzcwNzExQQpSV1FhY1hCMzNLaEJkZS9ZRCtNMEZWVUowM1hwQWxBLzRKdzZqMHBCcTRhdEROSjkwQkRxSm95UQo=";
+    const RELEASE: &[u8] = b"AIThing 99.0.0 test update\n";
+    const RELEASE_SIGNATURE: &str = "dW50cnVzdGVkIGNvbW1lbnQ6IHNpZ25hdHVyZSBmcm9tIHRhdXJpIHNlY3JldCBrZXkKUlVRYWNYQjMzS2hCZFJ3bHk0N1psaFVUVVBHakRzbkxUU1RjRkxFY1J5VjZQYzVnSGlQOHRIZWFYUzhGL1piT0Q2M1U2aEJPZndpTEh0bkRFQ0dWUHNZVGdZd2dkdGxaSXdJPQp0cnVzdGVkIGNvbW1lbnQ6IHRpbWVzdGFtcDoxNzYwMDAwMDAwCWZpbGU6YWl0aGluZy05OS4wLjAudGFyLmd6CnVyRG1hQkRpaVBLbUNrdlV3eFV2N2d6a1M0dHNGU1lqL0xjYURwbTkxb3c5bmFvL2VDYTZNeUdLbmNzZWN5ZDBVeG5uTitJODFwaDQ3aHZ1VysrQkRRPT0K";
+    const OTHER_SIGNATURE: &str = "dW50cnVzdGVkIGNvbW1lbnQ6IHNpZ25hdHVyZSBmcm9tIHRhdXJpIHNlY3JldCBrZXkKUlVRYWNYQjMzS2hCZGZZaW9VYm1nSUI3QXIrMEs1ck5JM2x1MzlUZkpkaUt4dkFJUWtEeWdoSjRjaHhFdGwzUXNNNHlDcGorcFVoKzNrelRETEtZRmNVU3FJQWhPdDArNVE4PQp0cnVzdGVkIGNvbW1lbnQ6IHRpbWVzdGFtcDoxNzYwMDAwMDAwCWZpbGU6YWl0aGluZy05OS4wLjAudGFyLmd6CmsyNzhuZzdjZHFodXk2RkZaMUx1bjFqRE9qdXBpM2xaa24yaThXd0tZbHhic2JRNlF1bXlab1JXeE15Wm1kb3pNTHZqeU4wczhmb1dzTEY4QmV1M0RRPT0K";
+
+    // Platform key in the test manifests, so they don't depend on where the tests run
+    const TARGET: &str = "aithing-test";
+
+    // Serves a manifest at /latest.json offering the release at /aithing.tar.gz,
+    // and returns the manifest's URL
+    fn serve_manifest(version: &str, signature: &str) -> String {
+        let listener = TcpListener::bind("127.0.0.1:0").unwrap();
+        let base = format!("http://{}", listener.local_addr().unwrap());
+        let manifest = serde_json::json!({
+            "version": version,
+            "notes": "- Faster replies",
+            "pub_date": "2026-10-01T12:00:00Z",
+            "platforms": {
+                TARGET: { "signature": signature, "url": format!("{}/aithing.tar.gz", base) }
+            }
+        })
+        .to_string();
+
+        thread::spawn(move || {
+            for stream in listener.incoming() {
+                let Ok(mut stream) = stream else { continue };
+                let mut reader = BufReader::new(stream.try_clone().unwrap());
+                let mut request_line = String::new();
+                reader.read_line(&mut request_line).unwrap();
+                // The headers end at the first blank line
+                loop {
+                    let mut line = String::new();
+                    if reader.read_line(&mut line).unwrap() <= 2 {
+                        break;
+                    }
+                }
+
+                let body = match request_line.split_whitespace().nth(1) {
+                    Some("/latest.json") => manifest.as_bytes(),
+                    Some("/aithing.tar.gz") => RELEASE,
+                    _ => &[],
+                };
+                write!(
+                    stream,
+                    "HTTP/1.1 200 OK\r\nContent-Length: {}\r\nConnection: close\r\n\r\n",
+                    body.len()
+                )
+                .unwrap();
+                stream.write_all(body).unwrap();
+            }
+        });
+        format!("{}/latest.json", base)
+    }
+
+    fn updater_builder() -> UpdaterBuilder {
+        let mut context = mock_context(noop_assets());
+        context.config_mut().plugins.0.insert(
+            "updater".to_string(),
+            serde_json::json!({ "pubkey": TEST_PUBKEY, "endpoints": [] }),
+        );
+        let app = mock_builder()
+            .plugin(tauri_plugin_updater::Builder::new().build())
+            .build(context)
+            .unwrap();
+        let handle: AppHandle<MockRuntime> = app.handle().clone();
+        handle.updater_builder().target(TARGET)
+    }
+
+    fn check(manifest_url: &str) -> Option<Update> {
+        tauri::async_runtime::block_on(check_manifest(updater_builder(), manifest_url)).unwrap()
+    }
+
+    #[test]
+    fn newer_signed_release_is_offered_and_downloaded() {
+        let update = check(&serve_manifest("99.0.0", RELEASE_SIGNATURE)).expect("an update");
+        assert_eq!(update.version, "99.0.0");
+        assert_eq!(update.body.as_deref(), Some("- Faster replies"));
+
+        let events = Mutex::new(Vec::new());
+        let bytes = tauri::async_runtime::block_on(download_update(&update, |event| {
+            events.lock().push(event)
+        }))
+        .unwrap();
+        assert_eq!(bytes, RELEASE);
+
+        let events = events.into_inner();
+        assert!(matches!(
+            events.first(),
+            Some(DownloadEvent::Started { .. })
+        ));
+        assert!(matches!(events.last(), Some(DownloadEvent::Finished)));
+        let received: usize = events
+            .iter()
+            .map(|event| match event {
+                DownloadEvent::Progress { chunk_length } => *chunk_length,
+                _ => 0,
+            })
+            .sum();
+        assert_eq!(received, RELEASE.len());
+    }
+
+    #[test]
+    fn older_release_is_not_offered() {
+        assert!(check(&serve_manifest("0.0.1", RELEASE_SIGNATURE)).is_none());
+    }
+
+    #[test]
+    fn release_with_a_bad_signature_is_refused() {
+        let update = check(&serve_manifest("99.0.0", OTHER_SIGNATURE)).expect("an update");
+        let error = tauri::async_runtime::block_on(download_update(&update, |_| {})).unwrap_err();
+        assert!(
+            error.starts_with("Failed to download the update"),
+            "{}",
+            error
+        );
+    }
+}
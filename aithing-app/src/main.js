@@ -4,10 +4,17 @@
 // =============================================================================
 // TAURI API IMPORTS
 // =============================================================================
-const { invoke } = window.__TAURI__.core;
+const { invoke, Channel } = window.__TAURI__.core;
 const { listen } = window.__TAURI__.event;
 const { getCurrentWindow } = window.__TAURI__.window;
-const { exit } = window.__TAURI__.process;
+const { getCurrentWebview } = window.__TAURI__.webview;
+const { exit, relaunch } = window.__TAURI__.process;
+// Requests made through the backend are not subject to webview CORS rules
+const { fetch: httpFetch } = window.__TAURI__.http;
+const { readText: readClipboard, writeText: writeClipboard } = window.__TAURI__.clipboardManager;
+const { openUrl } = window.__TAURI__.opener;
+const { open: openDialog } = window.__TAURI__.dialog;
+const { load: loadStore } = window.__TAURI__.store;
 
 // =============================================================================
 // DOM ELEMENTS
@@ -17,6 +24,8 @@ const elements = {
     sidebar: document.getElementById('sidebar'),
     sidebarToggleBtn: document.getElementById('sidebarToggleBtn'),
     newChatBtn: document.getElementById('newChatBtn'),
+    searchInput: document.getElementById('searchInput'),
+    searchResults: document.getElementById('searchResults'),
     chatList: document.getElementById('chatList'),
     noChats: document.getElementById('noChats'),
     settingsBtn: document.getElementById('settingsBtn'),
@@ -29,6 +38,9 @@ const elements = {
     closeBtn: document.getElementById('closeBtn'),
     titleInput: document.getElementById('titleInput'),
     lastUpdated: document.getElementById('lastUpdated'),
+    chatUsage: document.getElementById('chatUsage'),
+    exportChatBtn: document.getElementById('exportChatBtn'),
+    exportMenu: document.getElementById('exportMenu'),
     chatArea: document.getElementById('chatArea'),
     welcomeMessage: document.getElementById('welcomeMessage'),
     greeting: document.getElementById('greeting'),
@@ -42,7 +54,20 @@ const elements = {
     contextBar: document.getElementById('contextBar'),
     contextItems: document.getElementById('contextItems'),
     textSelectionBtn: document.getElementById('textSelectionBtn'),
+    captureScreenBtn: document.getElementById('captureScreenBtn'),
+    saveQueryBtn: document.getElementById('saveQueryBtn'),
+    queryPopup: document.getElementById('queryPopup'),
+    budgetWarning: document.getElementById('budgetWarning'),
+    personaPicker: document.getElementById('personaPicker'),
+    chatPromptBtn: document.getElementById('chatPromptBtn'),
+    chatPromptEditor: document.getElementById('chatPromptEditor'),
+    chatPromptInput: document.getElementById('chatPromptInput'),
+    chatPromptResetBtn: document.getElementById('chatPromptResetBtn'),
+    chatPromptDoneBtn: document.getElementById('chatPromptDoneBtn'),
+    tokenEstimate: document.getElementById('tokenEstimate'),
+    inputArea: document.getElementById('inputArea'),
     viewToolsBtn: document.getElementById('viewToolsBtn'),
+    toolsPopover: document.getElementById('toolsPopover'),
 
     // Settings View
     settingsCloseBtn: document.getElementById('settingsCloseBtn'),
@@ -51,21 +76,134 @@ const elements = {
     accountPanel: document.getElementById('accountPanel'),
     modelsPanel: document.getElementById('modelsPanel'),
     agentsPanel: document.getElementById('agentsPanel'),
+    automationsPanel: document.getElementById('automationsPanel'),
+    promptsPanel: document.getElementById('promptsPanel'),
+    queriesPanel: document.getElementById('queriesPanel'),
+    historyPanel: document.getElementById('historyPanel'),
+    usagePanel: document.getElementById('usagePanel'),
     preferencesPanel: document.getElementById('preferencesPanel'),
+    signInForm: document.getElementById('signInForm'),
+    syncServerInput: document.getElementById('syncServerInput'),
+    syncClientIdInput: document.getElementById('syncClientIdInput'),
+    syncPassphraseInput: document.getElementById('syncPassphraseInput'),
+    signInError: document.getElementById('signInError'),
     signInBtn: document.getElementById('signInBtn'),
+    signedInAccount: document.getElementById('signedInAccount'),
+    accountEmail: document.getElementById('accountEmail'),
+    accountServer: document.getElementById('accountServer'),
+    syncEnabled: document.getElementById('syncEnabled'),
+    accountSyncStatus: document.getElementById('accountSyncStatus'),
+    syncNowBtn: document.getElementById('syncNowBtn'),
+    signOutBtn: document.getElementById('signOutBtn'),
+    syncStatus: document.getElementById('syncStatus'),
+    syncStatusText: document.getElementById('syncStatusText'),
     anthropicApiKey: document.getElementById('anthropicApiKey'),
     openaiApiKey: document.getElementById('openaiApiKey'),
     googleApiKey: document.getElementById('googleApiKey'),
     anthropicModels: document.getElementById('anthropicModels'),
     openaiModels: document.getElementById('openaiModels'),
     googleModels: document.getElementById('googleModels'),
+    modelPicker: document.getElementById('modelPicker'),
+    customProvidersList: document.getElementById('customProvidersList'),
+    addCustomProviderBtn: document.getElementById('addCustomProviderBtn'),
+    customProviderForm: document.getElementById('customProviderForm'),
+    customProviderProtocolInput: document.getElementById('customProviderProtocolInput'),
+    customProviderNameInput: document.getElementById('customProviderNameInput'),
+    customProviderUrlInput: document.getElementById('customProviderUrlInput'),
+    customProviderKeyInput: document.getElementById('customProviderKeyInput'),
+    customProviderFormError: document.getElementById('customProviderFormError'),
+    customProviderCancelBtn: document.getElementById('customProviderCancelBtn'),
+    customProviderSubmitBtn: document.getElementById('customProviderSubmitBtn'),
+    customModelForm: document.getElementById('customModelForm'),
+    customModelProvider: document.getElementById('customModelProvider'),
+    customModelId: document.getElementById('customModelId'),
     agentsList: document.getElementById('agentsList'),
+    localToolsEnabled: document.getElementById('localToolsEnabled'),
+    addToolFolderBtn: document.getElementById('addToolFolderBtn'),
+    toolFoldersList: document.getElementById('toolFoldersList'),
+    addConnectorBtn: document.getElementById('addConnectorBtn'),
+    connectorForm: document.getElementById('connectorForm'),
+    connectorServiceInput: document.getElementById('connectorServiceInput'),
+    connectorClientIdInput: document.getElementById('connectorClientIdInput'),
+    connectorClientSecretInput: document.getElementById('connectorClientSecretInput'),
+    connectorUrlInput: document.getElementById('connectorUrlInput'),
+    connectorToolsets: document.getElementById('connectorToolsets'),
+    connectorAuthorizeUrlInput: document.getElementById('connectorAuthorizeUrlInput'),
+    connectorTokenUrlInput: document.getElementById('connectorTokenUrlInput'),
+    connectorFormError: document.getElementById('connectorFormError'),
+    connectorFormCancelBtn: document.getElementById('connectorFormCancelBtn'),
+    connectorSubmitBtn: document.getElementById('connectorSubmitBtn'),
     addAgentBtn: document.getElementById('addAgentBtn'),
+    agentForm: document.getElementById('agentForm'),
+    agentNameInput: document.getElementById('agentNameInput'),
+    agentTransportInput: document.getElementById('agentTransportInput'),
+    agentUrlInput: document.getElementById('agentUrlInput'),
+    agentHeadersInput: document.getElementById('agentHeadersInput'),
+    agentCommandInput: document.getElementById('agentCommandInput'),
+    agentEnvInput: document.getElementById('agentEnvInput'),
+    agentFormError: document.getElementById('agentFormError'),
+    agentFormCancelBtn: document.getElementById('agentFormCancelBtn'),
+    automationsList: document.getElementById('automationsList'),
+    addAutomationBtn: document.getElementById('addAutomationBtn'),
+    automationForm: document.getElementById('automationForm'),
+    automationTitleInput: document.getElementById('automationTitleInput'),
+    automationInstructionsInput: document.getElementById('automationInstructionsInput'),
+    automationTimeInput: document.getElementById('automationTimeInput'),
+    automationDaysInput: document.getElementById('automationDaysInput'),
+    automationHoursInput: document.getElementById('automationHoursInput'),
+    automationMinutesInput: document.getElementById('automationMinutesInput'),
+    automationFormError: document.getElementById('automationFormError'),
+    automationFormCancelBtn: document.getElementById('automationFormCancelBtn'),
+    automationSubmitBtn: document.getElementById('automationSubmitBtn'),
+    systemPromptInput: document.getElementById('systemPromptInput'),
+    resetSystemPromptBtn: document.getElementById('resetSystemPromptBtn'),
+    personasList: document.getElementById('personasList'),
+    addPersonaBtn: document.getElementById('addPersonaBtn'),
+    personaForm: document.getElementById('personaForm'),
+    personaNameInput: document.getElementById('personaNameInput'),
+    personaPromptInput: document.getElementById('personaPromptInput'),
+    personaFormError: document.getElementById('personaFormError'),
+    personaFormCancelBtn: document.getElementById('personaFormCancelBtn'),
+    personaSubmitBtn: document.getElementById('personaSubmitBtn'),
+    savedQueriesList: document.getElementById('savedQueriesList'),
+    importQueriesBtn: document.getElementById('importQueriesBtn'),
+    exportQueriesBtn: document.getElementById('exportQueriesBtn'),
+    savedQueriesStatus: document.getElementById('savedQueriesStatus'),
+    importChatsBtn: document.getElementById('importChatsBtn'),
+    selectAllChatsBtn: document.getElementById('selectAllChatsBtn'),
+    exportFormatInput: document.getElementById('exportFormatInput'),
+    exportSelectedBtn: document.getElementById('exportSelectedBtn'),
+    historyTransferStatus: document.getElementById('historyTransferStatus'),
+    historyExportList: document.getElementById('historyExportList'),
+    usageRangeInput: document.getElementById('usageRangeInput'),
+    usageTotals: document.getElementById('usageTotals'),
+    usageChart: document.getElementById('usageChart'),
+    usageByModel: document.getElementById('usageByModel'),
+    usageByProvider: document.getElementById('usageByProvider'),
+    monthlyBudgetInput: document.getElementById('monthlyBudgetInput'),
+    usageBudgetStatus: document.getElementById('usageBudgetStatus'),
+    pricingTable: document.getElementById('pricingTable'),
+    addPricingBtn: document.getElementById('addPricingBtn'),
+    resetPricingBtn: document.getElementById('resetPricingBtn'),
     showInScreenshot: document.getElementById('showInScreenshot'),
     useCapturedScreenshots: document.getElementById('useCapturedScreenshots'),
+    cacheMessages: document.getElementById('cacheMessages'),
     openAtLogin: document.getElementById('openAtLogin'),
     shortcutsEnabled: document.getElementById('shortcutsEnabled'),
+    shortcutsList: document.getElementById('shortcutsList'),
+    autoUpdateCheck: document.getElementById('autoUpdateCheck'),
+    updateManifestUrl: document.getElementById('updateManifestUrl'),
     quitBtn: document.getElementById('quitBtn'),
+    updateDialog: document.getElementById('updateDialog'),
+    updateTitle: document.getElementById('updateTitle'),
+    updateSubtitle: document.getElementById('updateSubtitle'),
+    updateNotes: document.getElementById('updateNotes'),
+    updateProgress: document.getElementById('updateProgress'),
+    updateProgressBar: document.getElementById('updateProgressBar'),
+    updateProgressText: document.getElementById('updateProgressText'),
+    updateError: document.getElementById('updateError'),
+    updateLaterBtn: document.getElementById('updateLaterBtn'),
+    updateInstallBtn: document.getElementById('updateInstallBtn'),
 
     // Logo
     logoContainer: document.getElementById('logoContainer'),
@@ -83,8 +221,12 @@ const state = {
     currentTabId: generateUUID(),
     chatHistory: [],
     histories: [],
-    isThinking: false,
-    modelOutput: '',
+    // Replies being generated, by chat id: { output, toolName, controller }
+    chatRuns: {},
+    // Built-in tool calls waiting for the user, by chat id (see approveToolCall)
+    toolApprovals: {},
+    // User message being edited in place
+    editingMessageId: null,
 
     // Context state
     modelContext: [],
@@ -93,33 +235,56 @@ const state = {
     // Settings state
     showSettings: false,
     selectedTab: 'account',
-    selectedModel: 'claude-sonnet-4-20250514',
+    selectedModel: 'claude-sonnet-4-5-20250929',
+    // Model the next message in the current chat goes to (see resetChatModel)
+    chatModel: null,
+    // Persona and own instructions of the current chat (see prompts.js)
+    chatPersonaId: null,
+    chatSystemPrompt: null,
     apiKeys: {
         anthropic: '',
         openai: '',
         google: ''
     },
+    // Fetched model lists by provider: { fetchedAt, models }
+    modelCatalog: {},
+    pinnedModels: [],
+    customModels: [],
+    // Servers the user added (see customproviders.js)
+    customProviders: [],
     agents: [],
+    automations: [],
+    // Default instructions, and named alternatives chats can pick
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    personas: [],
+    savedQueries: [],
+    // Account and what has been synced (see sync.js)
+    sync: emptySyncState(),
+    // Token counts by day and model: { '2026-10-19': { [modelId]: { provider, requests, inputTokens, ... } } }
+    usageLog: {},
+    // Edited pricing table, or null for the defaults (see DEFAULT_MODEL_PRICING)
+    modelPricing: null,
+    monthlyBudget: null,
     preferences: {
         showInScreenshot: false,
         useCapturedScreenshots: false,
+        cacheMessages: true,
+        localToolsEnabled: true,
+        // Folders the built-in file tools may read
+        toolFolders: [],
         openAtLogin: false,
-        shortcutsEnabled: true
-    }
+        shortcutsEnabled: true,
+        // Action id -> accelerator, e.g. { 'toggle-visibility': 'Control+Alt+Space' }
+        shortcuts: {},
+        autoUpdateCheck: true,
+        // Signed manifest to check instead of the default (see updates.js)
+        updateManifestUrl: ''
+    },
+    updates: { lastChecked: null, dismissedVersion: null },
+    // Action id -> why its shortcut couldn't be registered
+    shortcutErrors: {}
 };
 
-// Available models (matching Swift ModelInfo)
-const availableModels = [
-    { id: 'claude-sonnet-4-20250514', name: 'Claude Sonnet 4', provider: 'anthropic' },
-    { id: 'claude-opus-4-20250514', name: 'Claude Opus 4', provider: 'anthropic' },
-    { id: 'claude-3-5-sonnet-20241022', name: 'Claude 3.5 Sonnet', provider: 'anthropic' },
-    { id: 'gpt-4o', name: 'GPT-4o', provider: 'openai' },
-    { id: 'gpt-4o-mini', name: 'GPT-4o Mini', provider: 'openai' },
-    { id: 'o1', name: 'O1', provider: 'openai' },
-    { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', provider: 'google' },
-    { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', provider: 'google' },
-];
-
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -187,43 +352,14 @@ function formatDate(timestamp) {
     });
 }
 
+// Safe in text and in quoted attribute values alike
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
-// Simple markdown parser
-function parseMarkdown(text) {
-    if (!text) return '';
-
-    // Escape HTML first
-    let html = escapeHtml(text);
-
-    // Code blocks (must be before inline code)
-    html = html.replace(/```(\w*)\n?([\s\S]*?)```/g, '<pre><code class="language-$1">$2</code></pre>');
-
-    // Inline code
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-
-    // Headers
-    html = html.replace(/^### (.*$)/gm, '<h3>$1</h3>');
-    html = html.replace(/^## (.*$)/gm, '<h2>$1</h2>');
-    html = html.replace(/^# (.*$)/gm, '<h1>$1</h1>');
-
-    // Bold
-    html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-
-    // Italic
-    html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-
-    // Links
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
-
-    // Line breaks
-    html = html.replace(/\n/g, '<br>');
-
-    return html;
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // =============================================================================
@@ -237,6 +373,7 @@ function updateGreeting() {
 
 function toggleSidebar() {
     state.sidebarExpanded = !state.sidebarExpanded;
+    if (!state.sidebarExpanded && isSearching()) clearSearch();
     elements.sidebar.classList.toggle('collapsed', !state.sidebarExpanded);
 }
 
@@ -254,9 +391,10 @@ function showSettingsView() {
 
 function updateChatList() {
     elements.chatList.innerHTML = '';
+    updateNotificationDot();
 
     if (state.histories.length === 0) {
-        elements.noChats.classList.remove('hidden');
+        elements.noChats.classList.toggle('hidden', isSearching());
         return;
     }
 
@@ -268,6 +406,12 @@ function updateChatList() {
         item.innerHTML = `
             <span class="chat-item-title">${escapeHtml(history.title || `Session #${index + 1}`)}</span>
             ${history.unseen ? '<span class="chat-item-notification"></span>' : ''}
+            ${state.chatRuns[history.id] ? `
+            <button class="chat-item-stop" title="Stop responding">
+                <svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor">
+                    <rect x="5" y="5" width="14" height="14" rx="2"/>
+                </svg>
+            </button>` : ''}
             <button class="chat-item-delete" title="Delete">
                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="3 6 5 6 21 6"/>
@@ -277,11 +421,16 @@ function updateChatList() {
         `;
 
         item.addEventListener('click', (e) => {
-            if (!e.target.closest('.chat-item-delete')) {
+            if (!e.target.closest('.chat-item-delete, .chat-item-stop')) {
                 switchToChat(history.id);
             }
         });
 
+        item.querySelector('.chat-item-stop')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            stopChatRun(history.id);
+        });
+
         item.querySelector('.chat-item-delete').addEventListener('click', (e) => {
             e.stopPropagation();
             deleteChat(history.id);
@@ -291,6 +440,11 @@ function updateChatList() {
     });
 }
 
+function updateNotificationDot() {
+    const hasUnseen = state.histories.some(history => history.unseen);
+    elements.notificationDot.classList.toggle('hidden', !hasUnseen);
+}
+
 function updateMessages() {
     elements.messages.innerHTML = '';
 
@@ -301,42 +455,152 @@ function updateMessages() {
 
     elements.welcomeMessage.classList.add('hidden');
 
+    // Tool results are shown inside the bubble of the call that produced them
+    const toolResults = {};
     state.chatHistory.forEach(item => {
+        (item.payloads || []).forEach(payload => {
+            if (payload.type === 'toolResult') toolResults[payload.id] = payload;
+        });
+    });
+
+    // Replies are labelled with their model once a chat has used more than one
+    const replyModels = new Set(state.chatHistory.filter(item => item.model).map(item => item.model));
+    let previousModel = null;
+    // Messages can't be changed while the chat is responding
+    const running = Boolean(currentChatRun());
+    // Older messages the model now only sees as a summary
+    const contextStart = contextStartIndex(state.chatHistory);
+
+    state.chatHistory.forEach((item, index) => {
+        if (index === contextStart && item.summary) {
+            const count = state.chatHistory.slice(0, index).filter(other => other.role === 'assistant' || isUserMessage(other)).length;
+            elements.messages.appendChild(createSummaryDivider(item, count));
+        }
+
         const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${item.role}`;
+        messageDiv.className = `message ${item.role}${index < contextStart ? ' summarized' : ''}`;
+        messageDiv.dataset.messageId = item.id;
+
+        if (item.model && replyModels.size > 1 && item.model !== previousModel) {
+            const modelLabel = document.createElement('div');
+            modelLabel.className = 'message-model';
+            modelLabel.textContent = modelDisplayName(item.model);
+            messageDiv.appendChild(modelLabel);
+        }
+        if (item.model) previousModel = item.model;
 
         if (item.payloads && item.payloads.length > 0) {
             item.payloads.forEach(payload => {
-                if (payload.type === 'text') {
+                if (payload.type === 'text' && item.id === state.editingMessageId) {
+                    messageDiv.appendChild(createMessageEditor(index, payload.text));
+                } else if (payload.type === 'text') {
                     const contentDiv = document.createElement('div');
                     contentDiv.className = 'message-content';
-                    contentDiv.innerHTML = parseMarkdown(payload.text);
+                    contentDiv.innerHTML = renderMarkdown(payload.text);
                     messageDiv.appendChild(contentDiv);
                 } else if (payload.type === 'imageBase64') {
                     const imgDiv = document.createElement('div');
                     imgDiv.className = 'image-bubble';
-                    imgDiv.innerHTML = `<img src="data:${payload.media};base64,${payload.image}" alt="${payload.name}">`;
+                    const img = document.createElement('img');
+                    img.src = `data:${payload.media};base64,${payload.image}`;
+                    img.alt = payload.name || '';
+                    imgDiv.appendChild(img);
                     messageDiv.appendChild(imgDiv);
+                } else if (payload.type === 'textWithName') {
+                    messageDiv.appendChild(createFileBubble(payload));
                 } else if (payload.type === 'toolUse') {
-                    const toolDiv = document.createElement('div');
-                    toolDiv.className = 'tool-bubble';
-                    toolDiv.textContent = `Called tool: ${payload.name}`;
-                    messageDiv.appendChild(toolDiv);
+                    messageDiv.appendChild(createToolBubble(payload, toolResults[payload.id]));
                 }
             });
         }
 
-        elements.messages.appendChild(messageDiv);
+        if (item.usage) messageDiv.appendChild(createUsageLabel(item));
+
+        const actions = running ? null : createMessageActions(index);
+        if (actions) messageDiv.appendChild(actions);
+
+        // Messages carrying only tool results have nothing of their own to show
+        if (messageDiv.childElementCount > 0) {
+            elements.messages.appendChild(messageDiv);
+        }
     });
 
+    // Response still streaming in
+    const output = currentChatRun()?.output;
+    if (output) {
+        elements.messages.appendChild(createStreamingMessage(output));
+    }
+
+    // Tool call waiting for the user
+    const approval = state.toolApprovals[state.currentTabId];
+    if (approval) {
+        elements.messages.appendChild(createToolApprovalCard(approval));
+    }
+
+    updateChatUsage();
+
     // Scroll to bottom
     elements.chatArea.scrollTop = elements.chatArea.scrollHeight;
 }
 
-function setThinking(thinking, text = 'Responding...') {
-    state.isThinking = thinking;
+function createToolBubble(toolUse, toolResult) {
+    const toolDiv = document.createElement('details');
+    toolDiv.className = `tool-bubble${toolResult ? '' : ' pending'}`;
+    toolDiv.innerHTML = `
+        <summary>${toolResult ? 'Called' : 'Calling'} tool: ${escapeHtml(toolUse.name)}</summary>
+        <div class="tool-bubble-section">
+            <span class="tool-bubble-label">Input</span>
+            <pre>${escapeHtml(JSON.stringify(toolUse.input || {}, null, 2))}</pre>
+        </div>
+        ${toolResult ? `
+        <div class="tool-bubble-section">
+            <span class="tool-bubble-label">Result</span>
+            <pre>${escapeHtml(toolResult.result)}</pre>
+        </div>` : ''}
+    `;
+    return toolDiv;
+}
+
+function createStreamingMessage(output) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message assistant streaming';
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+    renderMarkdownInto(contentDiv, output);
+    messageDiv.appendChild(contentDiv);
+    return messageDiv;
+}
+
+// Re-renders only the streaming bubble, at most once per animation frame
+let streamingFrame = null;
+function updateStreamingMessage() {
+    if (streamingFrame) return;
+
+    streamingFrame = requestAnimationFrame(() => {
+        streamingFrame = null;
+        const existing = elements.messages.querySelector('.message.streaming');
+        const output = currentChatRun()?.output;
+
+        if (!output) {
+            if (existing) existing.remove();
+            return;
+        }
+
+        if (existing) {
+            renderMarkdownInto(existing.querySelector('.message-content'), output);
+        } else {
+            elements.welcomeMessage.classList.add('hidden');
+            elements.messages.appendChild(createStreamingMessage(output));
+        }
+        elements.chatArea.scrollTop = elements.chatArea.scrollHeight;
+    });
+}
+
+// Shows whether the open chat is responding; other chats keep running unseen
+function updateThinking() {
+    const run = currentChatRun();
 
-    if (thinking) {
+    if (run) {
         elements.loadingIndicator.classList.remove('hidden');
         elements.loadingIndicator.innerHTML = `
             <div class="loading-dots">
@@ -344,62 +608,39 @@ function setThinking(thinking, text = 'Responding...') {
                 <span></span>
                 <span></span>
             </div>
-            <span>${text}</span>
+            <span>Responding...</span>
         `;
+        elements.loadingIndicator.appendChild(elements.toolCall);
+        const stopBtn = document.createElement('button');
+        stopBtn.className = 'stop-btn';
+        stopBtn.textContent = 'Stop';
+        stopBtn.addEventListener('click', () => stopChatRun(state.currentTabId));
+        elements.loadingIndicator.appendChild(stopBtn);
         elements.animatedBorder.classList.add('active');
         elements.animatedBorder.classList.remove('hidden');
-        elements.messageInput.placeholder = text;
+        elements.messageInput.placeholder = 'Responding...';
     } else {
         elements.loadingIndicator.classList.add('hidden');
         elements.animatedBorder.classList.remove('active');
         elements.animatedBorder.classList.add('hidden');
         elements.messageInput.placeholder = 'Ask anything on AI Thing...';
     }
+    setToolCall(run?.toolName || '');
 }
 
-function updateModelsList() {
-    const providers = {
-        anthropic: elements.anthropicModels,
-        openai: elements.openaiModels,
-        google: elements.googleModels
-    };
-
-    Object.keys(providers).forEach(provider => {
-        const container = providers[provider];
-        container.innerHTML = '';
-
-        availableModels
-            .filter(model => model.provider === provider)
-            .forEach(model => {
-                const item = document.createElement('div');
-                item.className = 'model-item';
-                item.innerHTML = `
-                    <div class="model-info">
-                        <span class="model-name">${model.name}</span>
-                        <span class="model-id">${model.id}</span>
-                    </div>
-                    <label class="toggle-switch">
-                        <input type="checkbox" ${state.selectedModel === model.id ? 'checked' : ''}>
-                        <span class="toggle-slider"></span>
-                    </label>
-                `;
-
-                item.addEventListener('click', () => {
-                    state.selectedModel = model.id;
-                    saveSettings();
-                    updateModelsList();
-                });
-
-                container.appendChild(item);
-            });
-    });
+function setToolCall(toolName) {
+    elements.toolCall.textContent = toolName ? `Calling tool: ${toolName}...` : '';
+    elements.toolCall.classList.toggle('hidden', !toolName);
 }
 
 function updatePreferences() {
     elements.showInScreenshot.checked = state.preferences.showInScreenshot;
     elements.useCapturedScreenshots.checked = state.preferences.useCapturedScreenshots;
+    elements.cacheMessages.checked = state.preferences.cacheMessages;
     elements.openAtLogin.checked = state.preferences.openAtLogin;
     elements.shortcutsEnabled.checked = state.preferences.shortcutsEnabled;
+    elements.autoUpdateCheck.checked = state.preferences.autoUpdateCheck;
+    elements.updateManifestUrl.value = state.preferences.updateManifestUrl;
 }
 
 function switchSettingsTab(tabName) {
@@ -414,6 +655,14 @@ function switchSettingsTab(tabName) {
     elements.accountPanel.classList.toggle('hidden', tabName !== 'account');
     elements.modelsPanel.classList.toggle('hidden', tabName !== 'models');
     elements.agentsPanel.classList.toggle('hidden', tabName !== 'agents');
+    elements.automationsPanel.classList.toggle('hidden', tabName !== 'automations');
+    elements.promptsPanel.classList.toggle('hidden', tabName !== 'prompts');
+    if (tabName === 'prompts') updatePromptsPanel();
+    elements.queriesPanel.classList.toggle('hidden', tabName !== 'queries');
+    elements.historyPanel.classList.toggle('hidden', tabName !== 'history');
+    if (tabName === 'history') updateHistoryExportList();
+    elements.usagePanel.classList.toggle('hidden', tabName !== 'usage');
+    if (tabName === 'usage') updateUsageDashboard();
     elements.preferencesPanel.classList.toggle('hidden', tabName !== 'preferences');
 }
 
@@ -424,22 +673,49 @@ function switchSettingsTab(tabName) {
 function newChat() {
     state.currentTabId = generateUUID();
     state.chatHistory = [];
-    state.modelOutput = '';
+    state.editingMessageId = null;
     elements.titleInput.value = 'New Chat';
+    resetChatModel();
+    loadChatPersona(null);
     updateMessages();
+    updateThinking();
     updateChatList();
     showIntelligenceView();
 }
 
-function switchToChat(chatId) {
+// Opens a chat, optionally scrolled to one of its messages (e.g. a search result)
+function switchToChat(chatId, messageId = null) {
     state.currentTabId = chatId;
+
+    // Opening a chat marks its new results as seen
+    const history = state.histories.find(h => h.id === chatId);
+    if (history && history.unseen) {
+        history.unseen = false;
+        saveHistory(history);
+    }
+
     loadChatHistory(chatId);
     showIntelligenceView();
     updateChatList();
+
+    if (messageId) scrollToMessage(messageId);
+}
+
+function scrollToMessage(messageId) {
+    const messageDiv = elements.messages.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!messageDiv) return;
+
+    messageDiv.scrollIntoView({ block: 'center' });
+    messageDiv.classList.add('highlighted');
+    setTimeout(() => messageDiv.classList.remove('highlighted'), 1500);
 }
 
 function deleteChat(chatId) {
+    stopChatRun(chatId);
     state.histories = state.histories.filter(h => h.id !== chatId);
+    deleteHistory(chatId);
+    removeChatFromIndex(chatId);
+    refreshSearchResults();
 
     if (state.currentTabId === chatId) {
         if (state.histories.length > 0) {
@@ -450,78 +726,236 @@ function deleteChat(chatId) {
     }
 
     updateChatList();
-    saveHistories();
 }
 
+function currentChatRun() {
+    return state.chatRuns[state.currentTabId];
+}
+
+// Each chat runs on its own, so several can respond at once
 async function sendMessage() {
     const query = elements.messageInput.value.trim();
-    if (!query || state.isThinking) return;
+    const chatId = state.currentTabId;
+    if (!query || state.chatRuns[chatId]) return;
 
-    // Add user message
+    // Add user message, with any dropped files ahead of the question
     state.chatHistory.push({
         id: generateUUID(),
         role: 'user',
-        payloads: [{ type: 'text', text: query }]
+        payloads: [...takeContextPayloads(), { type: 'text', text: query }]
     });
 
     elements.messageInput.value = '';
+    updateTokenEstimate();
+    await runChat(chatId, state.chatHistory, state.chatModel || state.selectedModel);
+}
+
+// Generates the reply to the end of a chat's history. chatHistory stays that
+// chat's even after switching to another one. A fork from a regenerated or
+// edited message (see forkChatHistory) is completed once the reply is in.
+async function runChat(chatId, chatHistory, model, fork = null) {
+    const run = { output: '', toolName: '', controller: new AbortController() };
+    state.chatRuns[chatId] = run;
     updateMessages();
+    updateThinking();
+
+    // Saved right away so the chat is listed and can be switched back to
+    await saveChatHistory(chatId, chatHistory);
 
-    // Show thinking state
-    setThinking(true);
+    const isOpen = () => state.currentTabId === chatId;
 
     try {
-        // Call AI provider (placeholder - implement actual API calls)
-        const response = await callAIProvider(query);
-
-        // Add assistant message
-        state.chatHistory.push({
-            id: generateUUID(),
-            role: 'assistant',
-            payloads: [{ type: 'text', text: response }]
+        await runAgentLoop(chatHistory, model, {
+            system: await chatSystemPrompt(chatId),
+            signal: run.controller.signal,
+            onText: (text) => {
+                run.output += text;
+                if (isOpen()) updateStreamingMessage();
+            },
+            onMessage: () => {
+                run.output = '';
+                if (isOpen()) updateMessages();
+            },
+            onToolCall: (toolName) => {
+                run.toolName = toolName;
+                if (isOpen()) setToolCall(toolName);
+            },
+            approveTool: (call) => approveToolCall(chatId, call, run.controller.signal)
         });
-
-        // Save history
-        await saveCurrentHistory();
-
     } catch (error) {
-        console.error('Error calling AI:', error);
-        state.chatHistory.push({
-            id: generateUUID(),
-            role: 'assistant',
-            payloads: [{ type: 'text', text: `Error: ${error.message}` }]
-        });
+        if (run.controller.signal.aborted) {
+            // Stopping is not an error; whatever had streamed in is kept
+            if (run.output) {
+                chatHistory.push({
+                    id: generateUUID(),
+                    role: 'assistant',
+                    model,
+                    payloads: [{ type: 'text', text: run.output }]
+                });
+            }
+        } else {
+            console.error('Error calling AI:', error);
+            chatHistory.push({
+                id: generateUUID(),
+                role: 'assistant',
+                model,
+                payloads: [{ type: 'text', text: `Error: ${error.message}` }],
+                error: true
+            });
+        }
     } finally {
-        setThinking(false);
-        updateMessages();
+        delete state.chatRuns[chatId];
+        if (fork) finishFork(chatHistory, fork);
+
+        // Deleted chats stay deleted; chats that finish out of view are flagged
+        if (state.histories.some(h => h.id === chatId)) {
+            await saveChatHistory(chatId, chatHistory, { unseen: !isOpen() });
+        }
+        if (isOpen()) {
+            updateThinking();
+            updateMessages();
+        }
+        titleChat(chatId, model);
     }
 }
 
-async function callAIProvider(query) {
-    // This is a placeholder - in the real implementation, you would:
-    // 1. Get the selected model and API key
-    // 2. Make the API call to the appropriate provider
-    // 3. Stream the response
+function stopChatRun(chatId) {
+    state.chatRuns[chatId]?.controller.abort();
+}
 
-    const apiKey = state.apiKeys[getProviderForModel(state.selectedModel)];
+// Upper bound on model round-trips for a single query
+const MAX_TOOL_TURNS = 25;
+
+// Calls the model, executes any tool calls it makes and re-sends the
+// conversation with their results until the model finishes its turn.
+// New messages are appended to chatHistory, each reply recording the model
+// that wrote it; handlers are optional UI hooks:
+//   onText(text), onMessage(), onToolCall(toolName), approveTool(call)
+// plus an AbortSignal in handlers.signal to stop between and during requests,
+// and the system prompt in handlers.system.
+async function runAgentLoop(chatHistory, model, handlers = {}) {
+    const { tools: supportsTools } = modelCapabilities(findModel(model) || { id: model, provider: getProviderForModel(model) });
+    const { signal } = handlers;
+
+    for (let turn = 0; turn < MAX_TOOL_TURNS; turn++) {
+        signal?.throwIfAborted();
+        const tools = supportsTools === false ? [] : getAvailableTools();
+        const response = await callAIProvider(chatHistory, model, tools, handlers.onText, signal, handlers.system);
+
+        const payloads = [];
+        if (response.text) {
+            payloads.push({ type: 'text', text: response.text });
+        }
+        response.toolCalls.forEach(call => {
+            const payload = { type: 'toolUse', id: call.id, name: call.name, input: call.input };
+            if (call.signature) payload.signature = call.signature;
+            payloads.push(payload);
+        });
+
+        if (payloads.length > 0) {
+            const item = { id: generateUUID(), role: 'assistant', model, payloads };
+            if (response.usage) item.usage = response.usage;
+            chatHistory.push(item);
+        }
+
+        if (response.toolCalls.length === 0) return;
+
+        handlers.onMessage?.();
+
+        const results = [];
+        for (const call of response.toolCalls) {
+            handlers.onToolCall?.(call.name);
+            const result = await callTool(call.name, call.input, { approve: handlers.approveTool });
+            results.push({ type: 'toolResult', id: call.id, name: call.name, result });
+        }
+        handlers.onToolCall?.('');
 
-    if (!apiKey) {
-        return "Please add an API key in Settings > Models to use this feature.";
+        chatHistory.push({ id: generateUUID(), role: 'user', payloads: results });
+        handlers.onMessage?.();
     }
 
-    // Placeholder response
-    return `I received your message: "${query}"\n\nThis is a placeholder response. Connect me to your preferred AI provider (Anthropic, OpenAI, or Google) through the API key settings to get real responses.`;
+    throw new Error(`Stopped after ${MAX_TOOL_TURNS} tool calls without a final answer.`);
+}
+
+async function callAIProvider(chatHistory, model, tools = [], onText, signal, system = '') {
+    const provider = getProviderForModel(model);
+    const apiKey = state.apiKeys[provider];
+
+    if (!providerReady(provider)) {
+        throw new Error(`${providerDisplayNames[provider]} API key not found. Add it in Settings > Models, or create one at: ${providerKeyUrls[provider]}`);
+    }
+
+    await fitContextWindow(chatHistory, model, signal);
+
+    const response = await streamModelResponse({
+        providerId: provider,
+        apiKey,
+        model,
+        system,
+        messages: buildModelInput(chatHistory, model),
+        tools,
+        // Any stable id of the conversation will do; its first message has one
+        cache: state.preferences.cacheMessages,
+        cacheKey: chatHistory[0]?.id,
+        signal,
+        onEvent: (event) => {
+            if (event.type === 'text' && onText) onText(event.text);
+        }
+    });
+    recordUsage(model, provider, response.usage);
+    return response;
 }
 
-function getProviderForModel(modelId) {
-    const model = availableModels.find(m => m.id === modelId);
-    return model ? model.provider : 'anthropic';
+// Conversation as sent to the model (error bubbles are display-only), from
+// its summary on once it has one. Earlier replies may come from other
+// models, so each payload is checked against what this one supports.
+function buildModelInput(chatHistory, model) {
+    const capabilities = modelCapabilities(findModel(model) || { id: model, provider: getProviderForModel(model) });
+    return contextItems(chatHistory)
+        .filter(item => !item.error)
+        .map(item => ({ ...item, payloads: item.payloads.map(payload => modelInputPayload(payload, capabilities)) }));
 }
 
 // =============================================================================
 // STORAGE FUNCTIONS
 // =============================================================================
 
+// Shared with the backend, which keeps its own settings in the same store
+const STORE_FILE = 'aithing-store.json';
+
+// localStorage keys used before chats and API keys moved to the app data directory
+const LEGACY_STORAGE_KEYS = {
+    state: 'aithing_state',
+    histories: 'aithing_histories',
+    savedQueries: 'aithing_saved_queries'
+};
+
+let appStore = null;
+
+async function getAppStore() {
+    if (!appStore) {
+        appStore = await loadStore(STORE_FILE, { autoSave: false });
+    }
+    return appStore;
+}
+
+// Hands any localStorage data to the backend to write in the current layout.
+// The old keys are only removed once that succeeded.
+async function migrateLocalStorage() {
+    const legacy = {};
+    for (const [name, key] of Object.entries(LEGACY_STORAGE_KEYS)) {
+        legacy[name] = localStorage.getItem(key);
+    }
+    if (Object.values(legacy).every(value => value === null)) return;
+
+    try {
+        await invoke('migrate_local_storage', legacy);
+        Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+        console.error('Failed to migrate local storage:', error);
+    }
+}
+
 async function loadSettings() {
     try {
         const settings = await invoke('get_settings');
@@ -529,52 +963,99 @@ async function loadSettings() {
             state.preferences.showInScreenshot = settings.show_in_screenshot;
             state.preferences.openAtLogin = settings.open_at_login;
             state.preferences.shortcutsEnabled = settings.shortcuts_enabled;
+            state.preferences.useCapturedScreenshots = settings.use_captured_screenshots;
+            state.preferences.cacheMessages = settings.cache_messages;
+            state.preferences.localToolsEnabled = settings.local_tools_enabled;
+            state.preferences.toolFolders = settings.tool_folders || [];
+            state.preferences.shortcuts = settings.shortcuts || {};
+            state.preferences.autoUpdateCheck = settings.auto_update_check;
+            state.preferences.updateManifestUrl = settings.update_manifest_url || '';
         }
     } catch (error) {
         console.error('Failed to load settings:', error);
     }
 
-    // Load from localStorage as fallback
-    const saved = localStorage.getItem('aithing_state');
-    if (saved) {
-        try {
-            const parsed = JSON.parse(saved);
-            state.selectedModel = parsed.selectedModel || state.selectedModel;
-            state.apiKeys = parsed.apiKeys || state.apiKeys;
-            state.histories = parsed.histories || [];
-        } catch (e) {
-            console.error('Failed to parse saved state:', e);
+    try {
+        const store = await getAppStore();
+        const saved = await store.get('state');
+        if (saved) {
+            state.selectedModel = saved.selectedModel || state.selectedModel;
+            state.pinnedModels = saved.pinnedModels || [];
+            state.customModels = saved.customModels || [];
+            state.customProviders = saved.customProviders || [];
+            state.agents = saved.agents || [];
+            state.automations = saved.automations || [];
+            state.systemPrompt = saved.systemPrompt ?? DEFAULT_SYSTEM_PROMPT;
+            state.personas = saved.personas || [];
         }
+    } catch (error) {
+        console.error('Failed to load saved state:', error);
+    }
+
+    try {
+        state.apiKeys = { ...state.apiKeys, ...(await invoke('load_api_keys')) };
+    } catch (error) {
+        console.error('Failed to load API keys:', error);
     }
 
     updatePreferences();
     updateModelsList();
+    updatePersonaPicker();
     updateChatList();
 }
 
 async function saveSettings() {
+    markSyncChange('settings', 'all');
+
     try {
         await invoke('set_settings', {
             settings: {
                 show_in_screenshot: state.preferences.showInScreenshot,
                 open_at_login: state.preferences.openAtLogin,
-                shortcuts_enabled: state.preferences.shortcutsEnabled
+                shortcuts_enabled: state.preferences.shortcutsEnabled,
+                use_captured_screenshots: state.preferences.useCapturedScreenshots,
+                cache_messages: state.preferences.cacheMessages,
+                local_tools_enabled: state.preferences.localToolsEnabled,
+                tool_folders: state.preferences.toolFolders,
+                shortcuts: state.preferences.shortcuts,
+                auto_update_check: state.preferences.autoUpdateCheck,
+                update_manifest_url: state.preferences.updateManifestUrl
             }
         });
     } catch (error) {
         console.error('Failed to save settings:', error);
     }
 
-    // Also save to localStorage
-    localStorage.setItem('aithing_state', JSON.stringify({
-        selectedModel: state.selectedModel,
-        apiKeys: state.apiKeys,
-        histories: state.histories
-    }));
+    try {
+        const store = await getAppStore();
+        await store.set('state', {
+            selectedModel: state.selectedModel,
+            pinnedModels: state.pinnedModels,
+            customModels: state.customModels,
+            customProviders: state.customProviders,
+            agents: state.agents,
+            automations: state.automations,
+            systemPrompt: state.systemPrompt,
+            personas: state.personas
+        });
+        await store.save();
+    } catch (error) {
+        console.error('Failed to save state:', error);
+    }
+}
+
+// API keys are encrypted by the backend before being written
+async function saveApiKeys() {
+    try {
+        await invoke('save_api_keys', { keys: state.apiKeys });
+    } catch (error) {
+        console.error('Failed to save API keys:', error);
+    }
 }
 
 function loadChatHistory(chatId) {
     const history = state.histories.find(h => h.id === chatId);
+    state.editingMessageId = null;
     if (history) {
         state.chatHistory = history.history || [];
         elements.titleInput.value = history.title || 'New Chat';
@@ -584,19 +1065,37 @@ function loadChatHistory(chatId) {
         elements.titleInput.value = 'New Chat';
         elements.lastUpdated.textContent = '';
     }
+    resetChatModel();
+    loadChatPersona(history);
     updateMessages();
+    updateThinking();
+}
+
+function saveCurrentHistory(options) {
+    return saveChatHistory(state.currentTabId, state.chatHistory, options);
 }
 
-async function saveCurrentHistory() {
-    const existingIndex = state.histories.findIndex(h => h.id === state.currentTabId);
+// Chats other than the open one keep the title they were saved with.
+// titleEdited marks a title typed by hand, which is never generated over.
+async function saveChatHistory(chatId, chatHistory, { unseen = false, titleEdited = false } = {}) {
+    const existingIndex = state.histories.findIndex(h => h.id === chatId);
+    const existing = existingIndex >= 0 ? state.histories[existingIndex] : null;
+    const title = chatId === state.currentTabId ? elements.titleInput.value : existing?.title;
 
     const historyEntry = {
-        id: state.currentTabId,
-        title: elements.titleInput.value || 'New Chat',
-        history: state.chatHistory,
+        ...existing,
+        id: chatId,
+        title: title || 'New Chat',
+        history: chatHistory,
         lastUpdated: Date.now(),
-        unseen: false
+        unseen
     };
+    if (titleEdited) historyEntry.titleEdited = true;
+    // The open chat's persona is kept in state until it is saved
+    if (chatId === state.currentTabId) {
+        historyEntry.personaId = state.chatPersonaId;
+        historyEntry.systemPrompt = state.chatSystemPrompt;
+    }
 
     if (existingIndex >= 0) {
         state.histories[existingIndex] = historyEntry;
@@ -604,23 +1103,106 @@ async function saveCurrentHistory() {
         state.histories.unshift(historyEntry);
     }
 
-    await saveHistories();
+    indexChat(historyEntry);
+    refreshSearchResults();
+
+    await saveHistory(historyEntry);
     updateChatList();
 }
 
-async function saveHistories() {
-    localStorage.setItem('aithing_histories', JSON.stringify(state.histories));
+// Each chat is stored in its own file
+async function saveHistory(history) {
+    markSyncChange('chat', history.id);
+    try {
+        await invoke('save_chat', { chat: history });
+    } catch (error) {
+        console.error('Failed to save chat:', error);
+    }
 }
 
-function loadHistories() {
-    const saved = localStorage.getItem('aithing_histories');
-    if (saved) {
-        try {
-            state.histories = JSON.parse(saved);
-        } catch (e) {
-            console.error('Failed to parse histories:', e);
-            state.histories = [];
-        }
+async function deleteHistory(chatId) {
+    markSyncChange('chat', chatId);
+    try {
+        await invoke('delete_chat', { id: chatId });
+    } catch (error) {
+        console.error('Failed to delete chat:', error);
+    }
+}
+
+async function loadHistories() {
+    try {
+        state.histories = await invoke('list_chats');
+    } catch (error) {
+        console.error('Failed to load histories:', error);
+        state.histories = [];
+    }
+}
+
+async function saveModelCatalog() {
+    try {
+        const store = await getAppStore();
+        await store.set('modelCatalog', state.modelCatalog);
+        await store.save();
+    } catch (error) {
+        console.error('Failed to save model catalog:', error);
+    }
+}
+
+async function loadModelCatalog() {
+    try {
+        const store = await getAppStore();
+        state.modelCatalog = (await store.get('modelCatalog')) || {};
+    } catch (error) {
+        console.error('Failed to load model catalog:', error);
+        state.modelCatalog = {};
+    }
+}
+
+// Saved queries are stored alongside the chat histories
+async function saveSavedQueries() {
+    markSyncChange('queries', 'all');
+    try {
+        const store = await getAppStore();
+        await store.set('savedQueries', state.savedQueries);
+        await store.save();
+    } catch (error) {
+        console.error('Failed to save saved queries:', error);
+    }
+}
+
+async function saveUsage() {
+    try {
+        const store = await getAppStore();
+        await store.set('usage', {
+            log: state.usageLog,
+            pricing: state.modelPricing,
+            monthlyBudget: state.monthlyBudget
+        });
+        await store.save();
+    } catch (error) {
+        console.error('Failed to save usage:', error);
+    }
+}
+
+async function loadUsage() {
+    try {
+        const store = await getAppStore();
+        const saved = (await store.get('usage')) || {};
+        state.usageLog = saved.log || {};
+        state.modelPricing = saved.pricing || null;
+        state.monthlyBudget = saved.monthlyBudget || null;
+    } catch (error) {
+        console.error('Failed to load usage:', error);
+    }
+}
+
+async function loadSavedQueries() {
+    try {
+        const store = await getAppStore();
+        state.savedQueries = (await store.get('savedQueries')) || [];
+    } catch (error) {
+        console.error('Failed to load saved queries:', error);
+        state.savedQueries = [];
     }
 }
 
@@ -658,10 +1240,29 @@ function setupEventListeners() {
     elements.sidebarToggleBtn.addEventListener('click', toggleSidebar);
     elements.newChatBtn.addEventListener('click', newChat);
     elements.settingsBtn.addEventListener('click', showSettingsView);
+    elements.syncStatus.addEventListener('click', syncNow);
+    elements.searchInput.addEventListener('input', scheduleSearch);
+    elements.searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') clearSearch();
+    });
 
     // Intelligence View
     elements.closeBtn.addEventListener('click', closeWindow);
+    elements.messages.addEventListener('click', handleMarkdownClick);
+    elements.modelPicker.addEventListener('change', () => {
+        state.chatModel = elements.modelPicker.value;
+        updateModelPicker();
+        updateTokenEstimate();
+    });
+    elements.personaPicker.addEventListener('change', () => setChatPersona(elements.personaPicker.value || null));
+    elements.chatPromptBtn.addEventListener('click', () => toggleChatPromptEditor());
+    elements.chatPromptDoneBtn.addEventListener('click', saveChatPromptEditor);
+    elements.chatPromptResetBtn.addEventListener('click', resetChatPromptEditor);
+    elements.chatPromptInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleChatPromptEditor(false);
+    });
     elements.messageInput.addEventListener('keydown', (e) => {
+        if (handleQueryPopupKeydown(e)) return;
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
             sendMessage();
@@ -672,11 +1273,30 @@ function setupEventListeners() {
     elements.messageInput.addEventListener('input', function() {
         this.style.height = 'auto';
         this.style.height = Math.min(this.scrollHeight, 120) + 'px';
+        updateSlashPopup();
+        updateTokenEstimate();
+    });
+
+    elements.messageInput.addEventListener('blur', () => {
+        if (queryPopup.mode === 'slash') hideQueryPopup();
+    });
+
+    document.addEventListener('selectionchange', trackTextSelection);
+
+    // Export menu
+    elements.exportChatBtn.addEventListener('click', toggleExportMenu);
+    elements.exportMenu.querySelectorAll('[data-format]').forEach(button => {
+        button.addEventListener('click', () => exportCurrentChat(button.dataset.format));
+    });
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.export-menu-container')) elements.exportMenu.classList.add('hidden');
     });
 
     // Title input
     elements.titleInput.addEventListener('blur', () => {
-        saveCurrentHistory();
+        const title = elements.titleInput.value.trim();
+        const saved = state.histories.find(h => h.id === state.currentTabId)?.title || 'New Chat';
+        saveCurrentHistory({ titleEdited: Boolean(title) && title !== saved });
     });
 
     elements.titleInput.addEventListener('keydown', (e) => {
@@ -690,10 +1310,21 @@ function setupEventListeners() {
     elements.textSelectionBtn.addEventListener('click', () => {
         state.selectionEnabled = !state.selectionEnabled;
         elements.textSelectionBtn.classList.toggle('active', state.selectionEnabled);
+        setSelectionWatch(state.selectionEnabled);
     });
 
+    elements.captureScreenBtn.addEventListener('click', (e) => captureScreen(!e.shiftKey));
+
+    elements.viewToolsBtn.addEventListener('click', toggleToolsPopover);
+    elements.saveQueryBtn.addEventListener('click', showSaveQueryForm);
+
     // Settings View
     elements.settingsCloseBtn.addEventListener('click', showIntelligenceView);
+    elements.checkUpdatesBtn.addEventListener('click', onCheckUpdatesClick);
+
+    // Update dialog
+    elements.updateLaterBtn.addEventListener('click', dismissUpdateDialog);
+    elements.updateInstallBtn.addEventListener('click', installUpdate);
 
     // Settings tabs
     document.querySelectorAll('.settings-tab').forEach(tab => {
@@ -702,22 +1333,101 @@ function setupEventListeners() {
         });
     });
 
+    // Account
+    elements.signInForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        signIn();
+    });
+    elements.syncEnabled.addEventListener('change', () => setSyncEnabled(elements.syncEnabled.checked));
+    elements.syncNowBtn.addEventListener('click', syncNow);
+    elements.signOutBtn.addEventListener('click', signOut);
+
     // API Keys
     elements.anthropicApiKey.addEventListener('change', () => {
         state.apiKeys.anthropic = elements.anthropicApiKey.value;
-        saveSettings();
+        saveApiKeys();
+        refreshModelCatalog('anthropic', true);
     });
 
     elements.openaiApiKey.addEventListener('change', () => {
         state.apiKeys.openai = elements.openaiApiKey.value;
-        saveSettings();
+        saveApiKeys();
+        refreshModelCatalog('openai', true);
     });
 
     elements.googleApiKey.addEventListener('change', () => {
         state.apiKeys.google = elements.googleApiKey.value;
-        saveSettings();
+        saveApiKeys();
+        refreshModelCatalog('google', true);
+    });
+
+    // Custom providers
+    elements.addCustomProviderBtn.addEventListener('click', () => showCustomProviderForm());
+    elements.customProviderCancelBtn.addEventListener('click', () => showCustomProviderForm(false));
+    elements.customProviderProtocolInput.addEventListener('change', updateCustomProviderUrlPlaceholder);
+    elements.customProviderForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitCustomProviderForm();
+    });
+
+    // Custom models
+    elements.customModelForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        addCustomModel(elements.customModelProvider.value, elements.customModelId.value.trim());
+        elements.customModelId.value = '';
     });
 
+    // Agents
+    elements.localToolsEnabled.addEventListener('change', () => setLocalToolsEnabled(elements.localToolsEnabled.checked));
+    elements.addToolFolderBtn.addEventListener('click', addToolFolder);
+    elements.addConnectorBtn.addEventListener('click', () => showConnectorForm());
+    elements.connectorFormCancelBtn.addEventListener('click', cancelConnectorForm);
+    elements.connectorServiceInput.addEventListener('change', () => updateConnectorFormFields());
+    elements.connectorForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitConnectorForm();
+    });
+    elements.addAgentBtn.addEventListener('click', () => showAgentForm(true));
+    elements.agentFormCancelBtn.addEventListener('click', () => showAgentForm(false));
+    elements.agentTransportInput.addEventListener('change', updateAgentFormFields);
+    elements.agentForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAgentForm();
+    });
+
+    // Automations
+    elements.addAutomationBtn.addEventListener('click', () => showAutomationForm());
+    elements.automationFormCancelBtn.addEventListener('click', () => showAutomationForm(false));
+    elements.automationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAutomationForm();
+    });
+
+    // System prompts
+    elements.systemPromptInput.addEventListener('change', () => setDefaultSystemPrompt(elements.systemPromptInput.value));
+    elements.resetSystemPromptBtn.addEventListener('click', resetDefaultSystemPrompt);
+    elements.addPersonaBtn.addEventListener('click', () => showPersonaForm());
+    elements.personaFormCancelBtn.addEventListener('click', () => showPersonaForm(false));
+    elements.personaForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitPersonaForm();
+    });
+
+    // Saved queries
+    elements.importQueriesBtn.addEventListener('click', importSavedQueries);
+    elements.exportQueriesBtn.addEventListener('click', exportSavedQueries);
+
+    // Chat history
+    elements.importChatsBtn.addEventListener('click', importChats);
+    elements.selectAllChatsBtn.addEventListener('click', toggleSelectAllChats);
+    elements.exportSelectedBtn.addEventListener('click', exportSelectedChats);
+
+    // Usage
+    elements.usageRangeInput.addEventListener('change', updateUsageTotals);
+    elements.monthlyBudgetInput.addEventListener('change', () => setMonthlyBudget(elements.monthlyBudgetInput.value));
+    elements.addPricingBtn.addEventListener('click', addPricingRow);
+    elements.resetPricingBtn.addEventListener('click', resetPricing);
+
     // Preferences
     elements.showInScreenshot.addEventListener('change', async () => {
         state.preferences.showInScreenshot = elements.showInScreenshot.checked;
@@ -734,6 +1444,12 @@ function setupEventListeners() {
     elements.useCapturedScreenshots.addEventListener('change', () => {
         state.preferences.useCapturedScreenshots = elements.useCapturedScreenshots.checked;
         saveSettings();
+        setScreenshotWatch(state.preferences.useCapturedScreenshots);
+    });
+
+    elements.cacheMessages.addEventListener('change', () => {
+        state.preferences.cacheMessages = elements.cacheMessages.checked;
+        saveSettings();
     });
 
     elements.openAtLogin.addEventListener('change', () => {
@@ -745,122 +1461,32 @@ function setupEventListeners() {
         state.preferences.shortcutsEnabled = elements.shortcutsEnabled.checked;
         await saveSettings();
         try {
-            await invoke('set_shortcuts_enabled', {
+            state.shortcutErrors = await invoke('set_shortcuts_enabled', {
                 enabled: state.preferences.shortcutsEnabled
             });
         } catch (e) {
             console.error('Failed to update shortcuts:', e);
         }
+        updateShortcutsList();
     });
 
+    elements.autoUpdateCheck.addEventListener('change', () => setAutoUpdateCheck(elements.autoUpdateCheck.checked));
+    elements.updateManifestUrl.addEventListener('change', () => setUpdateManifestUrl(elements.updateManifestUrl.value));
     elements.quitBtn.addEventListener('click', quitApp);
 
+    // Recording shortcuts in Preferences
+    setupShortcutRecorder();
+
     // Drag and drop
     setupDragAndDrop();
 }
 
-function setupDragAndDrop() {
-    const dropZone = elements.inputContainer;
-
-    dropZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        dropZone.classList.add('dropping');
-    });
-
-    dropZone.addEventListener('dragleave', () => {
-        dropZone.classList.remove('dropping');
-    });
-
-    dropZone.addEventListener('drop', async (e) => {
-        e.preventDefault();
-        dropZone.classList.remove('dropping');
-
-        const files = Array.from(e.dataTransfer.files);
-
-        for (const file of files) {
-            if (file.type.startsWith('image/')) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    const base64 = event.target.result.split(',')[1];
-                    state.modelContext.push({
-                        type: 'image',
-                        name: file.name,
-                        media: file.type,
-                        image: base64
-                    });
-                    updateContextItems();
-                };
-                reader.readAsDataURL(file);
-            } else if (file.type === 'application/pdf' || file.type.startsWith('text/')) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    state.modelContext.push({
-                        type: 'text',
-                        name: file.name,
-                        content: event.target.result
-                    });
-                    updateContextItems();
-                };
-                reader.readAsText(file);
-            }
-        }
-    });
-}
-
-function updateContextItems() {
-    elements.contextItems.innerHTML = '';
-
-    state.modelContext.forEach((item, index) => {
-        const contextItem = document.createElement('div');
-        contextItem.className = 'context-item';
-
-        if (item.type === 'image') {
-            contextItem.innerHTML = `
-                <img class="context-item-preview" src="data:${item.media};base64,${item.image}" alt="${item.name}">
-                <span class="context-item-name">${item.name}</span>
-                <button class="context-item-remove" title="Remove">
-                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="18" y1="6" x2="6" y2="18"/>
-                        <line x1="6" y1="6" x2="18" y2="18"/>
-                    </svg>
-                </button>
-            `;
-        } else {
-            contextItem.innerHTML = `
-                <svg class="context-item-preview" width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                    <polyline points="14 2 14 8 20 8"/>
-                    <line x1="16" y1="13" x2="8" y2="13"/>
-                    <line x1="16" y1="17" x2="8" y2="17"/>
-                    <polyline points="10 9 9 9 8 9"/>
-                </svg>
-                <span class="context-item-name">${item.name}</span>
-                <button class="context-item-remove" title="Remove">
-                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="18" y1="6" x2="6" y2="18"/>
-                        <line x1="6" y1="6" x2="18" y2="18"/>
-                    </svg>
-                </button>
-            `;
-        }
-
-        contextItem.querySelector('.context-item-remove').addEventListener('click', () => {
-            state.modelContext.splice(index, 1);
-            updateContextItems();
-        });
-
-        elements.contextItems.appendChild(contextItem);
-    });
-}
-
 async function setupTauriListeners() {
     // Listen for shortcut triggers
-    await listen('shortcut-triggered', (event) => {
-        const action = event.payload;
-        if (action === 'toggle-visibility') {
-            toggleVisibility();
-        }
-    });
+    await listen('shortcut-triggered', (event) => handleShortcut(event.payload));
+
+    // Screenshots and selected text picked up by the backend
+    await listen('context-captured', (event) => addCapturedContext(event.payload));
 }
 
 // =============================================================================
@@ -868,14 +1494,30 @@ async function setupTauriListeners() {
 // =============================================================================
 
 async function init() {
-    // Load saved data
-    loadHistories();
+    // Load saved data, moving anything still in localStorage over first
+    await migrateLocalStorage();
+    await loadHistories();
+    buildSearchIndex();
+    await loadSavedQueries();
+    await loadModelCatalog();
+    await loadUsage();
     await loadSettings();
+    await loadSyncState();
+    await loadUpdateState();
+    resetChatModel();
 
     // Update UI
     updateGreeting();
     updateModelsList();
     updateChatList();
+    updateAgentsList();
+    updateToolFoldersList();
+    updateLocalToolProvider();
+    updateAutomationsList();
+    updateSavedQueriesList();
+    updateBudgetWarning();
+    updateAccountPanel();
+    await loadShortcutErrors();
 
     // Set up event listeners
     setupEventListeners();
@@ -886,6 +1528,22 @@ async function init() {
     elements.openaiApiKey.value = state.apiKeys.openai;
     elements.googleApiKey.value = state.apiKeys.google;
 
+    // Attach screenshots the user takes, if they opted in
+    setScreenshotWatch(state.preferences.useCapturedScreenshots);
+
+    // Fetch model lists that are missing or out of date
+    refreshModelCatalogs();
+
+    // Connect MCP agents in the background, then start automations
+    // (catching up any runs missed while the app was closed)
+    connectEnabledAgents().finally(scheduleAllAutomations);
+
+    // Pick up what other devices synced while the app was closed
+    startSync();
+
+    // Check for a new version once a day, if the user wants that
+    scheduleUpdateChecks();
+
     console.log('AIThing initialized successfully');
 }
 
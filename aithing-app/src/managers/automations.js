@@ -0,0 +1,315 @@
+// AIThing - Background Automations
+// Matching the Swift AutomationManager implementation
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// setTimeout overflows past ~24.8 days, so long waits are split up
+const MAX_TIMER_DELAY = 2147483647;
+
+// Active timers keyed by automation id
+const automationTimers = new Map();
+// Automations currently executing, to avoid overlapping runs
+const runningAutomations = new Set();
+
+// =============================================================================
+// SCHEDULING
+// =============================================================================
+
+function isOneOffAutomation(automation) {
+    const { minutes, hours, days } = automation.recurrence;
+    return !minutes && !hours && !days;
+}
+
+function automationInterval(automation) {
+    const { minutes, hours, days } = automation.recurrence;
+    return (minutes || 0) * MINUTE_MS + (hours || 0) * HOUR_MS + (days || 0) * DAY_MS;
+}
+
+// Time of the next run. An occurrence that came due while the app was not
+// running (after lastRun) is returned as-is so it is caught up immediately.
+function nextAutomationRun(automation, now = Date.now()) {
+    if (isOneOffAutomation(automation)) {
+        return automation.lastRun ? null : automation.executeTime;
+    }
+
+    if (automation.executeTime > now) return automation.executeTime;
+
+    const interval = automationInterval(automation);
+    const missedCycles = Math.floor((now - automation.executeTime) / interval);
+    const lastDue = automation.executeTime + missedCycles * interval;
+
+    if (!automation.lastRun || automation.lastRun < lastDue) return lastDue;
+    return lastDue + interval;
+}
+
+function cancelAutomationTimer(automationId) {
+    clearTimeout(automationTimers.get(automationId));
+    automationTimers.delete(automationId);
+}
+
+function scheduleAutomation(automation) {
+    cancelAutomationTimer(automation.id);
+    if (!automation.enabled) return;
+
+    const nextRun = nextAutomationRun(automation);
+    if (nextRun === null) return;
+
+    const delay = Math.max(0, nextRun - Date.now());
+    const timer = setTimeout(() => {
+        if (delay > MAX_TIMER_DELAY) {
+            scheduleAutomation(automation);
+        } else {
+            executeAutomation(automation);
+        }
+    }, Math.min(delay, MAX_TIMER_DELAY));
+    automationTimers.set(automation.id, timer);
+}
+
+function scheduleAllAutomations() {
+    state.automations.forEach(scheduleAutomation);
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+async function executeAutomation(automation) {
+    if (!automation.enabled || runningAutomations.has(automation.id)) return;
+    runningAutomations.add(automation.id);
+
+    // Record the run before executing so a crash doesn't repeat it
+    automation.lastRun = Date.now();
+    if (isOneOffAutomation(automation)) {
+        // One-off automations are removed once they have run
+        cancelAutomationTimer(automation.id);
+        state.automations = state.automations.filter(a => a.id !== automation.id);
+    } else {
+        scheduleAutomation(automation);
+    }
+    saveSettings();
+    updateAutomationsList();
+
+    const chatHistory = [{
+        id: generateUUID(),
+        role: 'user',
+        payloads: [{ type: 'text', text: automation.instructions }]
+    }];
+
+    try {
+        // Nobody is there to approve built-in tool calls, so those are refused
+        await runAgentLoop(chatHistory, state.selectedModel, {
+            system: await buildSystemPrompt(state.systemPrompt)
+        });
+    } catch (error) {
+        console.error(`Automation ${automation.title} failed:`, error);
+        chatHistory.push({
+            id: generateUUID(),
+            role: 'assistant',
+            payloads: [{ type: 'text', text: `Error: ${error.message}` }],
+            error: true
+        });
+    } finally {
+        runningAutomations.delete(automation.id);
+    }
+
+    // Each run becomes its own chat, flagged until the user opens it
+    const history = {
+        id: generateUUID(),
+        title: automation.title,
+        history: chatHistory,
+        lastUpdated: Date.now(),
+        unseen: true,
+        automationId: automation.id
+    };
+    state.histories.unshift(history);
+    indexChat(history);
+    refreshSearchResults();
+    await saveHistory(history);
+    updateChatList();
+}
+
+// =============================================================================
+// CRUD OPERATIONS
+// =============================================================================
+
+function saveAutomation(config) {
+    const index = state.automations.findIndex(a => a.id === config.id);
+    const existing = index >= 0 ? state.automations[index] : null;
+
+    const automation = {
+        id: config.id || generateUUID(),
+        title: config.title,
+        instructions: config.instructions,
+        executeTime: config.executeTime,
+        recurrence: config.recurrence,
+        enabled: config.enabled,
+        // A new schedule starts over
+        lastRun: existing && existing.executeTime === config.executeTime ? existing.lastRun : null
+    };
+
+    if (index >= 0) {
+        state.automations[index] = automation;
+    } else {
+        state.automations.push(automation);
+    }
+
+    saveSettings();
+    scheduleAutomation(automation);
+    updateAutomationsList();
+}
+
+function setAutomationEnabled(automationId, enabled) {
+    const automation = state.automations.find(a => a.id === automationId);
+    if (!automation) return;
+
+    automation.enabled = enabled;
+    saveSettings();
+    scheduleAutomation(automation);
+    updateAutomationsList();
+}
+
+function deleteAutomation(automationId) {
+    cancelAutomationTimer(automationId);
+    state.automations = state.automations.filter(a => a.id !== automationId);
+    saveSettings();
+    updateAutomationsList();
+}
+
+// =============================================================================
+// AUTOMATIONS PANEL
+// =============================================================================
+
+function recurrenceText(automation) {
+    if (isOneOffAutomation(automation)) return 'Once';
+
+    const parts = [];
+    const { minutes, hours, days } = automation.recurrence;
+    if (days) parts.push(`${days}d`);
+    if (hours) parts.push(`${hours}h`);
+    if (minutes) parts.push(`${minutes}m`);
+    return `Every ${parts.join(' ')}`;
+}
+
+function updateAutomationsList() {
+    elements.automationsList.innerHTML = '';
+
+    if (state.automations.length === 0) {
+        elements.automationsList.innerHTML = '<div class="no-agents">No automations configured</div>';
+        return;
+    }
+
+    state.automations.forEach(automation => {
+        const nextRun = automation.enabled ? nextAutomationRun(automation) : null;
+        const status = runningAutomations.has(automation.id)
+            ? 'Running...'
+            : nextRun !== null ? `Next: ${formatDate(Math.max(nextRun, Date.now()))}` : 'Paused';
+
+        const item = document.createElement('div');
+        item.className = 'agent-item';
+        item.innerHTML = `
+            <div class="agent-row">
+                <div class="agent-info">
+                    <span class="agent-name">${escapeHtml(automation.title)}</span>
+                    <span class="agent-url">${escapeHtml(recurrenceText(automation))}</span>
+                    <span class="agent-status">${escapeHtml(status)}</span>
+                </div>
+                <div class="agent-actions">
+                    <button class="agent-action-btn automation-run" title="Run Now">Run</button>
+                    <button class="agent-action-btn automation-edit" title="Edit">Edit</button>
+                    <button class="agent-action-btn automation-delete" title="Delete">Delete</button>
+                    <label class="toggle-switch">
+                        <input type="checkbox" class="automation-enabled" ${automation.enabled ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                    </label>
+                </div>
+            </div>
+        `;
+
+        item.querySelector('.automation-enabled').addEventListener('change', (e) => {
+            setAutomationEnabled(automation.id, e.target.checked);
+        });
+        item.querySelector('.automation-run').addEventListener('click', () => {
+            executeAutomation(automation);
+        });
+        item.querySelector('.automation-edit').addEventListener('click', () => {
+            showAutomationForm(automation);
+        });
+        item.querySelector('.automation-delete').addEventListener('click', () => {
+            deleteAutomation(automation.id);
+        });
+
+        elements.automationsList.appendChild(item);
+    });
+}
+
+// Formats a timestamp for a datetime-local input
+function toDateTimeLocal(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Shows the form for a new automation, or for editing the given one
+function showAutomationForm(automation = null) {
+    const form = elements.automationForm;
+
+    if (automation === false) {
+        form.classList.add('hidden');
+        elements.addAutomationBtn.classList.remove('hidden');
+        return;
+    }
+
+    form.reset();
+    form.dataset.automationId = automation ? automation.id : '';
+    elements.automationTitleInput.value = automation ? automation.title : '';
+    elements.automationInstructionsInput.value = automation ? automation.instructions : '';
+    elements.automationTimeInput.value = toDateTimeLocal(automation ? automation.executeTime : Date.now() + HOUR_MS);
+    elements.automationMinutesInput.value = automation?.recurrence.minutes || 0;
+    elements.automationHoursInput.value = automation?.recurrence.hours || 0;
+    elements.automationDaysInput.value = automation?.recurrence.days || 0;
+    elements.automationSubmitBtn.textContent = automation ? 'Save' : 'Add';
+    elements.automationFormError.textContent = '';
+
+    form.classList.remove('hidden');
+    elements.addAutomationBtn.classList.add('hidden');
+    elements.automationTitleInput.focus();
+}
+
+function submitAutomationForm() {
+    const title = elements.automationTitleInput.value.trim();
+    const instructions = elements.automationInstructionsInput.value.trim();
+    const executeTime = new Date(elements.automationTimeInput.value).getTime();
+    const recurrence = {
+        minutes: Math.max(0, parseInt(elements.automationMinutesInput.value, 10) || 0),
+        hours: Math.max(0, parseInt(elements.automationHoursInput.value, 10) || 0),
+        days: Math.max(0, parseInt(elements.automationDaysInput.value, 10) || 0)
+    };
+
+    if (!title || !instructions) {
+        elements.automationFormError.textContent = 'Enter a title and instructions';
+        return;
+    }
+    if (Number.isNaN(executeTime)) {
+        elements.automationFormError.textContent = 'Choose when the automation should run';
+        return;
+    }
+
+    const id = elements.automationForm.dataset.automationId;
+    const existing = state.automations.find(a => a.id === id);
+
+    saveAutomation({
+        id: id || null,
+        title,
+        instructions,
+        executeTime,
+        recurrence,
+        enabled: existing ? existing.enabled : true
+    });
+    showAutomationForm(false);
+}
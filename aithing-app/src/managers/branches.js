@@ -0,0 +1,201 @@
+// AIThing - Message Branches
+// Regenerating replies and editing sent messages, keeping earlier versions to flip between
+
+// =============================================================================
+// HISTORY TREE
+// =============================================================================
+
+// A chat's `history` is always the version being shown. Where a message was
+// regenerated or edited, the first item of that point carries `branches`:
+// every version of the conversation from there on, as ChatItem lists, with
+// null in place of the version that is in `history`. Branched-off versions
+// can contain forks of their own.
+
+// User messages, as opposed to tool results sent back to the model
+function isUserMessage(item) {
+    return item.role === 'user' && !(item.payloads || []).every(payload => payload.type === 'toolResult');
+}
+
+// Index of the first item of the reply containing `index`
+function replyStartIndex(chatHistory, index) {
+    let start = index;
+    while (start > 0 && !isUserMessage(chatHistory[start - 1])) start--;
+    return start;
+}
+
+// Moves everything from `index` on into a new branch, leaving room for a new
+// version at the end. Returns the fork for finishFork.
+function forkChatHistory(chatHistory, index) {
+    const tail = chatHistory.splice(index);
+    const branches = tail[0].branches || [null];
+    delete tail[0].branches;
+
+    const previous = branches.indexOf(null);
+    branches[previous] = tail;
+    branches.push(null);
+    return { index, previous, branches };
+}
+
+// Hangs the branches on the new version, or puts the previous version back
+// when nothing was generated (e.g. stopped before any output)
+function finishFork(chatHistory, { index, previous, branches }) {
+    if (chatHistory.length > index) {
+        chatHistory[index].branches = branches;
+        return;
+    }
+
+    branches.pop();
+    const tail = branches[previous];
+    branches[previous] = null;
+    if (branches.length > 1) tail[0].branches = branches;
+    chatHistory.push(...tail);
+}
+
+function switchBranch(index, offset) {
+    const chatHistory = state.chatHistory;
+    const branches = chatHistory[index]?.branches;
+    if (!branches || currentChatRun()) return;
+
+    const active = branches.indexOf(null);
+    const target = active + offset;
+    if (target < 0 || target >= branches.length) return;
+
+    const tail = chatHistory.splice(index);
+    delete tail[0].branches;
+    branches[active] = tail;
+
+    const next = branches[target];
+    branches[target] = null;
+    next[0].branches = branches;
+    chatHistory.push(...next);
+
+    updateMessages();
+    saveCurrentHistory();
+}
+
+// =============================================================================
+// ACTIONS
+// =============================================================================
+
+async function regenerateReply(index) {
+    const chatId = state.currentTabId;
+    if (state.chatRuns[chatId]) return;
+
+    const chatHistory = state.chatHistory;
+    const fork = forkChatHistory(chatHistory, replyStartIndex(chatHistory, index));
+    await runChat(chatId, chatHistory, state.chatModel || state.selectedModel, fork);
+}
+
+function startEditingMessage(messageId) {
+    state.editingMessageId = messageId;
+    updateMessages();
+    elements.messages.querySelector('.message-editor textarea')?.focus();
+}
+
+function cancelEditingMessage() {
+    state.editingMessageId = null;
+    updateMessages();
+}
+
+// Sends the edited message as a new version, keeping its files and images
+async function resendEditedMessage(index, text) {
+    const chatId = state.currentTabId;
+    if (state.chatRuns[chatId]) return;
+    state.editingMessageId = null;
+
+    if (!text.trim()) {
+        updateMessages();
+        return;
+    }
+
+    const chatHistory = state.chatHistory;
+    const original = chatHistory[index];
+    const fork = forkChatHistory(chatHistory, index);
+    chatHistory.push({
+        id: generateUUID(),
+        role: 'user',
+        payloads: original.payloads.map(payload => payload.type === 'text' ? { ...payload, text } : payload),
+        // Listed right away so the earlier version is saved with the new one
+        branches: fork.branches
+    });
+
+    await runChat(chatId, chatHistory, state.chatModel || state.selectedModel, fork);
+}
+
+// =============================================================================
+// MESSAGE UI
+// =============================================================================
+
+function createMessageEditor(index, text) {
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+    editor.innerHTML = `
+        <textarea rows="3"></textarea>
+        <div class="message-editor-actions">
+            <button class="agent-action-btn message-editor-cancel">Cancel</button>
+            <button class="agent-action-btn message-editor-send">Send</button>
+        </div>
+    `;
+
+    const textarea = editor.querySelector('textarea');
+    textarea.value = text;
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            resendEditedMessage(index, textarea.value);
+        } else if (e.key === 'Escape') {
+            cancelEditingMessage();
+        }
+    });
+    editor.querySelector('.message-editor-cancel').addEventListener('click', cancelEditingMessage);
+    editor.querySelector('.message-editor-send').addEventListener('click', () => resendEditedMessage(index, textarea.value));
+    return editor;
+}
+
+// Edit on user messages, regenerate at the end of each reply, and the branch
+// switcher wherever there are several versions. Null when there is nothing to show.
+function createMessageActions(index) {
+    const chatHistory = state.chatHistory;
+    const item = chatHistory[index];
+    const next = chatHistory[index + 1];
+
+    let forkIndex;
+    if (isUserMessage(item)) {
+        if (item.id === state.editingMessageId) return null;
+        forkIndex = index;
+    } else if (item.role === 'assistant' && (!next || isUserMessage(next))) {
+        forkIndex = replyStartIndex(chatHistory, index);
+    } else {
+        return null;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+
+    const branches = chatHistory[forkIndex].branches;
+    if (branches) {
+        const active = branches.indexOf(null);
+        actions.innerHTML = `
+            <button class="message-action-btn branch-prev" title="Previous version"${active === 0 ? ' disabled' : ''}>‹</button>
+            <span class="message-branch">${active + 1}/${branches.length}</span>
+            <button class="message-action-btn branch-next" title="Next version"${active === branches.length - 1 ? ' disabled' : ''}>›</button>
+        `;
+        actions.querySelector('.branch-prev').addEventListener('click', () => switchBranch(forkIndex, -1));
+        actions.querySelector('.branch-next').addEventListener('click', () => switchBranch(forkIndex, 1));
+    }
+
+    const button = document.createElement('button');
+    button.className = 'message-action-btn';
+    if (item.role === 'user') {
+        button.textContent = 'Edit';
+        button.title = 'Edit and send again';
+        button.addEventListener('click', () => startEditingMessage(item.id));
+    } else {
+        button.textContent = 'Regenerate';
+        button.title = 'Generate this reply again with the selected model';
+        button.addEventListener('click', () => regenerateReply(index));
+    }
+    actions.appendChild(button);
+
+    return actions;
+}
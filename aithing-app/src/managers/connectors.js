@@ -0,0 +1,387 @@
+// AIThing - Connectors
+// Google Workspace and GitHub agents signed in with OAuth (matching Swift GoogleAuthManager / GithubAuthManager)
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Each toolset asks for its scopes and offers only its tools from the
+// connector's MCP server (GoogleToolModels / GithubToolModels)
+const CONNECTORS = {
+    google: {
+        name: 'Google Workspace',
+        authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        // Google only issues a refresh token for offline access, and only on consent
+        params: { access_type: 'offline', prompt: 'consent' },
+        baseScopes: [
+            'https://www.googleapis.com/auth/userinfo.email',
+            'https://www.googleapis.com/auth/userinfo.profile',
+            'openid'
+        ],
+        serverUrl: 'http://localhost:8000/mcp',
+        toolsets: {
+            gmail: {
+                name: 'Gmail',
+                scopes: [
+                    'https://www.googleapis.com/auth/gmail.readonly',
+                    'https://www.googleapis.com/auth/gmail.send',
+                    'https://www.googleapis.com/auth/gmail.compose',
+                    'https://www.googleapis.com/auth/gmail.modify',
+                    'https://www.googleapis.com/auth/gmail.labels'
+                ],
+                tools: [
+                    'search_gmail_messages', 'get_gmail_message_content', 'get_gmail_messages_content_batch',
+                    'send_gmail_message', 'get_gmail_thread_content', 'modify_gmail_message_labels',
+                    'list_gmail_labels', 'manage_gmail_label', 'draft_gmail_message',
+                    'get_gmail_threads_content_batch', 'batch_modify_gmail_message_labels'
+                ]
+            },
+            drive: {
+                name: 'Drive',
+                scopes: [
+                    'https://www.googleapis.com/auth/drive',
+                    'https://www.googleapis.com/auth/drive.readonly',
+                    'https://www.googleapis.com/auth/drive.file'
+                ],
+                tools: [
+                    'search_drive_files', 'get_drive_file_content', 'create_drive_file', 'list_drive_items',
+                    'get_drive_file_permissions', 'check_drive_file_public_access'
+                ]
+            },
+            calendar: {
+                name: 'Calendar',
+                scopes: [
+                    'https://www.googleapis.com/auth/calendar',
+                    'https://www.googleapis.com/auth/calendar.readonly',
+                    'https://www.googleapis.com/auth/calendar.events'
+                ],
+                tools: ['list_calendars', 'get_events', 'create_event', 'modify_event', 'delete_event']
+            },
+            docs: {
+                name: 'Docs',
+                scopes: [
+                    'https://www.googleapis.com/auth/documents.readonly',
+                    'https://www.googleapis.com/auth/documents'
+                ],
+                tools: [
+                    'get_doc_content', 'create_doc', 'modify_doc_text', 'export_doc_to_pdf', 'search_docs',
+                    'find_and_replace_doc', 'list_docs_in_folder', 'insert_doc_elements', 'insert_doc_image',
+                    'update_doc_headers_footers', 'batch_update_doc', 'inspect_doc_structure',
+                    'create_table_with_data', 'debug_table_structure', 'read_document_comments',
+                    'create_document_comment', 'reply_to_document_comment', 'resolve_document_comment'
+                ]
+            },
+            sheets: {
+                name: 'Sheets',
+                scopes: [
+                    'https://www.googleapis.com/auth/spreadsheets.readonly',
+                    'https://www.googleapis.com/auth/spreadsheets'
+                ],
+                tools: [
+                    'create_spreadsheet', 'read_sheet_values', 'modify_sheet_values', 'list_spreadsheets',
+                    'get_spreadsheet_info', 'create_sheet', 'read_spreadsheet_comments',
+                    'create_spreadsheet_comment', 'reply_to_spreadsheet_comment', 'resolve_spreadsheet_comment'
+                ]
+            },
+            forms: {
+                name: 'Forms',
+                scopes: [
+                    'https://www.googleapis.com/auth/forms.body',
+                    'https://www.googleapis.com/auth/forms.body.readonly',
+                    'https://www.googleapis.com/auth/forms.responses.readonly'
+                ],
+                tools: ['create_form', 'get_form', 'list_form_responses', 'set_publish_settings', 'get_form_response']
+            },
+            slides: {
+                name: 'Slides',
+                scopes: [
+                    'https://www.googleapis.com/auth/presentations',
+                    'https://www.googleapis.com/auth/presentations.readonly'
+                ],
+                tools: [
+                    'create_presentation', 'get_presentation', 'batch_update_presentation', 'get_page',
+                    'get_page_thumbnail', 'read_presentation_comments', 'create_presentation_comment',
+                    'reply_to_presentation_comment', 'resolve_presentation_comment'
+                ]
+            },
+            tasks: {
+                name: 'Tasks',
+                scopes: [
+                    'https://www.googleapis.com/auth/tasks',
+                    'https://www.googleapis.com/auth/tasks.readonly'
+                ],
+                tools: [
+                    'get_task', 'list_tasks', 'create_task', 'update_task', 'delete_task', 'list_task_lists',
+                    'get_task_list', 'create_task_list', 'update_task_list', 'delete_task_list', 'move_task',
+                    'clear_completed_tasks'
+                ]
+            }
+        }
+    },
+    github: {
+        name: 'GitHub',
+        authorizeUrl: 'https://github.com/login/oauth/authorize',
+        tokenUrl: 'https://github.com/login/oauth/access_token',
+        params: {},
+        baseScopes: ['read:user', 'user:email', 'read:org'],
+        serverUrl: 'https://api.githubcopilot.com/mcp/',
+        // Offered whichever toolsets are on
+        baseTools: ['get_me', 'get_team_members', 'get_teams'],
+        toolsets: {
+            actions: {
+                name: 'Actions',
+                scopes: ['workflow', 'repo'],
+                tools: [
+                    'cancel_workflow_run', 'delete_workflow_run_logs', 'download_workflow_run_artifact',
+                    'get_job_logs', 'get_workflow_run', 'get_workflow_run_logs', 'get_workflow_run_usage',
+                    'list_workflow_jobs', 'list_workflow_run_artifacts', 'list_workflow_runs', 'list_workflows',
+                    'rerun_failed_jobs', 'rerun_workflow_run', 'run_workflow'
+                ]
+            },
+            codeSecurity: {
+                name: 'Code Security',
+                scopes: ['security_events'],
+                tools: ['get_code_scanning_alert', 'list_code_scanning_alerts']
+            },
+            dependabot: {
+                name: 'Dependabot',
+                scopes: ['security_events'],
+                tools: ['get_dependabot_alert', 'list_dependabot_alerts']
+            },
+            discussions: {
+                name: 'Discussions',
+                scopes: ['repo', 'public_repo'],
+                tools: ['get_discussion', 'get_discussion_comments', 'list_discussion_categories', 'list_discussions']
+            },
+            gists: {
+                name: 'Gists',
+                scopes: ['gist'],
+                tools: ['create_gist', 'list_gists', 'update_gist']
+            },
+            issues: {
+                name: 'Issues',
+                scopes: ['repo', 'public_repo'],
+                tools: [
+                    'add_issue_comment', 'add_sub_issue', 'assign_copilot_to_issue', 'create_issue', 'get_issue',
+                    'get_issue_comments', 'list_issue_types', 'list_issues', 'list_sub_issues', 'remove_sub_issue',
+                    'reprioritize_sub_issue', 'search_issues', 'update_issue'
+                ]
+            },
+            notifications: {
+                name: 'Notifications',
+                scopes: ['notifications'],
+                tools: [
+                    'dismiss_notification', 'get_notification_details', 'list_notifications',
+                    'manage_notification_subscription', 'manage_repository_notification_subscription',
+                    'mark_all_notifications_read'
+                ]
+            },
+            orgs: {
+                name: 'Organizations',
+                scopes: ['read:org'],
+                tools: ['search_orgs']
+            },
+            pullRequests: {
+                name: 'Pull Requests',
+                scopes: ['repo', 'public_repo'],
+                tools: [
+                    'add_comment_to_pending_review', 'create_and_submit_pull_request_review',
+                    'create_pending_pull_request_review', 'create_pull_request', 'delete_pending_pull_request_review',
+                    'get_pull_request', 'get_pull_request_comments', 'get_pull_request_diff', 'get_pull_request_files',
+                    'get_pull_request_reviews', 'get_pull_request_status', 'list_pull_requests', 'merge_pull_request',
+                    'request_copilot_review', 'search_pull_requests', 'submit_pending_pull_request_review',
+                    'update_pull_request', 'update_pull_request_branch'
+                ]
+            },
+            repos: {
+                name: 'Repositories',
+                scopes: ['repo', 'public_repo'],
+                tools: [
+                    'create_branch', 'create_or_update_file', 'create_repository', 'delete_file', 'fork_repository',
+                    'get_commit', 'get_file_contents', 'get_latest_release', 'get_release_by_tag', 'get_tag',
+                    'list_branches', 'list_commits', 'list_releases', 'list_tags', 'push_files', 'search_code',
+                    'search_repositories'
+                ]
+            },
+            secretProtection: {
+                name: 'Secret Protection',
+                scopes: ['security_events'],
+                tools: ['get_secret_scanning_alert', 'list_secret_scanning_alerts']
+            },
+            securityAdvisories: {
+                name: 'Security Advisories',
+                scopes: ['repo', 'read:org'],
+                tools: [
+                    'get_global_security_advisory', 'list_global_security_advisories',
+                    'list_org_repository_security_advisories', 'list_repository_security_advisories'
+                ]
+            },
+            users: {
+                name: 'Users',
+                scopes: ['read:user'],
+                tools: ['search_users']
+            }
+        }
+    }
+};
+
+// =============================================================================
+// SIGN-IN
+// =============================================================================
+
+// Connector agents are kept in state.agents like any other, with { connector,
+// clientId, toolsets } and, to sign in somewhere else (a mock server, say),
+// authorizeUrl / tokenUrl. Their tokens are kept by the backend under the agent id.
+
+function connectorScopes(agent) {
+    const connector = CONNECTORS[agent.connector];
+    const scopes = new Set(connector.baseScopes);
+    agent.toolsets.forEach(id => connector.toolsets[id]?.scopes.forEach(scope => scopes.add(scope)));
+    return Array.from(scopes);
+}
+
+// Whether the agent offers a tool its server lists; other agents offer them all
+function connectorAllowsTool(agent, toolName) {
+    const connector = CONNECTORS[agent.connector];
+    if (!connector) return true;
+    return (connector.baseTools || []).includes(toolName) ||
+        agent.toolsets.some(id => connector.toolsets[id]?.tools.includes(toolName));
+}
+
+function connectorClient(agent, clientSecret) {
+    const connector = CONNECTORS[agent.connector];
+    return {
+        authorize_url: agent.authorizeUrl || connector.authorizeUrl,
+        token_url: agent.tokenUrl || connector.tokenUrl,
+        client_id: agent.clientId,
+        client_secret: clientSecret || null,
+        scopes: connectorScopes(agent),
+        params: connector.params
+    };
+}
+
+// Headers for the agent's MCP requests, with a current access token
+async function connectorAuthHeaders(agent) {
+    const token = await invoke('oauth_access_token', { connector: agent.id });
+    return { 'Authorization': `Bearer ${token}` };
+}
+
+function signOutConnector(agentId) {
+    invoke('oauth_disconnect', { connector: agentId })
+        .catch(error => console.error('Failed to sign out:', error));
+}
+
+// =============================================================================
+// AGENTS PANEL
+// =============================================================================
+
+function connectorDescription(agent) {
+    const connector = CONNECTORS[agent.connector];
+    const toolsets = agent.toolsets.map(id => connector.toolsets[id]?.name).filter(Boolean);
+    return `${toolsets.join(', ')} · ${agent.url}`;
+}
+
+// Shows the form for a new connector, or for signing an existing one in again
+function showConnectorForm(agent = null) {
+    const form = elements.connectorForm;
+
+    if (agent === false) {
+        form.classList.add('hidden');
+        elements.addConnectorBtn.classList.remove('hidden');
+        return;
+    }
+
+    form.reset();
+    form.dataset.agentId = agent ? agent.id : '';
+    elements.connectorServiceInput.value = agent ? agent.connector : 'google';
+    elements.connectorServiceInput.disabled = Boolean(agent);
+    elements.connectorClientIdInput.value = agent ? agent.clientId : '';
+    elements.connectorClientSecretInput.placeholder = agent ? 'Unchanged' : 'Only if the OAuth client has one';
+    elements.connectorUrlInput.value = agent ? agent.url : '';
+    elements.connectorAuthorizeUrlInput.value = agent?.authorizeUrl || '';
+    elements.connectorTokenUrlInput.value = agent?.tokenUrl || '';
+    elements.connectorFormError.textContent = '';
+    updateConnectorFormFields(agent ? agent.toolsets : null);
+
+    form.classList.remove('hidden');
+    elements.addConnectorBtn.classList.add('hidden');
+    elements.connectorClientIdInput.focus();
+}
+
+// Placeholders and toolset checkboxes for the chosen service; all toolsets
+// start on for a new connector
+function updateConnectorFormFields(toolsets = null) {
+    const connector = CONNECTORS[elements.connectorServiceInput.value];
+    elements.connectorUrlInput.placeholder = connector.serverUrl;
+    elements.connectorAuthorizeUrlInput.placeholder = connector.authorizeUrl;
+    elements.connectorTokenUrlInput.placeholder = connector.tokenUrl;
+
+    elements.connectorToolsets.innerHTML = Object.entries(connector.toolsets).map(([id, toolset]) => `
+        <label class="agent-tool">
+            <input type="checkbox" data-toolset="${escapeHtml(id)}" ${!toolsets || toolsets.includes(id) ? 'checked' : ''}>
+            <span>${escapeHtml(toolset.name)}</span>
+        </label>`
+    ).join('');
+}
+
+function cancelConnectorForm() {
+    invoke('oauth_cancel').catch(() => {});
+    showConnectorForm(false);
+}
+
+async function submitConnectorForm() {
+    const agentId = elements.connectorForm.dataset.agentId;
+    const existing = state.agents.find(agent => agent.id === agentId) || null;
+    const connectorId = elements.connectorServiceInput.value;
+    const config = {
+        name: CONNECTORS[connectorId].name,
+        transport: 'http',
+        url: elements.connectorUrlInput.value.trim() || CONNECTORS[connectorId].serverUrl,
+        headers: existing?.headers || {},
+        connector: connectorId,
+        clientId: elements.connectorClientIdInput.value.trim(),
+        authorizeUrl: elements.connectorAuthorizeUrlInput.value.trim() || null,
+        tokenUrl: elements.connectorTokenUrlInput.value.trim() || null,
+        toolsets: Array.from(elements.connectorToolsets.querySelectorAll('input:checked')).map(input => input.dataset.toolset)
+    };
+
+    if (!config.clientId) {
+        elements.connectorFormError.textContent = 'Enter the OAuth client ID';
+        return;
+    }
+    if (![config.url, config.authorizeUrl, config.tokenUrl].every(url => !url || /^https?:\/\//.test(url))) {
+        elements.connectorFormError.textContent = 'Enter http(s) URLs';
+        return;
+    }
+    if (config.toolsets.length === 0) {
+        elements.connectorFormError.textContent = 'Choose at least one toolset';
+        return;
+    }
+
+    const id = existing ? existing.id : generateUUID();
+    elements.connectorFormError.textContent = '';
+    elements.connectorSubmitBtn.disabled = true;
+    elements.connectorSubmitBtn.textContent = 'Waiting for browser...';
+    try {
+        await invoke('oauth_connect', {
+            connector: id,
+            client: connectorClient({ id, ...config }, elements.connectorClientSecretInput.value.trim())
+        });
+    } catch (error) {
+        elements.connectorFormError.textContent = String(error);
+        return;
+    } finally {
+        elements.connectorSubmitBtn.disabled = false;
+        elements.connectorSubmitBtn.textContent = 'Sign in';
+    }
+
+    showConnectorForm(false);
+    if (existing) {
+        Object.assign(existing, config, { enabled: true });
+        saveSettings();
+        await connectAgent(existing);
+    } else {
+        await addAgent({ id, ...config });
+    }
+}
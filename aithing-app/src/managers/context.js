@@ -0,0 +1,156 @@
+// AIThing - Context Window
+// Fitting long chats into the model's context window by summarizing older turns
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Chats are summarized once they fill this share of the model's input room...
+const CONTEXT_SUMMARY_THRESHOLD = 0.8;
+// ...keeping as many recent turns as fit in this share
+const CONTEXT_KEEP_SHARE = 0.4;
+
+// Providers charge images by size; this is about what a screenshot costs
+const IMAGE_TOKENS = 1600;
+
+const SUMMARY_MAX_TOKENS = 2048;
+const SUMMARY_PROMPT = 'Summarize the conversation below so it can be continued without it. Keep the goals, decisions, facts, names, numbers and code that later messages may rely on, and anything left open. Reply with the summary only.';
+const OMITTED_CONTEXT_NOTE = 'Earlier messages of this conversation were left out to fit the context window.';
+
+// =============================================================================
+// HISTORY
+// =============================================================================
+
+// Once a chat has been summarized, the first item still sent to the model
+// carries `summary`: { text } standing in for every item before it. The text
+// is empty when they couldn't be summarized and were left out instead.
+// Summarized items stay in the history, so they are still shown and exported.
+function contextStartIndex(chatHistory) {
+    for (let index = chatHistory.length - 1; index > 0; index--) {
+        if (chatHistory[index].summary) return index;
+    }
+    return 0;
+}
+
+// The items sent to the model, with the summary ahead of the first one
+function contextItems(chatHistory) {
+    const start = contextStartIndex(chatHistory);
+    const items = chatHistory.slice(start);
+    const summary = items[0]?.summary;
+    if (!summary) return items;
+
+    const note = summary.text
+        ? `<summary>\nSummary of the earlier conversation:\n${summary.text}\n</summary>`
+        : OMITTED_CONTEXT_NOTE;
+    return [{ ...items[0], payloads: [{ type: 'text', text: note }, ...items[0].payloads] }, ...items.slice(1)];
+}
+
+function payloadTokens(payload) {
+    if (payload.type === 'imageBase64') return IMAGE_TOKENS;
+    if (payload.type === 'toolUse') return estimateTokens(payload.name + JSON.stringify(payload.input || {}));
+    if (payload.type === 'toolResult') return estimateTokens(String(payload.result || ''));
+    return estimateTokens(payload.text || '');
+}
+
+// Error bubbles are never sent
+function itemTokens(item) {
+    if (item.error) return 0;
+    return (item.payloads || []).reduce((sum, payload) => sum + payloadTokens(payload), 0);
+}
+
+// Room for the conversation: the window less what the reply may take
+function contextLimit(model) {
+    const { contextWindow } = modelCapabilities(findModel(model) || { id: model, provider: getProviderForModel(model) });
+    return contextWindow ? Math.max(contextWindow - DEFAULT_MAX_TOKENS, 0) : null;
+}
+
+// =============================================================================
+// SUMMARIZING
+// =============================================================================
+
+// The turns being summarized as plain text, most recent last. Files, images
+// and tool calls are written out the way models without them are sent them.
+function transcriptText(items) {
+    return items.filter(item => !item.error).map(item => {
+        const text = item.payloads
+            .map(payload => payloadText(modelInputPayload(payload, { vision: false, tools: false })))
+            .filter(Boolean)
+            .join('\n');
+        return `${item.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+    }).join('\n\n');
+}
+
+async function summarizeTranscript(transcript, model, signal) {
+    const provider = getProviderForModel(model);
+    const response = await streamModelResponse({
+        providerId: provider,
+        apiKey: state.apiKeys[provider],
+        model,
+        messages: [{ role: 'user', payloads: [{ type: 'text', text: `${SUMMARY_PROMPT}\n\n${transcript}` }] }],
+        maxTokens: SUMMARY_MAX_TOKENS,
+        signal
+    });
+    recordUsage(model, provider, response.usage);
+    return response.text.trim();
+}
+
+// Summarizes the oldest turns when the chat no longer comfortably fits the
+// model, keeping the most recent ones whole. Conversations are only cut
+// ahead of a user message, so tool calls stay next to their results. Turns
+// that can't be summarized are left out instead. Returns whether it cut.
+async function fitContextWindow(chatHistory, model, signal) {
+    const limit = contextLimit(model);
+    const start = contextStartIndex(chatHistory);
+    const items = contextItems(chatHistory);
+    const tokens = items.reduce((sum, item) => sum + itemTokens(item), 0);
+    if (!limit || tokens <= limit * CONTEXT_SUMMARY_THRESHOLD) return false;
+
+    // Latest user message from which the rest fits, or the last one if none does
+    let cut = null;
+    let kept = 0;
+    for (let index = chatHistory.length - 1; index > start; index--) {
+        kept += itemTokens(chatHistory[index]);
+        if (!isUserMessage(chatHistory[index])) continue;
+        if (cut !== null && kept > limit * CONTEXT_KEEP_SHARE) break;
+        cut = index;
+    }
+    if (cut === null) return false;
+
+    // The summary has to fit alongside the turns it summarizes; if they don't,
+    // the oldest of them are the ones left out
+    const maxChars = Math.max(limit - SUMMARY_MAX_TOKENS, 0) * CHARS_PER_TOKEN;
+    const transcript = transcriptText(items.slice(0, cut - start)).slice(-maxChars);
+
+    let text = '';
+    try {
+        text = await summarizeTranscript(transcript, model, signal);
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error('Failed to summarize the conversation:', error);
+    }
+
+    chatHistory[cut].summary = { text };
+    return true;
+}
+
+// =============================================================================
+// MESSAGE UI
+// =============================================================================
+
+// Shown above the first message still sent to the model
+function createSummaryDivider(item, count) {
+    const divider = document.createElement('details');
+    divider.className = 'context-summary';
+    const label = item.summary.text
+        ? `${count} earlier ${count === 1 ? 'message' : 'messages'} summarized to fit the context window`
+        : `${count} earlier ${count === 1 ? 'message' : 'messages'} left out to fit the context window`;
+    divider.innerHTML = `<summary>${label}</summary>`;
+
+    if (item.summary.text) {
+        const content = document.createElement('div');
+        content.className = 'context-summary-content';
+        content.innerHTML = renderMarkdown(item.summary.text);
+        divider.appendChild(content);
+    }
+    return divider;
+}
@@ -0,0 +1,168 @@
+// AIThing - Custom Providers
+// Model servers the user adds: OpenAI-compatible endpoints and Ollama, local or remote
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Where each kind of server listens when run locally with its defaults
+const CUSTOM_PROVIDER_DEFAULT_URLS = {
+    openai: 'http://localhost:1234/v1',
+    ollama: 'http://localhost:11434'
+};
+
+const CUSTOM_PROVIDER_PROTOCOL_NAMES = {
+    openai: 'OpenAI-compatible',
+    ollama: 'Ollama'
+};
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+// state.customProviders holds { id, name, protocol, baseUrl }; keys, when a
+// server needs one, are kept with the others in state.apiKeys under the id
+
+function findCustomProvider(providerId) {
+    return state.customProviders.find(provider => provider.id === providerId) || null;
+}
+
+function isCustomProvider(providerId) {
+    return Boolean(findCustomProvider(providerId));
+}
+
+function customProviderBaseUrl(provider) {
+    return provider.baseUrl.trim().replace(/\/+$/, '');
+}
+
+function saveCustomProvider({ id, name, protocol, baseUrl, apiKey }) {
+    let provider = findCustomProvider(id);
+    if (provider) {
+        Object.assign(provider, { name, protocol, baseUrl });
+        // A different server has a different model list
+        delete state.modelCatalog[provider.id];
+        saveModelCatalog();
+    } else {
+        provider = { id: generateUUID(), name, protocol, baseUrl };
+        state.customProviders.push(provider);
+    }
+
+    if (apiKey) {
+        state.apiKeys[provider.id] = apiKey;
+    } else {
+        delete state.apiKeys[provider.id];
+    }
+    saveApiKeys();
+    saveSettings();
+    updateModelsList();
+    refreshModelCatalog(provider.id, true);
+}
+
+// Its models go too; chats that used them keep their replies
+function deleteCustomProvider(providerId) {
+    state.customProviders = state.customProviders.filter(provider => provider.id !== providerId);
+    state.customModels = state.customModels.filter(model => model.provider !== providerId);
+    state.pinnedModels = state.pinnedModels.filter(id => findModel(id));
+    delete state.modelCatalog[providerId];
+    modelCatalogErrors.delete(providerId);
+
+    if (state.apiKeys[providerId]) {
+        delete state.apiKeys[providerId];
+        saveApiKeys();
+    }
+    saveModelCatalog();
+    saveSettings();
+    updateModelsList();
+}
+
+// =============================================================================
+// MODELS PANEL
+// =============================================================================
+
+function updateCustomProvidersList() {
+    elements.customProvidersList.innerHTML = '';
+
+    state.customProviders.forEach(provider => {
+        const group = document.createElement('div');
+        group.className = 'model-group';
+        group.innerHTML = `
+            <div class="model-group-header custom-provider-header">
+                <span>${escapeHtml(provider.name)} · ${escapeHtml(CUSTOM_PROVIDER_PROTOCOL_NAMES[provider.protocol] || provider.protocol)}</span>
+                <div class="agent-actions">
+                    <button class="agent-action-btn custom-provider-edit" title="Edit">Edit</button>
+                    <button class="agent-action-btn custom-provider-delete" title="Delete">Delete</button>
+                </div>
+            </div>
+            <div class="model-list"></div>
+            <span class="api-key-hint">${escapeHtml(customProviderBaseUrl(provider))}</span>
+        `;
+
+        group.querySelector('.custom-provider-edit').addEventListener('click', () => showCustomProviderForm(provider));
+        group.querySelector('.custom-provider-delete').addEventListener('click', () => deleteCustomProvider(provider.id));
+        renderProviderModels(provider.id, group.querySelector('.model-list'));
+
+        elements.customProvidersList.appendChild(group);
+    });
+
+    // Custom model IDs can be added to these servers too
+    const selected = elements.customModelProvider.value;
+    elements.customModelProvider.innerHTML = modelProviderIds().map(providerId =>
+        `<option value="${escapeHtml(providerId)}">${escapeHtml(providerDisplayName(providerId))}</option>`
+    ).join('');
+    elements.customModelProvider.value = modelProviderIds().includes(selected) ? selected : MODEL_PROVIDERS[0];
+}
+
+// Shows the form for a new provider, or for editing the given one
+function showCustomProviderForm(provider = null) {
+    const form = elements.customProviderForm;
+
+    if (provider === false) {
+        form.classList.add('hidden');
+        elements.addCustomProviderBtn.classList.remove('hidden');
+        return;
+    }
+
+    form.reset();
+    form.dataset.providerId = provider ? provider.id : '';
+    elements.customProviderNameInput.value = provider ? provider.name : '';
+    elements.customProviderProtocolInput.value = provider ? provider.protocol : 'ollama';
+    elements.customProviderUrlInput.value = provider ? provider.baseUrl : '';
+    elements.customProviderKeyInput.value = provider ? state.apiKeys[provider.id] || '' : '';
+    elements.customProviderSubmitBtn.textContent = provider ? 'Save' : 'Add';
+    elements.customProviderFormError.textContent = '';
+    updateCustomProviderUrlPlaceholder();
+
+    form.classList.remove('hidden');
+    elements.addCustomProviderBtn.classList.add('hidden');
+    elements.customProviderNameInput.focus();
+}
+
+function updateCustomProviderUrlPlaceholder() {
+    elements.customProviderUrlInput.placeholder = CUSTOM_PROVIDER_DEFAULT_URLS[elements.customProviderProtocolInput.value];
+}
+
+function submitCustomProviderForm() {
+    const protocol = elements.customProviderProtocolInput.value;
+    const name = elements.customProviderNameInput.value.trim() || CUSTOM_PROVIDER_PROTOCOL_NAMES[protocol];
+    const baseUrl = elements.customProviderUrlInput.value.trim() || CUSTOM_PROVIDER_DEFAULT_URLS[protocol];
+
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch (e) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        elements.customProviderFormError.textContent = 'Enter an http:// or https:// URL';
+        return;
+    }
+
+    saveCustomProvider({
+        id: elements.customProviderForm.dataset.providerId || null,
+        name,
+        protocol,
+        baseUrl,
+        apiKey: elements.customProviderKeyInput.value.trim()
+    });
+    showCustomProviderForm(false);
+}
@@ -0,0 +1,219 @@
+// AIThing - Document Ingestion
+// Dropped files, screen captures and selected text, attached to the next message
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// A single file may take up this share of the model's context window...
+const DOCUMENT_CONTEXT_SHARE = 0.25;
+// ...but never more than this, nor more than this when the window is unknown
+const MAX_DOCUMENT_TOKENS = 50000;
+
+// Same rough average the backend uses when chunking
+const CHARS_PER_TOKEN = 4;
+
+function documentIcon(className, size) {
+    return `
+        <svg class="${className}" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+            <polyline points="14 2 14 8 20 8"/>
+            <line x1="16" y1="13" x2="8" y2="13"/>
+            <line x1="16" y1="17" x2="8" y2="17"/>
+            <polyline points="10 9 9 9 8 9"/>
+        </svg>`;
+}
+
+// =============================================================================
+// INGESTION
+// =============================================================================
+
+function documentTokenBudget() {
+    const model = state.chatModel || state.selectedModel;
+    const { contextWindow } = modelCapabilities(findModel(model) || { id: model, provider: getProviderForModel(model) });
+    if (!contextWindow) return MAX_DOCUMENT_TOKENS;
+    return Math.min(MAX_DOCUMENT_TOKENS, Math.floor(contextWindow * DOCUMENT_CONTEXT_SHARE));
+}
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function formatTokenCount(tokens) {
+    return `~${tokens < 1000 ? tokens : formatContextWindow(tokens)}`;
+}
+
+// Adds a pill per path right away and fills it in once the backend has read the file
+async function ingestFiles(paths) {
+    for (const path of paths) {
+        const item = { name: path.split(/[\\/]/).pop(), status: 'reading' };
+        state.modelContext.push(item);
+        updateContextItems();
+
+        try {
+            const extracted = await invoke('ingest_file', { path, tokenBudget: documentTokenBudget() });
+            Object.assign(item, extracted, { status: 'ready' });
+        } catch (error) {
+            console.error(`Failed to read ${path}:`, error);
+            Object.assign(item, { status: 'error', error: String(error) });
+        }
+        updateContextItems();
+    }
+}
+
+function setupDragAndDrop() {
+    const dropZone = elements.inputContainer;
+
+    // Tauri handles native drops itself, so the webview never sees the files
+    getCurrentWebview().onDragDropEvent((event) => {
+        const { type, paths } = event.payload;
+        dropZone.classList.toggle('dropping', type === 'enter' || type === 'over');
+        if (type === 'drop' && paths.length > 0) {
+            ingestFiles(paths);
+        }
+    });
+}
+
+// =============================================================================
+// CAPTURED CONTEXT
+// =============================================================================
+
+// Screenshots and selected text arrive from the backend already extracted
+function addCapturedContext(captured) {
+    // Only the latest selection is kept
+    if (captured.kind === 'selection') {
+        state.modelContext = state.modelContext.filter(item => item.kind !== 'selection');
+    }
+    state.modelContext.push({ ...captured, status: 'ready' });
+    updateContextItems();
+}
+
+// The capture itself comes back through addCapturedContext
+async function captureScreen(region) {
+    elements.captureScreenBtn.classList.add('active');
+    try {
+        await invoke('capture_screen', { region });
+    } catch (error) {
+        console.error('Failed to capture screen:', error);
+        state.modelContext.push({ name: 'Screen capture', status: 'error', error: String(error) });
+        updateContextItems();
+    } finally {
+        elements.captureScreenBtn.classList.remove('active');
+    }
+}
+
+async function setScreenshotWatch(enabled) {
+    try {
+        await invoke('set_screenshot_watch', { enabled });
+    } catch (error) {
+        console.error('Failed to update screenshot watching:', error);
+    }
+}
+
+async function setSelectionWatch(enabled) {
+    if (!enabled) {
+        state.modelContext = state.modelContext.filter(item => item.kind !== 'selection');
+        updateContextItems();
+    }
+    try {
+        await invoke('set_selection_watch', { enabled });
+    } catch (error) {
+        console.error('Failed to update text selection:', error);
+    }
+}
+
+// =============================================================================
+// MESSAGE CONTEXT
+// =============================================================================
+
+// Payloads for everything that has been read, removing it from the context.
+// Files still being read stay for the next message; failed ones are dropped.
+function takeContextPayloads() {
+    const payloads = [];
+    state.modelContext.forEach(item => {
+        if (item.status !== 'ready') return;
+        if (item.kind === 'image') {
+            payloads.push({ type: 'imageBase64', name: item.name, media: item.media, image: item.image });
+            return;
+        }
+        item.chunks.forEach(chunk => {
+            payloads.push({
+                type: 'textWithName',
+                name: chunk.label ? `${item.name} (${chunk.label})` : item.name,
+                text: chunk.text
+            });
+        });
+    });
+
+    state.modelContext = state.modelContext.filter(item => item.status === 'reading');
+    updateContextItems();
+    return payloads;
+}
+
+function contextItemDetails(item) {
+    if (item.status === 'reading') return 'Reading…';
+    if (item.status === 'error') return item.error;
+
+    const details = [item.summary];
+    if (item.language) details.unshift(item.language);
+    // Only the start of files over the budget is sent
+    details.push(item.truncated
+        ? `${formatTokenCount(item.tokens)} of ${formatTokenCount(item.totalTokens)} tokens`
+        : `${formatTokenCount(item.tokens)} tokens`);
+    return details.join(' · ');
+}
+
+// Attached file as shown in the conversation
+function createFileBubble(payload) {
+    const fileDiv = document.createElement('div');
+    fileDiv.className = 'file-bubble';
+    fileDiv.innerHTML = `
+        ${documentIcon('file-bubble-icon', 24)}
+        <div class="file-bubble-info">
+            <div class="file-bubble-name">${escapeHtml(payload.name)}</div>
+            <div class="file-bubble-size">${formatTokenCount(estimateTokens(payload.text))} tokens</div>
+        </div>
+    `;
+    return fileDiv;
+}
+
+function updateContextItems() {
+    elements.contextItems.innerHTML = '';
+
+    state.modelContext.forEach(item => {
+        const contextItem = document.createElement('div');
+        contextItem.className = `context-item ${item.status}`;
+        // Hovering shows the full error, or which parts of a chunked file are sent
+        if (item.status === 'error') {
+            contextItem.title = item.error;
+        } else if (item.chunks?.length > 1) {
+            contextItem.title = item.chunks.map(chunk => chunk.label).join('\n');
+        }
+
+        const preview = item.kind === 'image'
+            ? `<img class="context-item-preview" src="data:${escapeHtml(item.media)};base64,${escapeHtml(item.image)}" alt="${escapeHtml(item.name)}">`
+            : documentIcon('context-item-preview', 40);
+
+        contextItem.innerHTML = `
+            ${preview}
+            <div class="context-item-info">
+                <span class="context-item-name">${escapeHtml(item.name)}</span>
+                <span class="context-item-details">${escapeHtml(contextItemDetails(item))}</span>
+            </div>
+            <button class="context-item-remove" title="Remove">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>
+        `;
+
+        contextItem.querySelector('.context-item-remove').addEventListener('click', () => {
+            state.modelContext = state.modelContext.filter(other => other !== item);
+            updateContextItems();
+        });
+
+        elements.contextItems.appendChild(contextItem);
+    });
+    updateTokenEstimate();
+}
@@ -0,0 +1,509 @@
+// AIThing - Chat Export & Import
+// Markdown, JSON and HTML export; import reads our JSON and Swift app histories
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const CHAT_EXPORT_FORMAT = 'aithing-chats';
+const CHAT_EXPORT_VERSION = 1;
+// Imported image data goes into data: URLs, so it must be plain base64
+const BASE64_PATTERN = /^[A-Za-z0-9+/=]+$/;
+
+const exportFormats = {
+    markdown: { name: 'Markdown', extension: 'md', render: chatsToMarkdown },
+    json: { name: 'JSON', extension: 'json', render: chatsToJSON },
+    html: { name: 'HTML', extension: 'html', render: chatsToHTML }
+};
+
+// Chats ticked in the History settings panel
+const selectedExportIds = new Set();
+
+// =============================================================================
+// MARKDOWN
+// =============================================================================
+
+// Code fence long enough not to be closed by backticks inside the text
+function markdownFence(text, language = '') {
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function payloadToMarkdown(payload) {
+    switch (payload.type) {
+        case 'text':
+            return payload.text;
+        case 'textWithName':
+            return `**${payload.name}**\n\n${markdownFence(payload.text)}`;
+        case 'imageBase64':
+            return `![${payload.name || 'image'}](data:${payload.media};base64,${payload.image})`;
+        case 'toolUse':
+            return `**Tool call: ${payload.name}**\n\n${markdownFence(JSON.stringify(payload.input || {}, null, 2), 'json')}`;
+        case 'toolResult':
+            return `**Tool result: ${payload.name}**\n\n${markdownFence(payload.result)}`;
+        default:
+            return null;
+    }
+}
+
+// Tool results travel in user messages but are not written by the user
+function messageLabel(item) {
+    const payloads = item.payloads || [];
+    if (payloads.length > 0 && payloads.every(p => p.type === 'toolResult')) return 'Tool';
+    if (item.role === 'user') return 'User';
+    return item.model ? `Assistant (${item.model})` : 'Assistant';
+}
+
+function chatToMarkdown(chat) {
+    const sections = [`# ${chat.title || 'New Chat'}`, `_${formatDate(chat.lastUpdated)}_`];
+
+    (chat.history || []).forEach(item => {
+        const parts = (item.payloads || []).map(payloadToMarkdown).filter(Boolean);
+        if (parts.length === 0) return;
+        sections.push(`## ${messageLabel(item)}`, parts.join('\n\n'));
+    });
+
+    return sections.join('\n\n');
+}
+
+function chatsToMarkdown(chats) {
+    return chats.map(chatToMarkdown).join('\n\n---\n\n') + '\n';
+}
+
+// =============================================================================
+// JSON
+// =============================================================================
+
+// Lossless: chats are written exactly as stored ({ id, title, lastUpdated, history: [ChatItem] })
+function chatsToJSON(chats) {
+    return JSON.stringify({
+        format: CHAT_EXPORT_FORMAT,
+        version: CHAT_EXPORT_VERSION,
+        exportedAt: Date.now(),
+        chats
+    }, null, 2);
+}
+
+// =============================================================================
+// HTML
+// =============================================================================
+
+const HTML_EXPORT_STYLES = `
+    body { margin: 0; padding: 32px 16px; background: #111; color: rgba(255, 255, 255, 0.9); font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+    main { max-width: 800px; margin: 0 auto; }
+    h1 { font-size: 20px; margin: 0; }
+    .date { font-size: 12px; color: rgba(255, 255, 255, 0.4); margin-bottom: 24px; }
+    .chat + .chat { margin-top: 48px; padding-top: 32px; border-top: 1px solid rgba(255, 255, 255, 0.1); }
+    .message { margin: 12px 0; padding: 8px 12px; border-radius: 8px; word-wrap: break-word; }
+    .message.user { background: rgba(128, 128, 128, 0.15); margin-left: 48px; }
+    .role { font-size: 11px; font-weight: 600; color: rgba(255, 255, 255, 0.5); margin-bottom: 4px; }
+    img { max-width: 100%; border-radius: 8px; }
+    pre { background: rgba(255, 255, 255, 0.05); padding: 8px; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+    code { font-family: 'SF Mono', Monaco, monospace; font-size: 12px; }
+    .code-block-language { font-size: 11px; color: rgba(255, 255, 255, 0.4); }
+    blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid rgba(255, 255, 255, 0.2); color: rgba(255, 255, 255, 0.7); }
+    table { border-collapse: collapse; margin: 8px 0; }
+    th, td { border: 1px solid rgba(255, 255, 255, 0.15); padding: 4px 8px; }
+    .task-list { list-style: none; padding-left: 4px; }
+    .hl-comment { color: #7f848e; font-style: italic; }
+    .hl-keyword, .hl-tag { color: #c678dd; }
+    .hl-string, .hl-inserted { color: #98c379; }
+    .hl-number, .hl-literal { color: #d19a66; }
+    .hl-function { color: #61afef; }
+    .hl-type, .hl-attr, .hl-meta { color: #e5c07b; }
+    .hl-variable, .hl-deleted { color: #e06c75; }
+    details { margin: 4px 0; font-size: 12px; }
+    summary { cursor: pointer; color: rgba(255, 255, 255, 0.6); }
+`;
+
+function payloadToHTML(payload) {
+    switch (payload.type) {
+        case 'text':
+            // Copy buttons need the app's script, so exports leave them out
+            return `<div class="content">${renderMarkdown(payload.text).replace(/<button[^>]*class="code-copy-btn"[^>]*>Copy<\/button>/g, '')}</div>`;
+        case 'textWithName':
+            return `<details><summary>${escapeHtml(payload.name)}</summary><pre>${escapeHtml(payload.text)}</pre></details>`;
+        case 'imageBase64':
+            return `<img src="data:${escapeHtml(payload.media)};base64,${escapeHtml(payload.image)}" alt="${escapeHtml(payload.name || '')}">`;
+        case 'toolUse':
+            return `<details><summary>Tool call: ${escapeHtml(payload.name)}</summary><pre>${escapeHtml(JSON.stringify(payload.input || {}, null, 2))}</pre></details>`;
+        case 'toolResult':
+            return `<details><summary>Tool result: ${escapeHtml(payload.name)}</summary><pre>${escapeHtml(payload.result)}</pre></details>`;
+        default:
+            return '';
+    }
+}
+
+function chatToHTML(chat) {
+    const messages = (chat.history || []).map(item => {
+        const content = (item.payloads || []).map(payloadToHTML).join('');
+        if (!content) return '';
+        return `<div class="message ${item.role}"><div class="role">${escapeHtml(messageLabel(item))}</div>${content}</div>`;
+    }).join('\n');
+
+    return `<section class="chat">
+<h1>${escapeHtml(chat.title || 'New Chat')}</h1>
+<div class="date">${escapeHtml(formatDate(chat.lastUpdated))}</div>
+${messages}
+</section>`;
+}
+
+function chatsToHTML(chats) {
+    const title = chats.length === 1 ? chats[0].title || 'New Chat' : `${chats.length} chats`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)} - AIThing</title>
+<style>${HTML_EXPORT_STYLES}</style>
+</head>
+<body>
+<main>
+${chats.map(chatToHTML).join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+// Payload validation matching Swift ChatItem.dictionaryToPayload
+function importPayload(dict) {
+    if (!dict || typeof dict !== 'object') return null;
+    const isString = (value) => typeof value === 'string';
+
+    switch (dict.type) {
+        case 'text':
+            return isString(dict.text) ? { type: 'text', text: dict.text } : null;
+        case 'textWithName':
+            return isString(dict.name) && isString(dict.text)
+                ? { type: 'textWithName', name: dict.name, text: dict.text }
+                : null;
+        case 'imageBase64':
+            return isString(dict.name) && isString(dict.media) && isString(dict.image) && BASE64_PATTERN.test(dict.image)
+                ? { type: 'imageBase64', name: dict.name, media: dict.media, image: dict.image }
+                : null;
+        case 'toolUse':
+            return isString(dict.id) && isString(dict.name) && dict.input && typeof dict.input === 'object'
+                ? {
+                    type: 'toolUse',
+                    id: dict.id,
+                    name: dict.name,
+                    input: dict.input,
+                    // Gemini thought signature, kept so the chat can continue
+                    ...(isString(dict.signature) ? { signature: dict.signature } : {})
+                }
+                : null;
+        case 'toolResult':
+            return isString(dict.id) && isString(dict.name) && isString(dict.result)
+                ? { type: 'toolResult', id: dict.id, name: dict.name, result: dict.result }
+                : null;
+        default:
+            return null;
+    }
+}
+
+// Histories saved by old Swift builds used Anthropic content blocks
+// (Swift ChatItem.backwardDictionaryToPayload)
+function importLegacyContent(dict) {
+    if (!dict || typeof dict !== 'object') return null;
+
+    switch (dict.type) {
+        case 'text':
+            return typeof dict.text === 'string' ? { type: 'text', text: dict.text } : null;
+        case 'image':
+            return dict.source && typeof dict.source.data === 'string' && BASE64_PATTERN.test(dict.source.data)
+                ? { type: 'imageBase64', name: '', media: dict.source.media_type, image: dict.source.data }
+                : null;
+        case 'tool_use':
+            return typeof dict.id === 'string' && typeof dict.name === 'string' && dict.input
+                ? { type: 'toolUse', id: dict.id, name: dict.name, input: dict.input }
+                : null;
+        case 'tool_result':
+            return typeof dict.tool_use_id === 'string' && typeof dict.content?.text === 'string'
+                ? { type: 'toolResult', id: dict.tool_use_id, name: '', result: dict.content.text }
+                : null;
+        default:
+            return null;
+    }
+}
+
+// Token counts of a reply (see usage.js)
+function importUsage(usage) {
+    if (!usage || typeof usage !== 'object') return null;
+    const imported = {};
+    USAGE_FIELDS.forEach(field => {
+        if (Number.isFinite(usage[field])) imported[field] = usage[field];
+    });
+    return Object.keys(imported).length > 0 ? imported : null;
+}
+
+// Summary standing in for the items before it (see context.js)
+function importSummary(summary) {
+    if (!summary || typeof summary !== 'object' || typeof summary.text !== 'string') return null;
+    return { text: summary.text };
+}
+
+// Earlier versions of a conversation from one message on (see branches.js);
+// dropped unless exactly one slot stands for the version in the history
+function importBranches(branches) {
+    if (!Array.isArray(branches) || branches.filter(tail => tail === null).length !== 1) return null;
+
+    const imported = branches.map(tail => tail === null ? null : importChatItems(tail));
+    return imported.every(tail => tail === null || tail.length > 0) ? imported : null;
+}
+
+// Matching Swift ChatItem.fromDictionaries
+function importChatItems(dicts) {
+    if (!Array.isArray(dicts)) return [];
+
+    return dicts
+        .filter(dict => dict && (dict.role === 'user' || dict.role === 'assistant'))
+        .map(dict => {
+            const payloads = [
+                ...(Array.isArray(dict.payloads) ? dict.payloads.map(importPayload) : []),
+                ...(Array.isArray(dict.content) ? dict.content.map(importLegacyContent) : [])
+            ].filter(Boolean);
+
+            const item = {
+                id: typeof dict.id === 'string' && dict.id ? dict.id : generateUUID(),
+                role: dict.role,
+                payloads
+            };
+            if (typeof dict.model === 'string' && dict.model) item.model = dict.model;
+            if (dict.error) item.error = true;
+            const usage = importUsage(dict.usage);
+            if (usage) item.usage = usage;
+            const summary = importSummary(dict.summary);
+            if (summary) item.summary = summary;
+            const branches = importBranches(dict.branches);
+            if (branches) item.branches = branches;
+            return item;
+        });
+}
+
+// Swift stores epoch seconds (as a number, or a string in History); we store milliseconds
+function importTimestamp(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) return Date.now();
+    return number < 1e12 ? number * 1000 : number;
+}
+
+function importChat(record) {
+    if (!record || typeof record !== 'object') return null;
+
+    // Swift HistoryDoc rows keep the items as a JSON string in `json`
+    let items = record.history;
+    if (!Array.isArray(items) && record.json !== undefined) {
+        items = typeof record.json === 'string' ? JSON.parse(record.json) : record.json;
+    }
+    if (!Array.isArray(items)) return null;
+
+    const chat = {
+        id: typeof record.id === 'string' && /^[\w-]+$/.test(record.id) ? record.id : generateUUID(),
+        title: typeof record.title === 'string' && record.title ? record.title : 'New Chat',
+        history: importChatItems(items),
+        lastUpdated: importTimestamp(record.lastUpdated),
+        unseen: false
+    };
+    if (typeof record.automationId === 'string') chat.automationId = record.automationId;
+    if (typeof record.personaId === 'string') chat.personaId = record.personaId;
+    if (typeof record.systemPrompt === 'string') chat.systemPrompt = record.systemPrompt;
+    // The audit log comes along; tools allowed for the chat have to be allowed again
+    if (Array.isArray(record.toolLog)) {
+        chat.toolLog = record.toolLog.filter(entry => entry && typeof entry.tool === 'string');
+    }
+    return chat;
+}
+
+// Accepts our export file, or Swift histories (a History record or a list of them)
+function parseImportedChats(json) {
+    const data = JSON.parse(json);
+
+    let records;
+    if (data && data.format === CHAT_EXPORT_FORMAT) {
+        if (data.version > CHAT_EXPORT_VERSION) {
+            throw new Error('File was exported by a newer version of AIThing');
+        }
+        records = data.chats;
+    } else {
+        records = Array.isArray(data) ? data : [data];
+    }
+
+    const chats = (records || []).map(importChat).filter(Boolean);
+    if (chats.length === 0) {
+        throw new Error('File does not contain any chats');
+    }
+    return chats;
+}
+
+// Adds imported chats, keeping the local copy when it is at least as recent
+async function addImportedChats(chats) {
+    let added = 0;
+
+    for (const chat of chats) {
+        const index = state.histories.findIndex(h => h.id === chat.id);
+        if (index >= 0 && state.histories[index].lastUpdated >= chat.lastUpdated) continue;
+
+        if (index >= 0) {
+            state.histories[index] = chat;
+        } else {
+            state.histories.push(chat);
+        }
+        indexChat(chat);
+        await saveHistory(chat);
+        added++;
+    }
+
+    state.histories.sort((a, b) => b.lastUpdated - a.lastUpdated);
+    updateChatList();
+    refreshSearchResults();
+    return added;
+}
+
+// =============================================================================
+// FILE DIALOGS
+// =============================================================================
+
+function exportFileName(chats, format) {
+    const base = chats.length === 1 ? chats[0].title || 'New Chat' : 'AIThing Chats';
+    const safe = base.replace(/[\\/:*?"<>|]+/g, '').trim() || 'chat';
+    return `${safe}.${exportFormats[format].extension}`;
+}
+
+async function exportChats(chats, format) {
+    if (chats.length === 0) return false;
+    const { name, extension, render } = exportFormats[format];
+
+    return invoke('save_text_file', {
+        fileName: exportFileName(chats, format),
+        filter: { name, extensions: [extension] },
+        contents: render(chats)
+    });
+}
+
+async function importChatsFromFile() {
+    const text = await invoke('open_text_file', { filter: { name: 'JSON', extensions: ['json'] } });
+    if (text === null) return null;
+
+    const chats = parseImportedChats(text);
+    return { total: chats.length, added: await addImportedChats(chats) };
+}
+
+// =============================================================================
+// CURRENT CHAT MENU
+// =============================================================================
+
+function currentChatForExport() {
+    return {
+        id: state.currentTabId,
+        title: elements.titleInput.value || 'New Chat',
+        history: state.chatHistory,
+        lastUpdated: state.histories.find(h => h.id === state.currentTabId)?.lastUpdated || Date.now()
+    };
+}
+
+function toggleExportMenu() {
+    elements.exportMenu.classList.toggle('hidden');
+}
+
+async function exportCurrentChat(format) {
+    elements.exportMenu.classList.add('hidden');
+    if (state.chatHistory.length === 0) return;
+
+    try {
+        await exportChats([currentChatForExport()], format);
+    } catch (error) {
+        console.error('Failed to export chat:', error);
+    }
+}
+
+// =============================================================================
+// HISTORY PANEL
+// =============================================================================
+
+function updateHistoryExportList() {
+    const list = elements.historyExportList;
+    list.innerHTML = '';
+
+    // Forget selections of chats that no longer exist
+    selectedExportIds.forEach(id => {
+        if (!state.histories.some(h => h.id === id)) selectedExportIds.delete(id);
+    });
+    elements.exportSelectedBtn.disabled = selectedExportIds.size === 0;
+    elements.selectAllChatsBtn.textContent =
+        state.histories.length > 0 && selectedExportIds.size === state.histories.length ? 'Select None' : 'Select All';
+
+    if (state.histories.length === 0) {
+        list.innerHTML = '<div class="no-agents">No chats to export</div>';
+        return;
+    }
+
+    state.histories.forEach(history => {
+        const item = document.createElement('label');
+        item.className = 'agent-item history-export-item';
+        item.innerHTML = `
+            <div class="agent-row">
+                <input type="checkbox" ${selectedExportIds.has(history.id) ? 'checked' : ''}>
+                <div class="agent-info">
+                    <span class="agent-name">${escapeHtml(history.title || 'New Chat')}</span>
+                    <span class="agent-url">${escapeHtml(formatDate(history.lastUpdated))}</span>
+                </div>
+            </div>
+        `;
+
+        item.querySelector('input').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                selectedExportIds.add(history.id);
+            } else {
+                selectedExportIds.delete(history.id);
+            }
+            updateHistoryExportList();
+        });
+
+        list.appendChild(item);
+    });
+}
+
+function toggleSelectAllChats() {
+    if (selectedExportIds.size === state.histories.length) {
+        selectedExportIds.clear();
+    } else {
+        state.histories.forEach(h => selectedExportIds.add(h.id));
+    }
+    updateHistoryExportList();
+}
+
+async function exportSelectedChats() {
+    const chats = state.histories.filter(h => selectedExportIds.has(h.id));
+    const format = elements.exportFormatInput.value;
+
+    try {
+        if (await exportChats(chats, format)) {
+            elements.historyTransferStatus.textContent = `Exported ${chats.length} chat${chats.length === 1 ? '' : 's'}`;
+        }
+    } catch (error) {
+        console.error('Failed to export chats:', error);
+        elements.historyTransferStatus.textContent = `Export failed: ${error.message || error}`;
+    }
+}
+
+async function importChats() {
+    try {
+        const result = await importChatsFromFile();
+        if (!result) return;
+
+        const skipped = result.total - result.added;
+        elements.historyTransferStatus.textContent = `Imported ${result.added} chat${result.added === 1 ? '' : 's'}` +
+            (skipped > 0 ? ` (${skipped} already up to date)` : '');
+        updateHistoryExportList();
+    } catch (error) {
+        console.error('Failed to import chats:', error);
+        elements.historyTransferStatus.textContent = `Import failed: ${error.message || error}`;
+    }
+}
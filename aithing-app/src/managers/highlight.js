@@ -0,0 +1,311 @@
+// AIThing - Syntax Highlighting
+// Small regex grammars for fenced code blocks in messages
+
+// =============================================================================
+// GRAMMARS
+// =============================================================================
+
+const HIGHLIGHT_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript', py: 'python', python3: 'python', rs: 'rust',
+    golang: 'go', h: 'c', cc: 'cpp', cxx: 'cpp', hpp: 'cpp', 'c++': 'cpp', objc: 'c', 'objective-c': 'c',
+    cs: 'csharp', 'c#': 'csharp', kt: 'kotlin', kts: 'kotlin', rb: 'ruby',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', shellscript: 'bash',
+    html: 'markup', xml: 'markup', svg: 'markup', xhtml: 'markup', vue: 'markup', plist: 'markup',
+    scss: 'css', less: 'css', jsonc: 'json', json5: 'json', yml: 'yaml', patch: 'diff', postgres: 'sql',
+    mysql: 'sql', sqlite: 'sql', toml: 'ini'
+};
+
+function keywordPattern(words) {
+    return new RegExp(`\\b(?:${words.trim().split(/\s+/).join('|')})\\b`);
+}
+
+// Shared token patterns. None may contain capturing groups, since each grammar
+// is compiled into a single alternation and matched by group index.
+const HIGHLIGHT_PATTERNS = {
+    slashComment: /\/\/.*|\/\*[\s\S]*?\*\//,
+    hashComment: /#.*/,
+    doubleString: /"(?:\\.|[^"\\\n])*"/,
+    singleString: /'(?:\\.|[^'\\\n])*'/,
+    number: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.[\d_]+)?(?:[eE][+-]?\d+)?)[a-zA-Z\d]*\b/,
+    call: /\b[A-Za-z_$][\w$]*(?=\s*\()/,
+    type: /\b[A-Z][\w$]*\b/
+};
+
+const C_LIKE_KEYWORDS = 'break case continue default do else for goto if return sizeof static switch while';
+
+const HIGHLIGHT_GRAMMARS = {
+    javascript: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['string', /`(?:\\[\s\S]|[^\\`])*`/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`async await break case catch class const continue debugger default delete do
+            else export extends finally for from function get if import in instanceof let new of return set
+            static super switch this throw try typeof var void while with yield`)],
+        ['literal', keywordPattern('true false null undefined NaN Infinity')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    python: [
+        ['comment', HIGHLIGHT_PATTERNS.hashComment],
+        ['string', /[rbfuRBFU]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?''')/],
+        ['string', /[rbfuRBFU]{0,2}(?:"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/],
+        ['meta', /@[\w.]+/],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`and as assert async await break class continue def del elif else except finally
+            for from global if import in is lambda match case nonlocal not or pass raise return try while with yield`)],
+        ['literal', keywordPattern('True False None self cls')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    rust: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['string', /b?r#*"[\s\S]*?"#*/],
+        ['string', /b?"(?:\\.|[^"\\])*"/],
+        ['string', /b?'(?:\\.|[^'\\\n])'/],
+        ['meta', /#!?\[[^\]\n]*\]/],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`as async await break const continue crate dyn else enum extern fn for if impl in
+            let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while`)],
+        ['literal', keywordPattern('true false None Some Ok Err')],
+        ['function', /\b[a-z_][\w]*!?(?=\s*(?:::<[^>]*>)?\()/],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    swift: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['string', /"""[\s\S]*?"""/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['meta', /@\w+/],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`actor as associatedtype async await break case catch class continue default defer
+            deinit do else enum extension fallthrough fileprivate final for func guard if import in init inout
+            internal is let mutating nonisolated open operator override private protocol public repeat rethrows
+            return self Self some any static struct subscript super switch throw throws try typealias var weak where while`)],
+        ['literal', keywordPattern('true false nil')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    go: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['string', /`[^`]*`/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`break case chan const continue default defer else fallthrough for func go goto if
+            import interface map package range return select struct switch type var`)],
+        ['literal', keywordPattern('true false nil iota')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    c: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['meta', /#\s*[a-z]+/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`${C_LIKE_KEYWORDS} auto char const double enum extern float inline int long
+            register restrict short signed struct typedef union unsigned void volatile`)],
+        ['literal', keywordPattern('NULL true false')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    cpp: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['meta', /#\s*[a-z]+/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`${C_LIKE_KEYWORDS} auto bool catch char class const constexpr delete double enum
+            explicit extern float friend inline int long mutable namespace new noexcept operator override private
+            protected public short signed struct template this throw try typedef typename union unsigned using
+            virtual void volatile`)],
+        ['literal', keywordPattern('true false nullptr NULL')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    java: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['meta', /@\w+/],
+        ['string', /"""[\s\S]*?"""/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`${C_LIKE_KEYWORDS} abstract assert boolean byte catch char class double enum
+            extends final finally float implements import instanceof int interface long native new package
+            private protected public record short super synchronized this throw throws try var void volatile`)],
+        ['literal', keywordPattern('true false null')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    kotlin: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['meta', /@\w+/],
+        ['string', /"""[\s\S]*?"""/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`as break class companion continue data do else enum for fun if import in interface
+            is lateinit object open override package private protected public return sealed suspend this throw
+            try typealias val var when while`)],
+        ['literal', keywordPattern('true false null')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    csharp: [
+        ['comment', HIGHLIGHT_PATTERNS.slashComment],
+        ['meta', /#\s*[a-z]+/],
+        ['string', /\$?@?"(?:\\.|""|[^"\\\n])*"/],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`${C_LIKE_KEYWORDS} abstract as async await base bool byte catch char class const
+            decimal delegate double enum event explicit finally float foreach implicit in int interface internal
+            is lock long namespace new object operator out override params private protected public readonly ref
+            record sealed short string struct this throw try typeof uint ulong using var virtual void`)],
+        ['literal', keywordPattern('true false null')],
+        ['function', HIGHLIGHT_PATTERNS.call],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    ruby: [
+        ['comment', HIGHLIGHT_PATTERNS.hashComment],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['literal', /:\w+/],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`alias and begin break case class def defined do else elsif end ensure for if in
+            module next not or redo rescue retry return self super then unless until when while yield require`)],
+        ['literal', keywordPattern('true false nil')],
+        ['type', HIGHLIGHT_PATTERNS.type]
+    ],
+    php: [
+        ['comment', /\/\/.*|#.*|\/\*[\s\S]*?\*\//],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['variable', /\$\w+/],
+        ['number', HIGHLIGHT_PATTERNS.number],
+        ['keyword', keywordPattern(`abstract array as break case catch class const continue default do echo else
+            elseif extends final finally fn for foreach function if implements interface namespace new private
+            protected public return static switch throw trait try use while`)],
+        ['literal', keywordPattern('true false null TRUE FALSE NULL')],
+        ['function', HIGHLIGHT_PATTERNS.call]
+    ],
+    bash: [
+        ['comment', /(?:^|\s)#.*/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', /'[^']*'/],
+        ['variable', /\$(?:\{[^}\n]*\}|\w+|[@#?$!*-])/],
+        ['keyword', keywordPattern(`case do done elif else esac export fi for function if in local readonly return
+            select then until while`)],
+        ['function', /^\s*[\w.-]+(?=\s|$)/m],
+        ['number', /\b\d+\b/]
+    ],
+    json: [
+        ['attr', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+        ['literal', keywordPattern('true false null')],
+        ['comment', HIGHLIGHT_PATTERNS.slashComment]
+    ],
+    yaml: [
+        ['comment', /(?:^|\s)#.*/],
+        ['attr', /^[ \t-]*[\w.-]+(?=\s*:)/m],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['literal', keywordPattern('true false null yes no on off')],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+        ['meta', /^---$|[&*]\w+|!\w+/m]
+    ],
+    ini: [
+        ['comment', /^\s*[#;].*/m],
+        ['meta', /^\s*\[[^\]\n]*\]/m],
+        ['attr', /^\s*[\w.-]+(?=\s*=)/m],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['literal', keywordPattern('true false')],
+        ['number', /\b\d+(?:\.\d+)?\b/]
+    ],
+    markup: [
+        ['comment', /<!--[\s\S]*?-->/],
+        ['meta', /<![A-Za-z][^>]*>|<\?[\s\S]*?\?>/],
+        ['tag', /<\/?[A-Za-z][\w:.-]*|\/?>/],
+        ['attr', /\b[\w:.-]+(?==)/],
+        ['string', /"[^"]*"|'[^']*'/]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?\*\//],
+        ['meta', /@[\w-]+/],
+        ['string', HIGHLIGHT_PATTERNS.doubleString],
+        ['string', HIGHLIGHT_PATTERNS.singleString],
+        ['attr', /[\w-]+(?=\s*:[^;{}]*[;}])/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?/],
+        ['literal', /#[\da-fA-F]{3,8}\b/],
+        ['tag', /[.#][\w-]+/],
+        ['function', /\b[\w-]+(?=\()/]
+    ],
+    sql: [
+        ['comment', /--.*|\/\*[\s\S]*?\*\//],
+        ['string', /'(?:''|[^'])*'/],
+        ['attr', /"[^"]*"|`[^`]*`/],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+        ['keyword', /\b(?:add|all|alter|and|as|asc|begin|between|by|case|check|column|commit|constraint|create|cross|default|delete|desc|distinct|drop|else|end|exists|foreign|from|full|group|having|if|in|index|inner|insert|into|is|join|key|left|like|limit|not|null|offset|on|or|order|outer|primary|references|returning|right|rollback|select|set|table|then|transaction|union|unique|update|values|view|when|where|with)\b/i],
+        ['function', HIGHLIGHT_PATTERNS.call]
+    ],
+    diff: [
+        ['meta', /^(?:@@.*|diff .*|index .*|\+\+\+ .*|--- .*)$/m],
+        ['inserted', /^\+.*$/m],
+        ['deleted', /^-.*$/m]
+    ]
+};
+
+HIGHLIGHT_GRAMMARS.typescript = [
+    ...HIGHLIGHT_GRAMMARS.javascript.slice(0, 5),
+    ['keyword', keywordPattern(`abstract as asserts declare enum implements infer interface is keyof namespace
+        private protected public readonly satisfies type unique`)],
+    ...HIGHLIGHT_GRAMMARS.javascript.slice(5)
+];
+
+// Grammars compiled into one regex each, built on first use
+const compiledGrammars = new Map();
+
+function compileGrammar(language) {
+    if (!compiledGrammars.has(language)) {
+        const rules = HIGHLIGHT_GRAMMARS[language];
+        const source = rules.map(([, pattern]) => `(${pattern.source})`).join('|');
+        const flags = rules.some(([, pattern]) => pattern.ignoreCase) ? 'gmi' : 'gm';
+        compiledGrammars.set(language, { regex: new RegExp(source, flags), classes: rules.map(([name]) => name) });
+    }
+    return compiledGrammars.get(language);
+}
+
+// =============================================================================
+// HIGHLIGHTING
+// =============================================================================
+
+function highlightLanguage(language) {
+    const name = (language || '').toLowerCase();
+    const resolved = HIGHLIGHT_ALIASES[name] || name;
+    return HIGHLIGHT_GRAMMARS[resolved] ? resolved : null;
+}
+
+// Returns the code as HTML with tokens wrapped in hl-* spans; code in an
+// unknown language is only escaped
+function highlightCode(code, language) {
+    const resolved = highlightLanguage(language);
+    if (!resolved) return escapeHtml(code);
+
+    const { regex, classes } = compileGrammar(resolved);
+    let html = '';
+    let last = 0;
+    regex.lastIndex = 0;
+
+    for (const match of code.matchAll(regex)) {
+        if (match[0] === '') continue;
+        const group = match.findIndex((value, index) => index > 0 && value !== undefined);
+        html += escapeHtml(code.slice(last, match.index));
+        html += `<span class="hl-${classes[group - 1]}">${escapeHtml(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+
+    return html + escapeHtml(code.slice(last));
+}
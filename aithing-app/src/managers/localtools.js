@@ -0,0 +1,250 @@
+// AIThing - Built-in Tools
+// Files, shell commands, web pages and the clipboard, each call approved in the chat (matching Swift InternalToolProvider)
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const LOCAL_TOOL_PROVIDER_ID = 'local';
+
+// `files` tools are only offered once a folder is approved; each tool runs
+// `command` with the arguments `args` takes from its input, and `describe`
+// says what a call will do in the approval prompt
+const LOCAL_TOOLS = [
+    {
+        name: 'aithing_read_file',
+        title: 'Read file',
+        description: 'Read a file on the user\'s computer. PDFs, Word documents and spreadsheets are returned as text.',
+        inputSchema: {
+            type: 'object',
+            properties: { path: { type: 'string', description: 'Absolute path, or relative to the first approved folder' } },
+            required: ['path']
+        },
+        files: true,
+        command: 'tool_read_file',
+        args: input => ({ path: String(input.path || '') }),
+        describe: input => input.path
+    },
+    {
+        name: 'aithing_list_directory',
+        title: 'List folder',
+        description: 'List the files and folders in a folder on the user\'s computer.',
+        inputSchema: {
+            type: 'object',
+            properties: { path: { type: 'string', description: 'Absolute path, or relative to the first approved folder' } },
+            required: ['path']
+        },
+        files: true,
+        command: 'tool_list_directory',
+        args: input => ({ path: String(input.path || '') }),
+        describe: input => input.path
+    },
+    {
+        name: 'aithing_search_files',
+        title: 'Search files',
+        description: 'Find files whose name or content contains the query (case-insensitive). Returns paths, and line numbers for content matches.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Text to look for' },
+                path: { type: 'string', description: 'Folder to search; all approved folders when left out' }
+            },
+            required: ['query']
+        },
+        files: true,
+        command: 'tool_search_files',
+        args: input => ({ query: String(input.query || ''), path: input.path || null }),
+        describe: input => input.path ? `"${input.query}" in ${input.path}` : `"${input.query}"`
+    },
+    {
+        name: 'aithing_run_command',
+        title: 'Run command',
+        description: 'Run a shell command on the user\'s computer and return its exit code and output. Commands are stopped after two minutes.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                command: { type: 'string', description: 'Command line for the user\'s shell' },
+                cwd: { type: 'string', description: 'Approved folder to run it in; the first approved folder (or home) when left out' }
+            },
+            required: ['command']
+        },
+        command: 'tool_run_command',
+        args: input => ({ command: String(input.command || ''), cwd: input.cwd || null }),
+        describe: input => input.cwd ? `${input.command}\n(in ${input.cwd})` : input.command
+    },
+    {
+        name: 'aithing_fetch_url',
+        title: 'Fetch web page',
+        description: 'Fetch a web page or other http(s) URL. HTML pages are returned as their text.',
+        inputSchema: {
+            type: 'object',
+            properties: { url: { type: 'string', description: 'http or https URL' } },
+            required: ['url']
+        },
+        command: 'tool_fetch_url',
+        args: input => ({ url: String(input.url || '') }),
+        describe: input => input.url
+    },
+    {
+        name: 'aithing_read_clipboard',
+        title: 'Read clipboard',
+        description: 'Read the text currently on the user\'s clipboard.',
+        inputSchema: { type: 'object', properties: {} },
+        command: 'tool_read_clipboard',
+        args: () => ({}),
+        describe: () => ''
+    }
+];
+
+// =============================================================================
+// TOOL PROVIDER
+// =============================================================================
+
+function findLocalTool(name) {
+    return LOCAL_TOOLS.find(tool => tool.name === name) || null;
+}
+
+// File tools tell the model which folders it may read
+function localToolDescription(tool) {
+    if (!tool.files) return tool.description;
+    return `${tool.description} Only these folders can be read: ${state.preferences.toolFolders.join(', ')}`;
+}
+
+const localToolProvider = {
+    needsApproval: true,
+    getTools: () => LOCAL_TOOLS
+        .filter(tool => !tool.files || state.preferences.toolFolders.length > 0)
+        .map(tool => ({ name: tool.name, description: localToolDescription(tool), inputSchema: tool.inputSchema })),
+    callTool: (name, input) => {
+        const tool = findLocalTool(name);
+        return invoke(tool.command, tool.args(input));
+    }
+};
+
+function updateLocalToolProvider() {
+    if (state.preferences.localToolsEnabled) {
+        registerToolProvider(LOCAL_TOOL_PROVIDER_ID, localToolProvider);
+    } else {
+        unregisterToolProvider(LOCAL_TOOL_PROVIDER_ID);
+    }
+    // Agents' tools may clash with the built-in names
+    updateAgentsList();
+    updateViewToolsButton();
+}
+
+// =============================================================================
+// APPROVAL
+// =============================================================================
+
+// Calls waiting for the user, by chat: { call: { name, input }, resolve(decision) }.
+// A decision is 'once', 'chat' (allowed for the rest of the chat) or 'denied'.
+// Each history entry keeps the tools allowed for it (allowedTools) and an
+// audit log of its calls (toolLog: [{ time, tool, input, decision }]).
+
+function logToolCall(history, call, decision) {
+    history.toolLog = [...(history.toolLog || []), { time: Date.now(), tool: call.name, input: call.input, decision }];
+}
+
+// Asks in the chat before running a tool, unless it was allowed for the chat
+// already; stopping the chat denies the call. Resolves with whether to run it.
+async function approveToolCall(chatId, call, signal) {
+    const findHistory = () => state.histories.find(h => h.id === chatId);
+
+    let decision = 'chat';
+    if (!(findHistory()?.allowedTools || []).includes(call.name)) {
+        decision = await new Promise(resolve => {
+            state.toolApprovals[chatId] = { call, resolve };
+            signal?.addEventListener('abort', () => resolve('denied'), { once: true });
+            if (state.currentTabId === chatId) updateMessages();
+        });
+        delete state.toolApprovals[chatId];
+        if (state.currentTabId === chatId) updateMessages();
+    }
+
+    // Entries are replaced as the chat is saved, so the current one is looked up again
+    const history = findHistory();
+    if (history) {
+        if (decision === 'chat' && !(history.allowedTools || []).includes(call.name)) {
+            history.allowedTools = [...(history.allowedTools || []), call.name];
+        }
+        logToolCall(history, call, decision);
+        await saveHistory(history);
+    }
+    return decision !== 'denied';
+}
+
+function createToolApprovalCard({ call, resolve }) {
+    const tool = findLocalTool(call.name);
+    const card = document.createElement('div');
+    card.className = 'tool-approval';
+    const details = tool ? tool.describe(call.input || {}) : JSON.stringify(call.input || {}, null, 2);
+    card.innerHTML = `
+        <div class="tool-approval-title">Allow <strong>${escapeHtml(tool ? tool.title : call.name)}</strong>?</div>
+        ${details ? `<pre class="tool-approval-input">${escapeHtml(details)}</pre>` : ''}
+        <div class="tool-approval-actions">
+            <button class="agent-action-btn" data-decision="once">Allow once</button>
+            <button class="agent-action-btn" data-decision="chat">Always for this chat</button>
+            <button class="agent-action-btn" data-decision="denied">Deny</button>
+        </div>
+    `;
+
+    card.querySelectorAll('[data-decision]').forEach(button => {
+        button.addEventListener('click', () => resolve(button.dataset.decision));
+    });
+    return card;
+}
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+function setLocalToolsEnabled(enabled) {
+    state.preferences.localToolsEnabled = enabled;
+    saveSettings();
+    updateLocalToolProvider();
+}
+
+async function addToolFolder() {
+    const path = await openDialog({ directory: true, multiple: false });
+    if (!path || state.preferences.toolFolders.includes(path)) return;
+
+    state.preferences.toolFolders = [...state.preferences.toolFolders, path];
+    saveSettings();
+    updateToolFoldersList();
+    updateViewToolsButton();
+}
+
+function removeToolFolder(path) {
+    state.preferences.toolFolders = state.preferences.toolFolders.filter(folder => folder !== path);
+    saveSettings();
+    updateToolFoldersList();
+    updateViewToolsButton();
+}
+
+function updateToolFoldersList() {
+    elements.localToolsEnabled.checked = state.preferences.localToolsEnabled;
+    elements.toolFoldersList.innerHTML = '';
+
+    if (state.preferences.toolFolders.length === 0) {
+        elements.toolFoldersList.innerHTML = '<div class="no-agents">No folders approved; file tools are off</div>';
+        return;
+    }
+
+    state.preferences.toolFolders.forEach(path => {
+        const item = document.createElement('div');
+        item.className = 'agent-item';
+        item.innerHTML = `
+            <div class="agent-row">
+                <div class="agent-info">
+                    <span class="agent-url">${escapeHtml(path)}</span>
+                </div>
+                <div class="agent-actions">
+                    <button class="agent-action-btn" title="Remove">Remove</button>
+                </div>
+            </div>
+        `;
+
+        item.querySelector('.agent-action-btn').addEventListener('click', () => removeToolFolder(path));
+        elements.toolFoldersList.appendChild(item);
+    });
+}
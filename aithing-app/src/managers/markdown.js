@@ -0,0 +1,889 @@
+// AIThing - Markdown Rendering
+// CommonMark with GFM tables, task lists, strikethrough and autolinks, plus math
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MARKDOWN_PATTERNS = {
+    blank: /^[ \t]*$/,
+    fence: /^( {0,3})(`{3,}(?=[^`]*$)|~{3,})[ \t]*([^\s`]*)/,
+    fenceClose: /^ {0,3}(`{3,}|~{3,})[ \t]*$/,
+    atxHeading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    setextUnderline: /^ {0,3}(=+|-+)[ \t]*$/,
+    thematicBreak: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+    blockquote: /^ {0,3}> ?/,
+    listItem: /^( {0,3})([-+*]|(\d{1,9})[.)])(?:([ \t]+)(.*)|[ \t]*$)/,
+    indentedCode: /^ {4}/,
+    mathBlock: /^ {0,3}\$\$/,
+    tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    reference: /^ {0,3}\[((?:[^\]\\]|\\.){1,999})\]:[ \t]*(<[^>\n]*>|\S+)(?:[ \t]+("[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/,
+    taskMarker: /^\[([ xX])\][ \t]+/
+};
+
+const ASCII_PUNCTUATION = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const SAFE_LINK_PROTOCOLS = ['http', 'https', 'mailto', 'tel'];
+const SAFE_IMAGE_DATA_URL = /^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+/=]+$/i;
+const BARE_URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<]+/y;
+
+// Rendered blocks per container, for incremental re-rendering while streaming
+const renderedMarkdownBlocks = new WeakMap();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// Markdown text, escaped with escapeHtml except for entity references in the
+// source, which CommonMark decodes
+function escapeMarkdownText(text) {
+    return escapeHtml(text).replace(/&amp;(?=#\d{1,7};|#[xX][\da-fA-F]{1,6};|[a-zA-Z][a-zA-Z\d]{1,31};)/g, '&');
+}
+
+function unescapeMarkdown(text) {
+    return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+}
+
+function normalizeReferenceLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Tabs in leading indentation expand to the next multiple of four columns
+function expandTabs(line) {
+    const indent = line.match(/^[ \t]*/)[0];
+    if (!indent.includes('\t')) return line;
+
+    let column = 0;
+    for (const char of indent) column = char === '\t' ? column + 4 - (column % 4) : column + 1;
+    return ' '.repeat(column) + line.slice(indent.length);
+}
+
+function leadingSpaces(line) {
+    return line.match(/^ */)[0].length;
+}
+
+function removeIndent(line, count) {
+    return line.slice(Math.min(count, leadingSpaces(line)));
+}
+
+function isBlank(line) {
+    return MARKDOWN_PATTERNS.blank.test(line);
+}
+
+function safeLinkUrl(url) {
+    // Browsers ignore control characters and whitespace when reading the scheme
+    const cleaned = url.trim().replace(/[\u0000- \u007F]/g, '');
+    const scheme = cleaned.match(/^([a-z][a-z\d+.-]*):/i);
+    if (!scheme) return cleaned;
+    return SAFE_LINK_PROTOCOLS.includes(scheme[1].toLowerCase()) ? cleaned : null;
+}
+
+function safeImageUrl(url) {
+    const cleaned = url.trim().replace(/[\u0000- \u007F]/g, '');
+    if (/^https?:\/\//i.test(cleaned) || SAFE_IMAGE_DATA_URL.test(cleaned)) return cleaned;
+    return null;
+}
+
+// =============================================================================
+// BLOCK PARSING
+// =============================================================================
+
+function parseListMarker(line) {
+    const match = line.match(MARKDOWN_PATTERNS.listItem);
+    if (!match) return null;
+
+    const [, indent, marker, number, spacing = '', rest = ''] = match;
+    let padding = spacing.length;
+    let content = rest;
+    // Five or more spaces after the marker start indented code inside the item
+    if (padding > 4) {
+        content = ' '.repeat(padding - 1) + rest;
+        padding = 1;
+    }
+
+    return {
+        ordered: number !== undefined,
+        bullet: number === undefined ? marker : marker.slice(-1),
+        start: number !== undefined ? parseInt(number, 10) : null,
+        contentIndent: indent.length + marker.length + Math.max(padding, 1),
+        content,
+        empty: !rest.trim()
+    };
+}
+
+function isTableStart(lines, index) {
+    const header = lines[index];
+    const delimiter = lines[index + 1];
+    if (delimiter === undefined || !header.includes('|')) return false;
+    if (!MARKDOWN_PATTERNS.tableDelimiter.test(delimiter) || !delimiter.includes('-')) return false;
+    return splitTableRow(header).length === splitTableRow(delimiter).length;
+}
+
+// Whether a line can interrupt a paragraph
+function interruptsParagraph(line) {
+    if (MARKDOWN_PATTERNS.fence.test(line) || MARKDOWN_PATTERNS.atxHeading.test(line)) return true;
+    if (MARKDOWN_PATTERNS.thematicBreak.test(line) || MARKDOWN_PATTERNS.blockquote.test(line)) return true;
+    if (MARKDOWN_PATTERNS.mathBlock.test(line)) return true;
+
+    // Only non-empty bullets and lists starting at 1 interrupt a paragraph
+    const marker = parseListMarker(line);
+    return Boolean(marker && !marker.empty && (!marker.ordered || marker.start === 1));
+}
+
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += row[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function parseFencedCode(lines, index) {
+    const [, indent, fence, info] = lines[index].match(MARKDOWN_PATTERNS.fence);
+    const code = [];
+    let i = index + 1;
+
+    // An unclosed fence runs to the end, which keeps streamed code blocks intact
+    for (; i < lines.length; i++) {
+        const close = lines[i].match(MARKDOWN_PATTERNS.fenceClose);
+        if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+            i++;
+            break;
+        }
+        code.push(removeIndent(lines[i], indent.length));
+    }
+
+    const language = unescapeMarkdown(info);
+    if (language.toLowerCase() === 'math') {
+        return [{ type: 'math', tex: code.join('\n') }, i];
+    }
+    return [{ type: 'code', language, code: code.join('\n') }, i];
+}
+
+function parseMathBlock(lines, index) {
+    const first = lines[index].trim().slice(2);
+    if (first.endsWith('$$') && first.length >= 2) {
+        return [{ type: 'math', tex: first.slice(0, -2) }, index + 1];
+    }
+
+    const tex = [first];
+    let i = index + 1;
+    for (; i < lines.length; i++) {
+        const line = lines[i].trimEnd();
+        if (line.endsWith('$$')) {
+            tex.push(line.slice(0, -2));
+            i++;
+            break;
+        }
+        tex.push(line);
+    }
+    return [{ type: 'math', tex: tex.join('\n') }, i];
+}
+
+function parseIndentedCode(lines, index) {
+    const code = [];
+    let i = index;
+    for (; i < lines.length; i++) {
+        if (!isBlank(lines[i]) && !MARKDOWN_PATTERNS.indentedCode.test(lines[i])) break;
+        code.push(lines[i].slice(4));
+    }
+    while (code.length > 0 && isBlank(code[code.length - 1])) code.pop();
+    while (i > index && isBlank(lines[i - 1])) i--;
+
+    return [{ type: 'code', language: '', code: code.join('\n') }, i];
+}
+
+function parseBlockquote(lines, index, references) {
+    const inner = [];
+    let i = index;
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        const marker = line.match(MARKDOWN_PATTERNS.blockquote);
+        if (marker) {
+            inner.push(expandTabs(line.slice(marker[0].length)));
+            continue;
+        }
+
+        // Lazy continuation of a paragraph inside the quote
+        const previous = inner[inner.length - 1];
+        if (isBlank(line) || previous === undefined || isBlank(previous) || interruptsParagraph(line)) break;
+        if (MARKDOWN_PATTERNS.fence.test(previous) || MARKDOWN_PATTERNS.indentedCode.test(previous)) break;
+        inner.push(line);
+    }
+
+    return [{ type: 'blockquote', children: parseBlocks(inner, references) }, i];
+}
+
+function parseList(lines, index, references) {
+    const first = parseListMarker(lines[index]);
+    const items = [];
+    let loose = false;
+    let i = index;
+
+    while (i < lines.length) {
+        const marker = parseListMarker(lines[i]);
+        if (!marker || marker.ordered !== first.ordered || marker.bullet !== first.bullet) break;
+        if (MARKDOWN_PATTERNS.thematicBreak.test(lines[i])) break;
+
+        const itemLines = [marker.content];
+        i++;
+        for (; i < lines.length; i++) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                // An empty item ends at the first blank line
+                if (marker.empty && itemLines.length === 1) break;
+                itemLines.push('');
+                continue;
+            }
+            if (leadingSpaces(line) >= marker.contentIndent) {
+                itemLines.push(line.slice(marker.contentIndent));
+                continue;
+            }
+
+            // Lazy paragraph continuation
+            const previous = itemLines[itemLines.length - 1];
+            if (!isBlank(previous) && !interruptsParagraph(line) && !parseListMarker(line)) {
+                itemLines.push(line.trimStart());
+                continue;
+            }
+            break;
+        }
+
+        let trailingBlanks = 0;
+        while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+            itemLines.pop();
+            trailingBlanks++;
+        }
+
+        const children = parseBlocks(itemLines, references);
+        const nextMarker = i < lines.length ? parseListMarker(lines[i]) : null;
+        const continues = nextMarker && nextMarker.ordered === first.ordered && nextMarker.bullet === first.bullet;
+
+        // Blank lines between items or between an item's blocks make the list loose
+        if (trailingBlanks > 0 && continues) loose = true;
+        if (children.length > 1 && itemLines.some(isBlank)) loose = true;
+
+        let checked = null;
+        const firstChild = children[0];
+        if (firstChild && firstChild.type === 'paragraph') {
+            const task = firstChild.text.match(MARKDOWN_PATTERNS.taskMarker);
+            if (task) {
+                checked = task[1] !== ' ';
+                firstChild.text = firstChild.text.slice(task[0].length);
+            }
+        }
+
+        items.push({ children, checked });
+        if (!continues) {
+            // Blank lines after the last item belong to the document, not the list
+            if (trailingBlanks > 0) i -= trailingBlanks;
+            break;
+        }
+    }
+
+    return [{ type: 'list', ordered: first.ordered, start: first.start, loose, items }, i];
+}
+
+function parseTable(lines, index) {
+    const header = splitTableRow(lines[index]);
+    const align = splitTableRow(lines[index + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+
+    const rows = [];
+    let i = index + 2;
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        if (isBlank(line) || interruptsParagraph(line)) break;
+        const cells = splitTableRow(line);
+        rows.push(header.map((cell, column) => cells[column] || ''));
+    }
+
+    return [{ type: 'table', header, align, rows }, i];
+}
+
+function parseParagraph(lines, index, references) {
+    const text = [];
+    let i = index;
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        if (isBlank(line)) break;
+        if (text.length > 0) {
+            const underline = line.match(MARKDOWN_PATTERNS.setextUnderline);
+            if (underline) {
+                return [{ type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text: text.join('\n') }, i + 1];
+            }
+            if (interruptsParagraph(line) || isTableStart(lines, i)) break;
+        }
+        text.push(line.trim());
+    }
+
+    // Link reference definitions at the start of a paragraph are not content
+    while (text.length > 0) {
+        const definition = text[0].match(MARKDOWN_PATTERNS.reference);
+        if (!definition) break;
+
+        const label = normalizeReferenceLabel(definition[1]);
+        if (label && !references[label]) {
+            references[label] = {
+                url: unescapeMarkdown(definition[2].replace(/^<(.*)>$/, '$1')),
+                title: definition[3] ? unescapeMarkdown(definition[3].slice(1, -1)) : null
+            };
+        }
+        text.shift();
+    }
+
+    if (text.length === 0) return [null, i];
+    return [{ type: 'paragraph', text: text.join('\n') }, i];
+}
+
+function parseBlock(lines, index, references) {
+    const line = lines[index];
+
+    if (MARKDOWN_PATTERNS.indentedCode.test(line)) return parseIndentedCode(lines, index);
+    if (MARKDOWN_PATTERNS.fence.test(line)) return parseFencedCode(lines, index);
+    if (MARKDOWN_PATTERNS.mathBlock.test(line)) return parseMathBlock(lines, index);
+
+    const heading = line.match(MARKDOWN_PATTERNS.atxHeading);
+    if (heading) return [{ type: 'heading', level: heading[1].length, text: heading[2] || '' }, index + 1];
+
+    if (MARKDOWN_PATTERNS.thematicBreak.test(line)) return [{ type: 'rule' }, index + 1];
+    if (MARKDOWN_PATTERNS.blockquote.test(line)) return parseBlockquote(lines, index, references);
+    if (parseListMarker(line)) return parseList(lines, index, references);
+    if (isTableStart(lines, index)) return parseTable(lines, index);
+
+    return parseParagraph(lines, index, references);
+}
+
+// Parses lines into blocks, recording each top-level block's source in `raw`
+function parseBlocks(lines, references) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        if (isBlank(lines[i])) {
+            i++;
+            continue;
+        }
+
+        const [block, next] = parseBlock(lines, i, references);
+        if (block) {
+            block.raw = lines.slice(i, next).join('\n');
+            blocks.push(block);
+        }
+        i = Math.max(next, i + 1);
+    }
+
+    return blocks;
+}
+
+function parseMarkdownDocument(text) {
+    const references = {};
+    const lines = text.replace(/\r\n?/g, '\n').split('\n').map(expandTabs);
+    return { blocks: parseBlocks(lines, references), references };
+}
+
+// =============================================================================
+// INLINE PARSING
+// =============================================================================
+
+function isMarkdownWhitespace(char) {
+    return char === undefined || /\s/u.test(char);
+}
+
+function isMarkdownPunctuation(char) {
+    return char !== undefined && (ASCII_PUNCTUATION.test(char) || /[\p{P}\p{S}]/u.test(char));
+}
+
+// Index of the `]` closing the bracket at `start`, skipping code spans and escapes
+function findClosingBracket(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            if (close !== -1) i = close + run.length - 1;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Parses `(url "title")` after a link's text, returning the url, title and end index
+function parseLinkTarget(text, start) {
+    let i = start + 1;
+    const skipSpace = () => {
+        while (i < text.length && /[ \t\n]/.test(text[i])) i++;
+    };
+
+    skipSpace();
+    let url = '';
+    if (text[i] === '<') {
+        const close = text.indexOf('>', i);
+        if (close === -1 || text.slice(i, close).includes('\n')) return null;
+        url = text.slice(i + 1, close);
+        i = close + 1;
+    } else {
+        let depth = 0;
+        const begin = i;
+        for (; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\' && ASCII_PUNCTUATION.test(text[i + 1] || '')) {
+                i++;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                if (depth === 0) break;
+                depth--;
+            } else if (/\s/.test(char)) {
+                break;
+            }
+        }
+        url = text.slice(begin, i);
+    }
+
+    const beforeTitle = i;
+    skipSpace();
+    let title = null;
+    if (i > beforeTitle && /["'(]/.test(text[i])) {
+        const closer = text[i] === '(' ? ')' : text[i];
+        const close = text.indexOf(closer, i + 1);
+        if (close === -1) return null;
+        title = text.slice(i + 1, close);
+        i = close + 1;
+        skipSpace();
+    }
+
+    if (text[i] !== ')') return null;
+    return { url: unescapeMarkdown(url), title: title === null ? null : unescapeMarkdown(title), end: i + 1 };
+}
+
+function linkHtml(url, title, innerHtml) {
+    const href = safeLinkUrl(url);
+    if (href === null) return innerHtml;
+    const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+    return `<a href="${escapeHtml(href)}"${titleAttribute} target="_blank" rel="noopener noreferrer">${innerHtml}</a>`;
+}
+
+// Remote images become links rather than being fetched, which would tell
+// their server the user's IP and when the reply was read
+function imageHtml(url, title, alt) {
+    const src = safeImageUrl(url);
+    if (src === null) return escapeMarkdownText(alt);
+    if (!src.startsWith('data:')) {
+        return linkHtml(src, title || src, `Image: ${escapeMarkdownText(alt) || escapeHtml(src)}`);
+    }
+    const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+    return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${titleAttribute} loading="lazy">`;
+}
+
+// Plain text of inline markdown, for image alt text
+function markdownPlainText(text) {
+    return unescapeMarkdown(text.replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[*_~`]/g, ''));
+}
+
+// Tries a link or image whose text opens at `start`; returns { html, end } or null
+function parseLinkAt(text, start, isImage, references, inLink) {
+    const close = findClosingBracket(text, start);
+    if (close === -1) return null;
+
+    const label = text.slice(start + 1, close);
+    let target = null;
+    let end = close + 1;
+
+    if (text[end] === '(') {
+        target = parseLinkTarget(text, end);
+        if (target) end = target.end;
+    }
+    if (!target) {
+        // Full ([text][label]), collapsed ([text][]) or shortcut ([text]) reference
+        let referenceLabel = label;
+        const full = text.slice(end).match(/^\[((?:[^\]\\]|\\.)*)\]/);
+        if (full) {
+            if (full[1].trim()) referenceLabel = full[1];
+            end += full[0].length;
+        }
+        const reference = references[normalizeReferenceLabel(referenceLabel)];
+        if (!reference) return null;
+        target = reference;
+    }
+
+    if (isImage) {
+        return { html: imageHtml(target.url, target.title, markdownPlainText(label)), end };
+    }
+    if (inLink) return null;
+
+    const inner = renderInline(label, references, true);
+    return { html: linkHtml(target.url, target.title, inner), end };
+}
+
+// Bare URLs (GFM autolink extension), without trailing punctuation or unbalanced parens
+function matchBareUrl(text, start) {
+    BARE_URL_PATTERN.lastIndex = start;
+    const match = BARE_URL_PATTERN.exec(text);
+    if (!match) return null;
+
+    let url = match[0].replace(/[?!.,:*_~'"]+$/, '');
+    while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+        url = url.slice(0, -1).replace(/[?!.,:*_~'"]+$/, '');
+    }
+    if (url.startsWith('www.') && url.length <= 4) return null;
+    return url;
+}
+
+function parseInlineNodes(text, references, inLink) {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) nodes.push({ type: 'text', value: buffer });
+        buffer = '';
+    };
+    const pushHtml = (html) => {
+        flush();
+        nodes.push({ type: 'html', value: html });
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+
+        if (char === '\\') {
+            const next = text[i + 1];
+            if (next === '\n') {
+                pushHtml('<br>');
+                i += 2;
+                continue;
+            }
+            const mathMatch = next === '(' ? rest.match(/^\\\(([\s\S]+?)\\\)/) : next === '[' ? rest.match(/^\\\[([\s\S]+?)\\\]/) : null;
+            if (mathMatch) {
+                pushHtml(renderMath(mathMatch[1], next === '['));
+                i += mathMatch[0].length;
+                continue;
+            }
+            if (next !== undefined && ASCII_PUNCTUATION.test(next)) {
+                buffer += next;
+                i += 2;
+                continue;
+            }
+            buffer += char;
+            i++;
+            continue;
+        }
+
+        if (char === '`') {
+            const run = rest.match(/^`+/)[0];
+            const close = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+            close.lastIndex = i + run.length;
+            const match = close.exec(text);
+            if (match) {
+                let code = text.slice(i + run.length, match.index).replace(/\n/g, ' ');
+                if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                pushHtml(`<code>${escapeHtml(code)}</code>`);
+                i = match.index + run.length;
+            } else {
+                buffer += run;
+                i += run.length;
+            }
+            continue;
+        }
+
+        if (char === '$') {
+            // $$display$$ inline, or $inline$ that doesn't look like currency
+            const display = rest.match(/^\$\$([\s\S]+?)\$\$/);
+            const inline = display ? null : rest.match(/^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<![\s\\])\$(?!\d)/);
+            const math = display || inline;
+            if (math) {
+                pushHtml(renderMath(math[1], Boolean(display)));
+                i += math[0].length;
+                continue;
+            }
+        }
+
+        if (char === '!' && text[i + 1] === '[') {
+            const image = parseLinkAt(text, i + 1, true, references, inLink);
+            if (image) {
+                pushHtml(image.html);
+                i = image.end;
+                continue;
+            }
+        }
+
+        if (char === '[' && !inLink) {
+            const link = parseLinkAt(text, i, false, references, inLink);
+            if (link) {
+                pushHtml(link.html);
+                i = link.end;
+                continue;
+            }
+        }
+
+        if (char === '<') {
+            const autolink = rest.match(/^<([a-zA-Z][a-zA-Z\d+.-]{1,31}:[^\s<>]*)>/);
+            const email = autolink ? null : rest.match(/^<([\w.!#$%&'*+/=?^`{|}~-]+@[a-zA-Z\d](?:[a-zA-Z\d-]*[a-zA-Z\d])?(?:\.[a-zA-Z\d](?:[a-zA-Z\d-]*[a-zA-Z\d])?)*)>/);
+            if ((autolink || email) && !inLink) {
+                const label = (autolink || email)[1];
+                pushHtml(linkHtml(email ? `mailto:${label}` : label, null, escapeHtml(label)));
+                i += (autolink || email)[0].length;
+                continue;
+            }
+        }
+
+        if ((char === 'h' || char === 'w') && !inLink && /[\s*_~(]/.test(text[i - 1] || ' ')) {
+            const url = matchBareUrl(text, i);
+            if (url) {
+                pushHtml(linkHtml(url.startsWith('www.') ? `https://${url}` : url, null, escapeHtml(url)));
+                i += url.length;
+                continue;
+            }
+        }
+
+        if (char === '*' || char === '_' || char === '~') {
+            const run = rest.match(char === '*' ? /^\*+/ : char === '_' ? /^_+/ : /^~+/)[0];
+            const before = text[i - 1];
+            const after = text[i + run.length];
+            const leftFlanking = !isMarkdownWhitespace(after) &&
+                (!isMarkdownPunctuation(after) || isMarkdownWhitespace(before) || isMarkdownPunctuation(before));
+            const rightFlanking = !isMarkdownWhitespace(before) &&
+                (!isMarkdownPunctuation(before) || isMarkdownWhitespace(after) || isMarkdownPunctuation(after));
+
+            let canOpen = leftFlanking;
+            let canClose = rightFlanking;
+            if (char === '_') {
+                canOpen = leftFlanking && (!rightFlanking || isMarkdownPunctuation(before));
+                canClose = rightFlanking && (!leftFlanking || isMarkdownPunctuation(after));
+            }
+            if (char === '~' && run.length > 2) {
+                canOpen = false;
+                canClose = false;
+            }
+
+            flush();
+            nodes.push({ type: 'delimiter', char, count: run.length, length: run.length, canOpen, canClose });
+            i += run.length;
+            continue;
+        }
+
+        if (char === '\n') {
+            // Single newlines break lines too, as people write chat messages that way
+            buffer = buffer.replace(/ +$/, '');
+            pushHtml('<br>');
+            i++;
+            while (text[i] === ' ') i++;
+            continue;
+        }
+
+        buffer += char;
+        i++;
+    }
+
+    flush();
+    return nodes;
+}
+
+// CommonMark's delimiter run algorithm: match each closer with the nearest
+// compatible opener before it, innermost first
+function processEmphasis(nodes) {
+    for (let closerIndex = 0; closerIndex < nodes.length; closerIndex++) {
+        const closer = nodes[closerIndex];
+        if (closer.type !== 'delimiter' || !closer.canClose || closer.count === 0) continue;
+
+        let openerIndex = closerIndex - 1;
+        for (; openerIndex >= 0; openerIndex--) {
+            const opener = nodes[openerIndex];
+            if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen || opener.count === 0) continue;
+            if (closer.char === '~') {
+                if (opener.count === closer.count) break;
+                continue;
+            }
+            // The "rule of three" for runs that can both open and close
+            const bothSides = closer.canOpen || opener.canClose;
+            const multipleOfThree = (opener.length + closer.length) % 3 === 0 &&
+                !(opener.length % 3 === 0 && closer.length % 3 === 0);
+            if (!(bothSides && multipleOfThree)) break;
+        }
+        if (openerIndex < 0) continue;
+
+        const opener = nodes[openerIndex];
+        const used = closer.char === '~' ? closer.count : opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+        const tag = closer.char === '~' ? 'del' : used === 2 ? 'strong' : 'em';
+        opener.count -= used;
+        closer.count -= used;
+
+        const inner = nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1);
+        nodes.splice(openerIndex + 1, 0, { type: 'html', value: `<${tag}>${renderInlineNodes(inner)}</${tag}>` });
+
+        // Revisit the closer in case it has delimiters left
+        closerIndex = openerIndex;
+    }
+}
+
+function renderInlineNodes(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'text') return escapeMarkdownText(node.value);
+        if (node.type === 'delimiter') return escapeHtml(node.char.repeat(node.count));
+        return node.value;
+    }).join('');
+}
+
+function renderInline(text, references, inLink = false) {
+    const nodes = parseInlineNodes(text, references, inLink);
+    processEmphasis(nodes);
+    return renderInlineNodes(nodes);
+}
+
+// =============================================================================
+// BLOCK RENDERING
+// =============================================================================
+
+function codeBlockHtml(code, language) {
+    const label = language ? `<span class="code-block-language">${escapeHtml(language)}</span>` : '<span></span>';
+    const className = language ? ` class="language-${escapeHtml(language.replace(/[^\w+#-]/g, ''))}"` : '';
+    return `<div class="code-block"><div class="code-block-header">${label}` +
+        '<button type="button" class="code-copy-btn" title="Copy code">Copy</button></div>' +
+        `<pre><code${className}>${highlightCode(code, language)}</code></pre></div>`;
+}
+
+function renderBlock(block, references, tight = false) {
+    switch (block.type) {
+        case 'paragraph': {
+            const html = renderInline(block.text, references);
+            return tight ? html : `<p>${html}</p>`;
+        }
+        case 'heading':
+            return `<h${block.level}>${renderInline(block.text, references)}</h${block.level}>`;
+        case 'code':
+            return codeBlockHtml(block.code, block.language);
+        case 'math':
+            return `<div class="math-block">${renderMath(block.tex, true)}</div>`;
+        case 'rule':
+            return '<hr>';
+        case 'blockquote':
+            return `<blockquote>${renderBlocks(block.children, references)}</blockquote>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            const allTasks = block.items.every(item => item.checked !== null);
+            const items = block.items.map(item => {
+                const content = renderBlocks(item.children, references, !block.loose);
+                if (item.checked === null) return `<li>${content}</li>`;
+                const checkbox = `<input type="checkbox" disabled${item.checked ? ' checked' : ''}>`;
+                return `<li class="task-list-item">${checkbox}${content}</li>`;
+            }).join('');
+            return `<${tag}${start}${allTasks ? ' class="task-list"' : ''}>${items}</${tag}>`;
+        }
+        case 'table': {
+            const cell = (tag, text, column) => {
+                const align = block.align[column] ? ` style="text-align: ${block.align[column]}"` : '';
+                return `<${tag}${align}>${renderInline(text, references)}</${tag}>`;
+            };
+            const head = `<tr>${block.header.map((text, column) => cell('th', text, column)).join('')}</tr>`;
+            const body = block.rows.map(row =>
+                `<tr>${row.map((text, column) => cell('td', text, column)).join('')}</tr>`).join('');
+            return `<div class="table-wrapper"><table><thead>${head}</thead>${body ? `<tbody>${body}</tbody>` : ''}</table></div>`;
+        }
+    }
+    return '';
+}
+
+function renderBlocks(blocks, references, tight = false) {
+    return blocks.map(block => renderBlock(block, references, tight)).join('');
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+function renderMarkdown(text) {
+    const { blocks, references } = parseMarkdownDocument(text || '');
+    return renderBlocks(blocks, references);
+}
+
+// Renders into a container, rebuilding only the top-level blocks whose source
+// changed since the last render. While a response streams, that is usually
+// just the last block, so earlier code blocks and math are not re-highlighted
+// and keep their DOM (and any text selection in them).
+function renderMarkdownInto(container, text) {
+    const { blocks, references } = parseMarkdownDocument(text || '');
+    const referenceKey = JSON.stringify(references);
+
+    if (!renderedMarkdownBlocks.has(container)) container.innerHTML = '';
+    const previous = renderedMarkdownBlocks.get(container) || [];
+    const template = document.createElement('template');
+
+    const rendered = blocks.map((block, index) => {
+        const key = `${referenceKey}\n${block.raw}`;
+        const old = previous[index];
+        if (old && old.key === key && old.node.parentNode === container) return old;
+
+        template.innerHTML = renderBlock(block, references);
+        const node = template.content.firstElementChild;
+        if (old && old.node.parentNode === container) {
+            container.replaceChild(node, old.node);
+        } else {
+            container.appendChild(node);
+        }
+        return { key, node };
+    });
+
+    previous.slice(blocks.length).forEach(old => old.node.remove());
+    renderedMarkdownBlocks.set(container, rendered);
+}
+
+// Delegated click handling for rendered messages: copy buttons on code blocks,
+// and links opened in the system browser instead of the app's webview
+async function handleMarkdownClick(e) {
+    const copyButton = e.target.closest('.code-copy-btn');
+    if (copyButton) {
+        const code = copyButton.closest('.code-block').querySelector('code').textContent;
+        try {
+            await writeClipboard(code);
+            copyButton.textContent = 'Copied';
+        } catch (error) {
+            console.error('Failed to copy code:', error);
+            copyButton.textContent = 'Failed';
+        }
+        setTimeout(() => {
+            copyButton.textContent = 'Copy';
+        }, 1500);
+        return;
+    }
+
+    const link = e.target.closest('a[href]');
+    if (link) {
+        e.preventDefault();
+        const href = link.getAttribute('href');
+        if (href.startsWith('#') || safeLinkUrl(href) === null || !/^[a-z][a-z\d+.-]*:/i.test(href)) return;
+        try {
+            await openUrl(href);
+        } catch (error) {
+            console.error('Failed to open link:', error);
+        }
+    }
+}
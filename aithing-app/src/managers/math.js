@@ -0,0 +1,410 @@
+// AIThing - Math Rendering
+// Converts LaTeX math to MathML, which the webview renders natively
+
+// =============================================================================
+// SYMBOL TABLES
+// =============================================================================
+
+// Commands rendered as identifiers
+const MATH_IDENTIFIERS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο',
+    pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ',
+    phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', hbar: 'ℏ', ell: 'ℓ',
+    Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', wp: '℘', angle: '∠', triangle: '△', top: '⊤', bot: '⊥',
+    ldots: '…', cdots: '⋯', dots: '…', vdots: '⋮', ddots: '⋱', prime: '′', degree: '°'
+};
+
+// Commands rendered as operators (relations, arrows, binary operators, delimiters)
+const MATH_OPERATORS = {
+    pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', setminus: '∖', wedge: '∧', land: '∧', vee: '∨',
+    lor: '∨', neg: '¬', lnot: '¬', cup: '∪', cap: '∩', sqcup: '⊔', sqcap: '⊓',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+    simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+    mid: '∣', parallel: '∥', perp: '⊥', vdash: '⊢', models: '⊨', forall: '∀', exists: '∃', nexists: '∄',
+    to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+    Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸', iff: '⟺', mapsto: '↦',
+    longrightarrow: '⟶', longleftarrow: '⟵', uparrow: '↑', downarrow: '↓', hookrightarrow: '↪',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+    lbrace: '{', rbrace: '}', vert: '|', Vert: '‖', colon: ':'
+};
+
+// Large operators; those in MATH_LIMIT_OPERATORS take limits above and below in display mode
+const MATH_LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+    bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂', bigvee: '⋁', bigwedge: '⋀', bigsqcup: '⨆'
+};
+const MATH_LIMIT_OPERATORS = new Set([
+    'sum', 'prod', 'coprod', 'bigcup', 'bigcap', 'bigoplus', 'bigotimes', 'bigvee', 'bigwedge', 'bigsqcup',
+    'lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr', 'argmax', 'argmin'
+]);
+
+// Named functions set upright
+const MATH_FUNCTIONS = new Set([
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'coth',
+    'log', 'ln', 'lg', 'exp', 'deg', 'dim', 'ker', 'hom', 'arg', 'lim', 'limsup', 'liminf', 'max', 'min',
+    'sup', 'inf', 'det', 'gcd', 'Pr', 'mod', 'argmax', 'argmin'
+]);
+
+const MATH_ACCENTS = {
+    hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→', tilde: '~',
+    widetilde: '~', dot: '˙', ddot: '¨', check: 'ˇ', breve: '˘', acute: '´', grave: '`',
+    overbrace: '⏞', underbrace: '⏟', underline: '_'
+};
+const MATH_UNDER_ACCENTS = new Set(['underline', 'underbrace']);
+
+const MATH_SPACES = {
+    ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em',
+    quad: '1em', qquad: '2em', '!': '-0.1667em'
+};
+
+// Font commands map letters to Unicode mathematical alphanumerics, since MathML
+// Core only honours mathvariant="normal"
+const MATH_VARIANTS = {
+    mathbf: 'bold', boldsymbol: 'bold-italic', bm: 'bold-italic', mathit: 'italic', mathrm: 'normal',
+    mathbb: 'double-struck', mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur',
+    mathsf: 'sans-serif', mathtt: 'monospace'
+};
+const MATH_VARIANT_OFFSETS = {
+    'bold': { upper: 0x1D400, lower: 0x1D41A, digit: 0x1D7CE },
+    'italic': { upper: 0x1D434, lower: 0x1D44E },
+    'bold-italic': { upper: 0x1D468, lower: 0x1D482 },
+    'script': { upper: 0x1D49C, lower: 0x1D4B6 },
+    'fraktur': { upper: 0x1D504, lower: 0x1D51E },
+    'double-struck': { upper: 0x1D538, lower: 0x1D552, digit: 0x1D7D8 },
+    'sans-serif': { upper: 0x1D5A0, lower: 0x1D5BA, digit: 0x1D7E2 },
+    'monospace': { upper: 0x1D670, lower: 0x1D68A, digit: 0x1D7F6 }
+};
+// Letters that live in the Letterlike Symbols block instead
+const MATH_VARIANT_EXCEPTIONS = {
+    'italic': { h: 'ℎ' },
+    'script': { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' },
+    'fraktur': { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' },
+    'double-struck': { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }
+};
+
+const MATH_ENVIRONMENT_FENCES = {
+    matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], smallmatrix: ['', ''], cases: ['{', '']
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function mathRow(items) {
+    return items.length === 1 ? items[0] : `<mrow>${items.join('')}</mrow>`;
+}
+
+function mathVariantChar(char, variant) {
+    const exception = MATH_VARIANT_EXCEPTIONS[variant]?.[char];
+    if (exception) return exception;
+
+    const offsets = MATH_VARIANT_OFFSETS[variant];
+    if (!offsets) return char;
+    if (char >= 'A' && char <= 'Z') return String.fromCodePoint(offsets.upper + char.charCodeAt(0) - 65);
+    if (char >= 'a' && char <= 'z') return String.fromCodePoint(offsets.lower + char.charCodeAt(0) - 97);
+    if (char >= '0' && char <= '9' && offsets.digit) return String.fromCodePoint(offsets.digit + char.charCodeAt(0) - 48);
+    return char;
+}
+
+function tokenizeTex(tex) {
+    const tokens = [];
+    const pattern = /\\([a-zA-Z]+|[^a-zA-Z])|%[^\n]*|(\s+)|(\d+(?:\.\d+)?)|([\s\S])/gu;
+    for (const match of tex.matchAll(pattern)) {
+        if (match[1] !== undefined) tokens.push({ type: 'command', value: match[1], raw: match[0] });
+        else if (match[2] !== undefined) tokens.push({ type: 'space', value: match[2], raw: match[0] });
+        else if (match[3] !== undefined) tokens.push({ type: 'number', value: match[3], raw: match[0] });
+        else if (match[4] !== undefined) tokens.push({ type: 'char', value: match[4], raw: match[0] });
+    }
+    return tokens;
+}
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+function texToMathML(tex, display = false) {
+    const tokens = tokenizeTex(tex);
+    let pos = 0;
+    let variant = null;
+
+    const isToken = (token, type, value) => token && token.type === type && token.value === value;
+
+    function peek() {
+        while (tokens[pos] && tokens[pos].type === 'space') pos++;
+        return tokens[pos];
+    }
+
+    function next() {
+        const token = peek();
+        pos++;
+        return token;
+    }
+
+    function isStop(token, stops) {
+        if (!token) return true;
+        if (isToken(token, 'char', '}')) return true;
+        if (token.type === 'char' && stops.includes(token.value)) return true;
+        return token.type === 'command' && stops.includes(`\\${token.value}`);
+    }
+
+    function parseExpression(stops = []) {
+        const items = [];
+        while (!isStop(peek(), stops)) {
+            const atom = parseAtom();
+            if (atom !== null) items.push(parseScripts(atom));
+        }
+        return items;
+    }
+
+    // A braced group, or a single atom (as in \frac12)
+    function parseArgument() {
+        const token = peek();
+        if (isToken(token, 'char', '{')) {
+            next();
+            const items = parseExpression();
+            if (isToken(peek(), 'char', '}')) next();
+            return mathRow(items);
+        }
+        return token ? parseAtom() || '<mrow></mrow>' : '<mrow></mrow>';
+    }
+
+    // Source text of a braced group, for \text and environment names
+    function readRawGroup() {
+        if (!isToken(peek(), 'char', '{')) return '';
+        next();
+        let depth = 1;
+        let raw = '';
+        while (pos < tokens.length) {
+            const token = tokens[pos++];
+            if (isToken(token, 'char', '{')) depth++;
+            if (isToken(token, 'char', '}') && --depth === 0) break;
+            raw += token.type === 'command' && !/^[a-zA-Z]/.test(token.value) ? token.value : token.raw;
+        }
+        return raw;
+    }
+
+    function readDelimiter() {
+        const token = next();
+        if (!token) return '';
+        if (token.type === 'char') return token.value === '.' ? '' : token.value;
+        if (token.value === '{' || token.value === '}') return token.value;
+        if (token.value === '|') return '‖';
+        return MATH_OPERATORS[token.value] || '';
+    }
+
+    function operator(value, attributes = '') {
+        return `<mo${attributes}>${escapeHtml(value)}</mo>`;
+    }
+
+    function identifier(value) {
+        if (variant === 'normal') return `<mi mathvariant="normal">${escapeHtml(value)}</mi>`;
+        if (variant) return `<mi>${escapeHtml([...value].map(c => mathVariantChar(c, variant)).join(''))}</mi>`;
+        return `<mi>${escapeHtml(value)}</mi>`;
+    }
+
+    function parseScripts(base, limits = false) {
+        let sub = null;
+        let sup = null;
+        let primes = '';
+
+        for (;;) {
+            const token = peek();
+            if (isToken(token, 'char', '_') && sub === null) {
+                next();
+                sub = parseArgument();
+            } else if (isToken(token, 'char', '^') && sup === null) {
+                next();
+                sup = parseArgument();
+            } else if (isToken(token, 'char', "'")) {
+                next();
+                primes += '′';
+            } else {
+                break;
+            }
+        }
+
+        if (primes) sup = sup ? `<mrow><mo>${primes}</mo>${sup}</mrow>` : `<mo>${primes}</mo>`;
+        if (sub === null && sup === null) return base;
+
+        const [under, over, both] = limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+        if (sub !== null && sup !== null) return `<${both}>${base}${sub}${sup}</${both}>`;
+        if (sub !== null) return `<${under}>${base}${sub}</${under}>`;
+        return `<${over}>${base}${sup}</${over}>`;
+    }
+
+    function parseEnvironment(name) {
+        const baseName = name.replace(/\*$/, '');
+        if (baseName === 'array') readRawGroup();
+
+        const rows = [];
+        let cells = [];
+        for (;;) {
+            cells.push(mathRow(parseExpression(['&', '\\\\', '\\end'])));
+            const token = next();
+            if (!token || isToken(token, 'char', '}')) break;
+            if (isToken(token, 'char', '&')) continue;
+            rows.push(cells);
+            cells = [];
+            if (isToken(token, 'command', 'end')) {
+                readRawGroup();
+                break;
+            }
+        }
+        if (cells.length > 1 || (cells.length === 1 && cells[0] !== '<mrow></mrow>')) rows.push(cells);
+
+        const aligned = ['aligned', 'align', 'alignat', 'split', 'eqnarray'].includes(baseName);
+        const columnAlign = baseName === 'cases' ? ' columnalign="left left"' : aligned ? ' columnalign="right left"' : '';
+        const table = `<mtable${columnAlign}>${rows.map(row =>
+            `<mtr>${row.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`).join('')}</mtable>`;
+
+        const [open, close] = MATH_ENVIRONMENT_FENCES[baseName] || ['', ''];
+        if (!open && !close) return table;
+        return `<mrow>${open ? operator(open) : ''}${table}${close ? operator(close) : ''}</mrow>`;
+    }
+
+    function parseCommand(name) {
+        if (MATH_IDENTIFIERS[name]) return identifier(MATH_IDENTIFIERS[name]);
+        if (MATH_OPERATORS[name]) return operator(MATH_OPERATORS[name]);
+        if (MATH_SPACES[name]) return `<mspace width="${MATH_SPACES[name]}"></mspace>`;
+
+        if (MATH_LARGE_OPERATORS[name]) {
+            const limits = display && MATH_LIMIT_OPERATORS.has(name);
+            return parseScripts(operator(MATH_LARGE_OPERATORS[name], ' largeop="true"'), limits);
+        }
+        if (MATH_FUNCTIONS.has(name)) {
+            const limits = display && MATH_LIMIT_OPERATORS.has(name);
+            return parseScripts(`<mi>${name}</mi>`, limits);
+        }
+
+        switch (name) {
+            case 'frac': case 'dfrac': case 'tfrac': case 'cfrac':
+                return `<mfrac>${parseArgument()}${parseArgument()}</mfrac>`;
+            case 'binom': case 'dbinom': case 'tbinom':
+                return `<mrow><mo>(</mo><mfrac linethickness="0">${parseArgument()}${parseArgument()}</mfrac><mo>)</mo></mrow>`;
+            case 'sqrt': {
+                if (isToken(peek(), 'char', '[')) {
+                    next();
+                    const index = mathRow(parseExpression([']']));
+                    if (isToken(peek(), 'char', ']')) next();
+                    return `<mroot>${parseArgument()}${index}</mroot>`;
+                }
+                return `<msqrt>${parseArgument()}</msqrt>`;
+            }
+            case 'overset': case 'stackrel': {
+                const over = parseArgument();
+                return `<mover>${parseArgument()}${over}</mover>`;
+            }
+            case 'underset': {
+                const under = parseArgument();
+                return `<munder>${parseArgument()}${under}</munder>`;
+            }
+            case 'text': case 'textrm': case 'textit': case 'textbf': case 'mbox':
+                return `<mtext>${escapeHtml(readRawGroup())}</mtext>`;
+            case 'operatorname':
+                return parseScripts(`<mi>${escapeHtml(readRawGroup())}</mi>`);
+            case 'left': {
+                const open = readDelimiter();
+                const items = parseExpression(['\\right']);
+                if (isToken(peek(), 'command', 'right')) next();
+                const close = readDelimiter();
+                const fence = (value) => value ? operator(value, ' stretchy="true"') : '';
+                return `<mrow>${fence(open)}${items.join('')}${fence(close)}</mrow>`;
+            }
+            case 'right':
+                readDelimiter();
+                return null;
+            case 'big': case 'Big': case 'bigg': case 'Bigg':
+            case 'bigl': case 'bigr': case 'Bigl': case 'Bigr': case 'biggl': case 'biggr': {
+                const size = { big: '1.2em', Big: '1.8em', bigg: '2.4em', Bigg: '3em' }[name.replace(/[lr]$/, '')];
+                return operator(readDelimiter(), ` minsize="${size}" maxsize="${size}"`);
+            }
+            case 'not': {
+                const token = next();
+                const value = token?.type === 'command' ? MATH_OPERATORS[token.value] || '' : token?.value || '';
+                return operator(`${value}̸`);
+            }
+            case 'begin':
+                return parseEnvironment(readRawGroup());
+            case 'end':
+                readRawGroup();
+                return null;
+            case '\\':
+                return null;
+            case '{': case '}': case '|':
+                return operator(name === '|' ? '‖' : name);
+            case '#': case '$': case '%': case '&': case '_':
+                return identifier(name);
+        }
+
+        if (MATH_ACCENTS[name]) {
+            const base = parseArgument();
+            const accent = operator(MATH_ACCENTS[name], ' stretchy="true"');
+            if (MATH_UNDER_ACCENTS.has(name)) return `<munder accentunder="true">${base}${accent}</munder>`;
+            return `<mover accent="true">${base}${accent}</mover>`;
+        }
+
+        if (MATH_VARIANTS[name]) {
+            const previous = variant;
+            variant = MATH_VARIANTS[name];
+            const content = parseArgument();
+            variant = previous;
+            return content;
+        }
+
+        // Unknown commands are shown as written
+        return `<merror><mtext>${escapeHtml(`\\${name}`)}</mtext></merror>`;
+    }
+
+    function parseAtom() {
+        const token = next();
+        if (!token) return null;
+
+        if (token.type === 'number') {
+            const value = variant && variant !== 'normal'
+                ? [...token.value].map(c => mathVariantChar(c, variant)).join('')
+                : token.value;
+            return `<mn>${escapeHtml(value)}</mn>`;
+        }
+        if (token.type === 'command') return parseCommand(token.value);
+
+        const char = token.value;
+        if (char === '{') {
+            const items = parseExpression();
+            if (isToken(peek(), 'char', '}')) next();
+            return mathRow(items);
+        }
+        if (char === '-') return operator('−');
+        if (char === '*') return operator('∗');
+        if ('+=<>/!,;:|()[]?.'.includes(char)) return operator(char);
+        if (char === '~') return '<mspace width="0.25em"></mspace>';
+        if (char === '^' || char === '_' || char === '&' || char === '}') return null;
+        return identifier(char);
+    }
+
+    const items = parseExpression();
+    // Stray closing braces end parseExpression early; keep going past them
+    while (pos < tokens.length) {
+        pos++;
+        items.push(...parseExpression());
+    }
+
+    return `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ''}>` +
+        `<semantics>${mathRow(items.length > 0 ? items : ['<mrow></mrow>'])}` +
+        `<annotation encoding="application/x-tex">${escapeHtml(tex)}</annotation></semantics></math>`;
+}
+
+function renderMath(tex, display = false) {
+    try {
+        return texToMathML(tex.trim(), display);
+    } catch (error) {
+        console.error('Failed to render math:', error);
+        return `<code class="math-error">${escapeHtml(tex)}</code>`;
+    }
+}
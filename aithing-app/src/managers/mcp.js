@@ -0,0 +1,663 @@
+// AIThing - MCP Server Client
+// Matching the Swift ConnectionManager / SSEClientTransport implementation
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MCP_PROTOCOL_VERSION = '2025-06-18';
+const MCP_REQUEST_TIMEOUT = 60000;
+const MCP_CLIENT_INFO = { name: 'AIThing', version: '1.0.0' };
+
+// Live connections keyed by agent id: { client, tools, status, error }
+const mcpConnections = new Map();
+
+// =============================================================================
+// TRANSPORTS
+// =============================================================================
+
+// The agent's own headers, plus a current access token for connectors
+async function agentHeaders(agent) {
+    if (!agent.connector) return agent.headers || {};
+    return { ...(agent.headers || {}), ...(await connectorAuthHeaders(agent)) };
+}
+
+// Streamable HTTP: every message is a POST, answered with JSON or an SSE stream
+function createHttpTransport(agent) {
+    const controller = new AbortController();
+    let sessionId = null;
+
+    const transport = {
+        onmessage: null,
+        onclose: null,
+
+        async start() {},
+
+        async send(message) {
+            const headers = {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/event-stream',
+                ...(await agentHeaders(agent))
+            };
+            if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+
+            const response = await httpFetch(agent.url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(message),
+                signal: controller.signal
+            });
+
+            const newSessionId = response.headers.get('mcp-session-id');
+            if (newSessionId) sessionId = newSessionId;
+
+            if (!response.ok) {
+                throw new Error(`MCP server responded with ${response.status}`);
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+            if (contentType.includes('text/event-stream')) {
+                for await (const { data } of readServerSentEvents(response)) {
+                    if (data) transport.onmessage?.(JSON.parse(data));
+                }
+            } else if (contentType.includes('application/json')) {
+                const body = await response.json();
+                [].concat(body).forEach(item => transport.onmessage?.(item));
+            }
+        },
+
+        async close() {
+            controller.abort();
+            if (sessionId) {
+                try {
+                    await httpFetch(agent.url, {
+                        method: 'DELETE',
+                        headers: { ...(await agentHeaders(agent)), 'Mcp-Session-Id': sessionId }
+                    });
+                } catch (e) {
+                    // Session termination is best effort
+                }
+            }
+        }
+    };
+
+    return transport;
+}
+
+// Legacy HTTP+SSE: a long-lived GET stream announces the POST endpoint and
+// carries every response
+function createSSETransport(agent) {
+    const controller = new AbortController();
+    let endpoint = null;
+
+    const transport = {
+        onmessage: null,
+        onclose: null,
+
+        async start() {
+            const response = await httpFetch(agent.url, {
+                headers: { 'Accept': 'text/event-stream', ...(await agentHeaders(agent)) },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`MCP server responded with ${response.status}`);
+            }
+
+            const events = readServerSentEvents(response);
+
+            // The first event tells us where to POST messages
+            const first = await events.next();
+            if (first.done || first.value.event !== 'endpoint') {
+                throw new Error('MCP server did not announce a message endpoint');
+            }
+            endpoint = new URL(first.value.data, agent.url).toString();
+
+            (async () => {
+                try {
+                    for await (const { event, data } of events) {
+                        if (event === 'message' && data) transport.onmessage?.(JSON.parse(data));
+                    }
+                } catch (error) {
+                    if (!controller.signal.aborted) console.error(`MCP stream for ${agent.name} failed:`, error);
+                }
+                transport.onclose?.();
+            })();
+        },
+
+        async send(message) {
+            const response = await httpFetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(await agentHeaders(agent)) },
+                body: JSON.stringify(message),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`MCP server responded with ${response.status}`);
+            }
+        },
+
+        async close() {
+            controller.abort();
+        }
+    };
+
+    return transport;
+}
+
+// Local command spawned by the Tauri backend, speaking JSON-RPC over stdio
+function createStdioTransport(agent) {
+    const unlisteners = [];
+    // Tells this start's events from those of a process it replaced under the same id
+    const spawn = generateUUID();
+    const isOwnEvent = (event) => event.payload.id === agent.id && event.payload.spawn === spawn;
+
+    const transport = {
+        onmessage: null,
+        onclose: null,
+
+        async start() {
+            unlisteners.push(await listen('mcp-stdio-message', (event) => {
+                if (!isOwnEvent(event)) return;
+                try {
+                    transport.onmessage?.(JSON.parse(event.payload.line));
+                } catch (e) {
+                    // Servers may log non-JSON lines to stdout
+                    console.warn(`[mcp:${agent.name}]`, event.payload.line);
+                }
+            }));
+            unlisteners.push(await listen('mcp-stdio-exit', (event) => {
+                if (isOwnEvent(event)) transport.onclose?.();
+            }));
+
+            await invoke('mcp_spawn', {
+                id: agent.id,
+                spawn,
+                command: agent.command,
+                args: agent.args || [],
+                env: agent.env || {}
+            });
+        },
+
+        async send(message) {
+            await invoke('mcp_send', { id: agent.id, message: JSON.stringify(message) });
+        },
+
+        async close() {
+            unlisteners.forEach(unlisten => unlisten());
+            await invoke('mcp_kill', { id: agent.id });
+        }
+    };
+
+    return transport;
+}
+
+function createMCPTransport(agent) {
+    switch (agent.transport) {
+        case 'stdio':
+            return createStdioTransport(agent);
+        case 'sse':
+            return createSSETransport(agent);
+        default:
+            return createHttpTransport(agent);
+    }
+}
+
+// =============================================================================
+// CLIENT
+// =============================================================================
+
+// Flattens a tools/call result into the string handed back to the model
+function formatMCPToolResult(result) {
+    const text = (result.content || []).map(block => {
+        if (block.type === 'text') return block.text;
+        if (block.type === 'resource') return block.resource?.text || block.resource?.uri || '';
+        return `[${block.type}]`;
+    }).join('\n');
+
+    const output = text || (result.structuredContent ? JSON.stringify(result.structuredContent) : '');
+    return result.isError ? `Error: ${output}` : output;
+}
+
+function createMCPClient(agent) {
+    const transport = createMCPTransport(agent);
+    const pending = new Map();
+    let nextId = 1;
+
+    const rejectAll = (error) => {
+        pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        pending.clear();
+    };
+
+    const client = {
+        serverInfo: null,
+        onclose: null,
+        onToolsChanged: null,
+
+        request(method, params = {}) {
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    pending.delete(id);
+                    reject(new Error(`MCP request ${method} timed out`));
+                }, MCP_REQUEST_TIMEOUT);
+
+                pending.set(id, { resolve, reject, timer });
+                transport.send({ jsonrpc: '2.0', id, method, params }).catch(error => {
+                    if (!pending.has(id)) return;
+                    clearTimeout(timer);
+                    pending.delete(id);
+                    reject(error);
+                });
+            });
+        },
+
+        notify(method, params = {}) {
+            return transport.send({ jsonrpc: '2.0', method, params });
+        },
+
+        async connect() {
+            await transport.start();
+            const result = await client.request('initialize', {
+                protocolVersion: MCP_PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: MCP_CLIENT_INFO
+            });
+            client.serverInfo = result.serverInfo || null;
+            await client.notify('notifications/initialized');
+        },
+
+        async listTools() {
+            const tools = [];
+            let cursor;
+            do {
+                const result = await client.request('tools/list', cursor ? { cursor } : {});
+                tools.push(...(result.tools || []));
+                cursor = result.nextCursor;
+            } while (cursor);
+            return tools;
+        },
+
+        async callTool(name, input) {
+            const result = await client.request('tools/call', { name, arguments: input });
+            return formatMCPToolResult(result);
+        },
+
+        async close() {
+            rejectAll(new Error('MCP connection closed'));
+            await transport.close();
+        }
+    };
+
+    transport.onmessage = (message) => {
+        // Response to one of our requests
+        if (message.id !== undefined && pending.has(message.id) && !message.method) {
+            const { resolve, reject, timer } = pending.get(message.id);
+            clearTimeout(timer);
+            pending.delete(message.id);
+            if (message.error) {
+                reject(new Error(message.error.message || 'MCP request failed'));
+            } else {
+                resolve(message.result);
+            }
+            return;
+        }
+
+        // Request from the server; only ping is supported
+        if (message.method && message.id !== undefined) {
+            const reply = message.method === 'ping'
+                ? { jsonrpc: '2.0', id: message.id, result: {} }
+                : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+            transport.send(reply).catch(() => {});
+            return;
+        }
+
+        if (message.method === 'notifications/tools/list_changed') {
+            client.onToolsChanged?.();
+        }
+    };
+
+    transport.onclose = () => {
+        rejectAll(new Error('MCP server disconnected'));
+        client.onclose?.();
+    };
+
+    return client;
+}
+
+// =============================================================================
+// CONNECTION MANAGEMENT
+// =============================================================================
+
+function agentToolProviderId(agentId) {
+    return `mcp:${agentId}`;
+}
+
+// Connectors only offer the tools of their chosen toolsets
+function agentTools(agent, connection) {
+    return connection.tools.filter(tool => connectorAllowsTool(agent, tool.name));
+}
+
+async function connectAgent(agent) {
+    await disconnectAgent(agent.id);
+
+    const connection = { client: null, tools: [], status: 'connecting', error: null };
+    mcpConnections.set(agent.id, connection);
+    updateAgentsList();
+
+    const client = createMCPClient(agent);
+    connection.client = client;
+
+    const refreshTools = async () => {
+        connection.tools = await client.listTools();
+        updateAgentsList();
+        updateViewToolsButton();
+    };
+
+    client.onToolsChanged = () => {
+        refreshTools().catch(error => console.error(`Failed to refresh tools for ${agent.name}:`, error));
+    };
+    client.onclose = () => {
+        if (mcpConnections.get(agent.id) !== connection) return;
+        connection.status = 'disconnected';
+        unregisterToolProvider(agentToolProviderId(agent.id));
+        updateAgentsList();
+        updateViewToolsButton();
+    };
+
+    try {
+        await client.connect();
+        connection.status = 'connected';
+        await refreshTools();
+
+        registerToolProvider(agentToolProviderId(agent.id), {
+            getTools: () => agentTools(agent, connection).filter(tool => !(agent.disabledTools || []).includes(tool.name)),
+            callTool: (name, input) => client.callTool(name, input)
+        });
+    } catch (error) {
+        console.error(`Failed to connect to MCP server ${agent.name}:`, error);
+        connection.status = 'error';
+        connection.error = error.message || String(error);
+        client.close().catch(() => {});
+    }
+
+    updateAgentsList();
+    updateViewToolsButton();
+}
+
+async function disconnectAgent(agentId) {
+    unregisterToolProvider(agentToolProviderId(agentId));
+
+    const connection = mcpConnections.get(agentId);
+    mcpConnections.delete(agentId);
+    if (connection?.client) {
+        try {
+            await connection.client.close();
+        } catch (error) {
+            console.error('Failed to close MCP connection:', error);
+        }
+    }
+}
+
+async function connectEnabledAgents() {
+    await Promise.all(state.agents.filter(agent => agent.enabled).map(connectAgent));
+}
+
+async function addAgent(config) {
+    const agent = {
+        id: generateUUID(),
+        enabled: true,
+        disabledTools: [],
+        ...config
+    };
+    state.agents.push(agent);
+    saveSettings();
+    await connectAgent(agent);
+}
+
+async function setAgentEnabled(agentId, enabled) {
+    const agent = state.agents.find(a => a.id === agentId);
+    if (!agent) return;
+
+    agent.enabled = enabled;
+    saveSettings();
+
+    if (enabled) {
+        await connectAgent(agent);
+    } else {
+        await disconnectAgent(agentId);
+        updateAgentsList();
+        updateViewToolsButton();
+    }
+}
+
+function setAgentToolEnabled(agentId, toolName, enabled) {
+    const agent = state.agents.find(a => a.id === agentId);
+    if (!agent) return;
+
+    const disabled = new Set(agent.disabledTools || []);
+    if (enabled) {
+        disabled.delete(toolName);
+    } else {
+        disabled.add(toolName);
+    }
+    agent.disabledTools = Array.from(disabled);
+    saveSettings();
+    updateViewToolsButton();
+}
+
+async function deleteAgent(agentId) {
+    await disconnectAgent(agentId);
+    if (state.agents.find(a => a.id === agentId)?.connector) signOutConnector(agentId);
+    state.agents = state.agents.filter(a => a.id !== agentId);
+    saveSettings();
+    updateAgentsList();
+    updateViewToolsButton();
+}
+
+// =============================================================================
+// AGENTS PANEL
+// =============================================================================
+
+function agentDescription(agent) {
+    if (agent.connector) return connectorDescription(agent);
+    if (agent.transport === 'stdio') {
+        return [agent.command, ...(agent.args || [])].join(' ');
+    }
+    return agent.url;
+}
+
+function agentStatusText(agent) {
+    if (!agent.enabled) return 'Disabled';
+    const connection = mcpConnections.get(agent.id);
+    if (!connection) return 'Disconnected';
+    switch (connection.status) {
+        case 'connecting':
+            return 'Connecting...';
+        case 'connected': {
+            const count = agentTools(agent, connection).length;
+            return `${count} tool${count === 1 ? '' : 's'}`;
+        }
+        case 'error':
+            return `Error: ${connection.error}`;
+        default:
+            return 'Disconnected';
+    }
+}
+
+function updateAgentsList() {
+    elements.agentsList.innerHTML = '';
+
+    if (state.agents.length === 0) {
+        elements.agentsList.innerHTML = '<div class="no-agents">No agents configured</div>';
+        return;
+    }
+
+    state.agents.forEach(agent => {
+        const connection = mcpConnections.get(agent.id);
+        const tools = agent.enabled && connection ? agentTools(agent, connection) : [];
+        const conflicts = toolNameConflicts(agentToolProviderId(agent.id));
+
+        const item = document.createElement('div');
+        item.className = 'agent-item';
+        item.innerHTML = `
+            <div class="agent-row">
+                <div class="agent-info">
+                    <span class="agent-name">${escapeHtml(agent.name)}</span>
+                    <span class="agent-url">${escapeHtml(agentDescription(agent))}</span>
+                    <span class="agent-status${connection?.status === 'error' ? ' error' : ''}">${escapeHtml(agentStatusText(agent))}</span>
+                </div>
+                <div class="agent-actions">
+                    ${agent.connector ? '<button class="agent-action-btn agent-sign-in" title="Sign in again">Sign in</button>' : ''}
+                    <button class="agent-action-btn agent-reconnect" title="Reconnect">Reconnect</button>
+                    <button class="agent-action-btn agent-delete" title="Delete">Delete</button>
+                    <label class="toggle-switch">
+                        <input type="checkbox" class="agent-enabled" ${agent.enabled ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                    </label>
+                </div>
+            </div>
+            ${tools.length > 0 ? `
+            <details class="agent-tools">
+                <summary>Tools</summary>
+                ${tools.map(tool => `
+                <label class="agent-tool">
+                    <input type="checkbox" data-tool="${escapeHtml(tool.name)}" ${(agent.disabledTools || []).includes(tool.name) ? '' : 'checked'}>
+                    <span class="agent-tool-info">
+                        <span class="agent-tool-name">${escapeHtml(tool.name)}</span>
+                        <span class="agent-tool-desc">${escapeHtml(tool.description || '')}</span>
+                        ${conflicts.has(tool.name) ? `<span class="agent-tool-conflict">Not offered: ${escapeHtml(toolProviderName(conflicts.get(tool.name)))} has a tool with this name</span>` : ''}
+                    </span>
+                </label>`).join('')}
+            </details>` : ''}
+        `;
+
+        item.querySelector('.agent-enabled').addEventListener('change', (e) => {
+            setAgentEnabled(agent.id, e.target.checked);
+        });
+        item.querySelector('.agent-sign-in')?.addEventListener('click', () => {
+            showConnectorForm(agent);
+        });
+        item.querySelector('.agent-reconnect').addEventListener('click', () => {
+            if (agent.enabled) connectAgent(agent);
+        });
+        item.querySelector('.agent-delete').addEventListener('click', () => {
+            deleteAgent(agent.id);
+        });
+        item.querySelectorAll('.agent-tool input').forEach(input => {
+            input.addEventListener('change', () => {
+                setAgentToolEnabled(agent.id, input.dataset.tool, input.checked);
+            });
+        });
+
+        elements.agentsList.appendChild(item);
+    });
+}
+
+// Parses "Key: value" / "KEY=value" lines from the agent form
+function parseKeyValueLines(text, separator) {
+    const result = {};
+    text.split('\n').forEach(line => {
+        const index = line.indexOf(separator);
+        if (index <= 0) return;
+        const key = line.slice(0, index).trim();
+        if (key) result[key] = line.slice(index + 1).trim();
+    });
+    return result;
+}
+
+// Splits a command line into arguments, honouring simple quoting
+function splitCommandLine(text) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        args.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return args;
+}
+
+function showAgentForm(show) {
+    elements.agentForm.classList.toggle('hidden', !show);
+    elements.addAgentBtn.classList.toggle('hidden', show);
+    if (show) {
+        elements.agentForm.reset();
+        updateAgentFormFields();
+        elements.agentFormError.textContent = '';
+        elements.agentNameInput.focus();
+    }
+}
+
+function updateAgentFormFields() {
+    const isStdio = elements.agentTransportInput.value === 'stdio';
+    elements.agentForm.querySelectorAll('.agent-form-remote').forEach(el => el.classList.toggle('hidden', isStdio));
+    elements.agentForm.querySelectorAll('.agent-form-local').forEach(el => el.classList.toggle('hidden', !isStdio));
+}
+
+async function submitAgentForm() {
+    const transport = elements.agentTransportInput.value;
+    const name = elements.agentNameInput.value.trim();
+    const config = { name, transport };
+
+    if (transport === 'stdio') {
+        const [command, ...args] = splitCommandLine(elements.agentCommandInput.value.trim());
+        config.command = command;
+        config.args = args;
+        config.env = parseKeyValueLines(elements.agentEnvInput.value, '=');
+    } else {
+        config.url = elements.agentUrlInput.value.trim();
+        config.headers = parseKeyValueLines(elements.agentHeadersInput.value, ':');
+    }
+
+    if (!name) {
+        elements.agentFormError.textContent = 'Enter a name for the agent';
+        return;
+    }
+    if (transport === 'stdio' ? !config.command : !/^https?:\/\//.test(config.url)) {
+        elements.agentFormError.textContent = transport === 'stdio' ? 'Enter a command to run' : 'Enter an http(s) URL';
+        return;
+    }
+
+    showAgentForm(false);
+    await addAgent(config);
+}
+
+// =============================================================================
+// VIEW TOOLS
+// =============================================================================
+
+function toolProviderName(providerId) {
+    const agent = state.agents.find(a => agentToolProviderId(a.id) === providerId);
+    return agent ? agent.name : providerId === LOCAL_TOOL_PROVIDER_ID ? 'Built-in' : providerId;
+}
+
+function updateViewToolsButton() {
+    const hasTools = getAvailableTools().length > 0;
+    elements.viewToolsBtn.classList.toggle('hidden', !hasTools);
+    if (!hasTools) elements.toolsPopover.classList.add('hidden');
+}
+
+function toggleToolsPopover() {
+    const popover = elements.toolsPopover;
+    if (!popover.classList.contains('hidden')) {
+        popover.classList.add('hidden');
+        return;
+    }
+
+    const groups = {};
+    getAvailableTools().forEach(tool => {
+        const group = toolProviderName(tool.providerId);
+        (groups[group] = groups[group] || []).push(tool);
+    });
+
+    popover.innerHTML = Object.entries(groups).map(([group, tools]) => `
+        <div class="tools-popover-group">
+            <div class="tools-popover-header">${escapeHtml(group)}</div>
+            ${tools.map(tool => `
+            <div class="tools-popover-item" title="${escapeHtml(tool.description || '')}">${escapeHtml(tool.name)}</div>`).join('')}
+        </div>
+    `).join('');
+    popover.classList.remove('hidden');
+}
@@ -0,0 +1,345 @@
+// AIThing - Model Catalog
+// Models listed by each provider's API, with pinned favourites and custom IDs
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MODEL_PROVIDERS = ['anthropic', 'openai', 'google'];
+
+// How long a fetched catalog is used before it is fetched again
+const MODEL_CATALOG_TTL = DAY_MS;
+
+// Shown for a provider until its catalog has been fetched
+const defaultModels = [
+    { id: 'claude-sonnet-4-5-20250929', name: 'Claude Sonnet 4.5', provider: 'anthropic' },
+    { id: 'claude-opus-4-5-20251101', name: 'Claude Opus 4.5', provider: 'anthropic' },
+    { id: 'claude-haiku-4-5-20251001', name: 'Claude Haiku 4.5', provider: 'anthropic' },
+    { id: 'gpt-5.1-2025-11-13', name: 'GPT 5.1', provider: 'openai' },
+    { id: 'gpt-5-mini-2025-08-07', name: 'GPT 5 Mini', provider: 'openai' },
+    { id: 'gpt-5-nano-2025-08-07', name: 'GPT 5 Nano', provider: 'openai' },
+    { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', provider: 'google' },
+    { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', provider: 'google' }
+];
+
+// Context window and capabilities by model family, for what the models
+// endpoints don't report. The first matching rule wins.
+const modelCapabilityRules = [
+    { provider: 'anthropic', pattern: /^claude-/, contextWindow: 200000, vision: true, tools: true },
+    { provider: 'openai', pattern: /^gpt-5/, contextWindow: 400000, vision: true, tools: true },
+    { provider: 'openai', pattern: /^gpt-4\.1/, contextWindow: 1047576, vision: true, tools: true },
+    { provider: 'openai', pattern: /^(?:gpt-4o|chatgpt-4o|gpt-4-turbo)/, contextWindow: 128000, vision: true, tools: true },
+    { provider: 'openai', pattern: /^gpt-4/, contextWindow: 8192, vision: false, tools: true },
+    { provider: 'openai', pattern: /^gpt-3\.5/, contextWindow: 16385, vision: false, tools: true },
+    { provider: 'openai', pattern: /^o1-mini/, contextWindow: 128000, vision: false, tools: false },
+    { provider: 'openai', pattern: /^o\d/, contextWindow: 200000, vision: true, tools: true },
+    { provider: 'google', pattern: /^gemini-/, contextWindow: 1048576, vision: true, tools: true }
+];
+
+// Providers whose catalog is being fetched, and the last error for each
+const refreshingModelCatalogs = new Set();
+const modelCatalogErrors = new Map();
+
+// =============================================================================
+// CATALOG
+// =============================================================================
+
+// Built-in providers, then the ones the user added
+function modelProviderIds() {
+    return [...MODEL_PROVIDERS, ...state.customProviders.map(provider => provider.id)];
+}
+
+// Built-in providers need a key; servers the user added may not
+function providerReady(providerId) {
+    return isCustomProvider(providerId) || Boolean(state.apiKeys[providerId]);
+}
+
+// Capabilities are null when unknown, as for most custom models
+function modelCapabilities(model) {
+    // Fine-tuned OpenAI models ("ft:gpt-4o:org::id") share their base model's capabilities
+    const baseId = model.id.replace(/^ft:/, '');
+    const rule = modelCapabilityRules.find(r => r.provider === model.provider && r.pattern.test(baseId)) || {};
+    return {
+        contextWindow: model.contextWindow || rule.contextWindow || null,
+        vision: model.vision ?? rule.vision ?? null,
+        tools: model.tools ?? rule.tools ?? null
+    };
+}
+
+// Provider of a model ID that isn't in any list, judging by its name
+function inferModelProvider(modelId) {
+    if (/^claude/.test(modelId)) return 'anthropic';
+    if (/^(?:gemini|gemma)/.test(modelId)) return 'google';
+    if (/^(?:gpt|chatgpt|o\d)/.test(modelId)) return 'openai';
+    return null;
+}
+
+// Every model of a provider: custom ones, then the fetched (or default)
+// catalog, with pinned favourites moved to the top
+function providerModels(providerId) {
+    const cached = state.modelCatalog[providerId];
+    const listed = cached ? cached.models : defaultModels.filter(m => m.provider === providerId);
+    const custom = state.customModels
+        .filter(m => m.provider === providerId)
+        .map(m => ({ ...m, custom: true }));
+
+    const ids = new Set(custom.map(m => m.id));
+    const models = [...custom, ...listed.filter(m => !ids.has(m.id)).map(m => ({ ...m, provider: providerId }))];
+
+    // Keep the selected model visible even if the provider stopped listing it
+    const selected = state.selectedModel;
+    if (!models.some(m => m.id === selected) && inferModelProvider(selected) === providerId) {
+        models.unshift({ id: selected, name: selected, provider: providerId });
+    }
+
+    const pinned = state.pinnedModels
+        .map(id => models.find(m => m.id === id))
+        .filter(Boolean);
+    return [...pinned, ...models.filter(m => !state.pinnedModels.includes(m.id))];
+}
+
+function findModel(modelId) {
+    for (const providerId of modelProviderIds()) {
+        const model = providerModels(providerId).find(m => m.id === modelId);
+        if (model) return model;
+    }
+    return null;
+}
+
+function getProviderForModel(modelId) {
+    const model = findModel(modelId);
+    return model ? model.provider : inferModelProvider(modelId) || 'anthropic';
+}
+
+// A 404 or a page that isn't JSON usually means a custom server's URL is wrong.
+// The query is left out of the URL shown, as Google's carries the key.
+function modelsResponseError(response, url) {
+    const endpoint = url.split('?')[0];
+    if (response.status === 401 || response.status === 403) return new Error('The API key was rejected');
+    if (response.status === 404) return new Error(`No model list at ${endpoint}; check the server's URL`);
+    if (!response.ok) return new Error(`Error ${response.status}`);
+    return new Error(`${endpoint} didn't return a model list; check the server's URL`);
+}
+
+async function fetchProviderModels(providerId, apiKey) {
+    const provider = getAIProvider(providerId);
+    const models = [];
+    let pageToken = null;
+
+    do {
+        const request = provider.buildModelsRequest(apiKey, pageToken);
+        const response = await httpFetch(request.url, { method: 'GET', headers: request.headers });
+        if (!response.ok) throw modelsResponseError(response, request.url);
+
+        let json;
+        try {
+            json = await response.json();
+        } catch (e) {
+            json = null;
+        }
+        if (!json || typeof json !== 'object') throw modelsResponseError(response, request.url);
+
+        const page = provider.parseModels(json);
+        models.push(...page.models);
+        pageToken = page.nextPage;
+    } while (pageToken);
+
+    return models;
+}
+
+// Fetches a provider's catalog if it can be used and the cached one is stale
+async function refreshModelCatalog(providerId, force = false) {
+    const apiKey = state.apiKeys[providerId];
+    if (!providerReady(providerId) || refreshingModelCatalogs.has(providerId)) return;
+
+    const cached = state.modelCatalog[providerId];
+    if (!force && cached && Date.now() - cached.fetchedAt < MODEL_CATALOG_TTL) return;
+
+    refreshingModelCatalogs.add(providerId);
+    modelCatalogErrors.delete(providerId);
+    updateModelsList();
+
+    try {
+        const models = await fetchProviderModels(providerId, apiKey);
+        state.modelCatalog[providerId] = { fetchedAt: Date.now(), models };
+        await saveModelCatalog();
+    } catch (error) {
+        console.error(`Failed to fetch ${providerId} models:`, error);
+        modelCatalogErrors.set(providerId, error.message || String(error));
+    } finally {
+        refreshingModelCatalogs.delete(providerId);
+        updateModelsList();
+    }
+}
+
+function refreshModelCatalogs(force = false) {
+    return Promise.all(modelProviderIds().map(providerId => refreshModelCatalog(providerId, force)));
+}
+
+// =============================================================================
+// PINS AND CUSTOM MODELS
+// =============================================================================
+
+function togglePinnedModel(modelId) {
+    if (state.pinnedModels.includes(modelId)) {
+        state.pinnedModels = state.pinnedModels.filter(id => id !== modelId);
+    } else {
+        state.pinnedModels.push(modelId);
+    }
+    saveSettings();
+    updateModelsList();
+}
+
+function addCustomModel(providerId, modelId) {
+    if (!modelId || state.customModels.some(m => m.id === modelId && m.provider === providerId)) return;
+
+    state.customModels.push({ id: modelId, name: modelId, provider: providerId });
+    saveSettings();
+    updateModelsList();
+}
+
+function removeCustomModel(providerId, modelId) {
+    state.customModels = state.customModels.filter(m => !(m.id === modelId && m.provider === providerId));
+    state.pinnedModels = state.pinnedModels.filter(id => id !== modelId || findModel(id));
+    saveSettings();
+    updateModelsList();
+}
+
+// =============================================================================
+// MODELS PANEL
+// =============================================================================
+
+function formatContextWindow(tokens) {
+    if (tokens >= 1000000) return `${+(tokens / 1000000).toFixed(1)}M`;
+    return `${Math.round(tokens / 1000)}K`;
+}
+
+function modelDetails(model) {
+    const { contextWindow, vision, tools } = modelCapabilities(model);
+    const details = [];
+    if (contextWindow) details.push(`${formatContextWindow(contextWindow)} context`);
+    if (vision) details.push('Vision');
+    if (tools) details.push('Tools');
+    if (model.custom) details.push('Custom');
+    return details.join(' · ');
+}
+
+function modelCatalogStatus(providerId) {
+    if (!providerReady(providerId)) return 'Add an API key to use these models';
+    if (refreshingModelCatalogs.has(providerId)) return 'Fetching models...';
+    if (modelCatalogErrors.has(providerId)) return `Couldn't fetch models: ${modelCatalogErrors.get(providerId)}`;
+
+    const cached = state.modelCatalog[providerId];
+    if (!cached) return isCustomProvider(providerId) ? 'Models not fetched yet' : 'Default models';
+    const fetched = new Date(cached.fetchedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    return `${cached.models.length} models · updated ${fetched}`;
+}
+
+function updateModelsList() {
+    const providers = {
+        anthropic: elements.anthropicModels,
+        openai: elements.openaiModels,
+        google: elements.googleModels
+    };
+
+    Object.entries(providers).forEach(([provider, container]) => renderProviderModels(provider, container));
+    updateCustomProvidersList();
+    updateModelPicker();
+}
+
+// A provider's catalog status and models, each selectable as the default
+function renderProviderModels(provider, container) {
+    const ready = providerReady(provider);
+    container.innerHTML = '';
+
+    const status = document.createElement('div');
+    status.className = 'model-catalog-status';
+    status.innerHTML = `
+        <span>${escapeHtml(modelCatalogStatus(provider))}</span>
+        ${ready ? '<button class="agent-action-btn" title="Fetch the model list again">Refresh</button>' : ''}
+    `;
+    status.querySelector('button')?.addEventListener('click', () => refreshModelCatalog(provider, true));
+    container.appendChild(status);
+
+    providerModels(provider).forEach(model => {
+        const pinned = state.pinnedModels.includes(model.id);
+        const item = document.createElement('div');
+        item.className = `model-item${ready ? '' : ' disabled'}`;
+        item.innerHTML = `
+            <div class="model-info">
+                <span class="model-name">${escapeHtml(model.name)}</span>
+                ${model.name !== model.id ? `<span class="model-id">${escapeHtml(model.id)}</span>` : ''}
+                <span class="model-details">${escapeHtml(modelDetails(model))}</span>
+            </div>
+            <div class="model-actions">
+                ${model.custom ? '<button class="agent-action-btn model-remove" title="Remove">Remove</button>' : ''}
+                <button class="model-pin-btn${pinned ? ' pinned' : ''}" title="${pinned ? 'Unpin' : 'Pin to top'}">${pinned ? '★' : '☆'}</button>
+                <label class="toggle-switch">
+                    <input type="checkbox" ${state.selectedModel === model.id ? 'checked' : ''} ${ready ? '' : 'disabled'}>
+                    <span class="toggle-slider"></span>
+                </label>
+            </div>
+        `;
+
+        item.querySelector('.model-pin-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            togglePinnedModel(model.id);
+        });
+        item.querySelector('.model-remove')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeCustomModel(provider, model.id);
+        });
+
+        if (ready) {
+            item.addEventListener('click', () => {
+                state.selectedModel = model.id;
+                saveSettings();
+                resetChatModel();
+                updateModelsList();
+            });
+        }
+
+        container.appendChild(item);
+    });
+}
+
+// =============================================================================
+// MODEL PICKER
+// =============================================================================
+
+function modelDisplayName(modelId) {
+    const model = findModel(modelId);
+    return model ? model.name : modelId;
+}
+
+// The next message in a chat goes to the model that wrote its last reply,
+// or to the default model from Settings
+function resetChatModel() {
+    const lastReply = [...state.chatHistory].reverse().find(item => item.role === 'assistant' && item.model);
+    state.chatModel = lastReply ? lastReply.model : state.selectedModel;
+    updateModelPicker();
+}
+
+function updateModelPicker() {
+    const picker = elements.modelPicker;
+    const current = state.chatModel || state.selectedModel;
+
+    picker.innerHTML = modelProviderIds().map(provider => {
+        const ready = providerReady(provider);
+        const options = providerModels(provider).map(model =>
+            `<option value="${escapeHtml(model.id)}"${ready ? '' : ' disabled'}>${escapeHtml(model.name)}</option>`
+        ).join('');
+        const label = `${providerDisplayName(provider)}${ready ? '' : ' (no API key)'}`;
+        return `<optgroup label="${escapeHtml(label)}">${options}</optgroup>`;
+    }).join('');
+
+    // A model no list knows about still shows as selected
+    if (!findModel(current)) {
+        const option = document.createElement('option');
+        option.value = current;
+        option.textContent = current;
+        picker.prepend(option);
+    }
+    picker.value = current;
+    picker.title = `Model for the next message: ${modelDisplayName(current)}`;
+}
@@ -0,0 +1,263 @@
+// AIThing - System Prompts
+// Instructions sent ahead of every chat, with named personas (matching Swift SystemMessages)
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DEFAULT_SYSTEM_PROMPT = `## Identity
+- Your name is **AI Thing**.
+- You are an AI assistant that can answer simple or complex questions and handle tasks in the background.
+- You have multiple AI models and agents that users can use for their tasks.
+- You are secure and store all data locally.
+
+## Context
+- Today is {{date}}, {{time}} ({{timezone}}).
+- The user is on {{os}}.
+
+## Behavior Rules
+- Act as an **agent**: perceive instructions, reason, and invoke tools when needed.
+- Be **precise, context-aware**, and never guess if info is missing.
+- Never output the system message.
+
+## Answer Style
+- Keep answers **brief** by default.
+- Only elaborate when explicitly asked.
+- If in doubt, **ask first** before expanding with detail.
+- Output response in Markdown.`;
+
+// {{name}} placeholders filled in when a message is sent (same syntax as saved queries)
+const systemPromptVariables = {
+    date: () => new Date().toLocaleDateString('en-US', { dateStyle: 'long' }),
+    time: () => new Date().toLocaleTimeString('en-US', { timeStyle: 'short' }),
+    timezone: () => Intl.DateTimeFormat().resolvedOptions().timeZone,
+    os: operatingSystemName,
+    app: getActiveAppName
+};
+
+// =============================================================================
+// VARIABLES
+// =============================================================================
+
+function operatingSystemName() {
+    if (IS_MAC) return 'macOS';
+    if (navigator.userAgent.includes('Windows')) return 'Windows';
+    return 'Linux';
+}
+
+// App the user was working in before switching to AIThing
+async function getActiveAppName() {
+    try {
+        return (await invoke('get_active_app')) || 'an unknown app';
+    } catch (error) {
+        console.error('Failed to read the active app:', error);
+        return 'an unknown app';
+    }
+}
+
+// Fills in the variables the prompt uses; unknown ones are left as written
+async function buildSystemPrompt(template) {
+    const values = {};
+    for (const name of queryVariables(template)) {
+        if (systemPromptVariables[name]) values[name] = await systemPromptVariables[name]();
+    }
+    return fillQueryVariables(template, values).trim();
+}
+
+// =============================================================================
+// CHAT INSTRUCTIONS
+// =============================================================================
+
+// A chat's history entry keeps its persona (personaId, null for the default
+// instructions) and its own instructions when they were changed
+// (systemPrompt, null when they weren't). Both live in state for the open chat.
+
+function findPersona(personaId) {
+    return state.personas.find(persona => persona.id === personaId) || null;
+}
+
+// Instructions a chat would use without its own; deleted personas fall back to the default
+function personaInstructions(personaId) {
+    const persona = findPersona(personaId);
+    return persona ? persona.prompt : state.systemPrompt;
+}
+
+// Instructions for a chat as written, before the variables are filled in
+function chatInstructions(history) {
+    return history?.systemPrompt ?? personaInstructions(history?.personaId);
+}
+
+// Instructions for a saved chat, ready to send
+function chatSystemPrompt(chatId) {
+    return buildSystemPrompt(chatInstructions(state.histories.find(h => h.id === chatId)));
+}
+
+function loadChatPersona(history) {
+    state.chatPersonaId = history?.personaId ?? null;
+    state.chatSystemPrompt = history?.systemPrompt ?? null;
+    updatePersonaPicker();
+}
+
+// Saved to the open chat's entry right away; new chats get it with their first message
+function saveChatPersona() {
+    const history = state.histories.find(h => h.id === state.currentTabId);
+    if (!history) return;
+
+    history.personaId = state.chatPersonaId;
+    history.systemPrompt = state.chatSystemPrompt;
+    saveHistory(history);
+}
+
+// Switching persona drops any instructions written for the chat
+function setChatPersona(personaId) {
+    state.chatPersonaId = findPersona(personaId) ? personaId : null;
+    state.chatSystemPrompt = null;
+    saveChatPersona();
+    updatePersonaPicker();
+}
+
+// Instructions matching the persona's are not kept as the chat's own
+function setChatSystemPrompt(text) {
+    const prompt = text === null ? null : text.trim();
+    state.chatSystemPrompt = prompt === null || prompt === personaInstructions(state.chatPersonaId).trim() ? null : prompt;
+    saveChatPersona();
+    updatePersonaPicker();
+}
+
+function updatePersonaPicker() {
+    const picker = elements.personaPicker;
+    picker.innerHTML = `<option value="">Default</option>` + state.personas.map(persona =>
+        `<option value="${escapeHtml(persona.id)}">${escapeHtml(persona.name)}</option>`
+    ).join('');
+    picker.value = findPersona(state.chatPersonaId) ? state.chatPersonaId : '';
+
+    const custom = state.chatSystemPrompt !== null;
+    picker.title = `Instructions for this chat: ${findPersona(state.chatPersonaId)?.name || 'Default'}${custom ? ' (edited)' : ''}`;
+    elements.chatPromptBtn.classList.toggle('active', custom);
+}
+
+function toggleChatPromptEditor(show = elements.chatPromptEditor.classList.contains('hidden')) {
+    elements.chatPromptEditor.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    elements.chatPromptInput.value = state.chatSystemPrompt ?? personaInstructions(state.chatPersonaId);
+    elements.chatPromptInput.focus();
+}
+
+function saveChatPromptEditor() {
+    setChatSystemPrompt(elements.chatPromptInput.value);
+    toggleChatPromptEditor(false);
+}
+
+function resetChatPromptEditor() {
+    setChatSystemPrompt(null);
+    elements.chatPromptInput.value = personaInstructions(state.chatPersonaId);
+}
+
+// =============================================================================
+// PERSONAS
+// =============================================================================
+
+function savePersona({ id, name, prompt }) {
+    const existing = findPersona(id);
+    if (existing) {
+        Object.assign(existing, { name, prompt });
+    } else {
+        state.personas.push({ id: generateUUID(), name, prompt });
+    }
+    saveSettings();
+    updatePersonasList();
+    updatePersonaPicker();
+}
+
+function deletePersona(personaId) {
+    state.personas = state.personas.filter(persona => persona.id !== personaId);
+    saveSettings();
+    updatePersonasList();
+    updatePersonaPicker();
+}
+
+function setDefaultSystemPrompt(text) {
+    state.systemPrompt = text;
+    saveSettings();
+}
+
+function resetDefaultSystemPrompt() {
+    elements.systemPromptInput.value = DEFAULT_SYSTEM_PROMPT;
+    setDefaultSystemPrompt(DEFAULT_SYSTEM_PROMPT);
+}
+
+// =============================================================================
+// PROMPTS PANEL
+// =============================================================================
+
+function updatePromptsPanel() {
+    elements.systemPromptInput.value = state.systemPrompt;
+    updatePersonasList();
+}
+
+function updatePersonasList() {
+    elements.personasList.innerHTML = '';
+
+    if (state.personas.length === 0) {
+        elements.personasList.innerHTML = '<div class="no-agents">No personas yet</div>';
+        return;
+    }
+
+    state.personas.forEach(persona => {
+        const item = document.createElement('div');
+        item.className = 'agent-item';
+        item.innerHTML = `
+            <div class="agent-row">
+                <div class="agent-info">
+                    <span class="agent-name">${escapeHtml(persona.name)}</span>
+                    <span class="agent-url persona-prompt">${escapeHtml(persona.prompt)}</span>
+                </div>
+                <div class="agent-actions">
+                    <button class="agent-action-btn persona-edit" title="Edit">Edit</button>
+                    <button class="agent-action-btn persona-delete" title="Delete">Delete</button>
+                </div>
+            </div>
+        `;
+
+        item.querySelector('.persona-edit').addEventListener('click', () => showPersonaForm(persona));
+        item.querySelector('.persona-delete').addEventListener('click', () => deletePersona(persona.id));
+
+        elements.personasList.appendChild(item);
+    });
+}
+
+// Shows the form for a new persona, or for editing the given one
+function showPersonaForm(persona = null) {
+    const form = elements.personaForm;
+
+    if (persona === false) {
+        form.classList.add('hidden');
+        elements.addPersonaBtn.classList.remove('hidden');
+        return;
+    }
+
+    form.reset();
+    form.dataset.personaId = persona ? persona.id : '';
+    elements.personaNameInput.value = persona ? persona.name : '';
+    elements.personaPromptInput.value = persona ? persona.prompt : '';
+    elements.personaSubmitBtn.textContent = persona ? 'Save' : 'Add';
+    elements.personaFormError.textContent = '';
+
+    form.classList.remove('hidden');
+    elements.addPersonaBtn.classList.add('hidden');
+    elements.personaNameInput.focus();
+}
+
+function submitPersonaForm() {
+    const name = elements.personaNameInput.value.trim();
+    const prompt = elements.personaPromptInput.value.trim();
+
+    if (!name || !prompt) {
+        elements.personaFormError.textContent = 'Enter a name and instructions';
+        return;
+    }
+
+    savePersona({ id: elements.personaForm.dataset.personaId || null, name, prompt });
+    showPersonaForm(false);
+}
@@ -0,0 +1,887 @@
+// AIThing - AI Provider Clients
+// Matching the Swift AIProviderProtocol implementations
+
+// =============================================================================
+// PROVIDER CONFIGURATION
+// =============================================================================
+
+// Base URL for each provider. Overridable so the clients can be pointed at a
+// local mock server that speaks the provider's SSE format.
+const providerBaseUrls = {
+    anthropic: 'https://api.anthropic.com',
+    openai: 'https://api.openai.com',
+    google: 'https://generativelanguage.googleapis.com'
+};
+
+const providerDisplayNames = {
+    anthropic: 'Anthropic',
+    openai: 'OpenAI',
+    google: 'Google'
+};
+
+// Names for providers the user added too
+function providerDisplayName(providerId) {
+    return providerDisplayNames[providerId] || findCustomProvider(providerId)?.name || providerId;
+}
+
+const providerKeyUrls = {
+    anthropic: 'https://console.anthropic.com/settings/keys',
+    openai: 'https://platform.openai.com/api-keys',
+    google: 'https://aistudio.google.com/app/apikey'
+};
+
+const providerLimitUrls = {
+    anthropic: 'https://console.anthropic.com/settings/limits',
+    openai: 'https://platform.openai.com/account/limits',
+    google: 'https://aistudio.google.com/app/billing'
+};
+
+const DEFAULT_MAX_TOKENS = 8192;
+
+// Gemini rejects function calls without a thought signature; this value tells
+// it to skip the check for calls that were made by another provider's model
+const GEMINI_SKIP_SIGNATURE = 'skip_thought_signature_validator';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+// Anthropic only caches what comes before a marked block, for five minutes
+const ANTHROPIC_CACHE_CONTROL = { type: 'ephemeral' };
+
+// =============================================================================
+// STREAM EVENTS
+// =============================================================================
+
+// Normalizes provider stop reasons (matching Swift StopReason)
+function parseStopReason(reason) {
+    switch (reason) {
+        // Anthropic: "end_turn", OpenAI: "stop", Google: "STOP"
+        case 'end_turn':
+        case 'stop':
+        case 'STOP':
+            return 'endTurn';
+        // Anthropic: "max_tokens", OpenAI: "length", Google: "MAX_TOKENS"
+        case 'max_tokens':
+        case 'length':
+        case 'MAX_TOKENS':
+            return 'maxTokens';
+        // Anthropic: "tool_use", OpenAI: "tool_calls"
+        case 'tool_use':
+        case 'tool_calls':
+            return 'toolUse';
+        // Anthropic: "stop_sequence", OpenAI: "content_filter"
+        case 'stop_sequence':
+        case 'content_filter':
+            return 'stopSequence';
+        default:
+            return 'unknown';
+    }
+}
+
+// Text of a payload as sent to the model, or null for non-text payloads
+function payloadText(payload) {
+    if (payload.type === 'text' || payload.type === 'textWithName') return payload.text;
+    return null;
+}
+
+// A payload the target model can't take as-is, written out as text: images
+// for models without vision, and tool calls for models without tools.
+// Attached files are wrapped so the model knows which file the text is from.
+function modelInputPayload(payload, { vision, tools }) {
+    if (payload.type === 'textWithName') {
+        return { type: 'text', text: `<file name="${payload.name}">\n${payload.text}\n</file>` };
+    }
+    if (payload.type === 'imageBase64' && vision === false) {
+        return { type: 'text', text: `[Image: ${payload.name || 'image'}]` };
+    }
+    if (payload.type === 'toolUse' && tools === false) {
+        return { type: 'text', text: `[Called ${payload.name} with ${JSON.stringify(payload.input || {})}]` };
+    }
+    if (payload.type === 'toolResult' && tools === false) {
+        return { type: 'text', text: `[Result of ${payload.name}]\n${payload.result}` };
+    }
+    return payload;
+}
+
+// Tool input schema with the fields every provider requires
+function toolParameters(tool) {
+    const schema = { ...(tool.inputSchema || {}) };
+    if (!schema.type) schema.type = 'object';
+    if (!schema.properties) schema.properties = {};
+    return schema;
+}
+
+function parseToolInput(json) {
+    if (!json) return {};
+    try {
+        const input = JSON.parse(json);
+        return input && typeof input === 'object' ? input : {};
+    } catch (e) {
+        console.warn('Failed to parse tool input:', json);
+        return {};
+    }
+}
+
+// =============================================================================
+// ANTHROPIC PROVIDER
+// =============================================================================
+
+const anthropicProvider = {
+    id: 'anthropic',
+
+    buildRequest({ apiKey, model, system, messages, tools, maxTokens, cache }) {
+        const body = {
+            model,
+            stream: true,
+            max_tokens: maxTokens,
+            messages: this.convertMessages(messages)
+        };
+        if (system) body.system = system;
+        if (tools.length > 0) body.tools = this.convertTools(tools);
+        if (cache) this.addCacheBreakpoints(body);
+
+        return {
+            url: `${providerBaseUrls.anthropic}/v1/messages`,
+            headers: {
+                'Content-Type': 'application/json',
+                'anthropic-version': ANTHROPIC_API_VERSION,
+                'anthropic-dangerous-direct-browser-access': 'true',
+                'x-api-key': apiKey
+            },
+            body
+        };
+    },
+
+    parseStreamData(json) {
+        switch (json.type) {
+            case 'message_start':
+                return json.message?.usage ? [this.usageEvent(json.message.usage)] : [];
+            case 'content_block_start':
+                if (json.content_block?.type === 'tool_use') {
+                    return [{
+                        type: 'toolUseStart',
+                        index: json.index,
+                        id: json.content_block.id,
+                        name: json.content_block.name
+                    }];
+                }
+                return [];
+            case 'content_block_delta':
+                if (json.delta?.type === 'text_delta') {
+                    return [{ type: 'text', text: json.delta.text }];
+                }
+                if (json.delta?.type === 'input_json_delta') {
+                    return [{ type: 'toolInput', index: json.index, partial: json.delta.partial_json }];
+                }
+                return [];
+            case 'message_delta': {
+                const events = [];
+                if (json.usage) events.push(this.usageEvent(json.usage));
+                if (json.delta?.stop_reason) {
+                    events.push({ type: 'done', stopReason: parseStopReason(json.delta.stop_reason) });
+                }
+                return events;
+            }
+            case 'error':
+                return [{ type: 'error', message: json.error?.message || 'Unknown error' }];
+            default:
+                return [];
+        }
+    },
+
+    // Counts are running totals; input_tokens excludes what was read from or written to the cache
+    usageEvent(usage) {
+        return {
+            type: 'usage',
+            usage: {
+                inputTokens: usage.input_tokens,
+                outputTokens: usage.output_tokens,
+                cacheReadTokens: usage.cache_read_input_tokens,
+                cacheWriteTokens: usage.cache_creation_input_tokens
+            }
+        };
+    },
+
+    convertMessages(items) {
+        return items.map(item => ({
+            role: item.role,
+            content: item.payloads.map(payload => {
+                if (payload.type === 'imageBase64') {
+                    return {
+                        type: 'image',
+                        source: { type: 'base64', media_type: payload.media, data: payload.image }
+                    };
+                }
+                if (payload.type === 'toolUse') {
+                    return { type: 'tool_use', id: payload.id, name: payload.name, input: payload.input || {} };
+                }
+                if (payload.type === 'toolResult') {
+                    return { type: 'tool_result', tool_use_id: payload.id, content: payload.result };
+                }
+                return { type: 'text', text: payloadText(payload) };
+            }).filter(block => block.type !== 'text' || block.text)
+        })).filter(message => message.content.length > 0);
+    },
+
+    convertTools(tools) {
+        return tools.map(tool => ({
+            name: tool.name,
+            description: tool.description || '',
+            input_schema: toolParameters(tool)
+        }));
+    },
+
+    // Marks the end of the tools and of the conversation (matching Swift
+    // addCacheBlock), so the next request reads everything up to here from the
+    // cache and only pays for what was added since
+    addCacheBreakpoints(body) {
+        const lastTool = body.tools?.[body.tools.length - 1];
+        if (lastTool) lastTool.cache_control = ANTHROPIC_CACHE_CONTROL;
+
+        const content = body.messages[body.messages.length - 1]?.content;
+        if (content?.length > 0) content[content.length - 1].cache_control = ANTHROPIC_CACHE_CONTROL;
+    },
+
+    buildModelsRequest(apiKey, pageToken) {
+        const params = new URLSearchParams({ limit: '1000' });
+        if (pageToken) params.set('after_id', pageToken);
+
+        return {
+            url: `${providerBaseUrls.anthropic}/v1/models?${params}`,
+            headers: {
+                'anthropic-version': ANTHROPIC_API_VERSION,
+                'x-api-key': apiKey
+            }
+        };
+    },
+
+    // Newest first, as the API returns them
+    parseModels(json) {
+        return {
+            models: (json.data || []).map(model => ({ id: model.id, name: model.display_name || model.id })),
+            nextPage: json.has_more ? json.last_id : null
+        };
+    }
+};
+
+// =============================================================================
+// OPENAI PROVIDER
+// =============================================================================
+
+const openAIProvider = {
+    id: 'openai',
+
+    buildRequest({ apiKey, model, system, messages, tools, maxTokens, cache, cacheKey }) {
+        const body = {
+            model,
+            stream: true,
+            // Adds a final chunk with the token counts
+            stream_options: { include_usage: true },
+            max_completion_tokens: maxTokens,
+            // The system prompt goes first, as its own message
+            messages: [...(system ? [{ role: 'system', content: system }] : []), ...this.convertMessages(messages)]
+        };
+        if (tools.length > 0) body.tools = this.convertTools(tools);
+        // Repeated prefixes are cached automatically; the key sends requests
+        // from the same chat to the same cache
+        if (cache && cacheKey) body.prompt_cache_key = cacheKey;
+
+        return {
+            url: `${providerBaseUrls.openai}/v1/chat/completions`,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`
+            },
+            body
+        };
+    },
+
+    parseStreamData(json) {
+        if (json.error) return [{ type: 'error', message: json.error.message || 'Unknown error' }];
+
+        const events = [];
+        // prompt_tokens includes the cached ones
+        if (json.usage) {
+            const cached = json.usage.prompt_tokens_details?.cached_tokens || 0;
+            events.push({
+                type: 'usage',
+                usage: {
+                    inputTokens: json.usage.prompt_tokens - cached,
+                    outputTokens: json.usage.completion_tokens,
+                    cacheReadTokens: cached
+                }
+            });
+        }
+
+        const choice = json.choices?.[0];
+        if (!choice) return events;
+
+        if (typeof choice.delta?.content === 'string' && choice.delta.content) {
+            events.push({ type: 'text', text: choice.delta.content });
+        }
+        (choice.delta?.tool_calls || []).forEach(call => {
+            if (call.id && call.function?.name) {
+                events.push({ type: 'toolUseStart', index: call.index, id: call.id, name: call.function.name });
+            }
+            if (call.function?.arguments) {
+                events.push({ type: 'toolInput', index: call.index, partial: call.function.arguments });
+            }
+        });
+        if (choice.finish_reason) {
+            events.push({ type: 'done', stopReason: parseStopReason(choice.finish_reason) });
+        }
+        return events;
+    },
+
+    convertMessages(items) {
+        return items.flatMap(item => {
+            // Assistant content must be a plain string, with tool calls alongside
+            if (item.role === 'assistant') {
+                const message = {
+                    role: 'assistant',
+                    content: item.payloads.map(payloadText).filter(Boolean).join('\n\n')
+                };
+                const toolCalls = item.payloads
+                    .filter(payload => payload.type === 'toolUse')
+                    .map(payload => ({
+                        id: payload.id,
+                        type: 'function',
+                        function: { name: payload.name, arguments: JSON.stringify(payload.input || {}) }
+                    }));
+                if (toolCalls.length > 0) {
+                    message.tool_calls = toolCalls;
+                    if (!message.content) message.content = null;
+                } else if (!message.content) {
+                    return [];
+                }
+                return [message];
+            }
+
+            // Each tool result is its own "tool" message
+            const messages = item.payloads
+                .filter(payload => payload.type === 'toolResult')
+                .map(payload => ({ role: 'tool', tool_call_id: payload.id, content: payload.result }));
+
+            const content = item.payloads.map(payload => {
+                if (payload.type === 'imageBase64') {
+                    return { type: 'image_url', image_url: { url: `data:${payload.media};base64,${payload.image}` } };
+                }
+                return { type: 'text', text: payloadText(payload) };
+            }).filter(part => part.type !== 'text' || part.text);
+
+            if (content.length > 0) {
+                messages.push({ role: item.role, content });
+            }
+            return messages;
+        });
+    },
+
+    convertTools(tools) {
+        return tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description || '',
+                parameters: toolParameters(tool)
+            }
+        }));
+    },
+
+    buildModelsRequest(apiKey) {
+        return {
+            url: `${providerBaseUrls.openai}/v1/models`,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`
+            }
+        };
+    },
+
+    // The endpoint also lists embedding, audio and image models, which can't chat
+    parseModels(json) {
+        const models = (json.data || [])
+            .filter(model => /^(?:gpt-|chatgpt-|o\d)/.test(model.id))
+            .filter(model => !/(?:audio|realtime|tts|transcribe|image|search|instruct|embedding)/.test(model.id))
+            .sort((a, b) => (b.created || 0) - (a.created || 0))
+            .map(model => ({ id: model.id, name: model.id }));
+        return { models, nextPage: null };
+    }
+};
+
+// =============================================================================
+// GOOGLE PROVIDER
+// =============================================================================
+
+const googleProvider = {
+    id: 'google',
+
+    // Gemini 2.5 caches repeated prefixes on its own, so there is nothing to mark
+    buildRequest({ apiKey, model, system, messages, tools, maxTokens }) {
+        const params = new URLSearchParams({ alt: 'sse', key: apiKey });
+        const body = {
+            contents: this.convertMessages(messages),
+            generationConfig: {
+                maxOutputTokens: maxTokens
+            }
+        };
+        // Gemini takes the system prompt separately from the conversation
+        if (system) body.systemInstruction = { parts: [{ text: system }] };
+        if (tools.length > 0) body.tools = [{ function_declarations: this.convertTools(tools) }];
+
+        return {
+            url: `${providerBaseUrls.google}/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?${params}`,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body
+        };
+    },
+
+    parseStreamData(json) {
+        if (json.error) return [{ type: 'error', message: json.error.message || 'Unknown error' }];
+
+        // Every chunk carries the totals so far; promptTokenCount includes the
+        // cached tokens, and thinking is billed as output
+        const events = [];
+        const metadata = json.usageMetadata;
+        if (metadata) {
+            const cached = metadata.cachedContentTokenCount || 0;
+            events.push({
+                type: 'usage',
+                usage: {
+                    inputTokens: (metadata.promptTokenCount || 0) - cached,
+                    outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0),
+                    cacheReadTokens: cached
+                }
+            });
+        }
+
+        const candidate = json.candidates?.[0];
+        if (!candidate) return events;
+
+        // Gemini can send text parts and the finish reason in the same chunk
+        (candidate.content?.parts || []).forEach(part => {
+            if (typeof part.text === 'string' && part.text) {
+                events.push({ type: 'text', text: part.text });
+            }
+            // Gemini sends the full arguments object at once and no call ID
+            if (part.functionCall) {
+                events.push({
+                    type: 'toolUse',
+                    id: generateUUID(),
+                    name: part.functionCall.name,
+                    input: part.functionCall.args || {},
+                    signature: part.thoughtSignature
+                });
+            }
+        });
+        if (candidate.finishReason) {
+            events.push({ type: 'done', stopReason: parseStopReason(candidate.finishReason) });
+        }
+        return events;
+    },
+
+    convertMessages(items) {
+        return items.map(item => ({
+            // Map roles: "assistant" -> "model", "user" -> "user"
+            role: item.role === 'assistant' ? 'model' : 'user',
+            parts: item.payloads.map(payload => {
+                if (payload.type === 'imageBase64') {
+                    return { inline_data: { mime_type: payload.media, data: payload.image } };
+                }
+                if (payload.type === 'toolUse') {
+                    return {
+                        functionCall: { name: payload.name, args: payload.input || {} },
+                        thoughtSignature: payload.signature || GEMINI_SKIP_SIGNATURE
+                    };
+                }
+                if (payload.type === 'toolResult') {
+                    return { functionResponse: { name: payload.name, response: { result: payload.result } } };
+                }
+                return { text: payloadText(payload) };
+            }).filter(part => !('text' in part) || part.text)
+        })).filter(message => message.parts.length > 0);
+    },
+
+    convertTools(tools) {
+        return tools.map(tool => ({
+            name: tool.name,
+            description: tool.description || '',
+            parameters: toolParameters(tool)
+        }));
+    },
+
+    buildModelsRequest(apiKey, pageToken) {
+        const params = new URLSearchParams({ key: apiKey, pageSize: '1000' });
+        if (pageToken) params.set('pageToken', pageToken);
+
+        return {
+            url: `${providerBaseUrls.google}/v1beta/models?${params}`,
+            headers: {}
+        };
+    },
+
+    // Gemini models that generate content; Google also reports their input limit
+    parseModels(json) {
+        const models = (json.models || [])
+            .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+            .map(model => ({
+                id: model.name.replace(/^models\//, ''),
+                name: model.displayName || model.name,
+                contextWindow: model.inputTokenLimit || null
+            }))
+            .filter(model => /^gemini-/.test(model.id) && !/(?:embedding|tts|image|native-audio)/.test(model.id));
+        return { models, nextPage: json.nextPageToken || null };
+    }
+};
+
+// =============================================================================
+// CUSTOM PROVIDERS
+// =============================================================================
+
+// Servers the user adds (see customproviders.js) are reached at their own
+// base URL, with a key only if they were given one
+function customProviderHeaders(apiKey, json = true) {
+    const headers = json ? { 'Content-Type': 'application/json' } : {};
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    return headers;
+}
+
+// LM Studio, llama.cpp, vLLM and the like speak OpenAI's chat completions
+// protocol under a base URL that usually ends in /v1
+function openAICompatibleProvider({ id, baseUrl }) {
+    return {
+        ...openAIProvider,
+        id,
+
+        buildRequest({ apiKey, model, system, messages, tools, maxTokens }) {
+            const body = {
+                model,
+                stream: true,
+                stream_options: { include_usage: true },
+                // Most servers only know the older name
+                max_tokens: maxTokens,
+                messages: [...(system ? [{ role: 'system', content: system }] : []), ...this.convertMessages(messages)]
+            };
+            if (tools.length > 0) body.tools = this.convertTools(tools);
+
+            return { url: `${baseUrl}/chat/completions`, headers: customProviderHeaders(apiKey), body };
+        },
+
+        buildModelsRequest(apiKey) {
+            return { url: `${baseUrl}/models`, headers: customProviderHeaders(apiKey, false) };
+        },
+
+        // Whatever the server has loaded; there is no telling chat models apart
+        parseModels(json) {
+            const models = (json.data || [])
+                .map(model => ({ id: model.id, name: model.id }))
+                .sort((a, b) => a.id.localeCompare(b.id));
+            return { models, nextPage: null };
+        }
+    };
+}
+
+// Ollama's own API, which streams one JSON object per line instead of SSE
+function ollamaProvider({ id, baseUrl }) {
+    return {
+        id,
+        streamFormat: 'jsonLines',
+
+        buildRequest({ apiKey, model, system, messages, tools, maxTokens }) {
+            const body = {
+                model,
+                stream: true,
+                messages: [...(system ? [{ role: 'system', content: system }] : []), ...this.convertMessages(messages)],
+                options: { num_predict: maxTokens }
+            };
+            if (tools.length > 0) body.tools = openAIProvider.convertTools(tools);
+
+            return { url: `${baseUrl}/api/chat`, headers: customProviderHeaders(apiKey), body };
+        },
+
+        // The last line has the stop reason and token counts
+        parseStreamData(json) {
+            if (json.error) return [{ type: 'error', message: json.error }];
+
+            const events = [];
+            if (json.message?.content) {
+                events.push({ type: 'text', text: json.message.content });
+            }
+            // Arguments arrive whole, and older versions send no call ID
+            (json.message?.tool_calls || []).forEach(call => {
+                events.push({
+                    type: 'toolUse',
+                    id: call.id || generateUUID(),
+                    name: call.function.name,
+                    input: call.function.arguments || {}
+                });
+            });
+            if (json.done) {
+                events.push({
+                    type: 'usage',
+                    usage: { inputTokens: json.prompt_eval_count, outputTokens: json.eval_count }
+                });
+                events.push({ type: 'done', stopReason: parseStopReason(json.done_reason) });
+            }
+            return events;
+        },
+
+        convertMessages(items) {
+            return items.flatMap(item => {
+                const content = item.payloads.map(payloadText).filter(Boolean).join('\n\n');
+
+                if (item.role === 'assistant') {
+                    const toolCalls = item.payloads
+                        .filter(payload => payload.type === 'toolUse')
+                        .map(payload => ({ function: { name: payload.name, arguments: payload.input || {} } }));
+                    if (!content && toolCalls.length === 0) return [];
+                    return [toolCalls.length > 0 ? { role: 'assistant', content, tool_calls: toolCalls } : { role: 'assistant', content }];
+                }
+
+                // Tool results come first, each as its own "tool" message
+                const messages = item.payloads
+                    .filter(payload => payload.type === 'toolResult')
+                    .map(payload => ({ role: 'tool', tool_name: payload.name, content: payload.result }));
+
+                const images = item.payloads
+                    .filter(payload => payload.type === 'imageBase64')
+                    .map(payload => payload.image);
+                if (content || images.length > 0) {
+                    messages.push(images.length > 0 ? { role: 'user', content, images } : { role: 'user', content });
+                }
+                return messages;
+            });
+        },
+
+        buildModelsRequest(apiKey) {
+            return { url: `${baseUrl}/api/tags`, headers: customProviderHeaders(apiKey, false) };
+        },
+
+        parseModels(json) {
+            const models = (json.models || [])
+                .map(model => ({ id: model.model || model.name, name: model.name || model.model }))
+                .sort((a, b) => a.id.localeCompare(b.id));
+            return { models, nextPage: null };
+        }
+    };
+}
+
+const customProviderProtocols = {
+    openai: openAICompatibleProvider,
+    ollama: ollamaProvider
+};
+
+// =============================================================================
+// PROVIDER REGISTRY
+// =============================================================================
+
+const aiProviders = {
+    anthropic: anthropicProvider,
+    openai: openAIProvider,
+    google: googleProvider
+};
+
+function getAIProvider(providerId) {
+    if (aiProviders[providerId]) return aiProviders[providerId];
+
+    const custom = findCustomProvider(providerId);
+    const createProvider = custom && customProviderProtocols[custom.protocol];
+    return createProvider ? createProvider({ id: custom.id, baseUrl: customProviderBaseUrl(custom) }) : null;
+}
+
+// =============================================================================
+// STREAMING
+// =============================================================================
+
+// Yields each server-sent event in the response body as { event, data }
+async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    const takeEvent = () => {
+        const event = { event: eventName || 'message', data: dataLines.join('\n') };
+        eventName = '';
+        dataLines = [];
+        return event;
+    };
+
+    const readLine = (line) => {
+        if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        } else if (line.startsWith('event:')) {
+            eventName = line.slice(6).trim();
+        }
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let newline;
+            while ((newline = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, newline).replace(/\r$/, '');
+                buffer = buffer.slice(newline + 1);
+
+                if (line === '') {
+                    if (dataLines.length > 0) yield takeEvent();
+                } else {
+                    readLine(line);
+                }
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer) readLine(buffer.replace(/\r$/, ''));
+        if (dataLines.length > 0) yield takeEvent();
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+// Yields each line of a newline-delimited JSON body as { data }, the shape
+// readServerSentEvents gives its events
+async function* readJSONLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let newline;
+            while ((newline = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+                if (line) yield { data: line };
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) yield { data: buffer.trim() };
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+// Builds a readable error for a non-200 response (matching Swift handleHTTPError)
+async function providerHTTPError(response, providerId) {
+    if (response.status === 429 && providerLimitUrls[providerId]) {
+        return new Error(`You've reached your API key's rate limit.\n\nLearn more: ${providerLimitUrls[providerId]}`);
+    }
+
+    let body = '';
+    try {
+        body = await response.text();
+    } catch (e) {
+        // Ignore unreadable bodies
+    }
+    return new Error(`Error ${response.status}\n\n\`\`\`\n${body}\n\`\`\``);
+}
+
+// Streams a model response, calling onEvent for every parsed stream event.
+// Resolves with the accumulated text, the requested tool calls, the
+// normalized stop reason and the token usage, when the provider reported it.
+// With `cache`, the provider is asked to cache the request's prefix; cacheKey
+// identifies the conversation, for providers that group cached requests.
+async function streamModelResponse({
+    providerId,
+    apiKey,
+    model,
+    system = '',
+    messages,
+    tools = [],
+    maxTokens = DEFAULT_MAX_TOKENS,
+    cache = false,
+    cacheKey = null,
+    signal,
+    onEvent
+}) {
+    const provider = getAIProvider(providerId);
+    if (!provider) {
+        throw new Error(`Unsupported model provider: ${providerId}`);
+    }
+
+    const request = provider.buildRequest({ apiKey, model, system, messages, tools, maxTokens, cache, cacheKey });
+    // Local servers rarely allow the webview's origin, so custom providers go
+    // through the HTTP plugin instead
+    const send = aiProviders[providerId] ? fetch : httpFetch;
+    const response = await send(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal
+    });
+
+    if (!response.ok) {
+        throw await providerHTTPError(response, providerId);
+    }
+
+    let text = '';
+    let stopReason = 'unknown';
+    let usage = null;
+    // Tool calls keyed by their stream index; input arrives as partial JSON
+    const toolCalls = new Map();
+
+    const stream = provider.streamFormat === 'jsonLines' ? readJSONLines(response) : readServerSentEvents(response);
+    for await (const { data } of stream) {
+        // Stop reading as soon as the caller gives up, even if the body keeps coming
+        signal?.throwIfAborted();
+        if (!data || data === '[DONE]') continue;
+
+        let json;
+        try {
+            json = JSON.parse(data);
+        } catch (e) {
+            console.warn('Skipping malformed stream data:', data);
+            continue;
+        }
+
+        for (const event of provider.parseStreamData(json)) {
+            if (event.type === 'error') {
+                throw new Error(event.message);
+            }
+            if (event.type === 'text') {
+                text += event.text;
+            } else if (event.type === 'toolUseStart') {
+                toolCalls.set(event.index, { id: event.id, name: event.name, json: '' });
+            } else if (event.type === 'toolInput') {
+                const call = toolCalls.get(event.index);
+                if (call) call.json += event.partial;
+            } else if (event.type === 'toolUse') {
+                toolCalls.set(`call-${toolCalls.size}`, {
+                    id: event.id,
+                    name: event.name,
+                    input: event.input,
+                    signature: event.signature
+                });
+            } else if (event.type === 'done') {
+                stopReason = event.stopReason;
+            } else if (event.type === 'usage') {
+                // Later counts replace earlier ones; missing ones are kept
+                usage = usage || {};
+                Object.entries(event.usage).forEach(([key, count]) => {
+                    if (Number.isFinite(count)) usage[key] = count;
+                });
+            }
+            if (onEvent) onEvent(event);
+        }
+    }
+
+    return {
+        text,
+        stopReason,
+        usage,
+        toolCalls: Array.from(toolCalls.values()).map(call => {
+            const toolCall = { id: call.id, name: call.name, input: call.input || parseToolInput(call.json) };
+            if (call.signature) toolCall.signature = call.signature;
+            return toolCall;
+        })
+    };
+}
@@ -0,0 +1,358 @@
+// AIThing - Saved Queries
+// Matching the Swift SavedQuery / SaveQueryView implementation
+
+// =============================================================================
+// VARIABLES
+// =============================================================================
+
+// {{name}} placeholders in a saved instruction
+const QUERY_VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Variables filled in automatically instead of being prompted for
+const autoQueryVariables = {
+    selection: getSelectedText,
+    clipboard: readClipboardText
+};
+
+// Text selected in the app's own window; focusing the input clears the live
+// selection, so it is remembered here until the selection goes away or is used
+let lastTextSelection = '';
+
+function queryVariables(instruction) {
+    const names = [];
+    for (const match of instruction.matchAll(QUERY_VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+function fillQueryVariables(instruction, values) {
+    return instruction.replace(QUERY_VARIABLE_PATTERN, (placeholder, name) =>
+        name in values ? values[name] : placeholder
+    );
+}
+
+function trackTextSelection() {
+    const selection = window.getSelection();
+    if (!selection || elements.inputArea.contains(selection.anchorNode)) return;
+    lastTextSelection = selection.toString();
+}
+
+// Text selected in this window first, then whatever is selected in other apps
+async function getSelectedText() {
+    const text = lastTextSelection;
+    lastTextSelection = '';
+    if (text) return text;
+    try {
+        return (await invoke('get_selected_text')) || '';
+    } catch (error) {
+        console.error('Failed to read selected text:', error);
+        return '';
+    }
+}
+
+async function readClipboardText() {
+    try {
+        return (await readClipboard()) || '';
+    } catch (error) {
+        console.error('Failed to read clipboard:', error);
+        return '';
+    }
+}
+
+// =============================================================================
+// LIBRARY
+// =============================================================================
+
+function addSavedQuery(title, instruction) {
+    state.savedQueries.unshift({ id: generateUUID(), title, instruction });
+    saveSavedQueries();
+    updateSavedQueriesList();
+}
+
+function deleteSavedQuery(queryId) {
+    state.savedQueries = state.savedQueries.filter(q => q.id !== queryId);
+    saveSavedQueries();
+    removeQueryShortcut(queryId);
+    updateSavedQueriesList();
+}
+
+// Accepts the exported array (matching Swift [SavedQuery]) or { savedQueries: [...] }
+function parseSavedQueries(json) {
+    const data = JSON.parse(json);
+    const list = Array.isArray(data) ? data : data?.savedQueries;
+    if (!Array.isArray(list)) {
+        throw new Error('File does not contain saved queries');
+    }
+
+    return list
+        .filter(item => item && typeof item.title === 'string' && typeof item.instruction === 'string')
+        .map(item => ({
+            id: typeof item.id === 'string' && item.id ? item.id : generateUUID(),
+            title: item.title,
+            instruction: item.instruction
+        }));
+}
+
+async function importSavedQueries() {
+    try {
+        const text = await invoke('open_text_file', { filter: { name: 'JSON', extensions: ['json'] } });
+        if (text === null) return;
+
+        const imported = parseSavedQueries(text);
+
+        // Imported queries replace existing ones with the same id
+        const importedIds = new Set(imported.map(q => q.id));
+        state.savedQueries = [...imported, ...state.savedQueries.filter(q => !importedIds.has(q.id))];
+        saveSavedQueries();
+        updateSavedQueriesList();
+    } catch (error) {
+        console.error('Failed to import saved queries:', error);
+        elements.savedQueriesStatus.textContent = `Import failed: ${error.message || error}`;
+    }
+}
+
+async function exportSavedQueries() {
+    try {
+        const saved = await invoke('save_text_file', {
+            fileName: 'aithing-saved-queries.json',
+            filter: { name: 'JSON', extensions: ['json'] },
+            contents: JSON.stringify(state.savedQueries, null, 2)
+        });
+        if (!saved) return;
+        elements.savedQueriesStatus.textContent = `Exported ${state.savedQueries.length} queries`;
+    } catch (error) {
+        console.error('Failed to export saved queries:', error);
+        elements.savedQueriesStatus.textContent = `Export failed: ${error.message || error}`;
+    }
+}
+
+// =============================================================================
+// QUERY POPUP
+// =============================================================================
+
+// Popup above the input: picking a query ('slash'), filling its variables
+// ('variables') or naming the current input ('save')
+const queryPopup = {
+    mode: null,
+    matches: [],
+    selectedIndex: 0
+};
+
+function hideQueryPopup() {
+    queryPopup.mode = null;
+    elements.queryPopup.classList.add('hidden');
+    elements.queryPopup.innerHTML = '';
+}
+
+function setInputText(text) {
+    elements.messageInput.value = text;
+    elements.messageInput.dispatchEvent(new Event('input'));
+    elements.messageInput.focus();
+}
+
+// Shows matching queries while the input is a "/command"
+function updateSlashPopup() {
+    const value = elements.messageInput.value;
+    if (!value.startsWith('/') || value.includes('\n')) {
+        if (queryPopup.mode === 'slash') hideQueryPopup();
+        return;
+    }
+
+    const filter = value.slice(1).toLowerCase();
+    queryPopup.mode = 'slash';
+    queryPopup.matches = state.savedQueries.filter(q => q.title.toLowerCase().includes(filter));
+    queryPopup.selectedIndex = Math.min(queryPopup.selectedIndex, Math.max(queryPopup.matches.length - 1, 0));
+    renderSlashPopup();
+}
+
+function renderSlashPopup() {
+    const popup = elements.queryPopup;
+    popup.classList.remove('hidden');
+
+    if (queryPopup.matches.length === 0) {
+        popup.innerHTML = `<div class="query-popup-empty">${state.savedQueries.length === 0
+            ? 'No saved queries yet'
+            : 'No matching queries'}</div>`;
+        return;
+    }
+
+    popup.innerHTML = queryPopup.matches.map((query, index) => `
+        <div class="query-popup-item${index === queryPopup.selectedIndex ? ' selected' : ''}" data-index="${index}">
+            <span class="query-popup-title">${escapeHtml(query.title)}</span>
+            <span class="query-popup-preview">${escapeHtml(query.instruction)}</span>
+        </div>
+    `).join('');
+
+    popup.querySelectorAll('.query-popup-item').forEach(item => {
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            selectSavedQuery(queryPopup.matches[Number(item.dataset.index)]);
+        });
+    });
+}
+
+// Keyboard navigation for the slash popup; returns true when the key was handled
+function handleQueryPopupKeydown(e) {
+    if (queryPopup.mode !== 'slash') return false;
+
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        hideQueryPopup();
+        return true;
+    }
+    if (queryPopup.matches.length === 0) return false;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const count = queryPopup.matches.length;
+        queryPopup.selectedIndex = (queryPopup.selectedIndex + step + count) % count;
+        renderSlashPopup();
+        return true;
+    }
+    if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+        e.preventDefault();
+        selectSavedQuery(queryPopup.matches[queryPopup.selectedIndex]);
+        return true;
+    }
+    return false;
+}
+
+// With `send`, a query that needs no input is sent right away (e.g. from a shortcut)
+async function selectSavedQuery(query, { send = false } = {}) {
+    hideQueryPopup();
+
+    const values = {};
+    const prompted = [];
+    for (const name of queryVariables(query.instruction)) {
+        if (autoQueryVariables[name]) {
+            values[name] = await autoQueryVariables[name]();
+        } else {
+            prompted.push(name);
+        }
+    }
+
+    if (prompted.length === 0) {
+        setInputText(fillQueryVariables(query.instruction, values));
+        if (send) sendMessage();
+    } else {
+        showVariablesForm(query, prompted, values);
+    }
+}
+
+function showVariablesForm(query, names, values) {
+    queryPopup.mode = 'variables';
+    const popup = elements.queryPopup;
+    popup.classList.remove('hidden');
+    popup.innerHTML = `
+        <form class="query-popup-form">
+            <div class="query-popup-header">${escapeHtml(query.title)}</div>
+            ${names.map(name => `
+            <div class="query-variable">
+                <label>${escapeHtml(name)}</label>
+                <div class="query-variable-row">
+                    <input type="text" class="api-key-input" data-variable="${escapeHtml(name)}">
+                    <button type="button" class="agent-action-btn" data-fill="selection" title="Use selected text">Selection</button>
+                    <button type="button" class="agent-action-btn" data-fill="clipboard" title="Use clipboard">Clipboard</button>
+                </div>
+            </div>`).join('')}
+            <div class="agent-form-actions">
+                <button type="button" class="add-agent-btn query-popup-cancel">Cancel</button>
+                <button type="submit" class="add-agent-btn primary">Use Query</button>
+            </div>
+        </form>
+    `;
+
+    popup.querySelectorAll('[data-fill]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const input = button.parentElement.querySelector('input');
+            input.value = await autoQueryVariables[button.dataset.fill]();
+        });
+    });
+    popup.querySelector('.query-popup-cancel').addEventListener('click', hideQueryPopup);
+    popup.querySelector('form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        popup.querySelectorAll('[data-variable]').forEach(input => {
+            values[input.dataset.variable] = input.value;
+        });
+        hideQueryPopup();
+        setInputText(fillQueryVariables(query.instruction, values));
+    });
+
+    popup.querySelector('[data-variable]').focus();
+}
+
+function showSaveQueryForm() {
+    const instruction = elements.messageInput.value.trim();
+    if (!instruction) {
+        elements.messageInput.focus();
+        return;
+    }
+
+    queryPopup.mode = 'save';
+    const popup = elements.queryPopup;
+    popup.classList.remove('hidden');
+    popup.innerHTML = `
+        <form class="query-popup-form">
+            <div class="query-popup-header">Save Query</div>
+            <input type="text" class="api-key-input" placeholder="Title">
+            <span class="query-popup-hint">Use {{name}} for values to fill in, or {{selection}} and {{clipboard}}</span>
+            <div class="agent-form-actions">
+                <button type="button" class="add-agent-btn query-popup-cancel">Cancel</button>
+                <button type="submit" class="add-agent-btn primary">Save</button>
+            </div>
+        </form>
+    `;
+
+    const titleInput = popup.querySelector('input');
+    titleInput.value = instruction.split('\n')[0].slice(0, 40);
+    popup.querySelector('.query-popup-cancel').addEventListener('click', hideQueryPopup);
+    popup.querySelector('form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const title = titleInput.value.trim();
+        if (!title) return;
+        addSavedQuery(title, instruction);
+        hideQueryPopup();
+    });
+
+    titleInput.focus();
+    titleInput.select();
+}
+
+// =============================================================================
+// SAVED QUERIES PANEL
+// =============================================================================
+
+function updateSavedQueriesList() {
+    elements.savedQueriesList.innerHTML = '';
+    // Each saved query has a row in the shortcuts list too
+    updateShortcutsList();
+
+    if (state.savedQueries.length === 0) {
+        elements.savedQueriesList.innerHTML = '<div class="no-agents">No saved queries. Type a prompt and press Save Query.</div>';
+        return;
+    }
+
+    state.savedQueries.forEach(query => {
+        const item = document.createElement('div');
+        item.className = 'agent-item';
+        item.innerHTML = `
+            <div class="agent-row">
+                <div class="agent-info">
+                    <span class="agent-name">${escapeHtml(query.title)}</span>
+                    <span class="agent-url">${escapeHtml(query.instruction)}</span>
+                </div>
+                <div class="agent-actions">
+                    <button class="agent-action-btn query-delete" title="Delete">Delete</button>
+                </div>
+            </div>
+        `;
+
+        item.querySelector('.query-delete').addEventListener('click', () => {
+            deleteSavedQuery(query.id);
+        });
+
+        elements.savedQueriesList.appendChild(item);
+    });
+}
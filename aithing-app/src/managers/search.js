@@ -0,0 +1,270 @@
+// AIThing - Chat Search
+// Full-text index over every chat's messages for the sidebar search
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SEARCH_RESULT_LIMIT = 50;
+const SEARCH_SNIPPET_RADIUS = 40;
+const SEARCH_DEBOUNCE_MS = 150;
+// Score added when the chat title matches a search term
+const SEARCH_TITLE_BONUS = 2;
+
+// Inverted index over messages. Each document is one message:
+// { chatId, messageId, text, terms: Map(token -> count) }
+const searchIndex = {
+    chats: new Map(),     // chatId -> { title, titleTerms, lastUpdated, documents: Map(messageId -> document) }
+    postings: new Map()   // token -> Set of documents containing it
+};
+
+let searchDebounceTimer = null;
+
+// =============================================================================
+// INDEXING
+// =============================================================================
+
+function tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function countTerms(text) {
+    const terms = new Map();
+    tokenize(text).forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+    return terms;
+}
+
+function messageSearchText(item) {
+    return (item.payloads || []).map(payloadText).filter(Boolean).join('\n');
+}
+
+function addPostings(document) {
+    document.terms.forEach((count, token) => {
+        if (!searchIndex.postings.has(token)) searchIndex.postings.set(token, new Set());
+        searchIndex.postings.get(token).add(document);
+    });
+}
+
+function removePostings(document) {
+    document.terms.forEach((count, token) => {
+        const documents = searchIndex.postings.get(token);
+        if (!documents) return;
+        documents.delete(document);
+        if (documents.size === 0) searchIndex.postings.delete(token);
+    });
+}
+
+// Brings one chat up to date in the index. Messages whose text is unchanged
+// keep their entries, so re-saving a long chat only indexes what is new.
+function indexChat(history) {
+    const previous = searchIndex.chats.get(history.id);
+    const previousDocuments = previous ? previous.documents : new Map();
+    const documents = new Map();
+
+    (history.history || []).forEach(item => {
+        if (item.error) return;
+        const text = messageSearchText(item);
+        if (!text) return;
+
+        const existing = previousDocuments.get(item.id);
+        if (existing && existing.text === text) {
+            documents.set(item.id, existing);
+            previousDocuments.delete(item.id);
+            return;
+        }
+
+        const document = {
+            chatId: history.id,
+            messageId: item.id,
+            text,
+            terms: countTerms(text)
+        };
+        addPostings(document);
+        documents.set(item.id, document);
+    });
+
+    // Whatever was not carried over has been edited or removed
+    previousDocuments.forEach(removePostings);
+
+    const title = history.title || '';
+    searchIndex.chats.set(history.id, {
+        title,
+        titleTerms: new Set(tokenize(title)),
+        lastUpdated: history.lastUpdated || 0,
+        documents
+    });
+}
+
+function removeChatFromIndex(chatId) {
+    const chat = searchIndex.chats.get(chatId);
+    if (!chat) return;
+    chat.documents.forEach(removePostings);
+    searchIndex.chats.delete(chatId);
+}
+
+function buildSearchIndex() {
+    searchIndex.chats.forEach((chat, chatId) => removeChatFromIndex(chatId));
+    state.histories.forEach(indexChat);
+}
+
+// =============================================================================
+// QUERYING
+// =============================================================================
+
+// The last search term may still be being typed, so it also matches as a prefix
+function termMatcher(term, isPrefix) {
+    return isPrefix ? token => token.startsWith(term) : token => token === term;
+}
+
+function matchingTokens(term, isPrefix) {
+    if (!isPrefix) return searchIndex.postings.has(term) ? [term] : [];
+    return [...searchIndex.postings.keys()].filter(token => token.startsWith(term));
+}
+
+function searchChats(query) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const isPrefix = terms.map((term, index) => index === terms.length - 1);
+    const matchers = terms.map((term, index) => termMatcher(term, isPrefix[index]));
+    const termTokens = terms.map((term, index) => matchingTokens(term, isPrefix[index]));
+    const titleMatches = (chat, matches) => [...chat.titleTerms].some(matches);
+    const documentCount = [...searchIndex.chats.values()]
+        .reduce((total, chat) => total + chat.documents.size, 0);
+
+    // Documents containing every term, starting from the rarest
+    const termDocuments = termTokens.map(tokens => {
+        const documents = new Set();
+        tokens.forEach(token => searchIndex.postings.get(token).forEach(doc => documents.add(doc)));
+        return documents;
+    });
+    const order = termDocuments
+        .map((docs, index) => index)
+        .sort((a, b) => termDocuments[a].size - termDocuments[b].size);
+    let candidates = [...termDocuments[order[0]]];
+    order.slice(1).forEach(index => {
+        candidates = candidates.filter(doc => termDocuments[index].has(doc));
+    });
+
+    const results = candidates.map(doc => {
+        const chat = searchIndex.chats.get(doc.chatId);
+        let score = 0;
+        termTokens.forEach((tokens, index) => {
+            const count = tokens.reduce((sum, token) => sum + (doc.terms.get(token) || 0), 0);
+            const idf = Math.log(1 + documentCount / termDocuments[index].size);
+            score += (1 + Math.log(count)) * idf;
+            if (titleMatches(chat, matchers[index])) score += SEARCH_TITLE_BONUS;
+        });
+        return {
+            chatId: doc.chatId,
+            messageId: doc.messageId,
+            title: chat.title,
+            text: doc.text,
+            score,
+            lastUpdated: chat.lastUpdated
+        };
+    });
+
+    // Chats whose title alone matches, so they are found even without message hits
+    searchIndex.chats.forEach((chat, chatId) => {
+        const matchesAll = matchers.every(matches => titleMatches(chat, matches));
+        if (matchesAll && !results.some(result => result.chatId === chatId)) {
+            results.push({
+                chatId,
+                messageId: null,
+                title: chat.title,
+                text: '',
+                score: SEARCH_TITLE_BONUS * terms.length,
+                lastUpdated: chat.lastUpdated
+            });
+        }
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || b.lastUpdated - a.lastUpdated)
+        .slice(0, SEARCH_RESULT_LIMIT);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Text around the first match, with every search term highlighted
+function searchSnippet(text, terms) {
+    if (!text) return '';
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'giu');
+    const firstMatch = text.search(pattern);
+    const start = Math.max(0, firstMatch - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, Math.max(firstMatch, 0) + SEARCH_SNIPPET_RADIUS * 2);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ');
+
+    const highlighted = snippet
+        .split(pattern)
+        .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+
+    return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+}
+
+// =============================================================================
+// SIDEBAR RESULTS
+// =============================================================================
+
+function isSearching() {
+    return elements.searchInput.value.trim() !== '';
+}
+
+function updateSearchResults() {
+    const query = elements.searchInput.value.trim();
+    elements.searchResults.innerHTML = '';
+
+    if (!query) {
+        elements.searchResults.classList.add('hidden');
+        elements.chatList.classList.remove('hidden');
+        updateChatList();
+        return;
+    }
+
+    elements.chatList.classList.add('hidden');
+    elements.noChats.classList.add('hidden');
+    elements.searchResults.classList.remove('hidden');
+
+    const results = searchChats(query);
+    if (results.length === 0) {
+        elements.searchResults.innerHTML = '<div class="no-chats">No results</div>';
+        return;
+    }
+
+    const terms = tokenize(query);
+    results.forEach(result => {
+        const item = document.createElement('div');
+        item.className = 'chat-item search-result';
+        item.innerHTML = `
+            <span class="chat-item-title">${escapeHtml(result.title || 'New Chat')}</span>
+            ${result.text ? `<span class="search-result-snippet">${searchSnippet(result.text, terms)}</span>` : ''}
+        `;
+
+        item.addEventListener('click', () => {
+            switchToChat(result.chatId, result.messageId);
+        });
+
+        elements.searchResults.appendChild(item);
+    });
+}
+
+function scheduleSearch() {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(updateSearchResults, SEARCH_DEBOUNCE_MS);
+}
+
+function clearSearch() {
+    clearTimeout(searchDebounceTimer);
+    elements.searchInput.value = '';
+    updateSearchResults();
+}
+
+// Keeps visible results in step with chats that changed while searching
+function refreshSearchResults() {
+    if (isSearching()) scheduleSearch();
+}
@@ -0,0 +1,251 @@
+// AIThing - Global Shortcuts
+// Recording key combinations for shortcut actions and running the actions they trigger
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SHORTCUT_ACTIONS = [
+    { id: 'toggle-visibility', label: 'Show or hide AIThing' },
+    { id: 'toggle-visibility-alt', label: 'Show or hide AIThing (second shortcut)' },
+    { id: 'new-chat', label: 'New chat' },
+    { id: 'focus-input', label: 'Focus the input' },
+    { id: 'paste-selection', label: 'Add selected text as context' }
+];
+
+// Saved queries get an action each, e.g. "run-query:<id>"
+const RUN_QUERY_ACTION = 'run-query:';
+
+const IS_MAC = navigator.userAgent.includes('Mac');
+
+// Modifier names as the backend parses them, in display order
+const SHORTCUT_MODIFIERS = [
+    { name: 'Control', key: 'ctrlKey', mac: '⌃', other: 'Ctrl' },
+    { name: 'Alt', key: 'altKey', mac: '⌥', other: 'Alt' },
+    { name: 'Shift', key: 'shiftKey', mac: '⇧', other: 'Shift' },
+    { name: 'Super', key: 'metaKey', mac: '⌘', other: 'Win' }
+];
+
+const MODIFIER_CODES = /^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/;
+const FUNCTION_KEY_CODE = /^F\d{1,2}$/;
+
+// Action being recorded, if any
+let recordingShortcut = null;
+
+// =============================================================================
+// ACCELERATORS
+// =============================================================================
+
+// "Control+Alt+Space" from a keydown, or null for a modifier on its own.
+// Keys are named by KeyboardEvent.code, which the backend parses too.
+function acceleratorFromEvent(e) {
+    if (MODIFIER_CODES.test(e.code)) return null;
+    const modifiers = SHORTCUT_MODIFIERS.filter(modifier => e[modifier.key]).map(modifier => modifier.name);
+    return [...modifiers, e.code].join('+');
+}
+
+function formatAccelerator(accelerator) {
+    const parts = accelerator.split('+');
+    const key = parts.pop()
+        .replace(/^Key|^Digit/, '')
+        .replace(/^Arrow/, '')
+        .replace(/^Numpad/, 'Num ');
+    const modifiers = parts.map(part => {
+        const modifier = SHORTCUT_MODIFIERS.find(m => m.name === part);
+        if (!modifier) return part;
+        return IS_MAC ? modifier.mac : modifier.other;
+    });
+    return IS_MAC ? [...modifiers, key].join('') : [...modifiers, key].join('+');
+}
+
+function shortcutActionLabel(action) {
+    if (action.startsWith(RUN_QUERY_ACTION)) {
+        const query = state.savedQueries.find(q => q.id === action.slice(RUN_QUERY_ACTION.length));
+        return query ? `Run “${query.title}”` : 'Run a deleted saved query';
+    }
+    return SHORTCUT_ACTIONS.find(a => a.id === action)?.label || action;
+}
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+async function loadShortcutErrors() {
+    try {
+        state.shortcutErrors = await invoke('get_shortcut_errors');
+    } catch (error) {
+        console.error('Failed to load shortcut errors:', error);
+    }
+    updateShortcutsList();
+}
+
+async function applyShortcuts() {
+    try {
+        state.shortcutErrors = await invoke('set_shortcuts', { shortcuts: state.preferences.shortcuts });
+    } catch (error) {
+        console.error('Failed to update shortcuts:', error);
+    }
+    updateShortcutsList();
+}
+
+async function setShortcut(action, accelerator) {
+    if (accelerator) {
+        state.preferences.shortcuts[action] = accelerator;
+    } else {
+        delete state.preferences.shortcuts[action];
+    }
+    await applyShortcuts();
+}
+
+function removeQueryShortcut(queryId) {
+    const action = RUN_QUERY_ACTION + queryId;
+    if (action in state.preferences.shortcuts) setShortcut(action, null);
+}
+
+// =============================================================================
+// RECORDER
+// =============================================================================
+
+async function startRecordingShortcut(action) {
+    if (recordingShortcut) await stopRecordingShortcut();
+    recordingShortcut = action;
+    delete state.shortcutErrors[action];
+    updateShortcutsList();
+
+    // Otherwise pressing a combination that is already bound runs its action
+    try {
+        await invoke('pause_shortcuts', { paused: true });
+    } catch (error) {
+        console.error('Failed to pause shortcuts:', error);
+    }
+}
+
+async function stopRecordingShortcut(accelerator) {
+    const action = recordingShortcut;
+    recordingShortcut = null;
+    // undefined keeps the current combination, null removes it
+    if (accelerator) {
+        state.preferences.shortcuts[action] = accelerator;
+    } else if (accelerator === null) {
+        delete state.preferences.shortcuts[action];
+    }
+    // Registers everything again, including what was paused
+    await applyShortcuts();
+}
+
+function setupShortcutRecorder() {
+    // Captured before anything else can act on the keys being recorded
+    document.addEventListener('keydown', handleShortcutRecorderKeydown, true);
+    // Clicking anywhere else cancels, so shortcuts aren't left paused
+    document.addEventListener('mousedown', (e) => {
+        if (recordingShortcut && !e.target.closest('.shortcut-key.recording')) {
+            stopRecordingShortcut();
+        }
+    });
+}
+
+// Keydowns while recording; returns true when the key was used
+function handleShortcutRecorderKeydown(e) {
+    if (!recordingShortcut) return false;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const hasModifier = e.ctrlKey || e.altKey || e.metaKey;
+    if (e.code === 'Escape' && !hasModifier) {
+        stopRecordingShortcut();
+        return true;
+    }
+    if ((e.code === 'Backspace' || e.code === 'Delete') && !hasModifier) {
+        stopRecordingShortcut(null);
+        return true;
+    }
+
+    const accelerator = acceleratorFromEvent(e);
+    if (!accelerator) return true;
+
+    // Plain keys would fire while typing anywhere, so only function keys may go without a modifier
+    if (!hasModifier && !FUNCTION_KEY_CODE.test(e.code)) {
+        state.shortcutErrors[recordingShortcut] = 'Use at least one of Control, Alt or ' + (IS_MAC ? 'Command' : 'Windows');
+        updateShortcutsList();
+        return true;
+    }
+
+    const conflict = Object.entries(state.preferences.shortcuts)
+        .find(([action, other]) => action !== recordingShortcut && other === accelerator);
+    if (conflict) {
+        state.shortcutErrors[recordingShortcut] = `${formatAccelerator(accelerator)} is already used for ${shortcutActionLabel(conflict[0])}`;
+        updateShortcutsList();
+        return true;
+    }
+
+    stopRecordingShortcut(accelerator);
+    return true;
+}
+
+// =============================================================================
+// ACTIONS
+// =============================================================================
+
+// Runs an action from a 'shortcut-triggered' event; the backend has already
+// shown the window for everything except toggling it
+function handleShortcut(action) {
+    if (action === 'toggle-visibility') {
+        toggleVisibility();
+        return;
+    }
+
+    showIntelligenceView();
+    if (action === 'new-chat') {
+        newChat();
+    } else if (action.startsWith(RUN_QUERY_ACTION)) {
+        const query = state.savedQueries.find(q => q.id === action.slice(RUN_QUERY_ACTION.length));
+        if (query) selectSavedQuery(query, { send: true });
+    }
+    // Selected text arrives separately as a 'context-captured' event
+    elements.messageInput.focus();
+}
+
+// =============================================================================
+// PREFERENCES PANEL
+// =============================================================================
+
+function updateShortcutsList() {
+    const list = elements.shortcutsList;
+    list.innerHTML = '';
+    list.classList.toggle('disabled', !state.preferences.shortcutsEnabled);
+
+    const actions = [
+        ...SHORTCUT_ACTIONS.map(action => action.id),
+        ...state.savedQueries.map(query => RUN_QUERY_ACTION + query.id)
+    ];
+
+    actions.forEach(action => {
+        const accelerator = state.preferences.shortcuts[action];
+        const error = state.shortcutErrors[action];
+        const recording = recordingShortcut === action;
+
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+        row.innerHTML = `
+            <div class="shortcut-info">
+                <span class="shortcut-label">${escapeHtml(shortcutActionLabel(action))}</span>
+                ${error ? `<span class="shortcut-error">${escapeHtml(error)}</span>` : ''}
+            </div>
+            <button class="shortcut-key${recording ? ' recording' : ''}${accelerator ? '' : ' empty'}" title="${recording ? 'Esc to cancel, Backspace to clear' : 'Click to record'}">
+                ${recording ? 'Press keys…' : escapeHtml(accelerator ? formatAccelerator(accelerator) : 'Record')}
+            </button>
+            ${accelerator && !recording ? '<button class="agent-action-btn shortcut-clear" title="Remove shortcut">Clear</button>' : ''}
+        `;
+
+        row.querySelector('.shortcut-key').addEventListener('click', () => {
+            if (recording) {
+                stopRecordingShortcut();
+            } else {
+                startRecordingShortcut(action);
+            }
+        });
+        row.querySelector('.shortcut-clear')?.addEventListener('click', () => setShortcut(action, null));
+
+        list.appendChild(row);
+    });
+}
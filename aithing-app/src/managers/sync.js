@@ -0,0 +1,421 @@
+// AIThing - Sync
+// Sign-in and end-to-end encrypted sync of chats, saved queries and settings between devices
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SYNC_INTERVAL = 5 * 60 * 1000;
+// Changes are gathered for a moment so a streamed reply is sent once
+const SYNC_DELAY = 5000;
+
+// The server backend signs in with the same loopback OAuth flow as connectors
+const SYNC_CONNECTOR_ID = 'sync';
+const SYNC_DEFAULT_CLIENT_ID = 'aithing';
+
+// Settings that follow the user; keys, agents, providers and automations
+// are tied to this device (and automations would run twice)
+const SYNCED_SETTINGS = ['pinnedModels', 'customModels', 'systemPrompt', 'personas'];
+
+// =============================================================================
+// BACKENDS
+// =============================================================================
+
+// A backend keeps sealed records for an account:
+//   signIn(options) → account { id, email, keyCheck, ... }, kept and handed back to the others
+//   signOut(account)
+//   setKeyCheck(account, keyCheck), keeping it for the account's other devices
+//   pull(account, cursor) → { records, cursor }, the records changed since cursor
+//   push(account, records)
+// A record is { kind, id, updatedAt, deleted, payload }; payload is encrypted
+// before it reaches the backend, and conflicts are settled here, not there.
+const syncBackends = {};
+
+function registerSyncBackend(id, backend) {
+    syncBackends[id] = backend;
+}
+
+function syncServerBaseUrl(url) {
+    return url.trim().replace(/\/+$/, '');
+}
+
+async function syncServerRequest(account, path, options = {}) {
+    const token = await invoke('oauth_access_token', { connector: SYNC_CONNECTOR_ID });
+    const response = await httpFetch(`${account.url}${path}`, {
+        ...options,
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
+    });
+    if (!response.ok) {
+        throw new Error(`Sync server responded with ${response.status}`);
+    }
+    return response.json();
+}
+
+// A sync server: OAuth at /oauth/authorize and /oauth/token, then
+// GET /account → { id, email, keyCheck }, PUT /account { keyCheck },
+// GET /records?since= → { records, cursor } and POST /records { records }
+registerSyncBackend('server', {
+    async signIn({ url, clientId }) {
+        const base = syncServerBaseUrl(url);
+        await invoke('oauth_connect', {
+            connector: SYNC_CONNECTOR_ID,
+            client: {
+                authorize_url: `${base}/oauth/authorize`,
+                token_url: `${base}/oauth/token`,
+                client_id: clientId,
+                client_secret: null,
+                scopes: ['sync'],
+                params: {}
+            }
+        });
+        const account = { backend: 'server', url: base, clientId };
+        const { id, email, keyCheck } = await syncServerRequest(account, '/account');
+        return { ...account, id, email, keyCheck };
+    },
+    signOut: () => invoke('oauth_disconnect', { connector: SYNC_CONNECTOR_ID }),
+    setKeyCheck: (account, keyCheck) => syncServerRequest(account, '/account', {
+        method: 'PUT',
+        body: JSON.stringify({ keyCheck })
+    }),
+    pull: (account, cursor) => syncServerRequest(account, `/records${cursor ? `?since=${encodeURIComponent(cursor)}` : ''}`),
+    push: (account, records) => syncServerRequest(account, '/records', {
+        method: 'POST',
+        body: JSON.stringify({ records })
+    })
+});
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+// state.sync is saved in the store:
+//   account   what the backend returned from signIn, or null when signed out
+//   cursor    where the last pull stopped
+//   versions  updatedAt of each record as last synced, by "kind:id"
+//   changes   records changed here since, by "kind:id", with the time they changed
+//   settings  the synced settings as last sent or received, to tell real changes apart
+
+let syncStatus = { state: 'idle', error: null };
+let syncRun = null;
+let syncTimer = null;
+let syncInterval = null;
+// Set while synced data is saved, so it isn't taken for a local change
+let applyingSync = false;
+
+function emptySyncState() {
+    return { account: null, enabled: true, cursor: null, versions: {}, changes: {}, settings: null, lastSynced: null };
+}
+
+async function loadSyncState() {
+    try {
+        const store = await getAppStore();
+        state.sync = { ...emptySyncState(), ...(await store.get('sync')) };
+    } catch (error) {
+        console.error('Failed to load sync state:', error);
+        state.sync = emptySyncState();
+    }
+}
+
+async function saveSyncState() {
+    try {
+        const store = await getAppStore();
+        await store.set('sync', state.sync);
+        await store.save();
+    } catch (error) {
+        console.error('Failed to save sync state:', error);
+    }
+}
+
+function syncRecordKey(kind, id) {
+    return `${kind}:${id}`;
+}
+
+function syncedSettings() {
+    return Object.fromEntries(SYNCED_SETTINGS.map(key => [key, state[key]]));
+}
+
+// Notes a local change to send with the next sync
+function markSyncChange(kind, id) {
+    if (!state.sync.account || applyingSync) return;
+
+    if (kind === 'settings') {
+        const settings = JSON.stringify(syncedSettings());
+        if (settings === state.sync.settings) return;
+        state.sync.settings = settings;
+    }
+    state.sync.changes[syncRecordKey(kind, id)] = Date.now();
+    saveSyncState();
+    scheduleSync();
+}
+
+// =============================================================================
+// SYNC
+// =============================================================================
+
+function scheduleSync() {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(syncNow, SYNC_DELAY);
+}
+
+function startSync() {
+    clearInterval(syncInterval);
+    syncInterval = null;
+    updateSyncStatus();
+    if (!state.sync.account || !state.sync.enabled) return;
+
+    syncInterval = setInterval(syncNow, SYNC_INTERVAL);
+    syncNow();
+}
+
+// Runs one sync, or joins the one already running
+function syncNow() {
+    if (!state.sync.account || !state.sync.enabled) return Promise.resolve();
+    if (!syncRun) {
+        syncRun = runSync().finally(() => {
+            syncRun = null;
+        });
+    }
+    return syncRun;
+}
+
+async function runSync() {
+    const account = state.sync.account;
+    const backend = syncBackends[account.backend];
+    clearTimeout(syncTimer);
+    syncStatus = { state: 'syncing', error: null };
+    updateSyncStatus();
+
+    try {
+        const { records, cursor } = await backend.pull(account, state.sync.cursor);
+        for (const record of records || []) {
+            await applySyncRecord(record);
+        }
+        state.sync.cursor = cursor ?? state.sync.cursor;
+
+        const outgoing = await Promise.all(Object.entries(state.sync.changes).map(([key, updatedAt]) => buildSyncRecord(key, updatedAt)));
+        if (outgoing.length > 0) {
+            await backend.push(account, outgoing);
+            outgoing.forEach(record => {
+                const key = syncRecordKey(record.kind, record.id);
+                state.sync.versions[key] = record.updatedAt;
+                // Unless it changed again while it was sent
+                if (state.sync.changes[key] === record.updatedAt) delete state.sync.changes[key];
+            });
+        }
+
+        state.sync.lastSynced = Date.now();
+        syncStatus = { state: 'idle', error: null };
+    } catch (error) {
+        console.error('Sync failed:', error);
+        syncStatus = { state: 'error', error: error.message || String(error) };
+    }
+
+    await saveSyncState();
+    updateSyncStatus();
+}
+
+async function buildSyncRecord(key, updatedAt) {
+    const [kind, ...rest] = key.split(':');
+    const id = rest.join(':');
+
+    let data = null;
+    if (kind === 'chat') {
+        data = state.histories.find(h => h.id === id) || null;
+    } else if (kind === 'queries') {
+        data = state.savedQueries;
+    } else if (kind === 'settings') {
+        data = syncedSettings();
+    }
+
+    if (!data) return { kind, id, updatedAt, deleted: true, payload: null };
+    const payload = await invoke('sync_seal', { plaintext: JSON.stringify(data) });
+    return { kind, id, updatedAt, deleted: false, payload };
+}
+
+// Last writer wins: a record only replaces what's here if it changed later
+async function applySyncRecord(record) {
+    const key = syncRecordKey(record.kind, record.id);
+    if (record.updatedAt <= (state.sync.versions[key] || 0)) return;
+    if ((state.sync.changes[key] || 0) > record.updatedAt) return;
+    // A chat that is responding saves again when it finishes, and wins then
+    if (record.kind === 'chat' && state.chatRuns[record.id]) return;
+
+    const data = record.deleted ? null : JSON.parse(await invoke('sync_open', { sealed: record.payload }));
+
+    applyingSync = true;
+    try {
+        if (record.kind === 'chat') {
+            await applySyncedChat(record.id, data);
+        } else if (record.kind === 'queries') {
+            state.savedQueries = data || [];
+            await saveSavedQueries();
+            updateSavedQueriesList();
+        } else if (record.kind === 'settings' && data) {
+            SYNCED_SETTINGS.forEach(name => {
+                if (name in data) state[name] = data[name];
+            });
+            state.sync.settings = JSON.stringify(syncedSettings());
+            await saveSettings();
+            updateModelsList();
+            updatePersonaPicker();
+        }
+    } finally {
+        applyingSync = false;
+    }
+
+    state.sync.versions[key] = record.updatedAt;
+    delete state.sync.changes[key];
+}
+
+async function applySyncedChat(chatId, chat) {
+    state.histories = state.histories.filter(h => h.id !== chatId);
+
+    if (chat) {
+        const index = state.histories.findIndex(h => (h.lastUpdated || 0) < (chat.lastUpdated || 0));
+        state.histories.splice(index >= 0 ? index : state.histories.length, 0, chat);
+        await invoke('save_chat', { chat });
+        indexChat(chat);
+        if (state.currentTabId === chatId) loadChatHistory(chatId);
+    } else {
+        await invoke('delete_chat', { id: chatId });
+        removeChatFromIndex(chatId);
+        if (state.currentTabId === chatId) {
+            if (state.histories.length > 0) {
+                switchToChat(state.histories[0].id);
+            } else {
+                newChat();
+            }
+        }
+    }
+
+    refreshSearchResults();
+    updateChatList();
+}
+
+// =============================================================================
+// ACCOUNT
+// =============================================================================
+
+// Signs in and unlocks sync with the passphrase. The first device seals a key
+// check for the account; the others must open it, so a mistyped passphrase
+// fails here rather than on every record.
+async function signInToBackend(backendId, options, passphrase) {
+    const backend = syncBackends[backendId];
+    const { keyCheck, ...account } = await backend.signIn(options);
+
+    let newKeyCheck;
+    try {
+        newKeyCheck = await invoke('sync_unlock', { accountId: account.id, passphrase, keyCheck: keyCheck || null });
+    } catch (error) {
+        await backend.signOut(account).catch(() => {});
+        throw error;
+    }
+    if (!keyCheck) await backend.setKeyCheck(account, newKeyCheck);
+    return account;
+}
+
+async function signIn() {
+    const url = elements.syncServerInput.value.trim();
+    const clientId = elements.syncClientIdInput.value.trim() || SYNC_DEFAULT_CLIENT_ID;
+    const passphrase = elements.syncPassphraseInput.value;
+
+    if (!/^https?:\/\//.test(url)) {
+        elements.signInError.textContent = 'Enter the sync server\'s http(s) URL';
+        return;
+    }
+    if (!passphrase) {
+        elements.signInError.textContent = 'Choose a sync passphrase';
+        return;
+    }
+
+    elements.signInError.textContent = '';
+    elements.signInBtn.disabled = true;
+    elements.signInBtn.textContent = 'Waiting for browser...';
+    try {
+        const account = await signInToBackend('server', { url, clientId }, passphrase);
+
+        // Everything here is sent once. Chats keep their own times; settings
+        // and saved queries lose to anything already synced.
+        state.sync = { ...emptySyncState(), account, settings: JSON.stringify(syncedSettings()) };
+        state.histories.forEach(history => {
+            state.sync.changes[syncRecordKey('chat', history.id)] = history.lastUpdated || 1;
+        });
+        state.sync.changes[syncRecordKey('settings', 'all')] = 1;
+        if (state.savedQueries.length > 0) state.sync.changes[syncRecordKey('queries', 'all')] = 1;
+        await saveSyncState();
+    } catch (error) {
+        elements.signInError.textContent = String(error.message || error);
+        return;
+    } finally {
+        elements.signInBtn.disabled = false;
+        elements.signInBtn.textContent = 'Sign in';
+        elements.syncPassphraseInput.value = '';
+    }
+
+    updateAccountPanel();
+    startSync();
+}
+
+// Synced data stays on this device and on the server
+async function signOut() {
+    const account = state.sync.account;
+    if (!account) return;
+
+    try {
+        await syncBackends[account.backend]?.signOut(account);
+        await invoke('sync_lock');
+    } catch (error) {
+        console.error('Failed to sign out:', error);
+    }
+
+    clearTimeout(syncTimer);
+    state.sync = emptySyncState();
+    syncStatus = { state: 'idle', error: null };
+    await saveSyncState();
+    updateAccountPanel();
+    startSync();
+}
+
+function setSyncEnabled(enabled) {
+    state.sync.enabled = enabled;
+    saveSyncState();
+    startSync();
+}
+
+// =============================================================================
+// UI
+// =============================================================================
+
+function syncStatusText() {
+    if (!state.sync.enabled) return 'Sync paused';
+    switch (syncStatus.state) {
+        case 'syncing':
+            return 'Syncing...';
+        case 'error':
+            return `Sync failed: ${syncStatus.error}`;
+        default:
+            return state.sync.lastSynced ? `Synced ${formatDate(state.sync.lastSynced)}` : 'Not synced yet';
+    }
+}
+
+function updateSyncStatus() {
+    const signedIn = Boolean(state.sync.account);
+    elements.syncStatus.classList.toggle('hidden', !signedIn);
+    elements.syncStatus.classList.toggle('error', syncStatus.state === 'error');
+    elements.syncStatus.classList.toggle('syncing', syncStatus.state === 'syncing');
+    elements.syncStatusText.textContent = syncStatusText();
+    elements.syncStatus.title = syncStatus.state === 'error' ? syncStatus.error : 'Sync now';
+    if (signedIn) elements.accountSyncStatus.textContent = syncStatusText();
+}
+
+function updateAccountPanel() {
+    const account = state.sync.account;
+    elements.signInForm.classList.toggle('hidden', Boolean(account));
+    elements.signedInAccount.classList.toggle('hidden', !account);
+    if (account) {
+        elements.accountEmail.textContent = account.email || account.id;
+        elements.accountServer.textContent = account.url || '';
+        elements.syncEnabled.checked = state.sync.enabled;
+    }
+    updateSyncStatus();
+}
@@ -0,0 +1,137 @@
+// AIThing - Chat Titles
+// Naming new chats from their first exchange (matching Swift TitleGenerator)
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Small, fast model per provider; none of them think before answering, so a
+// few output tokens are enough
+const TITLE_MODELS = {
+    anthropic: 'claude-haiku-4-5-20251001',
+    openai: 'gpt-4.1-nano',
+    google: 'gemini-2.5-flash-lite'
+};
+
+const TITLE_MAX_TOKENS = 32;
+const TITLE_MAX_WORDS = 6;
+const TITLE_MAX_LENGTH = 60;
+// Enough of each message to tell what the chat is about
+const TITLE_EXCERPT_LENGTH = 2000;
+
+const TITLE_PROMPT = `Write a title of at most ${TITLE_MAX_WORDS} words for the conversation below. Reply with the title only, without quotes or a trailing full stop.`;
+
+// Chats whose title is being generated
+const titlingChats = new Set();
+
+// =============================================================================
+// TITLES
+// =============================================================================
+
+// Chats keep generating titles until they get one, unless the user named them
+function needsTitle(history) {
+    return !history.titleEdited && (!history.title || history.title === 'New Chat');
+}
+
+function messageText(item) {
+    return (item?.payloads || [])
+        .filter(payload => payload.type === 'text')
+        .map(payload => payload.text)
+        .join('\n')
+        .trim();
+}
+
+function cleanTitle(text) {
+    const title = text
+        .replace(/^\s*title\s*:\s*/i, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^["'“”‘’*#\s]+|["'“”‘’*.\s]+$/g, '');
+    return title.length > TITLE_MAX_LENGTH ? `${title.slice(0, TITLE_MAX_LENGTH - 1).trimEnd()}…` : title;
+}
+
+// Local fallback: the first words of the first sentence the user wrote
+function heuristicTitle(chatHistory) {
+    const firstMessage = chatHistory.find(isUserMessage);
+    const text = messageText(firstMessage)
+        .replace(/```[\s\S]*?(```|$)/g, ' ')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/[`*_#>[\]()]/g, ' ');
+    const sentence = text.split(/[.!?\n]/).map(part => part.trim()).find(Boolean);
+
+    if (!sentence) {
+        // Only files were sent, so name the chat after the first one
+        const file = (firstMessage?.payloads || []).find(payload => payload.name);
+        return file ? file.name.replace(/ \(.*\)$/, '') : '';
+    }
+
+    const words = sentence.split(/\s+/);
+    const title = words.slice(0, TITLE_MAX_WORDS).join(' ') + (words.length > TITLE_MAX_WORDS ? '…' : '');
+    return cleanTitle(title.charAt(0).toUpperCase() + title.slice(1));
+}
+
+// The chat's own provider when it has a key, otherwise the first that does.
+// Chats with the user's own servers are titled by their model, so nothing
+// leaves those servers.
+function titleModel(chatModel) {
+    const chatProvider = getProviderForModel(chatModel);
+    if (isCustomProvider(chatProvider)) return { provider: chatProvider, model: chatModel };
+
+    const providers = [chatProvider, ...MODEL_PROVIDERS];
+    const provider = providers.find(id => TITLE_MODELS[id] && state.apiKeys[id]);
+    return provider ? { provider, model: TITLE_MODELS[provider] } : null;
+}
+
+async function generateTitle(chatHistory, chatModel) {
+    const choice = titleModel(chatModel);
+    if (!choice) return heuristicTitle(chatHistory);
+
+    const question = messageText(chatHistory.find(isUserMessage));
+    const answer = messageText([...chatHistory].reverse().find(item => item.role === 'assistant' && !item.error));
+    const conversation = [
+        `User: ${question.slice(0, TITLE_EXCERPT_LENGTH)}`,
+        answer ? `Assistant: ${answer.slice(0, TITLE_EXCERPT_LENGTH)}` : ''
+    ].filter(Boolean).join('\n\n');
+
+    try {
+        const response = await streamModelResponse({
+            providerId: choice.provider,
+            apiKey: state.apiKeys[choice.provider],
+            model: choice.model,
+            messages: [{ role: 'user', payloads: [{ type: 'text', text: `${TITLE_PROMPT}\n\n${conversation}` }] }],
+            maxTokens: TITLE_MAX_TOKENS
+        });
+        recordUsage(choice.model, choice.provider, response.usage);
+        return cleanTitle(response.text) || heuristicTitle(chatHistory);
+    } catch (error) {
+        console.error('Failed to generate chat title:', error);
+        return heuristicTitle(chatHistory);
+    }
+}
+
+// Titles a chat after its first reply. Titles typed by hand always win, even
+// one typed while the title was being generated.
+async function titleChat(chatId, chatModel) {
+    const history = state.histories.find(h => h.id === chatId);
+    if (!history || !needsTitle(history) || titlingChats.has(chatId)) return;
+
+    titlingChats.add(chatId);
+    let title;
+    try {
+        title = await generateTitle(history.history || [], chatModel);
+    } finally {
+        titlingChats.delete(chatId);
+    }
+
+    // The entry is replaced on every save, so look it up again
+    const current = state.histories.find(h => h.id === chatId);
+    const isOpen = chatId === state.currentTabId;
+    if (!title || !current || !needsTitle(current)) return;
+    if (isOpen && document.activeElement === elements.titleInput) return;
+
+    current.title = title;
+    if (isOpen) elements.titleInput.value = title;
+    indexChat(current);
+    refreshSearchResults();
+    updateChatList();
+    await saveHistory(current);
+}
@@ -0,0 +1,90 @@
+// AIThing - Tool Registry
+// Matching the Swift ConnectionManager / InternalToolProvider split
+
+// =============================================================================
+// TOOL PROVIDERS
+// =============================================================================
+
+// Each provider exposes MCP-shaped tools ({ name, description, inputSchema })
+// and executes calls to them:
+//   getTools() -> Tool[]
+//   callTool(name, input) -> Promise<string>
+// Providers with needsApproval only run calls the user approves.
+const toolProviders = new Map();
+
+function registerToolProvider(id, provider) {
+    toolProviders.set(id, provider);
+}
+
+function unregisterToolProvider(id) {
+    toolProviders.delete(id);
+}
+
+// All tools currently offered to the model, tagged with their provider.
+// Providers reject requests with duplicate tool names, so a tool named like
+// one from an earlier provider is left out (see toolNameConflicts).
+function getAvailableTools() {
+    const tools = [];
+    const names = new Set();
+    toolProviders.forEach((provider, providerId) => {
+        provider.getTools().forEach(tool => {
+            if (names.has(tool.name)) return;
+            names.add(tool.name);
+            tools.push({ ...tool, providerId });
+        });
+    });
+    return tools;
+}
+
+// Tools of a provider that getAvailableTools leaves out, as
+// tool name -> id of the provider whose tool is offered instead
+function toolNameConflicts(providerId) {
+    const owners = new Map();
+    const conflicts = new Map();
+    toolProviders.forEach((provider, id) => {
+        provider.getTools().forEach(tool => {
+            if (!owners.has(tool.name)) {
+                owners.set(tool.name, id);
+            } else if (id === providerId) {
+                conflicts.set(tool.name, owners.get(tool.name));
+            }
+        });
+    });
+    return conflicts;
+}
+
+// The provider whose tool getAvailableTools offers under this name
+function findToolProvider(toolName) {
+    for (const [providerId, provider] of toolProviders) {
+        if (provider.getTools().some(tool => tool.name === toolName)) {
+            return { providerId, provider };
+        }
+    }
+    return null;
+}
+
+// =============================================================================
+// TOOL EXECUTION
+// =============================================================================
+
+// Executes a tool call and always resolves with a result string for the model.
+// approve({ name, input }) -> Promise<boolean> asks the user where needed;
+// without it, calls that need approval are refused.
+async function callTool(name, input, { approve } = {}) {
+    const match = findToolProvider(name);
+    if (!match) {
+        return `Error: Tool not found: ${name}`;
+    }
+
+    if (match.provider.needsApproval && !(approve && await approve({ name, input: input || {} }))) {
+        return 'Error: The user did not allow this tool call.';
+    }
+
+    try {
+        const result = await match.provider.callTool(name, input || {});
+        return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (error) {
+        console.error(`Tool ${name} failed:`, error);
+        return `Error: ${error.message || error}`;
+    }
+}
@@ -0,0 +1,205 @@
+// AIThing - Updates
+// Checks the signed update manifest, shows what changed, downloads with progress and relaunches
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const UPDATE_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+// How often to see whether the daily check is due; a day-long timer wouldn't
+// survive the computer sleeping
+const UPDATE_CHECK_POLL = 60 * 60 * 1000;
+const UPDATE_BUTTON_LABEL = 'Check for Updates';
+const UPDATE_BUTTON_RESET_DELAY = 3000;
+
+// The update found by the last check: { version, currentVersion, notes, date }
+let availableUpdate = null;
+let updateInstalling = false;
+let updatePoll = null;
+let updateButtonTimer = null;
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+// state.updates is saved in the store: { lastChecked, dismissedVersion }.
+// A version put off with Later isn't offered again by the daily check.
+
+async function loadUpdateState() {
+    try {
+        const store = await getAppStore();
+        state.updates = { ...state.updates, ...(await store.get('updates')) };
+    } catch (error) {
+        console.error('Failed to load update state:', error);
+    }
+}
+
+async function saveUpdateState() {
+    try {
+        const store = await getAppStore();
+        await store.set('updates', state.updates);
+        await store.save();
+    } catch (error) {
+        console.error('Failed to save update state:', error);
+    }
+}
+
+// =============================================================================
+// CHECKING
+// =============================================================================
+
+// Shows how the check went on the button for a moment
+function setUpdateButton(label, { busy = false, reset = false, title = '' } = {}) {
+    clearTimeout(updateButtonTimer);
+    elements.checkUpdatesBtn.textContent = label;
+    elements.checkUpdatesBtn.disabled = busy;
+    elements.checkUpdatesBtn.title = title;
+    if (reset) {
+        updateButtonTimer = setTimeout(() => setUpdateButton(availableUpdate ? `Update to ${availableUpdate.version}` : UPDATE_BUTTON_LABEL), UPDATE_BUTTON_RESET_DELAY);
+    }
+}
+
+// A check the user asked for always reports back; the daily one stays quiet
+// unless there is something new
+async function checkForUpdates(manual = false) {
+    if (updateInstalling) return;
+    setUpdateButton('Checking...', { busy: true });
+
+    try {
+        availableUpdate = await invoke('check_for_update');
+        state.updates.lastChecked = Date.now();
+        saveUpdateState();
+    } catch (error) {
+        console.error('Failed to check for updates:', error);
+        setUpdateButton(manual ? 'Check failed' : UPDATE_BUTTON_LABEL, { reset: manual, title: String(error.message || error) });
+        return;
+    }
+
+    if (!availableUpdate) {
+        setUpdateButton(manual ? 'Up to date' : UPDATE_BUTTON_LABEL, { reset: manual });
+        return;
+    }
+
+    setUpdateButton(`Update to ${availableUpdate.version}`);
+    if (manual || availableUpdate.version !== state.updates.dismissedVersion) showUpdateDialog();
+}
+
+function scheduleUpdateChecks() {
+    clearInterval(updatePoll);
+    updatePoll = null;
+    if (!state.preferences.autoUpdateCheck) return;
+
+    const checkIfDue = () => {
+        if (Date.now() - (state.updates.lastChecked || 0) >= UPDATE_CHECK_INTERVAL) checkForUpdates();
+    };
+    updatePoll = setInterval(checkIfDue, UPDATE_CHECK_POLL);
+    checkIfDue();
+}
+
+// The button opens the changelog again once an update has been found
+function onCheckUpdatesClick() {
+    if (availableUpdate) {
+        showUpdateDialog();
+    } else {
+        checkForUpdates(true);
+    }
+}
+
+// =============================================================================
+// DIALOG
+// =============================================================================
+
+function showUpdateDialog() {
+    const update = availableUpdate;
+    elements.updateTitle.textContent = `AIThing ${update.version} is available`;
+    elements.updateSubtitle.textContent = `You have ${update.currentVersion}${update.date ? ` · released ${formatDate(update.date)}` : ''}`;
+    elements.updateNotes.innerHTML = update.notes ? renderMarkdown(update.notes) : '<p>No release notes.</p>';
+    elements.updateError.textContent = '';
+    elements.updateProgress.classList.add('hidden');
+    setUpdateDialogBusy(false);
+    elements.updateDialog.classList.remove('hidden');
+}
+
+function dismissUpdateDialog() {
+    if (updateInstalling) return;
+    elements.updateDialog.classList.add('hidden');
+    if (availableUpdate) {
+        state.updates.dismissedVersion = availableUpdate.version;
+        saveUpdateState();
+    }
+}
+
+function setUpdateDialogBusy(busy) {
+    elements.updateInstallBtn.disabled = busy;
+    elements.updateLaterBtn.disabled = busy;
+    elements.updateInstallBtn.textContent = busy ? 'Installing...' : 'Install and Relaunch';
+}
+
+function formatDownloadSize(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function updateDownloadProgress(received, total) {
+    if (total) {
+        elements.updateProgressBar.style.width = `${Math.min(100, (received / total) * 100)}%`;
+        elements.updateProgressText.textContent = `${formatDownloadSize(received)} of ${formatDownloadSize(total)}`;
+    } else {
+        elements.updateProgressText.textContent = `${formatDownloadSize(received)} downloaded`;
+    }
+}
+
+async function installUpdate() {
+    updateInstalling = true;
+    setUpdateDialogBusy(true);
+    elements.updateError.textContent = '';
+    elements.updateProgress.classList.remove('hidden');
+    elements.updateProgressBar.style.width = '0%';
+    elements.updateProgressText.textContent = 'Starting download...';
+
+    let received = 0;
+    let total = null;
+    const onEvent = new Channel();
+    onEvent.onmessage = ({ event, data }) => {
+        if (event === 'started') {
+            total = data.contentLength;
+        } else if (event === 'progress') {
+            received += data.chunkLength;
+            updateDownloadProgress(received, total);
+        } else if (event === 'finished') {
+            elements.updateProgressText.textContent = 'Installing...';
+        }
+    };
+
+    try {
+        await invoke('install_update', { onEvent });
+        await relaunch();
+    } catch (error) {
+        console.error('Failed to install update:', error);
+        elements.updateError.textContent = String(error.message || error);
+        elements.updateProgress.classList.add('hidden');
+        updateInstalling = false;
+        setUpdateDialogBusy(false);
+        // The backend lets go of an update it failed to install
+        availableUpdate = null;
+        setUpdateButton(UPDATE_BUTTON_LABEL);
+        elements.updateInstallBtn.disabled = true;
+    }
+}
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+function setAutoUpdateCheck(enabled) {
+    state.preferences.autoUpdateCheck = enabled;
+    saveSettings();
+    scheduleUpdateChecks();
+}
+
+function setUpdateManifestUrl(url) {
+    state.preferences.updateManifestUrl = url.trim();
+    saveSettings();
+    // Whatever the old manifest offered may not be on the new one
+    availableUpdate = null;
+    setUpdateButton(UPDATE_BUTTON_LABEL);
+}
@@ -0,0 +1,432 @@
+// AIThing - Usage
+// Token counts and costs per message, chat, model and provider, with an optional monthly budget
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// USD per million tokens by model ID prefix, as listed by the providers; the
+// longest matching prefix wins. Without a cache price, cached tokens cost
+// the input price.
+const DEFAULT_MODEL_PRICING = [
+    { model: 'claude-opus-4-5', input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    { model: 'claude-opus-4', input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    { model: 'claude-sonnet-4', input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    { model: 'claude-3-7-sonnet', input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    { model: 'claude-haiku-4-5', input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    { model: 'claude-3-5-haiku', input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+    { model: 'gpt-5', input: 1.25, output: 10, cacheRead: 0.125 },
+    { model: 'gpt-5-mini', input: 0.25, output: 2, cacheRead: 0.025 },
+    { model: 'gpt-5-nano', input: 0.05, output: 0.4, cacheRead: 0.005 },
+    { model: 'gpt-4.1', input: 2, output: 8, cacheRead: 0.5 },
+    { model: 'gpt-4.1-mini', input: 0.4, output: 1.6, cacheRead: 0.1 },
+    { model: 'gpt-4.1-nano', input: 0.1, output: 0.4, cacheRead: 0.025 },
+    { model: 'gpt-4o', input: 2.5, output: 10, cacheRead: 1.25 },
+    { model: 'gpt-4o-mini', input: 0.15, output: 0.6, cacheRead: 0.075 },
+    { model: 'o3', input: 2, output: 8, cacheRead: 0.5 },
+    { model: 'o3-mini', input: 1.1, output: 4.4, cacheRead: 0.55 },
+    { model: 'o4-mini', input: 1.1, output: 4.4, cacheRead: 0.275 },
+    { model: 'gemini-2.5-pro', input: 1.25, output: 10, cacheRead: 0.125 },
+    { model: 'gemini-2.5-flash', input: 0.3, output: 2.5, cacheRead: 0.03 },
+    { model: 'gemini-2.5-flash-lite', input: 0.1, output: 0.4, cacheRead: 0.01 },
+    { model: 'gemini-2.0-flash', input: 0.1, output: 0.4, cacheRead: 0.025 }
+];
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+
+// Share of the monthly budget at which the chat starts warning
+const BUDGET_WARNING_SHARE = 0.8;
+
+// Warning the user closed, e.g. "2026-10:near", until it escalates or the month ends
+let dismissedBudgetWarning = null;
+
+// =============================================================================
+// COSTS
+// =============================================================================
+
+function emptyUsage() {
+    return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+}
+
+function addUsage(total, usage) {
+    USAGE_FIELDS.forEach(field => {
+        total[field] = (total[field] || 0) + (usage[field] || 0);
+    });
+    return total;
+}
+
+function usageTokens(usage) {
+    return USAGE_FIELDS.reduce((sum, field) => sum + (usage[field] || 0), 0);
+}
+
+function modelPricing() {
+    return state.modelPricing || DEFAULT_MODEL_PRICING;
+}
+
+function pricingFor(modelId) {
+    const id = (modelId || '').replace(/^ft:/, '');
+    return modelPricing()
+        .filter(row => row.model && id.startsWith(row.model))
+        .sort((a, b) => b.model.length - a.model.length)[0] || null;
+}
+
+// Cost in USD, or null for models without a price
+function usageCost(usage, modelId) {
+    const price = pricingFor(modelId);
+    if (!price || !usage) return null;
+
+    return ((usage.inputTokens || 0) * (price.input || 0)
+        + (usage.outputTokens || 0) * (price.output || 0)
+        + (usage.cacheReadTokens || 0) * (price.cacheRead ?? price.input ?? 0)
+        + (usage.cacheWriteTokens || 0) * (price.cacheWrite ?? price.input ?? 0)) / 1e6;
+}
+
+function formatCost(cost) {
+    if (cost === null) return '';
+    if (cost === 0) return '$0';
+    if (cost < 0.0001) return '<$0.0001';
+    return `$${cost < 1 ? cost.toPrecision(2) : cost.toFixed(2)}`;
+}
+
+function formatTokens(tokens) {
+    if (tokens < 1000) return String(tokens);
+    if (tokens < 1000000) return `${+(tokens / 1000).toFixed(1)}K`;
+    return `${+(tokens / 1000000).toFixed(1)}M`;
+}
+
+function usageText(usage) {
+    const parts = [`${formatTokens(usage.inputTokens || 0)} in`, `${formatTokens(usage.outputTokens || 0)} out`];
+    if (usage.cacheReadTokens) parts.push(`${formatTokens(usage.cacheReadTokens)} cached`);
+    if (usage.cacheWriteTokens) parts.push(`${formatTokens(usage.cacheWriteTokens)} cache write`);
+    return parts.join(' · ');
+}
+
+// Everything spent in a chat, including replies on other branches
+function chatUsage(chatHistory) {
+    const total = { ...emptyUsage(), cost: 0, unpriced: false };
+
+    const visit = (items) => items.forEach(item => {
+        if (item.usage) {
+            addUsage(total, item.usage);
+            const cost = usageCost(item.usage, item.model);
+            if (cost === null) {
+                total.unpriced = true;
+            } else {
+                total.cost += cost;
+            }
+        }
+        (item.branches || []).forEach(tail => {
+            if (tail) visit(tail);
+        });
+    });
+
+    visit(chatHistory);
+    return total;
+}
+
+// =============================================================================
+// LEDGER
+// =============================================================================
+
+// "2026-10-19" in local time
+function usageDay(date = new Date()) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Every response is also added to a daily ledger by model, so spending
+// stays counted after chats are deleted, including titles and automations
+function recordUsage(modelId, provider, usage) {
+    if (!usage) return;
+
+    const day = usageDay();
+    if (!state.usageLog[day]) state.usageLog[day] = {};
+    if (!state.usageLog[day][modelId]) {
+        state.usageLog[day][modelId] = { provider, requests: 0, ...emptyUsage() };
+    }
+    const entry = state.usageLog[day][modelId];
+    addUsage(entry, usage);
+    entry.requests++;
+
+    saveUsage();
+    updateBudgetWarning();
+    if (!elements.usagePanel.classList.contains('hidden')) updateUsageDashboard();
+}
+
+// Totals for the days from `since` (a usageDay) on
+function summarizeUsage(since) {
+    const summary = { total: { ...emptyUsage(), cost: 0 }, days: {}, models: {}, providers: {}, unpriced: false };
+
+    Object.entries(state.usageLog).forEach(([day, models]) => {
+        if (day < since) return;
+
+        Object.entries(models).forEach(([modelId, entry]) => {
+            const cost = usageCost(entry, modelId);
+            if (cost === null) summary.unpriced = true;
+
+            const add = (totals, key, extra = {}) => {
+                if (!totals[key]) totals[key] = { ...emptyUsage(), cost: 0, requests: 0, ...extra };
+                const total = totals[key];
+                addUsage(total, entry);
+                total.cost += cost || 0;
+                total.requests += entry.requests || 0;
+            };
+            add(summary.days, day);
+            add(summary.models, modelId, { provider: entry.provider });
+            add(summary.providers, entry.provider || inferModelProvider(modelId) || 'other');
+            addUsage(summary.total, entry);
+            summary.total.cost += cost || 0;
+        });
+    });
+
+    return summary;
+}
+
+function monthlyCost() {
+    const today = usageDay();
+    return summarizeUsage(`${today.slice(0, 7)}-01`).total.cost;
+}
+
+// =============================================================================
+// BUDGET
+// =============================================================================
+
+function updateBudgetWarning() {
+    const budget = state.monthlyBudget;
+    const spent = budget ? monthlyCost() : 0;
+    const share = budget ? spent / budget : 0;
+    const level = `${usageDay().slice(0, 7)}:${share >= 1 ? 'over' : 'near'}`;
+    const show = share >= BUDGET_WARNING_SHARE && dismissedBudgetWarning !== level;
+
+    elements.budgetWarning.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    elements.budgetWarning.innerHTML = `
+        <span>${share >= 1
+            ? `You've spent ${formatCost(spent)} this month, over your ${formatCost(budget)} budget`
+            : `You've spent ${formatCost(spent)} of your ${formatCost(budget)} budget this month`}</span>
+        <button class="budget-warning-dismiss" title="Dismiss">
+            <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+        </button>
+    `;
+    elements.budgetWarning.querySelector('.budget-warning-dismiss').addEventListener('click', () => {
+        dismissedBudgetWarning = level;
+        updateBudgetWarning();
+    });
+}
+
+function setMonthlyBudget(value) {
+    const budget = parseFloat(value);
+    state.monthlyBudget = Number.isFinite(budget) && budget > 0 ? budget : null;
+    saveUsage();
+    updateBudgetWarning();
+    updateUsageDashboard();
+}
+
+// =============================================================================
+// PRICING
+// =============================================================================
+
+// Edits start from a copy of the defaults, which Reset goes back to
+function editPricing(update) {
+    state.modelPricing = modelPricing().map(row => ({ ...row }));
+    update(state.modelPricing);
+    saveUsage();
+    updateMessages();
+    updateTokenEstimate();
+    updateBudgetWarning();
+}
+
+function resetPricing() {
+    state.modelPricing = null;
+    saveUsage();
+    updateMessages();
+    updateTokenEstimate();
+    updateBudgetWarning();
+    updateUsageDashboard();
+}
+
+// Blank prices are stored as missing, so cache prices fall back to the input price
+function parsePrice(value) {
+    const price = parseFloat(value);
+    return Number.isFinite(price) && price >= 0 ? price : undefined;
+}
+
+function updatePricingTable() {
+    const table = elements.pricingTable;
+    table.innerHTML = `
+        <div class="pricing-row pricing-header">
+            <span>Model ID prefix</span>
+            <span>Input</span>
+            <span>Output</span>
+            <span>Cache read</span>
+            <span>Cache write</span>
+            <span></span>
+        </div>
+    `;
+
+    modelPricing().forEach((row, index) => {
+        const rowDiv = document.createElement('div');
+        rowDiv.className = 'pricing-row';
+        rowDiv.innerHTML = `
+            <input type="text" class="api-key-input" data-field="model" placeholder="model-id">
+            <input type="number" class="api-key-input" data-field="input" min="0" step="any">
+            <input type="number" class="api-key-input" data-field="output" min="0" step="any">
+            <input type="number" class="api-key-input" data-field="cacheRead" min="0" step="any" placeholder="Input">
+            <input type="number" class="api-key-input" data-field="cacheWrite" min="0" step="any" placeholder="Input">
+            <button class="agent-action-btn" title="Remove">Remove</button>
+        `;
+
+        rowDiv.querySelectorAll('input').forEach(input => {
+            const field = input.dataset.field;
+            input.value = row[field] ?? '';
+            input.addEventListener('change', () => {
+                editPricing(rows => {
+                    rows[index][field] = field === 'model' ? input.value.trim() : parsePrice(input.value);
+                });
+                updateUsageTotals();
+            });
+        });
+        rowDiv.querySelector('button').addEventListener('click', () => {
+            editPricing(rows => rows.splice(index, 1));
+            updateUsageDashboard();
+        });
+
+        table.appendChild(rowDiv);
+    });
+}
+
+function addPricingRow() {
+    editPricing(rows => rows.push({ model: '', input: 0, output: 0 }));
+    updatePricingTable();
+    elements.pricingTable.querySelector('.pricing-row:last-child input')?.focus();
+}
+
+// =============================================================================
+// CHAT UI
+// =============================================================================
+
+// Tokens and cost under an assistant message
+function createUsageLabel(item) {
+    const label = document.createElement('div');
+    label.className = 'message-usage';
+    const cost = usageCost(item.usage, item.model);
+    label.textContent = [usageText(item.usage), formatCost(cost)].filter(Boolean).join(' · ');
+    return label;
+}
+
+function updateChatUsage() {
+    const usage = chatUsage(state.chatHistory);
+    const tokens = usageTokens(usage);
+    elements.chatUsage.classList.toggle('hidden', tokens === 0);
+    if (tokens === 0) return;
+
+    elements.chatUsage.textContent = usage.cost > 0 ? formatCost(usage.cost) : `${formatTokens(tokens)} tokens`;
+    elements.chatUsage.title = usageText(usage) + (usage.unpriced ? '\nSome models have no price set' : '');
+}
+
+// Rough size of the next message: the prompt plus everything attached to it
+function updateTokenEstimate() {
+    const contextTokens = state.modelContext
+        .filter(item => item.status === 'ready')
+        .reduce((sum, item) => sum + (item.tokens || 0), 0);
+    const tokens = estimateTokens(elements.messageInput.value.trim()) + contextTokens;
+
+    elements.tokenEstimate.classList.toggle('hidden', tokens === 0);
+    if (tokens === 0) return;
+
+    const cost = usageCost({ inputTokens: tokens }, state.chatModel || state.selectedModel);
+    elements.tokenEstimate.textContent = `${formatTokenCount(tokens)} tokens${cost ? ` · ~${formatCost(cost)}` : ''}`;
+}
+
+// =============================================================================
+// DASHBOARD
+// =============================================================================
+
+function usageRangeStart(days) {
+    const start = new Date();
+    start.setDate(start.getDate() - days + 1);
+    return usageDay(start);
+}
+
+function usageListItem(name, details, cost) {
+    return `
+        <div class="agent-item">
+            <div class="agent-row">
+                <div class="agent-info">
+                    <span class="agent-name">${escapeHtml(name)}</span>
+                    <span class="agent-url">${escapeHtml(details)}</span>
+                </div>
+                <span class="usage-cost">${escapeHtml(formatCost(cost))}</span>
+            </div>
+        </div>
+    `;
+}
+
+function updateUsageTotals() {
+    const days = Number(elements.usageRangeInput.value);
+    const summary = summarizeUsage(usageRangeStart(days));
+    const { total } = summary;
+
+    elements.usageTotals.innerHTML = [
+        ['Cost', formatCost(total.cost)],
+        ['Input', formatTokens(total.inputTokens)],
+        ['Output', formatTokens(total.outputTokens)],
+        ['Cached', formatTokens(total.cacheReadTokens + total.cacheWriteTokens)]
+    ].map(([label, value]) => `
+        <div class="usage-stat">
+            <span class="usage-stat-value">${escapeHtml(value)}</span>
+            <span class="usage-stat-label">${label}</span>
+        </div>
+    `).join('');
+
+    // One bar per day, oldest first
+    const dayTotals = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const date = new Date();
+        date.setDate(date.getDate() - offset);
+        const day = usageDay(date);
+        dayTotals.push({ date, total: summary.days[day] || { ...emptyUsage(), cost: 0 } });
+    }
+    const useCost = total.cost > 0;
+    const value = ({ total }) => useCost ? total.cost : usageTokens(total);
+    const max = Math.max(...dayTotals.map(value), 0);
+    elements.usageChart.innerHTML = dayTotals.map(day => {
+        const height = max > 0 ? Math.max(value(day) / max * 100, value(day) > 0 ? 2 : 0) : 0;
+        const title = `${day.date.toLocaleDateString()}: ${formatCost(day.total.cost)} · ${formatTokens(usageTokens(day.total))} tokens`;
+        return `<div class="usage-bar" title="${escapeHtml(title)}"><div style="height: ${height}%"></div></div>`;
+    }).join('');
+
+    const byCost = (a, b) => b[1].cost - a[1].cost || usageTokens(b[1]) - usageTokens(a[1]);
+    const models = Object.entries(summary.models).sort(byCost);
+    elements.usageByModel.innerHTML = models.length === 0
+        ? '<div class="no-agents">No usage in this period</div>'
+        : models.map(([modelId, usage]) => usageListItem(
+            modelDisplayName(modelId),
+            `${usage.requests} requests · ${usageText(usage)}${pricingFor(modelId) ? '' : ' · no price set'}`,
+            pricingFor(modelId) ? usage.cost : null
+        )).join('');
+
+    const providers = Object.entries(summary.providers).sort(byCost);
+    elements.usageByProvider.innerHTML = providers.length === 0
+        ? '<div class="no-agents">No usage in this period</div>'
+        : providers.map(([provider, usage]) => usageListItem(
+            providerDisplayName(provider),
+            `${usage.requests} requests · ${usageText(usage)}`,
+            usage.cost
+        )).join('');
+
+    const budget = state.monthlyBudget;
+    elements.usageBudgetStatus.textContent = budget
+        ? `${formatCost(monthlyCost())} of ${formatCost(budget)} spent this month`
+        : `${formatCost(monthlyCost())} spent this month`;
+}
+
+function updateUsageDashboard() {
+    elements.monthlyBudgetInput.value = state.monthlyBudget ?? '';
+    updateUsageTotals();
+    updatePricingTable();
+}
@@ -0,0 +1,211 @@
+// Model discovery and chat for OpenAI-compatible servers and Ollama, against stub servers
+
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { loadScripts, splitEvery, startMockServer } from './helpers.js';
+
+// What the scripts use from main.js and the Tauri plugins
+globalThis.DAY_MS = 24 * 60 * 60 * 1000;
+globalThis.generateUUID = randomUUID;
+globalThis.httpFetch = fetch;
+globalThis.saveModelCatalog = async () => {};
+globalThis.state = {};
+
+const run = loadScripts(['managers/providers.js', 'managers/customproviders.js', 'managers/models.js']);
+// There is no settings panel to redraw
+globalThis.updateModelsList = () => {};
+const streamModelResponse = run('streamModelResponse');
+const refreshModelCatalog = run('refreshModelCatalog');
+const modelCatalogErrors = run('modelCatalogErrors');
+const modelCatalogStatus = run('modelCatalogStatus');
+
+const WEATHER_TOOL = {
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    inputSchema: { type: 'object', properties: { city: { type: 'string' } } }
+};
+const MESSAGES = [{ role: 'user', payloads: [{ type: 'text', text: 'Weather in Paris?' }] }];
+
+// =============================================================================
+// STUB RESPONSES
+// =============================================================================
+
+const json = body => ({
+    headers: { 'Content-Type': 'application/json' },
+    chunks: [JSON.stringify(body)]
+});
+
+const openAIModels = json({
+    object: 'list',
+    data: [
+        { id: 'qwen2.5-7b-instruct', object: 'model', owned_by: 'organization_owner' },
+        { id: 'llama-3.2-3b-instruct', object: 'model', owned_by: 'organization_owner' }
+    ]
+});
+
+const openAIChatStream = [
+    { choices: [{ index: 0, delta: { role: 'assistant', content: 'Sunny in ' }, finish_reason: null }] },
+    { choices: [{ index: 0, delta: { content: 'Paris — 21°C' }, finish_reason: null }] },
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"ci' } }] }, finish_reason: null }] },
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: 'ty":"Paris"}' } }] }, finish_reason: null }] },
+    { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }], usage: { prompt_tokens: 40, completion_tokens: 15 } }
+].map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+const ollamaTags = json({
+    models: [
+        { name: 'qwen3:8b', model: 'qwen3:8b', size: 5225388164 },
+        { name: 'llama3.2:latest', model: 'llama3.2:latest', size: 2019393189 }
+    ]
+});
+
+const ollamaLines = lines => lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+
+const ollamaChatStream = ollamaLines([
+    { model: 'llama3.2', message: { role: 'assistant', content: 'Sunny in ' }, done: false },
+    { model: 'llama3.2', message: { role: 'assistant', content: 'Paris — 21°C' }, done: false },
+    { model: 'llama3.2', message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] }, done: false },
+    { model: 'llama3.2', message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 40, eval_count: 15 }
+]);
+
+const ollamaErrorStream = ollamaLines([
+    { model: 'llama3.2', message: { role: 'assistant', content: 'Sunny' }, done: false },
+    { error: 'an error was encountered while running the model' }
+]);
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+let server;
+
+before(async () => {
+    server = await startMockServer({
+        'GET /v1/models': openAIModels,
+        'POST /v1/chat/completions': { chunks: splitEvery(openAIChatStream, 9) },
+        'GET /api/tags': ollamaTags,
+        'POST /api/chat': { headers: { 'Content-Type': 'application/x-ndjson' }, chunks: splitEvery(ollamaChatStream, 9) },
+        'POST /failing/api/chat': { headers: { 'Content-Type': 'application/x-ndjson' }, chunks: splitEvery(ollamaErrorStream, 9) },
+        // What a web server's landing page answers with when the base URL is off by a path
+        'GET /html/models': { headers: { 'Content-Type': 'text/html' }, chunks: ['<!doctype html><title>LM Studio</title>'] }
+    });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    Object.assign(globalThis.state, {
+        customProviders: [],
+        customModels: [],
+        pinnedModels: [],
+        modelCatalog: {},
+        apiKeys: {},
+        selectedModel: ''
+    });
+});
+
+function addProvider(protocol, path, apiKey) {
+    const provider = { id: randomUUID(), name: protocol, protocol, baseUrl: `${server.url}${path}/` };
+    state.customProviders.push(provider);
+    if (apiKey) state.apiKeys[provider.id] = apiKey;
+    return provider;
+}
+
+async function stream(provider, model) {
+    const events = [];
+    const result = await streamModelResponse({
+        providerId: provider.id,
+        apiKey: state.apiKeys[provider.id],
+        model,
+        messages: MESSAGES,
+        tools: [WEATHER_TOOL],
+        onEvent: event => events.push(event)
+    });
+    return { result, events };
+}
+
+const lastRequest = () => server.requests[server.requests.length - 1];
+
+describe('OpenAI-compatible server', () => {
+    test('lists the loaded models, sending the key when there is one', async () => {
+        const provider = addProvider('openai', '/v1', 'sk-local');
+        await refreshModelCatalog(provider.id, true);
+
+        assert.deepEqual(state.modelCatalog[provider.id].models, [
+            { id: 'llama-3.2-3b-instruct', name: 'llama-3.2-3b-instruct' },
+            { id: 'qwen2.5-7b-instruct', name: 'qwen2.5-7b-instruct' }
+        ]);
+        assert.equal(lastRequest().path, '/v1/models');
+        assert.equal(lastRequest().headers.authorization, 'Bearer sk-local');
+    });
+
+    test('streams a reply with a tool call', async () => {
+        const provider = addProvider('openai', '/v1');
+        const { result } = await stream(provider, 'qwen2.5-7b-instruct');
+
+        assert.equal(result.text, 'Sunny in Paris — 21°C');
+        assert.deepEqual(result.toolCalls, [{ id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }]);
+        assert.equal(result.stopReason, 'toolUse');
+        assert.deepEqual(result.usage, { inputTokens: 40, outputTokens: 15, cacheReadTokens: 0 });
+
+        const request = lastRequest();
+        assert.equal(request.path, '/v1/chat/completions');
+        assert.equal(request.headers.authorization, undefined);
+        const body = JSON.parse(request.body);
+        assert.equal(body.model, 'qwen2.5-7b-instruct');
+        assert.equal(body.max_tokens, 8192);
+        assert.equal(body.tools[0].function.name, 'get_weather');
+    });
+
+    test('reports a missing /models endpoint', async () => {
+        const provider = addProvider('openai', '');
+        await refreshModelCatalog(provider.id, true);
+
+        assert.equal(state.modelCatalog[provider.id], undefined);
+        assert.equal(modelCatalogErrors.get(provider.id), `No model list at ${server.url}/models; check the server's URL`);
+        assert.match(modelCatalogStatus(provider.id), /^Couldn't fetch models: No model list at/);
+    });
+
+    test('reports a /models page that isn\'t JSON', async () => {
+        const provider = addProvider('openai', '/html');
+        await refreshModelCatalog(provider.id, true);
+
+        assert.equal(state.modelCatalog[provider.id], undefined);
+        assert.equal(modelCatalogErrors.get(provider.id), `${server.url}/html/models didn't return a model list; check the server's URL`);
+    });
+});
+
+describe('Ollama', () => {
+    test('lists the pulled models', async () => {
+        const provider = addProvider('ollama', '');
+        await refreshModelCatalog(provider.id, true);
+
+        assert.deepEqual(state.modelCatalog[provider.id].models, [
+            { id: 'llama3.2:latest', name: 'llama3.2:latest' },
+            { id: 'qwen3:8b', name: 'qwen3:8b' }
+        ]);
+        assert.equal(lastRequest().path, '/api/tags');
+    });
+
+    test('streams a reply split across reads, with a tool call and token counts', async () => {
+        const provider = addProvider('ollama', '');
+        const { result, events } = await stream(provider, 'llama3.2');
+
+        assert.equal(result.text, 'Sunny in Paris — 21°C');
+        assert.equal(events.filter(event => event.type === 'text').length, 2);
+        assert.equal(result.toolCalls.length, 1);
+        assert.deepEqual({ ...result.toolCalls[0], id: undefined }, { id: undefined, name: 'get_weather', input: { city: 'Paris' } });
+        assert.equal(result.stopReason, 'endTurn');
+        assert.deepEqual(result.usage, { inputTokens: 40, outputTokens: 15 });
+
+        const body = JSON.parse(lastRequest().body);
+        assert.equal(lastRequest().path, '/api/chat');
+        assert.deepEqual(body.options, { num_predict: 8192 });
+        assert.deepEqual(body.messages, [{ role: 'user', content: 'Weather in Paris?' }]);
+    });
+
+    test('throws the error line sent mid-stream', async () => {
+        const provider = addProvider('ollama', '/failing');
+        await assert.rejects(stream(provider, 'llama3.2'), { message: 'an error was encountered while running the model' });
+    });
+});
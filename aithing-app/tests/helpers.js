@@ -0,0 +1,77 @@
+// AIThing - Test Helpers
+// Loads the app's scripts outside the webview and serves recorded responses from a local server
+
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const SRC = join(dirname(fileURLToPath(import.meta.url)), '..', 'src');
+
+// Pause between chunks, so the client reads each one on its own
+const CHUNK_DELAY = 2;
+
+// =============================================================================
+// SCRIPTS
+// =============================================================================
+
+// The managers are classic scripts sharing one global scope, as in index.html.
+// Globals they use from main.js or Tauri are set on globalThis beforehand;
+// returns a function that evaluates an expression in that scope.
+export function loadScripts(files) {
+    for (const file of files) {
+        vm.runInThisContext(readFileSync(join(SRC, file), 'utf8'), { filename: file });
+    }
+    return (expression) => vm.runInThisContext(expression);
+}
+
+// =============================================================================
+// MOCK SERVER
+// =============================================================================
+
+// Splits a body every `size` bytes, cutting through events, lines and
+// multi-byte characters alike
+export function splitEvery(body, size) {
+    const bytes = Buffer.from(body);
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += size) {
+        chunks.push(bytes.subarray(i, i + size));
+    }
+    return chunks;
+}
+
+// Serves each route ("METHOD /path") as { status, headers, chunks }, written
+// one chunk at a time. Resolves with the server's URL, the requests it got
+// and close().
+export async function startMockServer(routes) {
+    const requests = [];
+
+    const server = createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+        const route = routes[`${req.method} ${url.pathname}`];
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+
+        res.writeHead(route.status || 200, route.headers || { 'Content-Type': 'text/event-stream' });
+        for (const chunk of route.chunks) {
+            res.write(chunk);
+            await new Promise(resolve => setTimeout(resolve, CHUNK_DELAY));
+        }
+        res.end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,234 @@
+// Streaming from Anthropic, OpenAI and Gemini, against a mock server replaying recorded streams
+
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { after, before, describe, test } from 'node:test';
+import { loadScripts, splitEvery, startMockServer } from './helpers.js';
+
+globalThis.generateUUID = randomUUID;
+const run = loadScripts(['managers/providers.js']);
+const providerBaseUrls = run('providerBaseUrls');
+const streamModelResponse = run('streamModelResponse');
+
+const WEATHER_TOOL = {
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    inputSchema: { type: 'object', properties: { city: { type: 'string' } } }
+};
+const MESSAGES = [{ role: 'user', payloads: [{ type: 'text', text: 'Weather in Paris?' }] }];
+
+// =============================================================================
+// RECORDED STREAMS
+// =============================================================================
+
+function sse(events, separator = '\n') {
+    return events.map(([event, data]) => {
+        const lines = event ? [`event: ${event}`] : [];
+        lines.push(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}`);
+        return lines.join(separator) + separator + separator;
+    }).join('');
+}
+
+const anthropicStream = sse([
+    ['message_start', { type: 'message_start', message: { id: 'msg_1', type: 'message', role: 'assistant', content: [], usage: { input_tokens: 25, output_tokens: 1, cache_read_input_tokens: 100, cache_creation_input_tokens: 0 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+    ['ping', { type: 'ping' }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking the weather' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' in Paris — à bientôt' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['content_block_start', { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city": "Pa' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: 'ris"}' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 1 }],
+    ['message_delta', { type: 'message_delta', delta: { stop_reason: 'tool_use', stop_sequence: null }, usage: { output_tokens: 42 } }],
+    ['message_stop', { type: 'message_stop' }]
+]);
+
+const anthropicErrorStream = sse([
+    ['message_start', { type: 'message_start', message: { id: 'msg_2', type: 'message', role: 'assistant', content: [], usage: { input_tokens: 25, output_tokens: 1 } } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Partial' } }],
+    ['error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]
+]);
+
+const openAIStream = sse([
+    [null, { id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }] }],
+    [null, { choices: [{ index: 0, delta: { content: 'Checking the weather' }, finish_reason: null }] }],
+    [null, { choices: [{ index: 0, delta: { content: ' in Paris — à bientôt' }, finish_reason: null }] }],
+    [null, { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '' } }] }, finish_reason: null }] }],
+    [null, { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] }, finish_reason: null }] }],
+    [null, { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] }, finish_reason: null }] }],
+    [null, { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] }],
+    [null, { choices: [], usage: { prompt_tokens: 130, completion_tokens: 42, prompt_tokens_details: { cached_tokens: 100 } } }],
+    [null, '[DONE]']
+]);
+
+const openAIErrorStream = sse([
+    [null, { choices: [{ index: 0, delta: { content: 'Partial' }, finish_reason: null }] }],
+    [null, { error: { message: 'The server had an error while processing your request.', type: 'server_error' } }],
+    [null, '[DONE]']
+]);
+
+// Gemini separates events with CRLF and sends each function call whole
+const geminiStream = sse([
+    [null, { candidates: [{ content: { role: 'model', parts: [{ text: 'Checking the weather' }] }, index: 0 }], usageMetadata: { promptTokenCount: 130, candidatesTokenCount: 4, cachedContentTokenCount: 100 } }],
+    [null, { candidates: [{ content: { role: 'model', parts: [{ text: ' in Paris — à bientôt' }] }, index: 0 }], usageMetadata: { promptTokenCount: 130, candidatesTokenCount: 9, cachedContentTokenCount: 100 } }],
+    [null, { candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } }, thoughtSignature: 'sig-1' }] }, finishReason: 'STOP', index: 0 }], usageMetadata: { promptTokenCount: 130, candidatesTokenCount: 30, thoughtsTokenCount: 12, cachedContentTokenCount: 100 } }]
+], '\r\n');
+
+const geminiErrorStream = sse([
+    [null, { candidates: [{ content: { role: 'model', parts: [{ text: 'Partial' }] }, index: 0 }] }],
+    [null, { error: { code: 503, message: 'The model is overloaded. Please try again later.', status: 'UNAVAILABLE' } }]
+], '\r\n');
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+let server;
+
+before(async () => {
+    server = await startMockServer({
+        // Split into small pieces so events, lines and characters straddle reads
+        'POST /v1/messages': { chunks: splitEvery(anthropicStream, 7) },
+        'POST /error/v1/messages': { chunks: splitEvery(anthropicErrorStream, 11) },
+        'POST /v1/chat/completions': { chunks: splitEvery(openAIStream, 7) },
+        'POST /error/v1/chat/completions': { chunks: splitEvery(openAIErrorStream, 11) },
+        'POST /v1beta/models/gemini-2.5-flash:streamGenerateContent': { chunks: splitEvery(geminiStream, 7) },
+        'POST /error/v1beta/models/gemini-2.5-flash:streamGenerateContent': { chunks: splitEvery(geminiErrorStream, 11) },
+        'POST /limited/v1/messages': { status: 429, headers: { 'Content-Type': 'application/json' }, chunks: ['{}'] }
+    });
+});
+
+after(() => server.close());
+
+function useServer(path = '') {
+    for (const provider of ['anthropic', 'openai', 'google']) {
+        providerBaseUrls[provider] = `${server.url}${path}`;
+    }
+}
+
+async function stream(providerId, model) {
+    const events = [];
+    const result = await streamModelResponse({
+        providerId,
+        apiKey: 'test-key',
+        model,
+        messages: MESSAGES,
+        tools: [WEATHER_TOOL],
+        onEvent: event => events.push(event)
+    });
+    return { result, events };
+}
+
+async function streamError(providerId, model) {
+    const events = [];
+    await assert.rejects(
+        streamModelResponse({ providerId, apiKey: 'test-key', model, messages: MESSAGES, onEvent: event => events.push(event) }),
+        error => {
+            events.push({ type: 'thrown', message: error.message });
+            return true;
+        }
+    );
+    return events;
+}
+
+const textOf = events => events.filter(event => event.type === 'text').map(event => event.text).join('');
+const lastRequest = () => server.requests[server.requests.length - 1];
+
+describe('Anthropic', () => {
+    test('accumulates text and tool input across split reads', async () => {
+        useServer();
+        const { result, events } = await stream('anthropic', 'claude-sonnet-4-5');
+
+        assert.equal(result.text, 'Checking the weather in Paris — à bientôt');
+        assert.equal(textOf(events), result.text);
+        assert.deepEqual(result.toolCalls, [{ id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }]);
+        assert.deepEqual(
+            events.filter(event => event.type === 'toolInput').map(event => event.partial),
+            ['', '{"city": "Pa', 'ris"}']
+        );
+        assert.equal(result.stopReason, 'toolUse');
+        assert.deepEqual(result.usage, { inputTokens: 25, outputTokens: 42, cacheReadTokens: 100, cacheWriteTokens: 0 });
+
+        const request = lastRequest();
+        assert.equal(request.headers['x-api-key'], 'test-key');
+        assert.equal(JSON.parse(request.body).stream, true);
+    });
+
+    test('throws the error frame sent mid-stream', async () => {
+        useServer('/error');
+        const events = await streamError('anthropic', 'claude-sonnet-4-5');
+
+        assert.deepEqual(events.map(event => event.type), ['usage', 'text', 'thrown']);
+        assert.equal(events[2].message, 'Overloaded');
+    });
+
+    test('explains a rate limit', async () => {
+        useServer('/limited');
+        const events = await streamError('anthropic', 'claude-sonnet-4-5');
+
+        assert.match(events[0].message, /rate limit/);
+    });
+});
+
+describe('OpenAI', () => {
+    test('accumulates text and tool call deltas across split reads, up to [DONE]', async (t) => {
+        useServer();
+        const warn = t.mock.method(console, 'warn');
+        const { result, events } = await stream('openai', 'gpt-5.1');
+
+        assert.equal(result.text, 'Checking the weather in Paris — à bientôt');
+        assert.equal(textOf(events), result.text);
+        assert.deepEqual(result.toolCalls, [{ id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }]);
+        assert.deepEqual(
+            events.filter(event => event.type === 'toolInput').map(event => event.partial),
+            ['{"city":', '"Paris"}']
+        );
+        assert.equal(result.stopReason, 'toolUse');
+        assert.deepEqual(result.usage, { inputTokens: 30, outputTokens: 42, cacheReadTokens: 100 });
+        // [DONE] ends the stream; it isn't taken for malformed JSON
+        assert.equal(warn.mock.callCount(), 0);
+
+        const request = lastRequest();
+        assert.equal(request.headers.authorization, 'Bearer test-key');
+        assert.deepEqual(JSON.parse(request.body).stream_options, { include_usage: true });
+    });
+
+    test('throws the error frame sent mid-stream', async () => {
+        useServer('/error');
+        const events = await streamError('openai', 'gpt-5.1');
+
+        assert.deepEqual(events.map(event => event.type), ['text', 'thrown']);
+        assert.equal(events[1].message, 'The server had an error while processing your request.');
+    });
+});
+
+describe('Gemini', () => {
+    test('accumulates text and whole function calls across split reads', async () => {
+        useServer();
+        const { result, events } = await stream('google', 'gemini-2.5-flash');
+
+        assert.equal(result.text, 'Checking the weather in Paris — à bientôt');
+        assert.equal(textOf(events), result.text);
+        assert.equal(result.toolCalls.length, 1);
+        assert.deepEqual(
+            { ...result.toolCalls[0], id: undefined },
+            { id: undefined, name: 'get_weather', input: { city: 'Paris' }, signature: 'sig-1' }
+        );
+        assert.equal(result.stopReason, 'endTurn');
+        assert.deepEqual(result.usage, { inputTokens: 30, outputTokens: 42, cacheReadTokens: 100 });
+
+        const request = lastRequest();
+        assert.equal(request.query.get('alt'), 'sse');
+        assert.equal(request.query.get('key'), 'test-key');
+    });
+
+    test('throws the error frame sent mid-stream', async () => {
+        useServer('/error');
+        const events = await streamError('google', 'gemini-2.5-flash');
+
+        assert.deepEqual(events.map(event => event.type), ['text', 'thrown']);
+        assert.equal(events[1].message, 'The model is overloaded. Please try again later.');
+    });
+});
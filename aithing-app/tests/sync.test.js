@@ -0,0 +1,269 @@
+// Syncing chats between devices, against an in-memory stand-in for the sync server
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { loadScripts } from './helpers.js';
+
+// What sync.js uses from main.js, the other managers and Tauri. Sealing is
+// faked; the real AES-GCM and key check are tested in sync.rs.
+const KEY_CHECK = 'sealed:key-check';
+const invoked = [];
+globalThis.invoke = async (command, args) => {
+    invoked.push({ command, args });
+    switch (command) {
+        case 'sync_seal':
+            return `sealed:${args.plaintext}`;
+        case 'sync_open':
+            return args.sealed.slice('sealed:'.length);
+        case 'sync_unlock':
+            if (args.passphrase !== 'correct horse') throw new Error('That isn\'t the sync passphrase for this account');
+            if (args.keyCheck && args.keyCheck !== KEY_CHECK) throw new Error('That isn\'t the sync passphrase for this account');
+            return KEY_CHECK;
+        default:
+            return null;
+    }
+};
+globalThis.getAppStore = async () => ({ get: async () => null, set: async () => {}, save: async () => {} });
+globalThis.state = {};
+for (const name of [
+    'saveSavedQueries', 'updateSavedQueriesList', 'saveSettings', 'updateModelsList', 'updatePersonaPicker',
+    'indexChat', 'removeChatFromIndex', 'loadChatHistory', 'switchToChat', 'newChat', 'refreshSearchResults', 'updateChatList'
+]) {
+    globalThis[name] = () => {};
+}
+
+const run = loadScripts(['managers/sync.js']);
+// There is no status bar to update, and syncs are run by hand
+globalThis.updateSyncStatus = () => {};
+globalThis.scheduleSync = () => {};
+const registerSyncBackend = run('registerSyncBackend');
+const emptySyncState = run('emptySyncState');
+const markSyncChange = run('markSyncChange');
+const runSync = run('runSync');
+const signInToBackend = run('signInToBackend');
+const syncStatus = () => run('syncStatus');
+
+// =============================================================================
+// STAND-IN SERVER
+// =============================================================================
+
+// Keeps the latest record pushed for each kind and id, numbered so pulls can
+// ask for what changed since; like the real server, it settles no conflicts
+function createStandInServer() {
+    const records = new Map();
+    let sequence = 0;
+    const server = {
+        records,
+        keyCheck: null,
+        signedOut: false,
+        pushes: [],
+        // Resolved before a push is stored, so a test can act while it is in flight
+        beforePush: null,
+
+        async signIn() {
+            return { backend: 'test', id: 'user-1', email: 'ada@example.com', keyCheck: server.keyCheck };
+        },
+        async signOut() {
+            server.signedOut = true;
+        },
+        async setKeyCheck(account, keyCheck) {
+            server.keyCheck = keyCheck;
+        },
+        async pull(account, cursor) {
+            const since = Number(cursor || 0);
+            const changed = [...records.values()].filter(entry => entry.sequence > since).map(entry => entry.record);
+            return { records: changed, cursor: String(sequence) };
+        },
+        async push(account, pushed) {
+            await server.beforePush?.();
+            server.pushes.push(pushed);
+            pushed.forEach(record => {
+                records.set(`${record.kind}:${record.id}`, { sequence: ++sequence, record });
+            });
+        },
+
+        // A record another device pushed
+        put(record) {
+            records.set(`${record.kind}:${record.id}`, { sequence: ++sequence, record });
+        }
+    };
+    return server;
+}
+
+const chat = (id, text, lastUpdated) => ({
+    id,
+    title: text,
+    history: [{ role: 'user', payloads: [{ type: 'text', text }] }],
+    lastUpdated
+});
+
+const chatRecord = (data, updatedAt) => ({
+    kind: 'chat',
+    id: data.id,
+    updatedAt,
+    deleted: false,
+    payload: `sealed:${JSON.stringify(data)}`
+});
+
+const deletedRecord = (id, updatedAt) => ({ kind: 'chat', id, updatedAt, deleted: true, payload: null });
+
+const commands = name => invoked.filter(call => call.command === name).map(call => call.args);
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+let server;
+
+beforeEach(() => {
+    server = createStandInServer();
+    registerSyncBackend('test', server);
+    invoked.length = 0;
+    Object.assign(globalThis.state, {
+        histories: [],
+        savedQueries: [],
+        chatRuns: {},
+        currentTabId: null,
+        pinnedModels: [],
+        customModels: [],
+        systemPrompt: '',
+        personas: [],
+        sync: { ...emptySyncState(), account: { backend: 'test', id: 'user-1' } }
+    });
+});
+
+describe('last writer wins', () => {
+    test('a newer chat from another device replaces the one here', async () => {
+        state.histories = [chat('c1', 'Old question', 1000)];
+        state.sync.changes['chat:c1'] = 1000;
+        server.put(chatRecord(chat('c1', 'Newer question', 2000), 2000));
+
+        await runSync();
+
+        assert.equal(syncStatus().state, 'idle');
+        assert.equal(state.histories[0].title, 'Newer question');
+        assert.deepEqual(commands('save_chat').map(args => args.chat.title), ['Newer question']);
+        // The older change here is dropped instead of sent
+        assert.deepEqual(state.sync.changes, {});
+        assert.equal(server.pushes.length, 0);
+        assert.equal(state.sync.versions['chat:c1'], 2000);
+    });
+
+    test('a newer chat here is kept and sent over the older one', async () => {
+        state.histories = [chat('c1', 'Newer question', 3000)];
+        state.sync.changes['chat:c1'] = 3000;
+        server.put(chatRecord(chat('c1', 'Old question', 2000), 2000));
+
+        await runSync();
+
+        assert.equal(state.histories[0].title, 'Newer question');
+        assert.deepEqual(commands('save_chat'), []);
+        assert.equal(server.pushes.length, 1);
+        assert.deepEqual(server.records.get('chat:c1').record, chatRecord(chat('c1', 'Newer question', 3000), 3000));
+        assert.deepEqual(state.sync.changes, {});
+        assert.equal(state.sync.versions['chat:c1'], 3000);
+    });
+
+    test('a record already synced isn\'t applied again', async () => {
+        state.histories = [chat('c1', 'Edited here', 3000)];
+        state.sync.versions['chat:c1'] = 2000;
+        server.put(chatRecord(chat('c1', 'Synced before', 2000), 2000));
+
+        await runSync();
+
+        assert.equal(state.histories[0].title, 'Edited here');
+        assert.deepEqual(commands('save_chat'), []);
+    });
+});
+
+describe('deletes', () => {
+    test('a chat deleted on another device is deleted here', async () => {
+        state.histories = [chat('c1', 'Question', 1000), chat('c2', 'Other question', 900)];
+        state.sync.versions = { 'chat:c1': 1000, 'chat:c2': 900 };
+        server.put(deletedRecord('c1', 2000));
+
+        await runSync();
+
+        assert.deepEqual(state.histories.map(history => history.id), ['c2']);
+        assert.deepEqual(commands('delete_chat'), [{ id: 'c1' }]);
+        assert.equal(state.sync.versions['chat:c1'], 2000);
+    });
+
+    test('a chat deleted here is sent as deleted', async () => {
+        state.sync.versions['chat:c1'] = 1000;
+        state.sync.changes['chat:c1'] = 2000;
+
+        await runSync();
+
+        assert.deepEqual(server.records.get('chat:c1').record, deletedRecord('c1', 2000));
+        assert.deepEqual(state.sync.changes, {});
+    });
+
+    test('a chat edited here after it was deleted elsewhere comes back', async () => {
+        state.histories = [chat('c1', 'Edited here', 3000)];
+        state.sync.changes['chat:c1'] = 3000;
+        server.put(deletedRecord('c1', 2000));
+
+        await runSync();
+
+        assert.deepEqual(commands('delete_chat'), []);
+        assert.equal(server.records.get('chat:c1').record.deleted, false);
+    });
+});
+
+describe('changes during a sync', () => {
+    test('a chat changed while it is being pushed is sent again next time', async () => {
+        state.histories = [chat('c1', 'First version', 1000)];
+        state.sync.changes['chat:c1'] = 1000;
+        server.beforePush = async () => {
+            server.beforePush = null;
+            state.histories[0] = chat('c1', 'Second version', Date.now());
+            markSyncChange('chat', 'c1');
+        };
+
+        await runSync();
+
+        assert.equal(JSON.parse(server.records.get('chat:c1').record.payload.slice('sealed:'.length)).title, 'First version');
+        assert.ok(state.sync.changes['chat:c1'] > 1000, 'the second change is still waiting');
+        assert.equal(state.sync.versions['chat:c1'], 1000);
+
+        await runSync();
+
+        assert.equal(JSON.parse(server.records.get('chat:c1').record.payload.slice('sealed:'.length)).title, 'Second version');
+        assert.deepEqual(state.sync.changes, {});
+    });
+
+    test('a chat that is still replying isn\'t replaced', async () => {
+        state.histories = [chat('c1', 'Question', 1000)];
+        state.chatRuns.c1 = {};
+        server.put(chatRecord(chat('c1', 'Newer question', 2000), 2000));
+
+        await runSync();
+
+        assert.equal(state.histories[0].title, 'Question');
+        assert.equal(state.sync.versions['chat:c1'], undefined);
+    });
+});
+
+describe('sign-in', () => {
+    test('the first device keeps a key check on the account', async () => {
+        const account = await signInToBackend('test', {}, 'correct horse');
+
+        assert.equal(account.id, 'user-1');
+        assert.equal('keyCheck' in account, false);
+        assert.equal(server.keyCheck, KEY_CHECK);
+        assert.deepEqual(commands('sync_unlock'), [{ accountId: 'user-1', passphrase: 'correct horse', keyCheck: null }]);
+    });
+
+    test('another device must open the account\'s key check', async () => {
+        server.keyCheck = KEY_CHECK;
+
+        await assert.rejects(signInToBackend('test', {}, 'correct hose'), /isn't the sync passphrase/);
+        assert.equal(server.signedOut, true);
+        assert.equal(server.keyCheck, KEY_CHECK);
+
+        const account = await signInToBackend('test', {}, 'correct horse');
+        assert.equal(account.email, 'ada@example.com');
+        assert.equal(commands('sync_unlock').at(-1).keyCheck, KEY_CHECK);
+    });
+});